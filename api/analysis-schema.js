@@ -0,0 +1,19 @@
+// api/analysis-schema.js - Publishes the versioned JSON Schema for the analysis payload
+import { setCorsHeaders, handleCorsPrelight } from '../lib/cors.js';
+import { ANALYSIS_SCHEMA } from '../lib/analysis-schema.js';
+
+export default async function handler(req, res) {
+  setCorsHeaders(res, req.headers.origin);
+
+  if (handleCorsPrelight(req, res)) {
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed', allowedMethods: ['GET', 'OPTIONS'] });
+  }
+
+  res.setHeader('Content-Type', 'application/schema+json');
+  res.setHeader('Cache-Control', 'public, max-age=3600');
+  return res.status(200).send(JSON.stringify(ANALYSIS_SCHEMA, null, 2));
+}
@@ -0,0 +1,50 @@
+// api/analyze-feed.js
+// Share link, RSS feed URL (+ guid / episodeTitle) or raw enclosure URL → /tmp download → Vercel Blob → Whisper → Enhanced TROOP
+// Synchronous wrapper around the 'feed' pipeline; POST /api/jobs { type: 'feed' } runs the same work in the background
+// Send `Accept: text/event-stream` for live stage/progress events instead of one JSON response
+//
+// POST { url, force? }                             - Apple / Spotify / YouTube / Overcast / Pocket Casts / Podcast Index link
+// POST { feedUrl, guid?, episodeTitle?, force? }   - episode from a feed (newest when neither guid nor title)
+// POST { audioUrl, title?, podcastTitle?, force? }  - bare enclosure URL
+// Any form also takes host? and guests? (array or comma-separated) to name the diarized speakers
+import { setCorsHeaders } from '../lib/cors.js';
+import { runFeedPipeline } from '../lib/pipelines/feed.js';
+import { createReporter } from '../lib/pipelines/index.js';
+import { openEventStream, wantsEventStream, EVENT_TYPES } from '../lib/events.js';
+
+export default async function handler(req, res) {
+  setCorsHeaders(res, req.headers.origin);
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const startTime = Date.now();
+  const stream = wantsEventStream(req) ? openEventStream(req, res, { sse: true }) : null;
+  const report = createReporter(stream ? stream.send : undefined);
+
+  try {
+    const { url, feedUrl, guid, episodeTitle, audioUrl, title, podcastTitle, force, host, guests } = req.body || {};
+    const result = await runFeedPipeline({ url, feedUrl, guid, episodeTitle, audioUrl, title, podcastTitle, force, host, guests }, report);
+    if (stream) {
+      stream.send(EVENT_TYPES.RESULT, result);
+      return stream.close();
+    }
+    return res.status(200).json(result);
+  } catch (err) {
+    const clientError = err.name === 'PipelineError' && err.status < 500;
+    if (!clientError) console.error('Feed analysis failed:', err);
+    const body = clientError
+      ? { error: err.message, ...err.details, debug: report.debug }
+      : {
+        error: err.name === 'PipelineError' ? err.message : 'Analysis failed',
+        details: String(err.message || err),
+        processing_time_ms: Date.now() - startTime,
+        debug: report.debug,
+      };
+
+    if (stream) {
+      stream.send(EVENT_TYPES.ERROR, { status: 'error', http_status: clientError ? err.status : 500, ...body });
+      return stream.close();
+    }
+    return res.status(clientError ? err.status : 500).json(body);
+  }
+}
@@ -0,0 +1,38 @@
+// api/analyze-show.js - Back-catalog batch analysis for a whole show
+// POST { feedUrl | appleId | appleUrl, limit?, all?, concurrency?, budgetUsd?, force?, host? } → 202 { job_id, status_url }
+// Batches outlive a request, so this always runs as a 'show' job that fans out into one
+// 'show-episode' job per episode: poll status_url or stream /api/jobs/<id>/events. The result
+// holds a per-episode table plus the show rollup.
+import { setCorsHeaders } from '../lib/cors.js';
+import { enqueueJob, publicJob } from '../lib/jobs.js';
+
+export default async function handler(req, res) {
+  setCorsHeaders(res, req.headers.origin);
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const { feedUrl, appleId, appleUrl, limit, all, concurrency, budgetUsd, force, host } = req.body || {};
+  if (!feedUrl && !appleId && !appleUrl) {
+    return res.status(400).json({ error: 'feedUrl, appleId or appleUrl is required' });
+  }
+  if (budgetUsd !== undefined && !(Number(budgetUsd) > 0)) {
+    return res.status(400).json({ error: 'budgetUsd must be a positive number' });
+  }
+
+  try {
+    const job = await enqueueJob('show', { feedUrl, appleId, appleUrl, limit, all: Boolean(all), concurrency, budgetUsd, force, host });
+    console.log(`📚 Show batch job ${job.id} queued (${feedUrl || appleId || appleUrl})`);
+
+    res.setHeader('Location', `/api/jobs/${job.id}`);
+    return res.status(202).json({
+      job_id: job.id,
+      status: job.status,
+      status_url: `/api/jobs/${job.id}`,
+      events_url: `/api/jobs/${job.id}/events`,
+      job: publicJob(job)
+    });
+  } catch (error) {
+    console.error('❌ Show batch creation failed:', error);
+    return res.status(500).json({ error: 'Failed to start show analysis', details: error.message });
+  }
+}
@@ -0,0 +1,42 @@
+// api/episodes/[id]/chapters.js - Generated chapters for a stored episode
+// GET ?format=json     - Podcasting 2.0 JSON chapters; link it from the feed as
+//                         <podcast:chapters url="…" type="application/json+chapters" />
+// GET ?format=youtube  - "0:00 Title" lines to paste into a YouTube or show-notes description
+// GET ?format=raw      - chapters with end times, keywords and how the titles were written
+import { setCorsHeaders } from '../../../lib/cors.js';
+import { getEpisode } from '../../../lib/episodes.js';
+import { toChaptersJson } from '../../../lib/chapters.js';
+
+const FORMATS = ['json', 'youtube', 'raw'];
+
+export default async function handler(req, res) {
+  setCorsHeaders(res, req.headers.origin);
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  const format = String(req.query?.format || 'json');
+  if (!FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of ${FORMATS.join(', ')}` });
+  }
+
+  const episode = await getEpisode(req.query.id);
+  if (!episode) return res.status(404).json({ error: 'Episode not found' });
+  if (!episode.chapters?.chapters?.length) {
+    return res.status(404).json({ error: 'No chapters for this episode; chapters need a timestamped transcript' });
+  }
+
+  if (format === 'youtube') {
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    return res.status(200).send(`${episode.chapters.youtube}\n`);
+  }
+  if (format === 'raw') {
+    return res.status(200).json({ episode_id: episode.id, title: episode.title, ...episode.chapters });
+  }
+
+  res.setHeader('Content-Type', 'application/json+chapters; charset=utf-8');
+  return res.status(200).send(JSON.stringify(
+    toChaptersJson(episode.chapters.chapters, { title: episode.title, podcastTitle: episode.podcast_title }),
+    null,
+    2
+  ));
+}
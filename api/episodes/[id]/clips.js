@@ -0,0 +1,37 @@
+// api/episodes/[id]/clips.js - Short-form clips for a stored episode
+// GET  - 30–90 second passages ranked by hook score, with start/end timestamps, an on-screen caption
+//        and a vertical-video title for TikTok, Reels and Shorts (see lib/clips.js), plus rendered assets
+// POST - cut a span from the episode audio and render its audiogram to Blob (see lib/audiogram.js)
+//        { clip: 1 } recommended clip by rank, { quote: 1 } tweetable quote, or { start, end } in seconds;
+//        optional caption, canvas ('vertical' | 'square'), output ('mp4' | 'gif'), audiogram: false for MP3 only
+import { setCorsHeaders } from '../../../lib/cors.js';
+import { getEpisode, addClipAsset } from '../../../lib/episodes.js';
+import { resolveSpan, renderClip } from '../../../lib/audiogram.js';
+
+export default async function handler(req, res) {
+  setCorsHeaders(res, req.headers.origin);
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET' && req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const episode = await getEpisode(req.query.id);
+  if (!episode) return res.status(404).json({ error: 'Episode not found' });
+
+  if (req.method === 'POST') {
+    const { clip, quote, start, end, caption, canvas, output, audiogram } = req.body || {};
+    try {
+      const span = resolveSpan(episode, { clip, quote, start, end, caption });
+      const asset = await renderClip(episode, span, { canvas, output, audiogram: audiogram !== false && audiogram !== 'false' });
+      await addClipAsset(episode.id, asset);
+      return res.status(201).json({ episode_id: episode.id, ...asset });
+    } catch (error) {
+      console.error('❌ Clip render failed:', error.message);
+      return res.status(error.status || 500).json({ error: error.message, ...error.details });
+    }
+  }
+
+  const assets = episode.clip_assets || [];
+  if (!episode.clips?.clips?.length && !assets.length) {
+    return res.status(404).json({ error: 'No clip recommendations for this episode; clips need a timestamped transcript' });
+  }
+  return res.status(200).json({ episode_id: episode.id, title: episode.title, ...episode.clips, assets });
+}
@@ -0,0 +1,14 @@
+// api/episodes/[id]/index.js - Full stored episode: metadata, transcript, analysis, provider and cost
+import { setCorsHeaders } from '../../../lib/cors.js';
+import { getEpisode } from '../../../lib/episodes.js';
+
+export default async function handler(req, res) {
+  setCorsHeaders(res, req.headers.origin);
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  const episode = await getEpisode(req.query.id);
+  if (!episode) return res.status(404).json({ error: 'Episode not found' });
+
+  return res.status(200).json(episode);
+}
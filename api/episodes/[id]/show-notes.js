@@ -0,0 +1,37 @@
+// api/episodes/[id]/show-notes.js - Show notes for a stored episode, ready to paste into the host's CMS
+// GET ?format=md    - Markdown: summary, key takeaways, guests, resources mentioned, chapters
+// GET ?format=html  - the same sections as an HTML fragment (no <html>/<body> wrapper)
+// GET ?format=json  - the structured notes, including resource mention counts and timestamps
+import { setCorsHeaders } from '../../../lib/cors.js';
+import { getEpisode } from '../../../lib/episodes.js';
+import { renderShowNotesMarkdown, renderShowNotesHtml } from '../../../lib/show-notes.js';
+
+const FORMATS = ['md', 'html', 'json'];
+
+export default async function handler(req, res) {
+  setCorsHeaders(res, req.headers.origin);
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  const format = String(req.query?.format || 'md');
+  if (!FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of ${FORMATS.join(', ')}` });
+  }
+
+  const episode = await getEpisode(req.query.id);
+  if (!episode) return res.status(404).json({ error: 'Episode not found' });
+  if (!episode.show_notes) {
+    return res.status(404).json({ error: 'No show notes for this episode; re-run the analysis with force=true to generate them' });
+  }
+
+  if (format === 'json') {
+    return res.status(200).json({ episode_id: episode.id, ...episode.show_notes });
+  }
+  if (format === 'html') {
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    return res.status(200).send(renderShowNotesHtml(episode.show_notes));
+  }
+
+  res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
+  return res.status(200).send(renderShowNotesMarkdown(episode.show_notes));
+}
@@ -0,0 +1,63 @@
+// api/episodes/[id]/transcript.js - Full stored transcript: paginated JSON or caption / document exports
+// GET ?format=text&offset=0&limit=100000  - transcript characters [offset, offset + limit)
+// GET ?format=segments&offset=0&limit=500  - timestamped segments
+// GET ?format=analysis_input                - the condensed text TROOP analyzed
+// GET ?format=srt|vtt|json|txt|docx         - whole-transcript download; json is Podcasting 2.0
+//                                              podcast:transcript, ready to link from the feed
+// Pages concatenate back to the exact transcript; follow next_offset until it is null.
+import { setCorsHeaders } from '../../../lib/cors.js';
+import { getEpisode } from '../../../lib/episodes.js';
+import { safeName } from '../../../lib/download.js';
+import { TRANSCRIPT_FORMATS, renderTranscript } from '../../../lib/transcript-formats.js';
+
+const PAGE_LIMITS = {
+  text: { default: 100_000, max: 500_000 },
+  segments: { default: 500, max: 2000 }
+};
+
+export default async function handler(req, res) {
+  setCorsHeaders(res, req.headers.origin);
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  const format = String(req.query?.format || 'text');
+  const formats = [...Object.keys(PAGE_LIMITS), 'analysis_input', ...Object.keys(TRANSCRIPT_FORMATS)];
+  if (!formats.includes(format)) {
+    return res.status(400).json({ error: `format must be one of ${formats.join(', ')}` });
+  }
+
+  const episode = await getEpisode(req.query.id);
+  if (!episode) return res.status(404).json({ error: 'Episode not found' });
+
+  if (format === 'analysis_input') {
+    if (!episode.analysis_input) return res.status(404).json({ error: 'No analysis input stored for this episode' });
+    return res.status(200).json({ episode_id: episode.id, format, analysis_input: episode.analysis_input });
+  }
+
+  const file = TRANSCRIPT_FORMATS[format];
+  if (file) {
+    if (file.timed && !episode.segments?.length) {
+      return res.status(422).json({ error: `No timestamped segments for this episode; ${format} needs timestamps`, available: ['txt', 'docx', 'text'] });
+    }
+    res.setHeader('Content-Type', file.mime);
+    res.setHeader('Content-Disposition', `attachment; filename="${safeName(episode.title)}.${file.extension}"`);
+    return res.status(200).send(renderTranscript(format, episode));
+  }
+
+  const { default: defaultLimit, max } = PAGE_LIMITS[format];
+  const limit = Math.min(max, Math.max(1, Number(req.query?.limit) || defaultLimit));
+  const offset = Math.max(0, Number(req.query?.offset) || 0);
+  const source = format === 'text' ? (episode.transcript || '') : (episode.segments || []);
+  const page = source.slice(offset, offset + limit);
+
+  return res.status(200).json({
+    episode_id: episode.id,
+    title: episode.title,
+    format,
+    offset,
+    limit,
+    total: source.length,
+    next_offset: offset + limit < source.length ? offset + limit : null,
+    [format === 'text' ? 'transcript' : 'segments']: page
+  });
+}
@@ -0,0 +1,25 @@
+// api/episodes/index.js - List analyzed episodes (newest first, summaries only)
+import { setCorsHeaders } from '../../lib/cors.js';
+import { listEpisodes } from '../../lib/episodes.js';
+
+export default async function handler(req, res) {
+  setCorsHeaders(res, req.headers.origin);
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  const limit = Math.min(100, Math.max(1, Number(req.query?.limit) || 20));
+  const offset = Math.max(0, Number(req.query?.offset) || 0);
+
+  try {
+    const episodes = await listEpisodes({ limit, offset });
+    return res.status(200).json({
+      episodes,
+      limit,
+      offset,
+      next_offset: episodes.length === limit ? offset + limit : null
+    });
+  } catch (error) {
+    console.error('❌ Episode list failed:', error);
+    return res.status(500).json({ error: 'Failed to list episodes', details: error.message });
+  }
+}
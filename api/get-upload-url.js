@@ -1,6 +1,7 @@
 // api/get-upload-url.js - Generate presigned URLs for client uploads
 import { handleUpload } from '@vercel/blob/client';
 import { setCorsHeaders, handleCorsPrelight } from '../lib/cors.js';
+import { buildUploadTokenPayload, enqueueUploadAnalysis, uploadCallbackUrl, uploadJobId } from '../lib/uploads.js';
 
 export default async function handler(req, res) {
   // Set CORS headers for cross-origin requests
@@ -26,7 +27,7 @@ export default async function handler(req, res) {
 
   try {
     // Parse request body
-    const { filename, contentType } = req.body;
+    const { filename, contentType, clientPayload } = req.body;
 
     if (!filename) {
       return res.status(400).json({
@@ -57,53 +58,45 @@ export default async function handler(req, res) {
     console.log(`🎵 Generating URL for: ${filename} (${contentType})`);
 
     // Use Vercel Blob's handleUpload to generate presigned URL
+    let tokenPayload;
     const jsonResponse = await handleUpload({
       body: {
         type: 'blob.generate-client-token',
         payload: {
           pathname: filename,
-          callbackUrl: `${req.headers.origin || 'https://podcastgrowthagent.com'}/api/upload-callback`,
+          clientPayload,
+          callbackUrl: uploadCallbackUrl(req),
         },
       },
       request: req,
-      onBeforeGenerateToken: async (pathname) => {
+      onBeforeGenerateToken: async (pathname, clientPayload) => {
         console.log(`🔐 Generating token for: ${pathname}`);
+        tokenPayload = buildUploadTokenPayload({ filename, clientPayload, origin: req.headers.origin });
         
         return {
           allowedContentTypes: [contentType || 'audio/mpeg', 'audio/mp3', 'audio/mp4', 'audio/x-m4a', 'audio/wav'],
           addRandomSuffix: true,
           maximumSizeInBytes: 100 * 1024 * 1024, // 100MB limit
-          tokenPayload: JSON.stringify({
-            filename: filename,
-            uploadedAt: new Date().toISOString(),
-            origin: req.headers.origin
-          }),
+          tokenPayload,
         };
       },
-      onUploadCompleted: async ({ blob, tokenPayload }) => {
-        console.log(`✅ Client upload completed: ${blob.url}`);
-        
-        try {
-          // Optional: Log successful uploads or trigger additional processing
-          const payload = JSON.parse(tokenPayload || '{}');
-          console.log(`📊 Upload metadata:`, { 
-            filename: payload.filename, 
-            blobUrl: blob.url,
-            size: blob.size 
-          });
-        } catch (error) {
-          console.warn('⚠️ Failed to parse token payload:', error.message);
-        }
-      },
+      // Blob posts completion to /api/upload-callback (see callbackUrl), which enqueues the job
+      onUploadCompleted: enqueueUploadAnalysis,
     });
 
     const processingTime = Date.now() - startTime;
     console.log(`🎉 Presigned URL generated in ${processingTime}ms`);
 
+    // Analysis starts automatically once the upload completes; poll the job by this id
+    const { upload_id } = JSON.parse(tokenPayload);
+
     // Return the response from handleUpload (contains token and upload instructions)
     return res.status(200).json({
       success: true,
       ...jsonResponse,
+      upload_id,
+      job_id: uploadJobId(upload_id),
+      status_url: `/api/jobs/${uploadJobId(upload_id)}`,
       metadata: {
         filename: filename,
         contentType: contentType,
@@ -0,0 +1,46 @@
+// api/jobs/[id]/events.js - Server-Sent Events stream of a job's typed events
+// Replays everything after Last-Event-ID, then follows the job until it finishes. The stream
+// closes before the function time limit; EventSource reconnects and resumes from the last id.
+import { setCorsHeaders } from '../../../lib/cors.js';
+import { getJobEvents, isJobFinished, jobStorageNote } from '../../../lib/jobs.js';
+import { openEventStream } from '../../../lib/events.js';
+
+const STREAM_CONFIG = {
+  POLL_INTERVAL_MS: 1000,
+  MAX_STREAM_MS: 280_000 // vercel.json maxDuration is 300s
+};
+
+export default async function handler(req, res) {
+  setCorsHeaders(res, req.headers.origin);
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  const { id } = req.query;
+  let lastEventId = Number(req.headers['last-event-id'] || req.query.lastEventId || 0) || 0;
+
+  const initial = await getJobEvents(id, lastEventId);
+  if (!initial) return res.status(404).json({ error: 'Job not found', ...(jobStorageNote() ? { note: jobStorageNote() } : {}) });
+  // Nothing left to replay: 204 tells EventSource to stop reconnecting
+  if (isJobFinished(initial.job) && !initial.events.length) return res.status(204).end();
+
+  const stream = openEventStream(req, res, { sse: true });
+  let disconnected = false;
+  res.on('close', () => { disconnected = true; });
+
+  const startedAt = Date.now();
+  let snapshot = initial;
+
+  while (!disconnected) {
+    for (const event of snapshot.events) {
+      stream.send(event.type, event.data, event.id);
+      lastEventId = event.id;
+    }
+    if (isJobFinished(snapshot.job) || Date.now() - startedAt > STREAM_CONFIG.MAX_STREAM_MS) break;
+
+    await new Promise(r => setTimeout(r, STREAM_CONFIG.POLL_INTERVAL_MS));
+    snapshot = await getJobEvents(id, lastEventId);
+    if (!snapshot) break;
+  }
+
+  stream.close();
+}
@@ -0,0 +1,15 @@
+// api/jobs/[id]/index.js - Poll a background job for stage, progress and result
+import { setCorsHeaders } from '../../../lib/cors.js';
+import { getJob, publicJob, jobStorageNote } from '../../../lib/jobs.js';
+
+export default async function handler(req, res) {
+  setCorsHeaders(res, req.headers.origin);
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  const job = await getJob(req.query.id);
+  if (!job) return res.status(404).json({ error: 'Job not found', ...(jobStorageNote() ? { note: jobStorageNote() } : {}) });
+
+  res.setHeader('Cache-Control', 'no-store');
+  return res.status(200).json(publicJob(job));
+}
@@ -0,0 +1,25 @@
+// api/jobs/[id]/run.js - Run a queued job in its own invocation (internal)
+// Batch jobs dispatch each child here so every child gets the full function time limit.
+// POST with Authorization: Bearer $JOB_WORKER_SECRET → 202; the job keeps running via waitUntil.
+import { waitUntil } from '@vercel/functions';
+import { setCorsHeaders } from '../../../lib/cors.js';
+import { getJob, runJob, isWorkerAuthorized, JOB_STATUS } from '../../../lib/jobs.js';
+
+export default async function handler(req, res) {
+  setCorsHeaders(res, req.headers.origin);
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  if (!isWorkerAuthorized(req.headers.authorization)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const job = await getJob(req.query.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  if (job.status !== JOB_STATUS.QUEUED) {
+    return res.status(409).json({ error: `Job is already ${job.status}`, status: job.status });
+  }
+
+  waitUntil(runJob(job.id));
+  return res.status(202).json({ job_id: job.id, status: JOB_STATUS.RUNNING });
+}
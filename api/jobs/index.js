@@ -0,0 +1,39 @@
+// api/jobs/index.js - Start a background analysis job / list recent jobs
+// POST { type: 'apple' | 'blob' | 'feed' | 'show', input: {...} } → 202 { job_id, status_url }
+import { setCorsHeaders } from '../../lib/cors.js';
+import { enqueueJob, isJobType, listJobs, publicJob } from '../../lib/jobs.js';
+
+export default async function handler(req, res) {
+  setCorsHeaders(res, req.headers.origin);
+  if (req.method === 'OPTIONS') return res.status(200).end();
+
+  if (req.method === 'GET') {
+    const jobs = await listJobs({ limit: Math.min(100, Number(req.query?.limit) || 20) });
+    return res.status(200).json({ jobs: jobs.map(publicJob) });
+  }
+
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    const { type, input } = req.body || {};
+    if (!isJobType(type)) {
+      return res.status(400).json({ error: `Unknown job type: ${type}` });
+    }
+    if (!input || typeof input !== 'object') {
+      return res.status(400).json({ error: 'Job input object is required' });
+    }
+
+    const job = await enqueueJob(type, input);
+    console.log(`📥 Job ${job.id} queued (${type})`);
+
+    res.setHeader('Location', `/api/jobs/${job.id}`);
+    return res.status(202).json({
+      job_id: job.id,
+      status: job.status,
+      status_url: `/api/jobs/${job.id}`
+    });
+  } catch (error) {
+    console.error('❌ Job creation failed:', error);
+    return res.status(500).json({ error: 'Failed to create job', details: error.message });
+  }
+}
@@ -0,0 +1,35 @@
+// api/shows/report.js - Growth report for one show, aggregated from the episode library
+// GET ?feedUrl=… or ?podcastTitle=… [&format=json|md]
+// Only already-analyzed episodes are used; run /api/analyze-show first to fill the library.
+import { setCorsHeaders } from '../../lib/cors.js';
+import { listShowEpisodes } from '../../lib/episodes.js';
+import { buildShowReport, renderShowReportMarkdown } from '../../lib/show-report.js';
+
+export default async function handler(req, res) {
+  setCorsHeaders(res, req.headers.origin);
+  if (req.method === 'OPTIONS') return res.status(200).end();
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  const { feedUrl, podcastTitle } = req.query || {};
+  const format = String(req.query?.format || 'json').toLowerCase();
+  if (!feedUrl && !podcastTitle) return res.status(400).json({ error: 'feedUrl or podcastTitle is required' });
+  if (!['json', 'md', 'markdown'].includes(format)) return res.status(400).json({ error: 'format must be json or md' });
+
+  try {
+    const episodes = await listShowEpisodes({ feedUrl, podcastTitle });
+    if (!episodes.some(e => e.analysis)) {
+      return res.status(404).json({ error: 'No analyzed episodes for this show', feed_url: feedUrl || null, podcast_title: podcastTitle || null });
+    }
+
+    const report = buildShowReport({ show: { title: podcastTitle, feed_url: feedUrl }, episodes });
+    if (format === 'json') return res.status(200).json(report);
+
+    const filename = (report.show.title || 'show').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'show';
+    res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
+    res.setHeader('Content-Disposition', `inline; filename="${filename}-growth-report.md"`);
+    return res.status(200).send(renderShowReportMarkdown(report));
+  } catch (error) {
+    console.error('❌ Show report failed:', error);
+    return res.status(500).json({ error: 'Failed to build show report', details: error.message });
+  }
+}
@@ -1,128 +1,19 @@
 // api/transcribe.js - Drop-in compatible Groq upgrade (18x cheaper, 240x faster)
 import https from 'https';
+import { transcribeAudio } from '../lib/transcription.js';
+import { openEventStream, EVENT_TYPES } from '../lib/events.js';
+import { resolveAppleEpisode } from '../lib/apple.js';
+import { detectPlatform, resolveEpisodeUrl } from '../lib/resolvers/index.js';
+import { keywordList, loadShowCorpus } from '../lib/keywords.js';
+import { condenseTranscript } from '../lib/condense.js';
 
 // Configuration constants - optimized for Groq speed
 const CONFIG = {
   OPTIMIZATION: {
-    TRIGGER_LENGTH: 8000,     // When to start optimizing
-    MAX_RESPONSE_SIZE: 50000, // Conservative limit well under 100KB
-    OPENING_SENTENCES: 15,
-    KEY_INSIGHTS_LIMIT: 25,
-    ENDING_SENTENCES: 10
-  },
-  GROQ: {
-    API_URL: 'https://api.groq.com/openai/v1/audio/transcriptions',
-    MODEL: 'whisper-large-v3-turbo', // current model, 240x real-time speed
-    MAX_FILE_SIZE: 25 * 1024 * 1024, // 25MB limit
-    RESPONSE_FORMAT: 'text'
-  },
-  OPENAI: {
-    API_URL: 'https://api.openai.com/v1/audio/transcriptions',
-    MODEL: 'whisper-1', // Fallback option
-    MAX_FILE_SIZE: 25 * 1024 * 1024,
-    RESPONSE_FORMAT: 'text'
+    ANALYSIS_INPUT_TOKENS: 8000 // Extractive digest for callers that send the transcript on to GPT
   }
 };
 
-// High-value content patterns for preserving niche insights
-const VALUE_PATTERNS = [
-  /\b[A-Z][a-z]*\s+[A-Z][a-z]*\b/,                    // Brand names, proper nouns
-  /\$\d+|\d+%|\d+\s*(years?|months?|minutes?)/,       // Numbers, stats, metrics
-  /\b(recommend|suggest|advice|should|try|use)\b/i,   // Recommendations
-  /\b(website|instagram|facebook|twitter|linkedin|tiktok)\b/i, // Social platforms
-  /\b(community|group|forum|subreddit|discord)\b/i,   // Communities
-  /\b(secret|tip|hack|strategy|method|technique)\b/i, // Actionable content
-  /\b(brand|company|product|service|business)\b/i,    // Business mentions
-  /\b(contact|email|phone|address|location)\b/i,      // Contact information
-];
-
-/**
- * Optimizes transcript for GPT processing while preserving niche insights
- * @param {string} transcript - Raw transcript from Whisper
- * @returns {string} Optimized transcript under size limits
- */
-function optimizeTranscriptForGPT(transcript) {
-  if (!transcript || transcript.length < CONFIG.OPTIMIZATION.TRIGGER_LENGTH) {
-    return transcript;
-  }
-  
-  const sentences = transcript.split(/\.\s+/).filter(s => s.trim().length > 0);
-  
-  // Extract key sections while preserving context
-  const opening = extractSection(sentences, 0, CONFIG.OPTIMIZATION.OPENING_SENTENCES);
-  const insights = extractValueSentences(sentences, VALUE_PATTERNS, CONFIG.OPTIMIZATION.KEY_INSIGHTS_LIMIT);
-  const ending = extractSection(sentences, -CONFIG.OPTIMIZATION.ENDING_SENTENCES);
-  
-  const optimizedContent = buildOptimizedTranscript(opening, insights, ending, sentences.length);
-  
-  // Validate size constraint
-  if (optimizedContent.length > CONFIG.OPTIMIZATION.MAX_RESPONSE_SIZE) {
-    console.warn(`Transcript still too large (${optimizedContent.length} chars), applying additional compression`);
-    return applyAdditionalCompression(opening, insights, ending, sentences.length);
-  }
-  
-  return optimizedContent;
-}
-
-/**
- * Extracts a section of sentences
- */
-function extractSection(sentences, start, count = null) {
-  if (typeof start === 'number' && start < 0) {
-    return sentences.slice(start).join('. ');
-  }
-  return sentences.slice(start, count).join('. ');
-}
-
-/**
- * Filters sentences containing high-value content patterns
- */
-function extractValueSentences(sentences, patterns, limit) {
-  return sentences
-    .filter(sentence => patterns.some(pattern => pattern.test(sentence)))
-    .slice(0, limit);
-}
-
-/**
- * Builds the structured optimized transcript
- */
-function buildOptimizedTranscript(opening, insights, ending, totalSentences) {
-  return [
-    "=== EPISODE OPENING ===",
-    opening,
-    "",
-    "=== KEY INSIGHTS & RECOMMENDATIONS ===", 
-    insights.join('. '),
-    "",
-    "=== EPISODE CONCLUSION ===",
-    ending,
-    "",
-    `[Analyzed ${totalSentences} sentences for comprehensive insights]`
-  ].join('\n');
-}
-
-/**
- * Applies additional compression when standard optimization isn't enough
- */
-function applyAdditionalCompression(opening, insights, ending, totalSentences) {
-  const compressedOpening = opening.substring(0, 1000);
-  const compressedInsights = insights.slice(0, 15).join('. ').substring(0, 2000);
-  const compressedEnding = ending.substring(0, 800);
-  
-  return [
-    "=== EPISODE HIGHLIGHTS ===",
-    compressedOpening,
-    "",
-    "=== TOP INSIGHTS ===",
-    compressedInsights,
-    "",
-    "=== CONCLUSION ===", 
-    compressedEnding,
-    "",
-    `[Compressed analysis of ${totalSentences} sentences]`
-  ].join('\n');
-}
-
 /**
  * Extracts episode title from Apple Podcasts URL
  */
@@ -137,19 +28,6 @@ function extractSearchTerm(url) {
   return 'episode';
 }
 
-/**
- * Create AbortController with timeout for proper cancellation
- */
-function createTimeoutController(timeoutMs) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
-  
-  return {
-    controller,
-    cleanup: () => clearTimeout(timeoutId)
-  };
-}
-
 /**
  * Main API handler - Groq enhanced, format compatible
  */
@@ -157,7 +35,7 @@ export default async function handler(req, res) {
   // CORS configuration
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept');
   
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
@@ -180,6 +58,7 @@ export default async function handler(req, res) {
   }
 
   if (req.method === 'POST') {
+    let stream = null;
     try {
       const { url } = req.body;
       
@@ -187,6 +66,25 @@ export default async function handler(req, res) {
         return res.status(400).json({ error: 'Podcast URL is required' });
       }
 
+      // Spotify / YouTube / Overcast / Pocket Casts / Podcast Index links carry no Apple slug to search
+      const platform = detectPlatform(url);
+      if (platform && platform !== 'apple') {
+        let resolved;
+        try {
+          resolved = await resolveEpisodeUrl(url);
+        } catch (resolveError) {
+          return res.status(resolveError.status || 404).json({
+            error: resolveError.message,
+            received_url: url,
+            platform,
+            ...resolveError.details
+          });
+        }
+        return await transcribeEpisode(req, res, listenNotesShape(resolved), {
+          url, searchTerm: null, episodeSource: resolved.platform, strategy: 'share_link_resolver'
+        });
+      }
+
       const searchTerm = extractSearchTerm(url);
       const searchResults = await searchListenNotes(searchTerm);
       
@@ -200,14 +98,7 @@ export default async function handler(req, res) {
         try {
           const rssEpisode = await getEpisodeFromRSS(url);
           
-          // Use RSS episode data (format it like ListenNotes)
-          episode = {
-            title_original: rssEpisode.title_original,
-            description_original: rssEpisode.description_original,
-            audio: rssEpisode.audio,
-            audio_length_sec: rssEpisode.audio_length_sec,
-            podcast: rssEpisode.podcast
-          };
+          episode = rssEpisode;
           
           episodeSource = 'RSS';
           console.log(`✅ RSS fallback found episode: "${episode.title_original}"`);
@@ -227,70 +118,12 @@ export default async function handler(req, res) {
         console.log(`✅ ListenNotes found episode: "${episode.title_original}"`);
       }
       
-      if (!episode.audio) {
-        return res.status(400).json({ 
-          error: 'No audio file available for transcription',
-          episode_title: episode.title_original 
-        });
-      }
-
-      console.log(`Found episode: "${episode.title_original}" (${Math.round(episode.audio_length_sec/60)} minutes)`);
-
-      // Send immediate response (no heartbeat needed with Groq speed)
-      const initialResponse = {
-        status: 'processing',
-        progress: 30,
-        message: "⚡ Lightning-fast Groq AI transcription in progress...",
-        episode_title: episode.title_original,
-        duration: episode.audio_length_sec,
-        note: "Groq processes at 240x real-time speed - almost done! 🚀"
-      };
-      
-      res.write(JSON.stringify(initialResponse) + '\n');
-
-      // Transcribe with Groq (primary) and OpenAI fallback
-      let transcript;
-      let transcriptionSource = 'groq';
-      
-      try {
-        console.log('🚀 Starting Groq transcription...');
-        transcript = await transcribeWithGroq(episode.audio);
-        console.log('✅ Groq transcription completed - BLAZING FAST!');
-      } catch (groqError) {
-        console.log(`⚠️ Groq failed (${groqError.message}), trying OpenAI fallback...`);
-        
-        try {
-          console.log('🔄 Starting OpenAI Whisper fallback transcription...');
-          transcript = await transcribeWithOpenAI(episode.audio);
-          console.log('✅ OpenAI transcription completed successfully');
-          transcriptionSource = 'whisper'; // Keep same naming as before
-        } catch (openaiError) {
-          console.error('❌ Both transcription services failed:', openaiError.message);
-          transcript = `Transcription not available. Episode about: ${episode.description_original || episode.title_original}`;
-          transcriptionSource = 'fallback_description';
-        }
-      }
-      
-      // Return response in EXACT same format as before
-      const finalResponse = {
-        status: 'success',
-        title: episode.title_original,
-        description: episode.description_original,
-        transcript: optimizeTranscriptForGPT(transcript),
-        keywords: extractKeywordsFromText((transcript || '') + ' ' + episode.title_original),
-        duration: episode.audio_length_sec,
-        audio_url: episode.audio,
-        podcast_title: episode.podcast?.title_original || 'Unknown Podcast',
-        source: `${episodeSource} + ${transcriptionSource === 'groq' ? 'Groq' : 'Whisper'}`,
-        transcription_source: transcriptionSource,
-        listennotes_id: episode.id || null,
-        received_url: url,
-        search_term: searchTerm,
-        search_strategy: episodeSource === 'RSS' ? 'rss_fallback' : 'episode_title_search'
-      };
-      
-      res.write(JSON.stringify(finalResponse) + '\n');
-      res.end();
+      return await transcribeEpisode(req, res, episode, {
+        url,
+        searchTerm,
+        episodeSource,
+        strategy: episodeSource === 'RSS' ? 'rss_fallback' : 'episode_title_search'
+      });
 
     } catch (error) {
       console.error('API Error:', error);
@@ -301,14 +134,92 @@ export default async function handler(req, res) {
         details: error.message
       };
       
-      res.write(JSON.stringify(errorResponse) + '\n');
-      res.end();
+      stream = stream || openEventStream(req, res);
+      stream.send(EVENT_TYPES.ERROR, errorResponse);
+      stream.close();
     }
   } else {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 }
 
+/**
+ * Transcribe a resolved episode and stream the legacy response shape
+ */
+async function transcribeEpisode(req, res, episode, { url, searchTerm, episodeSource, strategy }) {
+  if (!episode.audio) {
+    return res.status(400).json({ 
+      error: 'No audio file available for transcription',
+      episode_title: episode.title_original 
+    });
+  }
+
+  console.log(`Found episode: "${episode.title_original}" (${Math.round(episode.audio_length_sec/60)} minutes)`);
+
+  // Send immediate response (no heartbeat needed with Groq speed)
+  const stream = openEventStream(req, res);
+  stream.send(EVENT_TYPES.STAGE, {
+    stage: 'transcribe',
+    progress: 30,
+    message: "⚡ Lightning-fast Groq AI transcription in progress...",
+    episode_title: episode.title_original,
+    duration: episode.audio_length_sec,
+    note: "Groq processes at 240x real-time speed - almost done! 🚀"
+  });
+
+  // Transcribe with provider failover (Groq → OpenAI → local by default)
+  let transcript;
+  let segments = [];
+  let measuredDuration = null;
+  let language;
+  let transcriptionSource;
+  
+  try {
+    const transcription = await transcribeAudio({ url: episode.audio, filename: 'episode.mp3' }, {
+      onChunk: (done, total) => stream.send(EVENT_TYPES.PROGRESS, {
+        stage: 'transcribe',
+        progress: 30 + Math.round((done / total) * 60),
+        message: `⚡ Transcribed part ${done} of ${total}...`
+      })
+    });
+    transcript = transcription.transcript;
+    segments = transcription.segments;
+    measuredDuration = transcription.duration;
+    language = transcription.language;
+    transcriptionSource = transcription.provider;
+  } catch (transcriptionError) {
+    console.error('❌ All transcription providers failed:', transcriptionError.message);
+    transcript = `Transcription not available. Episode about: ${episode.description_original || episode.title_original}`;
+    transcriptionSource = 'fallback_description';
+  }
+  
+  const podcastTitle = episode.podcast?.title_original;
+  const corpus = await loadShowCorpus({ feedUrl: episode.podcast?.rss, podcastTitle }, { language });
+
+  // Return response in EXACT same format as before
+  const finalResponse = {
+    status: 'success',
+    title: episode.title_original,
+    description: episode.description_original,
+    transcript,
+    analysis_input: await condenseTranscript(transcript, { budgetTokens: CONFIG.OPTIMIZATION.ANALYSIS_INPUT_TOKENS }),
+    segments,
+    keywords: keywordList(`${episode.title_original}. ${transcript || ''}`, { language, corpus }),
+    duration: measuredDuration || episode.audio_length_sec,
+    audio_url: episode.audio,
+    podcast_title: episode.podcast?.title_original || 'Unknown Podcast',
+    source: `${episodeSource} + ${transcriptionSource}`,
+    transcription_source: transcriptionSource,
+    listennotes_id: episode.id || null,
+    received_url: url,
+    search_term: searchTerm,
+    search_strategy: strategy
+  };
+  
+  stream.send(EVENT_TYPES.RESULT, finalResponse);
+  stream.close();
+}
+
 /**
  * Search ListenNotes for episode
  */
@@ -354,255 +265,35 @@ async function searchEpisodeByTitle(query, apiKey) {
 }
 
 /**
- * Transcribe audio using Groq Whisper (PRIMARY - 18x cheaper, 240x faster)
- */
-async function transcribeWithGroq(audioUrl) {
-  const groqApiKey = process.env.GROQ_API_KEY;
-  
-  if (!groqApiKey) {
-    throw new Error('Groq API key not configured');
-  }
-
-  const { controller, cleanup } = createTimeoutController(120000); // 2 minutes
-
-  try {
-    console.log('📥 Fetching audio file for Groq transcription...');
-    const audioResponse = await fetch(audioUrl, { 
-      signal: controller.signal
-    });
-    
-    if (!audioResponse.ok) {
-      throw new Error(`Failed to fetch audio: ${audioResponse.status} ${audioResponse.statusText}`);
-    }
-    
-    const contentLength = audioResponse.headers.get('content-length');
-    if (contentLength && parseInt(contentLength) > CONFIG.GROQ.MAX_FILE_SIZE) {
-      throw new Error('Audio file too large for Groq (>25MB)');
-    }
-    
-    const audioBuffer = await audioResponse.arrayBuffer();
-    console.log('📦 Audio file fetched for Groq, size:', audioBuffer.byteLength, 'bytes');
-    
-    const formData = new FormData();
-    const audioBlob = new Blob([audioBuffer], { type: 'audio/mpeg' });
-    formData.append('file', audioBlob, 'episode.mp3');
-    formData.append('model', CONFIG.GROQ.MODEL);
-    formData.append('response_format', CONFIG.GROQ.RESPONSE_FORMAT);
-
-    console.log('⚡ Sending to Groq API (240x real-time speed)...');
-    const response = await fetch(CONFIG.GROQ.API_URL, {
-      method: 'POST',
-      headers: { 'Authorization': `Bearer ${groqApiKey}` },
-      body: formData,
-      signal: controller.signal
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Groq API error: ${response.status} ${errorText}`);
-    }
-
-    const transcript = await response.text();
-    console.log('📝 Groq transcript received, length:', transcript.length, 'characters - BLAZING FAST! ⚡');
-    return transcript;
-
-  } catch (error) {
-    console.error('🚨 Groq transcription error:', error);
-    throw error;
-  } finally {
-    cleanup();
-  }
-}
-
-/**
- * Transcribe audio using OpenAI Whisper (FALLBACK for reliability)
- */
-async function transcribeWithOpenAI(audioUrl) {
-  const openaiApiKey = process.env.OPENAI_API_KEY;
-  
-  if (!openaiApiKey) {
-    throw new Error('OpenAI API key not configured');
-  }
-
-  const { controller, cleanup } = createTimeoutController(300000); // 5 minutes
-
-  try {
-    console.log('📥 Fetching audio file for OpenAI transcription...');
-    const audioResponse = await fetch(audioUrl, {
-      signal: controller.signal
-    });
-    
-    if (!audioResponse.ok) {
-      throw new Error(`Failed to fetch audio: ${audioResponse.status} ${audioResponse.statusText}`);
-    }
-    
-    const contentLength = audioResponse.headers.get('content-length');
-    if (contentLength && parseInt(contentLength) > CONFIG.OPENAI.MAX_FILE_SIZE) {
-      throw new Error('Audio file too large for OpenAI (>25MB)');
-    }
-    
-    const audioBuffer = await audioResponse.arrayBuffer();
-    console.log('📦 Audio file fetched for OpenAI, size:', audioBuffer.byteLength, 'bytes');
-    
-    const formData = new FormData();
-    const audioBlob = new Blob([audioBuffer], { type: 'audio/mpeg' });
-    formData.append('file', audioBlob, 'episode.mp3');
-    formData.append('model', CONFIG.OPENAI.MODEL);
-    formData.append('response_format', CONFIG.OPENAI.RESPONSE_FORMAT);
-
-    console.log('🔄 Sending to OpenAI Whisper API (fallback)...');
-    const response = await fetch(CONFIG.OPENAI.API_URL, {
-      method: 'POST',
-      headers: { 'Authorization': `Bearer ${openaiApiKey}` },
-      body: formData,
-      signal: controller.signal
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`OpenAI API error: ${response.status} ${errorText}`);
-    }
-
-    const transcript = await response.text();
-    console.log('📝 OpenAI transcript received, length:', transcript.length, 'characters');
-    return transcript;
-
-  } catch (error) {
-    console.error('🚨 OpenAI transcription error:', error);
-    throw error;
-  } finally {
-    cleanup();
-  }
-}
-
-/**
- * Extract keywords from text using frequency analysis
- */
-function extractKeywordsFromText(text) {
-  const words = text.toLowerCase()
-    .replace(/<[^>]*>/g, '')
-    .split(/\s+/);
-  
-  const stopWords = new Set([
-    'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 
-    'is', 'are', 'was', 'were', 'this', 'that', 'you', 'he', 'she', 'it', 'we', 'they',
-    'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should',
-    'like', 'just', 'really', 'very', 'much', 'more', 'so', 'now', 'then', 'here', 'there'
-  ]);
-  
-  const wordCount = {};
-  words.forEach(word => {
-    const clean = word.replace(/[^\w]/g, '');
-    if (clean.length > 3 && !stopWords.has(clean)) {
-      wordCount[clean] = (wordCount[clean] || 0) + 1;
-    }
-  });
-  
-  return Object.entries(wordCount)
-    .sort(([,a], [,b]) => b - a)
-    .slice(0, 8)
-    .map(([word]) => word);
-}
-
-/**
- * Get episode from RSS feed when ListenNotes fails
+ * Get episode from the show's RSS feed when ListenNotes fails
  */
 async function getEpisodeFromRSS(appleUrl) {
-  // Extract podcast ID from Apple URL
-  const podcastId = appleUrl.match(/id(\d+)/)?.[1];
-  if (!podcastId) {
-    throw new Error('Could not extract podcast ID from Apple URL');
-  }
+  console.log('📡 Resolving episode via iTunes lookup + RSS feed...');
+  const { show, episode, feed_url, match } = await resolveAppleEpisode(appleUrl);
 
-  console.log('📡 Getting RSS feed from iTunes API...');
-  
-  // Get RSS feed URL from iTunes API
-  const itunesResponse = await fetch(`https://itunes.apple.com/lookup?id=${podcastId}&entity=podcast`);
-  const itunesData = await itunesResponse.json();
-  const rssUrl = itunesData.results?.[0]?.feedUrl;
-  
-  if (!rssUrl) {
-    throw new Error('No RSS feed found for this podcast');
+  if (!episode.audio_url) {
+    throw new Error('Episode in RSS feed has no audio enclosure');
   }
+  console.log(`✅ Found episode in RSS feed (matched by ${match}): ${feed_url}`);
 
-  console.log('📄 Fetching RSS feed:', rssUrl);
-  
-  // Get RSS feed content
-  const rssResponse = await fetch(rssUrl);
-  const rssXML = await rssResponse.text();
-  
-  // Extract episode title from Apple URL for matching
-  const episodeTitle = extractSearchTerm(appleUrl);
-  
-  console.log('🔍 Looking for episode matching:', episodeTitle);
-  
-  // Find episode in RSS by title matching
-  const episodeMatch = findEpisodeInRSS(rssXML, episodeTitle);
-  
-  if (!episodeMatch) {
-    throw new Error('Episode not found in RSS feed');
-  }
-
-  console.log('✅ Found episode in RSS feed');
-  
-  return episodeMatch;
+  return listenNotesShape({ show, episode, feed_url });
 }
 
 /**
- * Simple RSS parsing to find episode
+ * ListenNotes-shaped episode from a feed / resolver match, so the handler treats all sources the same
  */
-function findEpisodeInRSS(rssXML, searchTitle) {
-  // Look for the episode title in the RSS
-  const titleRegex = new RegExp(searchTitle.replace(/\s+/g, '.*'), 'i');
-  
-  // Find all <item> sections (episodes)
-  const items = rssXML.split('<item>');
-  
-  for (let i = 1; i < items.length; i++) {
-    const item = items[i];
-    
-    // Extract title
-    const titleMatch = item.match(/<title[^>]*>(.*?)<\/title>/s);
-    const title = titleMatch ? titleMatch[1].replace(/<!\[CDATA\[(.*?)\]\]>/s, '$1').trim() : '';
-    
-    // Check if this episode matches our search
-    if (titleRegex.test(title)) {
-      // Extract audio URL from enclosure
-      const enclosureMatch = item.match(/<enclosure[^>]+url="([^"]+)"/);
-      const audioUrl = enclosureMatch ? enclosureMatch[1] : null;
-      
-      if (!audioUrl) continue;
-      
-      // Extract description
-      const descMatch = item.match(/<description[^>]*>(.*?)<\/description>/s);
-      const description = descMatch ? descMatch[1].replace(/<!\[CDATA\[(.*?)\]\]>/s, '$1').trim() : '';
-      
-      // Extract duration if available
-      const durationMatch = item.match(/<itunes:duration[^>]*>([^<]+)</);
-      const duration = durationMatch ? parseDuration(durationMatch[1]) : 0;
-      
-      return {
-        title_original: title,
-        description_original: description,
-        audio: audioUrl,
-        audio_length_sec: duration,
-        podcast: { title_original: 'RSS Podcast' }
-      };
-    }
-  }
-  
-  return null;
+function listenNotesShape({ show, episode, feed_url }) {
+  return {
+    id: null,
+    guid: episode.guid,
+    title_original: episode.title,
+    description_original: episode.description || '',
+    audio: episode.audio_url,
+    audio_length_sec: episode.duration_seconds,
+    pub_date: episode.pub_date,
+    episode_number: episode.episode,
+    season_number: episode.season,
+    image: episode.image,
+    podcast: { title_original: show?.title || episode.podcast_title || 'Unknown Podcast', publisher_original: show?.author || null, rss: feed_url }
+  };
 }
-
-/**
- * Parse duration from iTunes format (HH:MM:SS or MM:SS)
- */
-function parseDuration(durationStr) {
-  const parts = durationStr.split(':').map(p => parseInt(p) || 0);
-  if (parts.length === 3) {
-    return parts[0] * 3600 + parts[1] * 60 + parts[2]; // HH:MM:SS
-  } else if (parts.length === 2) {
-    return parts[0] * 60 + parts[1]; // MM:SS
-  }
-  return 0;
-}
\ No newline at end of file
@@ -0,0 +1,50 @@
+// api/upload-callback.js - Vercel Blob upload-completed webhook
+// Verifies the x-vercel-signature HMAC over the raw body, then enqueues transcription +
+// TROOP analysis for the uploaded file. The job id comes from the token payload's upload_id.
+import { verifyBlobCallbackSignature, enqueueUploadAnalysis } from '../lib/uploads.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const rawBody = await readRawBody(req);
+
+  if (!verifyBlobCallbackSignature(rawBody, req.headers['x-vercel-signature'])) {
+    console.warn('🚫 Upload callback rejected: invalid signature');
+    return res.status(401).json({ error: 'Invalid callback signature' });
+  }
+
+  let body;
+  try {
+    body = JSON.parse(rawBody);
+  } catch {
+    return res.status(400).json({ error: 'Invalid JSON body' });
+  }
+
+  if (body.type !== 'blob.upload-completed' || !body.payload?.blob?.url) {
+    return res.status(400).json({ error: `Unsupported event type: ${body.type}` });
+  }
+
+  try {
+    const job = await enqueueUploadAnalysis(body.payload);
+    return res.status(200).json({ type: body.type, response: 'ok', job_id: job.id });
+  } catch (error) {
+    // Non-2xx makes Blob retry the callback; the deterministic job id keeps retries idempotent
+    console.error('❌ Failed to enqueue upload analysis:', error);
+    return res.status(500).json({ error: 'Failed to start analysis', details: error.message });
+  }
+}
+
+async function readRawBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+// Signature is computed over the exact bytes Blob sent, so skip body parsing
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
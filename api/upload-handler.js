@@ -1,6 +1,7 @@
 // api/upload-handler.js - Official Vercel client upload pattern
 import { handleUpload } from '@vercel/blob/client';
 import { setCorsHeaders, handleCorsPrelight } from '../lib/cors.js';
+import { buildUploadTokenPayload, enqueueUploadAnalysis } from '../lib/uploads.js';
 
 export default async function handler(req, res) {
   console.log(`🔄 Client upload handler called from: ${req.headers.origin}`);
@@ -52,24 +53,19 @@ export default async function handler(req, res) {
           ],
           maxFileSize: 100 * 1024 * 1024, // 100MB
           addRandomSuffix: true,
-          tokenPayload: JSON.stringify({
-            uploadedAt: new Date().toISOString(),
-            source: 'podcast-growth-agent',
-            filename: pathname
+          // Pass { upload_id } in clientPayload to know the job id (upload-<upload_id>) up front
+          tokenPayload: buildUploadTokenPayload({
+            filename: pathname,
+            clientPayload,
+            source: 'podcast-growth-agent'
           })
         };
       },
       onUploadCompleted: async ({ blob, tokenPayload }) => {
         console.log('🎉 Large file uploaded successfully:', blob.url);
-        console.log('📦 Token payload:', tokenPayload);
         
-        // Return the blob info - this gets sent back to the client
-        return { 
-          success: true,
-          uploadedAt: new Date().toISOString(),
-          blobUrl: blob.url,
-          size: blob.size
-        };
+        // Signature already verified by handleUpload; start transcription + TROOP analysis
+        await enqueueUploadAnalysis({ blob, tokenPayload });
       }
     });
 
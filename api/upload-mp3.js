@@ -1,35 +1,27 @@
 // api/upload-mp3.js - Complete Fixed Version - Production Ready
 import formidable from 'formidable';
 import fs from 'fs/promises';
-import { createReadStream } from 'fs';
-import FormData from 'form-data';
+import { AudioProcessingError } from '../lib/errors.js';
+import { maxSingleRequestBytes, MAX_CHUNKABLE_BYTES } from '../lib/transcription.js';
+import { openEventStream, EVENT_TYPES } from '../lib/events.js';
+import { keywordList } from '../lib/keywords.js';
+import { isForced } from '../lib/transcript-cache.js';
+import { createReporter } from '../lib/pipelines/index.js';
+import { analyzeAudioFile } from '../lib/pipelines/audio-file.js';
+import { episodeResult } from '../lib/pipelines/enrich.js';
 
 // Application configuration - renamed from CONFIG to avoid conflicts
 const APP_CONFIG = {
-  OPTIMIZATION: {
-    TRIGGER_LENGTH: 8000,
-    MAX_RESPONSE_SIZE: 50000,
-    OPENING_SENTENCES: 15,
-    KEY_INSIGHTS_LIMIT: 25,
-    ENDING_SENTENCES: 10
-  },
   GROQ: {
-    API_URL: 'https://api.groq.com/openai/v1/audio/transcriptions',
     MODEL: 'whisper-large-v3-turbo',
-    MAX_FILE_SIZE: 100 * 1024 * 1024, // 100MB on developer plan
-    RESPONSE_FORMAT: 'text',
     SPEED_FACTOR: 216 // 216x real-time
   },
-  OPENAI: {
-    TRANSCRIPTION_URL: 'https://api.openai.com/v1/audio/transcriptions',
-    CHAT_URL: 'https://api.openai.com/v1/chat/completions',
-    TRANSCRIPTION_MODEL: 'whisper-1',
-    ANALYSIS_MODEL: 'gpt-4o-mini',
-    MAX_FILE_SIZE: 25 * 1024 * 1024,
-    RESPONSE_FORMAT: 'text'
-  },
   UPLOAD: {
-    MAX_FILE_SIZE: 100 * 1024 * 1024,
+    // One provider request: chunking a larger file doesn't fit a request-bound upload, so those
+    // go to Blob via /api/get-upload-url and are analyzed as a background job
+    MAX_FILE_SIZE: () => maxSingleRequestBytes(),
+    LARGE_FILE_ROUTE: '/api/get-upload-url',
+    LARGE_FILE_MB: Math.round(MAX_CHUNKABLE_BYTES / 1024 / 1024),
     ALLOWED_TYPES: ['audio/mp3', 'audio/mpeg', 'audio/mp4', 'audio/wav', 'audio/m4a'],
     TEMP_DIR: '/tmp',
     CLEANUP_TIMEOUT: 30000
@@ -58,19 +50,6 @@ const uploadTracker = new Map();
 let dailyUploads = 0;
 let lastResetDate = new Date().toDateString();
 
-/**
- * Enhanced error class for better error handling
- */
-class AudioProcessingError extends Error {
-  constructor(message, code, userMessage, suggestions = []) {
-    super(message);
-    this.name = 'AudioProcessingError';
-    this.code = code;
-    this.userMessage = userMessage;
-    this.suggestions = suggestions;
-  }
-}
-
 /**
  * Calculate audio duration from file size
  */
@@ -155,17 +134,19 @@ function checkRateLimit(ip) {
 }
 
 /**
- * Parse multipart form data
+ * Parse multipart form data: file, title, force, host and guests (repeated or comma-separated)
  */
 async function parseMultipartForm(req) {
+  const maxFileSize = APP_CONFIG.UPLOAD.MAX_FILE_SIZE();
   return new Promise((resolve, reject) => {
     const form = formidable({
-      maxFileSize: APP_CONFIG.UPLOAD.MAX_FILE_SIZE,
+      maxFileSize,
       uploadDir: APP_CONFIG.UPLOAD.TEMP_DIR,
       keepExtensions: true,
       multiples: false,
       allowEmptyFiles: false,
-      minFileSize: 1024
+      minFileSize: 1024,
+      hashAlgorithm: 'sha256' // file.hash → transcript cache key
     });
 
     form.parse(req, (err, fields, files) => {
@@ -174,8 +155,8 @@ async function parseMultipartForm(req) {
           reject(new AudioProcessingError(
             `File too large: ${err.message}`,
             'FILE_TOO_LARGE',
-            'File exceeds 100MB limit. Please compress your audio or use a shorter episode.',
-            ['Compress audio to 128kbps MP3', 'Split long episodes into parts']
+            `File exceeds the ${Math.round(maxFileSize / 1024 / 1024)}MB direct upload limit. Larger episodes can be uploaded with the large-file uploader.`,
+            [`Upload through ${APP_CONFIG.UPLOAD.LARGE_FILE_ROUTE} (episodes up to ${APP_CONFIG.UPLOAD.LARGE_FILE_MB}MB, analyzed in the background)`, 'Compress audio to 128kbps MP3']
           ));
         } else {
           reject(new AudioProcessingError(
@@ -190,6 +171,9 @@ async function parseMultipartForm(req) {
 
       const file = Array.isArray(files.file) ? files.file[0] : files.file;
       const title = Array.isArray(fields.title) ? fields.title[0] : fields.title || '';
+      const force = Array.isArray(fields.force) ? fields.force[0] : fields.force;
+      const host = Array.isArray(fields.host) ? fields.host[0] : fields.host;
+      const guests = [].concat(fields.guests || []).flatMap(g => String(g).split(','));
 
       if (!file) {
         reject(new AudioProcessingError(
@@ -201,7 +185,7 @@ async function parseMultipartForm(req) {
         return;
       }
 
-      resolve({ file, title });
+      resolve({ file, title, force, host, guests });
     });
   });
 }
@@ -219,14 +203,15 @@ function validateUploadedFile(file) {
     );
   }
   
-  if (file.size > APP_CONFIG.UPLOAD.MAX_FILE_SIZE) {
+  const maxFileSize = APP_CONFIG.UPLOAD.MAX_FILE_SIZE();
+  if (file.size > maxFileSize) {
     const sizeMB = Math.round(file.size / 1024 / 1024);
-    const maxMB = Math.round(APP_CONFIG.UPLOAD.MAX_FILE_SIZE / 1024 / 1024);
+    const maxMB = Math.round(maxFileSize / 1024 / 1024);
     throw new AudioProcessingError(
       `File too large: ${sizeMB}MB > ${maxMB}MB`,
       'FILE_TOO_LARGE',
-      `File too large: ${sizeMB}MB. Maximum size is ${maxMB}MB with Groq Developer Plan.`,
-      ['Compress audio to lower bitrate (96-128kbps)', 'Split long episodes into shorter segments']
+      `File too large: ${sizeMB}MB. Direct uploads are limited to ${maxMB}MB.`,
+      [`Upload through ${APP_CONFIG.UPLOAD.LARGE_FILE_ROUTE} (episodes up to ${APP_CONFIG.UPLOAD.LARGE_FILE_MB}MB, analyzed in the background)`, 'Compress audio to lower bitrate (96-128kbps)']
     );
   }
 
@@ -249,389 +234,6 @@ function validateUploadedFile(file) {
   }
 }
 
-/**
- * Transcribe with Groq
- */
-async function transcribeWithGroq(filepath, filename, fileSize) {
-  const groqApiKey = process.env.GROQ_API_KEY;
-  
-  if (!groqApiKey) {
-    throw new AudioProcessingError(
-      'Groq API key missing',
-      'GROQ_CONFIG_ERROR',
-      'Transcription service configuration error. Please contact support.',
-      ['This is a server configuration issue']
-    );
-  }
-
-  try {
-    const audioMetrics = calculateAudioMetrics(fileSize);
-    console.log(`📥 Processing: ${filename} (${Math.round(fileSize/1024/1024)}MB)`);
-    console.log(`⏱️ Estimated duration: ${audioMetrics.durationMinutes} minutes`);
-    
-    const formData = new FormData();
-    formData.append('file', createReadStream(filepath), {
-      filename: filename,
-      contentType: 'audio/mpeg'
-    });
-    formData.append('model', APP_CONFIG.GROQ.MODEL);
-    formData.append('response_format', APP_CONFIG.GROQ.RESPONSE_FORMAT);
-
-    console.log(`⚡ Sending to Groq (${APP_CONFIG.GROQ.SPEED_FACTOR}x real-time speed)...`);
-    
-    const { default: fetch } = await import('node-fetch');
-    
-    const response = await fetch(APP_CONFIG.GROQ.API_URL, {
-      method: 'POST',
-      headers: { 
-        'Authorization': `Bearer ${groqApiKey}`,
-        ...formData.getHeaders()
-      },
-      body: formData
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      
-      if (response.status === 413) {
-        throw new AudioProcessingError(
-          `Groq file size error: ${errorText}`,
-          'GROQ_FILE_TOO_LARGE',
-          'File too large for transcription service. Please use a file under 100MB.',
-          ['Compress audio to lower bitrate']
-        );
-      } else if (response.status === 400) {
-        throw new AudioProcessingError(
-          `Groq validation error: ${errorText}`,
-          'GROQ_VALIDATION_ERROR',
-          'Audio file format not supported by transcription service.',
-          ['Convert to MP3 format', 'Check file is not corrupted']
-        );
-      } else if (response.status === 429) {
-        throw new AudioProcessingError(
-          `Groq rate limit: ${errorText}`,
-          'GROQ_RATE_LIMIT',
-          'Transcription service is currently busy. Please try again in a few minutes.',
-          ['Wait a few minutes and retry', 'Contact support if this persists']
-        );
-      } else {
-        throw new AudioProcessingError(
-          `Groq API error: ${response.status} ${errorText}`,
-          'GROQ_API_ERROR',
-          'Transcription service temporarily unavailable. Please try again.',
-          ['Try again in a few minutes', 'Contact support if this persists']
-        );
-      }
-    }
-
-    const transcript = await response.text();
-    const actualDurationEstimate = transcript.length / 8;
-    const actualMetrics = calculateAudioMetrics(fileSize, actualDurationEstimate);
-    
-    console.log(`📝 Groq transcript: ${transcript.length} characters`);
-    console.log(`✅ Actual duration: ~${actualMetrics.durationMinutes} minutes`);
-    
-    return { transcript, metrics: actualMetrics };
-
-  } catch (error) {
-    if (error instanceof AudioProcessingError) {
-      throw error;
-    }
-    
-    console.error('🚨 Groq transcription error:', error.message);
-    throw new AudioProcessingError(
-      `Groq transcription failed: ${error.message}`,
-      'GROQ_TRANSCRIPTION_ERROR',
-      'Transcription failed. Please try again or use a different audio file.',
-      ['Check file is a valid audio file', 'Try compressing the audio']
-    );
-  }
-}
-
-/**
- * OpenAI fallback transcription
- */
-async function transcribeWithOpenAI(filepath, filename, fileSize) {
-  const openaiApiKey = process.env.OPENAI_API_KEY;
-  
-  if (!openaiApiKey) {
-    throw new AudioProcessingError(
-      'OpenAI API key missing',
-      'OPENAI_CONFIG_ERROR',
-      'Fallback transcription service not configured.',
-      ['This is a server configuration issue']
-    );
-  }
-
-  if (fileSize > APP_CONFIG.OPENAI.MAX_FILE_SIZE) {
-    throw new AudioProcessingError(
-      `File too large for OpenAI: ${Math.round(fileSize/1024/1024)}MB > 25MB`,
-      'OPENAI_FILE_TOO_LARGE',
-      'File too large for fallback transcription service (25MB limit).',
-      ['Groq Developer plan recommended for larger files', 'Compress audio to under 25MB']
-    );
-  }
-
-  try {
-    console.log('📥 Using OpenAI Whisper fallback...');
-    
-    const formData = new FormData();
-    formData.append('file', createReadStream(filepath), {
-      filename: filename,
-      contentType: 'audio/mpeg'
-    });
-    formData.append('model', APP_CONFIG.OPENAI.TRANSCRIPTION_MODEL);
-    formData.append('response_format', APP_CONFIG.OPENAI.RESPONSE_FORMAT);
-
-    const { default: fetch } = await import('node-fetch');
-    
-    const response = await fetch(APP_CONFIG.OPENAI.TRANSCRIPTION_URL, {
-      method: 'POST',
-      headers: { 
-        'Authorization': `Bearer ${openaiApiKey}`,
-        ...formData.getHeaders()
-      },
-      body: formData
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new AudioProcessingError(
-        `OpenAI API error: ${response.status} ${errorText}`,
-        'OPENAI_API_ERROR',
-        'Fallback transcription service failed. Please try again.',
-        ['Try again in a few minutes', 'Contact support']
-      );
-    }
-
-    const transcript = await response.text();
-    const actualDurationEstimate = transcript.length / 8;
-    const actualMetrics = calculateAudioMetrics(fileSize, actualDurationEstimate);
-    
-    console.log('📝 OpenAI transcript received:', transcript.length, 'characters');
-    return { transcript, metrics: actualMetrics };
-
-  } catch (error) {
-    if (error instanceof AudioProcessingError) {
-      throw error;
-    }
-    
-    console.error('🚨 OpenAI transcription error:', error.message);
-    throw new AudioProcessingError(
-      `OpenAI transcription failed: ${error.message}`,
-      'OPENAI_TRANSCRIPTION_ERROR',
-      'Both transcription services failed. Please try again with a different file.',
-      ['Check file is valid audio', 'Try a smaller file', 'Contact support']
-    );
-  }
-}
-
-/**
- * TROOP framework analysis
- */
-async function analyzeWithTROOP(transcript, episodeTitle = '', podcastTitle = '') {
-  const openaiApiKey = process.env.OPENAI_API_KEY;
-  
-  if (!openaiApiKey) {
-    console.warn('OpenAI API key not configured for analysis');
-    return createFallbackAnalysis(transcript, episodeTitle);
-  }
-
-  const analysisPrompt = `You are Podcast Growth Agent, an expert podcast strategist. Analyze this episode using the TROOP framework.
-
-Episode Title: ${episodeTitle || 'Pre-publish episode'}
-Podcast: ${podcastTitle || 'Podcast Growth Analysis'}
-
-TRANSCRIPT:
-${transcript}
-
-Provide analysis in this EXACT JSON format:
-{
-  "episode_summary": "Engaging 2-3 sentence summary of the episode content and value.",
-  "tweetable_quotes": [
-    "2-3 powerful quotes under 280 characters from the actual transcript"
-  ],
-  "topics_keywords": [
-    "8-12 specific longtail keywords from the episode content"
-  ],
-  "optimized_title": "SEO-optimized title with emotional hook",
-  "optimized_description": "Compelling description highlighting value and benefits",
-  "community_suggestions": [
-    {
-      "name": "Community name",
-      "platform": "Platform type", 
-      "url": "Direct URL when possible",
-      "why": "Why this content fits this community"
-    }
-  ],
-  "cross_promo_matches": [
-    {
-      "podcast_name": "Similar podcast",
-      "host_name": "Host name",
-      "contact_info": "How to reach them",
-      "collaboration_angle": "Why this partnership makes sense"
-    }
-  ],
-  "trend_piggyback": "How to connect this episode to current trends",
-  "social_caption": "Ready-to-post social media caption with hooks and CTA",
-  "next_step": "One specific action to grow the podcast today",
-  "growth_score": "Score/100 with explanation"
-}
-
-Be specific and actionable. Use real community URLs where possible. Respond ONLY with valid JSON.`;
-
-  try {
-    console.log('🧠 Analyzing with TROOP framework...');
-    
-    const { default: fetch } = await import('node-fetch');
-    
-    const response = await fetch(APP_CONFIG.OPENAI.CHAT_URL, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${openaiApiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: APP_CONFIG.OPENAI.ANALYSIS_MODEL,
-        messages: [
-          { role: 'system', content: 'You are Podcast Growth Agent. Respond with valid JSON only.' },
-          { role: 'user', content: analysisPrompt }
-        ],
-        temperature: 0.7,
-        max_tokens: 3000
-      })
-    });
-
-    if (!response.ok) {
-      console.error(`GPT analysis error: ${response.status}`);
-      return createFallbackAnalysis(transcript, episodeTitle);
-    }
-
-    const result = await response.json();
-    const analysisText = result.choices[0]?.message?.content;
-    
-    if (!analysisText) {
-      console.error('No analysis content received from GPT');
-      return createFallbackAnalysis(transcript, episodeTitle);
-    }
-
-    try {
-      const analysis = JSON.parse(analysisText);
-      console.log('✅ TROOP analysis completed successfully');
-      return analysis;
-    } catch (parseError) {
-      console.error('Failed to parse GPT analysis JSON:', parseError.message);
-      return createFallbackAnalysis(transcript, episodeTitle);
-    }
-
-  } catch (error) {
-    console.error('🚨 Analysis error:', error.message);
-    return createFallbackAnalysis(transcript, episodeTitle);
-  }
-}
-
-/**
- * Create fallback analysis when GPT fails
- */
-function createFallbackAnalysis(transcript, episodeTitle) {
-  const keywords = extractKeywords(transcript).slice(0, 8);
-  
-  return {
-    episode_summary: "Episode successfully transcribed with Groq Developer Plan. AI analysis temporarily unavailable - full transcript provided below.",
-    tweetable_quotes: ["🎙️ New episode transcribed and ready for optimization!"],
-    topics_keywords: keywords,
-    optimized_title: episodeTitle || "Optimize This Episode Title for Better Discovery",
-    optimized_description: "Use the complete transcript below to craft an engaging description that highlights key insights and value for your target audience.",
-    community_suggestions: [
-      {
-        name: "Podcasting",
-        platform: "Reddit",
-        url: "https://reddit.com/r/podcasting",
-        why: "Share insights and connect with fellow podcasters"
-      }
-    ],
-    cross_promo_matches: [
-      {
-        podcast_name: "AI analysis temporarily unavailable",
-        host_name: "Please try again in a few minutes",
-        contact_info: "Full analysis service restoration in progress",
-        collaboration_angle: "Complete cross-promotion analysis coming soon"
-      }
-    ],
-    trend_piggyback: "Review transcript for current trending topics in your niche and create social content around those themes.",
-    social_caption: "🎙️ New episode ready for launch! Full transcript and optimization insights below. #podcast #content",
-    next_step: "Review the complete transcript below and identify 3-5 key quotes or insights to use in your episode description and social media promotion.",
-    growth_score: "Transcript generated successfully - manual analysis recommended until service restoration"
-  };
-}
-
-/**
- * Optimize transcript for GPT analysis
- */
-function optimizeTranscript(transcript) {
-  if (!transcript || transcript.length < APP_CONFIG.OPTIMIZATION.TRIGGER_LENGTH) {
-    return transcript;
-  }
-  
-  const sentences = transcript.split(/\.\s+/).filter(s => s.trim().length > 0);
-  const opening = sentences.slice(0, APP_CONFIG.OPTIMIZATION.OPENING_SENTENCES).join('. ');
-  
-  const valueSentences = sentences.filter(sentence => 
-    /\b(recommend|suggest|advice|should|try|use|secret|tip|hack|strategy|important|key|crucial)\b/i.test(sentence) ||
-    /\$\d+|\d+%|\d+\s*(years?|months?|minutes?|hours?)/.test(sentence) ||
-    /\b[A-Z][a-z]*\s+[A-Z][a-z]*\b/.test(sentence)
-  ).slice(0, APP_CONFIG.OPTIMIZATION.KEY_INSIGHTS_LIMIT);
-  
-  const ending = sentences.slice(-APP_CONFIG.OPTIMIZATION.ENDING_SENTENCES).join('. ');
-  
-  return [
-    "=== EPISODE OPENING ===",
-    opening,
-    "",
-    "=== KEY INSIGHTS & RECOMMENDATIONS ===", 
-    valueSentences.join('. '),
-    "",
-    "=== EPISODE CONCLUSION ===",
-    ending,
-    "",
-    `[Optimized from ${sentences.length} sentences for growth analysis]`
-  ].join('\n');
-}
-
-/**
- * Extract keywords from text
- */
-function extractKeywords(text) {
-  if (!text) return [];
-  
-  const words = text.toLowerCase()
-    .replace(/<[^>]*>/g, '')
-    .replace(/[^\w\s]/g, ' ')
-    .split(/\s+/);
-  
-  const stopWords = new Set([
-    'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by',
-    'is', 'are', 'was', 'were', 'this', 'that', 'you', 'he', 'she', 'it', 'we', 'they',
-    'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should',
-    'like', 'just', 'really', 'very', 'much', 'more', 'so', 'now', 'then', 'here', 'there',
-    'get', 'got', 'going', 'go', 'want', 'know', 'think', 'said', 'say', 'see', 'come',
-    'podcast', 'episode', 'today', 'talk', 'talking', 'yeah', 'okay', 'right', 'well'
-  ]);
-  
-  const wordCount = {};
-  words.forEach(word => {
-    const clean = word.trim();
-    if (clean.length > 3 && !stopWords.has(clean) && /^[a-z]+$/.test(clean)) {
-      wordCount[clean] = (wordCount[clean] || 0) + 1;
-    }
-  });
-  
-  return Object.entries(wordCount)
-    .sort(([,a], [,b]) => b - a)
-    .slice(0, 15)
-    .map(([word]) => word);
-}
-
 /**
  * Safe file cleanup
  */
@@ -705,14 +307,15 @@ export default async function handler(req, res) {
   }
 
   if (req.method === 'GET') {
+    const maxMB = Math.round(APP_CONFIG.UPLOAD.MAX_FILE_SIZE() / 1024 / 1024);
     return res.status(200).json({ 
       message: 'MP3 Upload & Analysis API v3.0 - Production Grade',
       status: 'ready',
       environment: process.env.NODE_ENV || 'development',
-      groq_plan: 'Developer (100MB support)',
+      groq_plan: 'Developer (100MB per request)',
       rate_limiting: APP_CONFIG.RATE_LIMIT.ENABLED ? 'enabled' : 'disabled (dev)',
       features: [
-        '🎙️ MP3/M4A/WAV upload (100MB max)',
+        `🎙️ MP3/M4A/WAV upload (${maxMB}MB max; larger files via ${APP_CONFIG.UPLOAD.LARGE_FILE_ROUTE})`,
         '⚡ Whisper Large v3 Turbo (216x real-time)',
         '🧠 Complete TROOP framework analysis',
         '📊 Accurate duration estimation based on audio metrics',
@@ -721,7 +324,8 @@ export default async function handler(req, res) {
         '🔧 User-friendly error messages with actionable suggestions'
       ],
       limits: {
-        max_file_size: '100MB (Groq Developer Plan)',
+        max_file_size: `${maxMB}MB (one transcription request with the configured providers)`,
+        large_files: `${APP_CONFIG.UPLOAD.LARGE_FILE_ROUTE} (Blob upload, up to ${APP_CONFIG.UPLOAD.LARGE_FILE_MB}MB, analyzed as a background job)`,
         rate_limit: '20 uploads/hour',
         daily_limit: '500 uploads/day',
         supported_formats: ['MP3', 'M4A', 'WAV'],
@@ -746,6 +350,7 @@ export default async function handler(req, res) {
   if (req.method === 'POST') {
     let tempFilePath = null;
     const startTime = Date.now();
+    const stream = openEventStream(req, res);
     
     try {
       const clientIP = getClientIP(req);
@@ -755,9 +360,11 @@ export default async function handler(req, res) {
       checkRateLimit(clientIP);
       
       // Parse and validate upload
-      const { file, title } = await parseMultipartForm(req);
+      const { file, title, force: forceField, host, guests } = await parseMultipartForm(req);
       tempFilePath = file.filepath;
       validateUploadedFile(file);
+      const force = isForced(forceField) || isForced(req.query?.force);
+      const contentHash = file.hash || null;
       
       // Calculate accurate audio metrics
       const audioMetrics = calculateAudioMetrics(file.size);
@@ -766,8 +373,8 @@ export default async function handler(req, res) {
       console.log(`⏱️ Estimated: ${audioMetrics.durationMinutes}min, ${audioMetrics.costEstimate} (${audioMetrics.confidence})`);
 
       // Enhanced initial response with accurate estimates
-      res.write(JSON.stringify({
-        status: 'processing',
+      stream.send(EVENT_TYPES.STAGE, {
+        stage: 'validate',
         progress: 15,
         message: `📁 File validated: ${file.originalFilename} (${Math.round(file.size/1024/1024)}MB)`,
         filename: file.originalFilename,
@@ -775,107 +382,87 @@ export default async function handler(req, res) {
         estimated_duration: `${audioMetrics.durationMinutes} minutes`,
         estimated_cost: `${audioMetrics.costEstimate}`,
         confidence: audioMetrics.confidence,
+        estimated_completion: `~${Math.max(1, Math.round(audioMetrics.durationMinutes / APP_CONFIG.GROQ.SPEED_FACTOR * 60))} seconds`,
         next_step: 'Starting transcription...'
-      }) + '\n');
-
-      // Transcription with enhanced error handling
-      let transcriptionResult;
-      let transcriptionSource = 'groq';
-      
-      try {
-        res.write(JSON.stringify({
-          status: 'processing',
-          progress: 35,
-          message: `⚡ Groq transcription starting (${APP_CONFIG.GROQ.SPEED_FACTOR}x real-time speed)...`,
-          estimated_completion: `~${Math.max(1, Math.round(audioMetrics.durationMinutes / APP_CONFIG.GROQ.SPEED_FACTOR * 60))} seconds`
-        }) + '\n');
-        
-        transcriptionResult = await transcribeWithGroq(tempFilePath, file.originalFilename, file.size);
-        
-        res.write(JSON.stringify({
-          status: 'processing',
-          progress: 60,
-          message: "✅ Transcription completed, starting growth analysis...",
-          actual_duration: `${transcriptionResult.metrics.durationMinutes} minutes`,
-          actual_cost: `${transcriptionResult.metrics.costEstimate}`
-        }) + '\n');
-        
-      } catch (groqError) {
-        console.log(`⚠️ Groq failed: ${groqError.code || 'UNKNOWN'} - ${groqError.userMessage || groqError.message}`);
-        
-        // Try OpenAI fallback only if file is small enough
-        if (file.size <= APP_CONFIG.OPENAI.MAX_FILE_SIZE) {
-          res.write(JSON.stringify({
-            status: 'processing',
-            progress: 45,
-            message: "🔄 Using OpenAI Whisper fallback (file ≤25MB)...",
-            fallback_reason: groqError.code
-          }) + '\n');
-          
-          try {
-            transcriptionResult = await transcribeWithOpenAI(tempFilePath, file.originalFilename, file.size);
-            transcriptionSource = 'whisper';
-            
-            res.write(JSON.stringify({
-              status: 'processing',
-              progress: 60,
-              message: "✅ Fallback transcription completed, starting growth analysis...",
-              actual_duration: `${transcriptionResult.metrics.durationMinutes} minutes`
-            }) + '\n');
-            
-          } catch (openaiError) {
-            throw openaiError; // Re-throw to outer catch
-          }
-        } else {
-          throw groqError; // File too large for fallback
-        }
+      });
+
+      // Same pipeline as Blob uploads; identical audio returns the stored analysis unless force=true
+      const episodeTitle = title || file.originalFilename.replace(/\.[^/.]+$/, "");
+      const report = createReporter((type, data) => stream.send(type, data));
+      const { cached, episode, transcription, diarization } = await analyzeAudioFile({
+        audio: { filepath: tempFilePath, filename: file.originalFilename, contentType: file.mimetype, size: file.size },
+        contentHash,
+        diarizationSource: { filepath: tempFilePath, filename: file.originalFilename, contentType: file.mimetype },
+        title: episodeTitle,
+        podcastTitle: 'Pre-publish Analysis',
+        source: 'upload',
+        metadata: { title: episodeTitle, podcastTitle: 'Pre-publish Analysis', filename: file.originalFilename },
+        force,
+        host,
+        guests
+      }, report);
+
+      if (cached) {
+        stream.send(EVENT_TYPES.RESULT, {
+          status: 'success',
+          ...episodeResult(episode),
+          cached: true,
+          filename: file.originalFilename,
+          title: episode.title,
+          metadata: {
+            file_size: file.size,
+            content_hash: contentHash,
+            processing_time_ms: Date.now() - startTime,
+            source: `Episode library (${episode.transcription?.provider} + GPT Analysis)`,
+            transcription_source: episode.transcription?.provider,
+            processed_at: episode.created_at,
+            api_version: '3.0-fixed'
+          },
+          description: episode.analysis?.episode_summary,
+          podcast_title: 'Pre-publish Analysis'
+        });
+        stream.close();
+        return;
       }
 
-      // TROOP framework analysis
-      res.write(JSON.stringify({
-        status: 'processing',
-        progress: 80,
-        message: "🧠 TROOP framework analysis in progress...",
-        analysis_steps: ['Episode summary', 'SEO optimization', 'Community suggestions', 'Growth recommendations']
-      }) + '\n');
-
-      const analysis = await analyzeWithTROOP(
-        optimizeTranscript(transcriptionResult.transcript),
-        title || file.originalFilename.replace(/\.[^/.]+$/, ""),
-        'Pre-publish Analysis'
-      );
+      // Real duration from the last segment; bitrate estimate when the provider returned none
+      const metrics = calculateAudioMetrics(file.size, transcription.duration);
 
       // Success response with complete data
       const processingTime = Date.now() - startTime;
       const finalResponse = {
         status: 'success',
+        ...episodeResult(episode),
+        cached: false,
         filename: file.originalFilename,
-        title: title || file.originalFilename.replace(/\.[^/.]+$/, ""),
-        transcript: optimizeTranscript(transcriptionResult.transcript),
-        analysis: analysis,
+        title: episodeTitle,
         metadata: {
-          keywords: extractKeywords(transcriptionResult.transcript),
-          audio_metrics: transcriptionResult.metrics,
+          keywords: keywordList(transcription.transcript, { language: transcription.language, plan: episode.analysis.keyword_plan }),
+          audio_metrics: metrics,
           file_size: file.size,
           processing_time_ms: processingTime,
-          source: transcriptionSource === 'groq' ? 'Groq Developer + GPT Analysis' : 'OpenAI Whisper + GPT Analysis',
-          transcription_source: transcriptionSource,
-          groq_model: APP_CONFIG.GROQ.MODEL,
+          source: `${transcription.provider} + GPT Analysis`,
+          transcription_source: transcription.provider,
+          transcription_model: transcription.model,
+          transcription_attempts: transcription.attempts,
+          transcript_cached: Boolean(transcription.cached),
+          diarization: diarization.provider,
+          content_hash: contentHash,
           processed_at: new Date().toISOString(),
           api_version: '3.0-fixed',
           client_ip: clientIP.substring(0, 8) + '...' // Partial IP for logging
         },
         // Legacy compatibility
-        description: analysis.episode_summary,
+        description: episode.analysis.episode_summary,
         podcast_title: 'Pre-publish Analysis'
       };
       
-      res.write(JSON.stringify(finalResponse) + '\n');
-      res.end();
+      stream.send(EVENT_TYPES.RESULT, finalResponse);
+      stream.close();
       
       console.log(`✅ Analysis completed in ${processingTime}ms`);
-      console.log(`💰 Final cost: ${transcriptionResult.metrics.costEstimate}`);
-      console.log(`📊 Duration: ${transcriptionResult.metrics.durationMinutes} minutes`);
+      console.log(`💰 Final cost: ${metrics.costEstimate}`);
+      console.log(`📊 Duration: ${metrics.durationMinutes} minutes`);
 
     } catch (error) {
       console.error('❌ Processing failed:', error.code || 'UNKNOWN', '-', error.message);
@@ -883,8 +470,8 @@ export default async function handler(req, res) {
       const processingTime = Date.now() - startTime;
       const errorResponse = formatErrorResponse(error, processingTime);
       
-      res.write(JSON.stringify(errorResponse) + '\n');
-      res.end();
+      stream.send(EVENT_TYPES.ERROR, errorResponse);
+      stream.close();
     } finally {
       // Always cleanup temp file
       if (tempFilePath) {
@@ -0,0 +1,216 @@
+// lib/analysis-schema.js - Versioned JSON Schema for the TROOP analysis payload
+// Bump ANALYSIS_SCHEMA_VERSION on any shape change: major for breaking, minor for additive.
+
+export const ANALYSIS_SCHEMA_VERSION = '2.2.0';
+
+const nonEmptyString = { type: 'string', minLength: 1 };
+const score = { type: 'integer', minimum: 0, maximum: 100 };
+
+export const ANALYSIS_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: `https://podcastgrowthagent.com/schemas/analysis/${ANALYSIS_SCHEMA_VERSION}.json`,
+  title: 'Podcast Growth Agent episode analysis',
+  type: 'object',
+  required: [
+    'schema_version', 'episode_summary', 'tweetable_quotes', 'topics_keywords', 'optimized_title',
+    'optimized_description', 'community_suggestions', 'cross_promo_matches', 'trend_piggyback',
+    'social_caption', 'next_step', 'growth_score'
+  ],
+  properties: {
+    schema_version: { type: 'string', const: ANALYSIS_SCHEMA_VERSION },
+    episode_summary: nonEmptyString,
+    tweetable_quotes: {
+      type: 'array',
+      minItems: 3,
+      maxItems: 3,
+      items: { type: 'string', minLength: 1, maxLength: 280 }
+    },
+    topics_keywords: {
+      description: 'Flat keyword list (primary intents followed by their semantic neighbors)',
+      type: 'array',
+      minItems: 1,
+      maxItems: 15,
+      items: nonEmptyString
+    },
+    quote_timestamps: {
+      description: 'Where each tweetable quote was spoken, index-aligned with tweetable_quotes (null when not found)',
+      type: 'array',
+      items: {
+        type: ['object', 'null'],
+        required: ['start', 'end', 'timestamp'],
+        properties: {
+          quote: { type: 'string' },
+          start: { type: 'number' },
+          end: { type: 'number' },
+          timestamp: { type: 'string' },
+          confidence: { type: 'number' },
+          speaker: { type: 'string', description: 'Who said it, when the episode was diarized' },
+          speaker_source: { type: 'string', enum: ['audio', 'estimated'], description: 'estimated: guessed from text turns, not audio' }
+        }
+      }
+    },
+    keyword_plan: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['primary_intent', 'semantic_neighbors'],
+        properties: {
+          primary_intent: nonEmptyString,
+          semantic_neighbors: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    },
+    optimized_title: { type: 'string', minLength: 1, maxLength: 100 },
+    optimized_description: nonEmptyString,
+    community_suggestions: {
+      type: 'array',
+      minItems: 3,
+      maxItems: 3,
+      items: {
+        type: 'object',
+        required: ['name', 'platform', 'why', 'first_post'],
+        properties: {
+          name: nonEmptyString,
+          platform: nonEmptyString,
+          url: { type: 'string' },
+          why: nonEmptyString,
+          first_post: { type: 'string', minLength: 1, maxLength: 220 },
+          confidence: { type: 'string' }
+        }
+      }
+    },
+    cross_promo_matches: {
+      type: 'array',
+      minItems: 3,
+      maxItems: 3,
+      items: {
+        type: 'object',
+        required: ['podcast_name', 'outreach_dm'],
+        properties: {
+          podcast_name: nonEmptyString,
+          outreach_dm: { type: 'string', minLength: 1, maxLength: 420 },
+          confidence: { type: 'string' }
+        }
+      }
+    },
+    trend_piggyback: nonEmptyString,
+    social_caption: nonEmptyString,
+    next_step: nonEmptyString,
+    growth_score: {
+      description: 'Rubric score 0–100: content quality 30%, engagement 25%, SEO 20%, shareability 15%, actionability 10% (see lib/growth-score.js)',
+      type: 'object',
+      required: ['total', 'dimensions', 'rationale'],
+      properties: {
+        total: score,
+        dimensions: {
+          type: 'object',
+          required: ['content_quality', 'engagement', 'seo', 'shareability', 'actionability'],
+          properties: {
+            content_quality: score,
+            engagement: score,
+            seo: score,
+            shareability: score,
+            actionability: score
+          }
+        },
+        rationale: nonEmptyString,
+        model: { type: ['object', 'null'] },
+        signals: { type: 'object' },
+        rubric_version: { type: 'string' }
+      }
+    },
+    quotes_candidates_debug: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['text'],
+        properties: {
+          text: { type: 'string' },
+          hashtags: { type: 'array', items: { type: 'string' } },
+          score: { type: 'number' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Validate an analysis object against ANALYSIS_SCHEMA
+ * @param {object} analysis
+ * @returns {{ valid: boolean, errors: Array<{path: string, message: string}>, invalidFields: string[] }}
+ *   invalidFields lists the top-level keys that failed, for targeted repair
+ */
+export function validateAnalysis(analysis) {
+  const errors = [];
+  validateNode(analysis, ANALYSIS_SCHEMA, '', errors);
+  const invalidFields = Array.from(new Set(
+    errors.map(e => e.path.split(/[.[]/)[0]).filter(Boolean)
+  ));
+  return { valid: errors.length === 0, errors, invalidFields };
+}
+
+/**
+ * Sub-schema for a single top-level field, used to brief the model during repair
+ */
+export function fieldSchema(field) {
+  return ANALYSIS_SCHEMA.properties[field] || null;
+}
+
+/**
+ * Minimal JSON Schema walker covering the keywords ANALYSIS_SCHEMA uses
+ */
+function validateNode(value, schema, path, errors) {
+  const fail = (message) => errors.push({ path: path || '(root)', message });
+
+  if (schema.const !== undefined && value !== schema.const) {
+    return fail(`must equal ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail(`must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+  const types = [].concat(schema.type || []);
+  if (types.length && !types.some(t => matchesType(value, t))) {
+    return fail(`must be ${types.join(' or ')}, got ${Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value}`);
+  }
+  if (value === null) return;
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) fail(`must be at least ${schema.minLength} chars`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} chars (got ${value.length})`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items (got ${value.length})`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items (got ${value.length})`);
+    if (schema.items) value.forEach((item, i) => validateNode(item, schema.items, `${path}[${i}]`, errors));
+  }
+
+  if (types.includes('object') && typeof value === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push({ path: path ? `${path}.${key}` : key, message: 'is required' });
+      }
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (value[key] === undefined || value[key] === null) continue;
+      validateNode(value[key], sub, path ? `${path}.${key}` : key, errors);
+    }
+  }
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'array': return Array.isArray(value);
+    case 'null': return value === null;
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default: return true;
+  }
+}
@@ -0,0 +1,153 @@
+// lib/apple.js - Apple Podcasts URL → show + episode (iTunes Lookup API + the show's RSS feed)
+// The `?i=` query parameter is the episode's trackId; iTunes returns its episodeGuid, which
+// matches the RSS <guid> exactly. The URL slug is only a fallback for title matching.
+import { fetchFeed, findEpisode } from './rss.js';
+
+const APPLE_CONFIG = {
+  LOOKUP_URL: 'https://itunes.apple.com/lookup',
+  SEARCH_URL: 'https://itunes.apple.com/search',
+  FETCH_TIMEOUT_MS: 15_000,
+  EPISODE_LOOKUP_LIMIT: 200 // iTunes caps entity=podcastEpisode results
+};
+
+/**
+ * @param {string} appleUrl - e.g. https://podcasts.apple.com/us/podcast/some-slug/id123456?i=1000654321
+ * @returns {{ podcastId: string|null, episodeId: string|null, slug: string|null }}
+ */
+export function parseAppleUrl(appleUrl) {
+  let url;
+  try {
+    url = new URL(appleUrl);
+  } catch {
+    return { podcastId: null, episodeId: null, slug: null };
+  }
+  const podcastId = url.pathname.match(/\/id(\d+)/)?.[1] || null;
+  const episodeId = url.searchParams.get('i') || null;
+  const slug = url.pathname.match(/\/podcast\/([^/]+)\/id\d+/)?.[1] || null;
+  return { podcastId, episodeId, slug: slug ? decodeURIComponent(slug) : null };
+}
+
+export function isAppleUrl(url) {
+  return /^https?:\/\/(podcasts|itunes)\.apple\.com\//i.test(String(url || ''));
+}
+
+/**
+ * Show-level iTunes record (feedUrl, collectionName, artwork)
+ */
+export async function lookupPodcast(podcastId) {
+  const data = await lookup({ id: podcastId, entity: 'podcast' });
+  const show = (data.results || []).find(r => r.wrapperType === 'track' || r.kind === 'podcast');
+  if (!show) throw new Error(`Podcast ${podcastId} not found on Apple Podcasts`);
+  return show;
+}
+
+/**
+ * iTunes podcast search by show name (collectionName, feedUrl, artistName)
+ * @returns {Promise<object[]>}
+ */
+export async function searchPodcasts(term, limit = 5) {
+  const data = await lookup({ media: 'podcast', entity: 'podcast', term, limit }, APPLE_CONFIG.SEARCH_URL);
+  return data.results || [];
+}
+
+/**
+ * Episode-level iTunes record for a trackId, or null if it is older than the lookup window
+ */
+export async function lookupEpisode(podcastId, episodeId) {
+  const data = await lookup({ id: podcastId, entity: 'podcastEpisode', limit: APPLE_CONFIG.EPISODE_LOOKUP_LIMIT });
+  return (data.results || []).find(r => r.wrapperType === 'podcastEpisode' && String(r.trackId) === String(episodeId)) || null;
+}
+
+/**
+ * Resolve an Apple Podcasts episode URL to feed metadata
+ * @param {string} appleUrl
+ * @returns {Promise<{ show: object, episode: object, feed_url: string, match: string }>}
+ *   show / episode are lib/rss.js shapes; match is how the episode was found (guid | audio | title | itunes)
+ */
+export async function resolveAppleEpisode(appleUrl) {
+  const { podcastId, episodeId, slug } = parseAppleUrl(appleUrl);
+  if (!podcastId) throw new Error('Could not extract podcast ID from Apple URL');
+
+  const podcast = await lookupPodcast(podcastId);
+  const itunesEpisode = episodeId ? await lookupEpisode(podcastId, episodeId).catch(() => null) : null;
+
+  if (!podcast.feedUrl) {
+    // Apple-exclusive shows have no public feed; the iTunes record is all we get
+    if (!itunesEpisode) throw new Error('No RSS feed found for this podcast');
+    return {
+      show: { title: podcast.collectionName, author: podcast.artistName, image: podcast.artworkUrl600 || null, feed_url: null, episodes: [] },
+      episode: episodeFromItunes(itunesEpisode, podcast),
+      feed_url: null,
+      match: 'itunes'
+    };
+  }
+
+  const feed = await fetchFeed(podcast.feedUrl);
+  const { episodes, ...show } = feed;
+  show.title = show.title || podcast.collectionName;
+
+  const found = matchAppleEpisode(feed, { itunesEpisode, slug });
+  if (found) return { show, ...found, feed_url: podcast.feedUrl };
+
+  if (itunesEpisode) {
+    return { show, episode: episodeFromItunes(itunesEpisode, podcast), feed_url: podcast.feedUrl, match: 'itunes' };
+  }
+  throw new Error('Episode not found in RSS feed');
+}
+
+/**
+ * The feed episode for an iTunes episode record (guid, then enclosure, then title) or URL slug
+ * @returns {{ episode: object, match: 'guid'|'audio'|'title' } | null}
+ */
+export function matchAppleEpisode(feed, { itunesEpisode, slug }) {
+  const queries = [
+    itunesEpisode && ['guid', { guid: itunesEpisode.episodeGuid }],
+    itunesEpisode && ['audio', { audioUrl: itunesEpisode.episodeUrl }],
+    itunesEpisode && ['title', { title: itunesEpisode.trackName }],
+    slug && ['title', { title: slug.replace(/-/g, ' ') }]
+  ].filter(Boolean);
+
+  for (const [match, query] of queries) {
+    const episode = findEpisode(feed, query);
+    if (episode) return { episode, match };
+  }
+  return null;
+}
+
+/**
+ * Minimal lib/rss.js-shaped episode from an iTunes podcastEpisode record
+ */
+function episodeFromItunes(record, podcast) {
+  return {
+    guid: record.episodeGuid || null,
+    title: record.trackName || null,
+    description: record.description || record.shortDescription || null,
+    summary: record.shortDescription || null,
+    link: record.trackViewUrl || null,
+    pub_date: record.releaseDate || null,
+    audio_url: record.episodeUrl || null,
+    enclosure: record.episodeUrl ? { url: record.episodeUrl, type: record.episodeContentType ? `${record.episodeContentType}/${record.episodeFileExtension || 'mpeg'}` : null, length: null } : null,
+    duration_seconds: record.trackTimeMillis ? Math.round(record.trackTimeMillis / 1000) : 0,
+    episode: null,
+    season: null,
+    episode_type: 'full',
+    explicit: null,
+    image: record.artworkUrl600 || podcast.artworkUrl600 || null,
+    keywords: [],
+    chapters: null,
+    transcripts: [],
+    soundbites: [],
+    persons: [],
+    podcast_title: podcast.collectionName || null
+  };
+}
+
+async function lookup(params, endpoint = APPLE_CONFIG.LOOKUP_URL) {
+  const { default: fetch } = await import('node-fetch');
+  const query = new URLSearchParams(Object.entries(params).map(([k, v]) => [k, String(v)]));
+  const response = await fetch(`${endpoint}?${query}`, {
+    signal: AbortSignal.timeout(APPLE_CONFIG.FETCH_TIMEOUT_MS)
+  });
+  if (!response.ok) throw new Error(`iTunes lookup failed: ${response.status}`);
+  return response.json();
+}
@@ -0,0 +1,414 @@
+// lib/audio-chunker.js - Split long episodes into provider-sized chunks and stitch transcripts
+// Pure JS, no ffmpeg: MP3 is cut on frame boundaries, WAV on sample-block boundaries.
+// Cut points prefer quiet spots near each window edge (low-bitrate VBR frames / low PCM RMS),
+// falling back to fixed windows for CBR audio.
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { AudioProcessingError } from './errors.js';
+
+export const CHUNK_CONFIG = {
+  CHUNK_SECONDS: 600,          // Target window length
+  OVERLAP_SECONDS: 2,          // Audio shared by neighbouring chunks
+  SILENCE_SEARCH_SECONDS: 10,  // How far from the window edge to look for a quiet cut
+  SILENCE_WINDOW_SECONDS: 0.5, // Loudness is averaged over this span
+  SIZE_HEADROOM: 0.9,          // Keep chunks under 90% of the provider limit
+  TEMP_DIR: '/tmp'
+};
+
+const MPEG_BITRATES = {
+  '1-1': [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  '1-2': [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  '1-3': [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  '2-1': [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  '2-2': [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  '2-3': [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const MPEG_SAMPLE_RATES = { 1: [44100, 48000, 32000], 2: [22050, 24000, 16000], 2.5: [11025, 12000, 8000] };
+
+/**
+ * Detect a chunkable container from magic bytes
+ * @returns {'mp3'|'wav'|null}
+ */
+export function detectAudioFormat(filepath) {
+  const head = Buffer.alloc(12);
+  const fd = fs.openSync(filepath, 'r');
+  try { fs.readSync(fd, head, 0, 12, 0); } finally { fs.closeSync(fd); }
+
+  if (head.toString('ascii', 0, 4) === 'RIFF' && head.toString('ascii', 8, 12) === 'WAVE') return 'wav';
+  if (head.toString('ascii', 0, 3) === 'ID3' || parseMp3Header(head, 0)) return 'mp3';
+  return null;
+}
+
+/**
+ * Plan chunk boundaries for a local audio file
+ * @param {string} filepath
+ * @param {object} options - { maxChunkBytes, chunkSeconds?, overlapSeconds? }
+ * @returns {{ format: string, extension: string, contentType: string, duration: number, chunks: object[] }}
+ *   each chunk: { index, start, end, keepFrom, keepUntil, byteStart, byteEnd, header? }
+ */
+export function planChunks(filepath, options = {}) {
+  const format = detectAudioFormat(filepath);
+  if (format === 'mp3') return planMp3Chunks(filepath, options);
+  if (format === 'wav') return planWavChunks(filepath, options);
+
+  throw new AudioProcessingError(
+    `Unsupported format for chunked transcription: ${path.extname(filepath) || 'unknown'}`,
+    'UNSUPPORTED_CHUNK_FORMAT',
+    'This file is too large to transcribe in one piece and its format cannot be split automatically.',
+    ['Convert the episode to MP3 (96-128kbps)', 'Upload a WAV or MP3 file']
+  );
+}
+
+/**
+ * Write one planned chunk to the temp dir; returns its path
+ */
+export async function writeChunk(filepath, plan, chunk) {
+  const chunkPath = path.join(CHUNK_CONFIG.TEMP_DIR, `chunk-${crypto.randomUUID()}-${chunk.index}${plan.extension}`);
+  const out = fs.createWriteStream(chunkPath);
+  if (chunk.header) out.write(chunk.header);
+  await pipeline(fs.createReadStream(filepath, { start: chunk.byteStart, end: chunk.byteEnd - 1 }), out);
+  return chunkPath;
+}
+
+/* ---------- MP3 ---------- */
+
+function parseMp3Header(buf, i) {
+  if (buf[i] !== 0xff || (buf[i + 1] & 0xe0) !== 0xe0) return null;
+  const versionBits = (buf[i + 1] >> 3) & 3;
+  const layerBits = (buf[i + 1] >> 1) & 3;
+  const bitrateIndex = buf[i + 2] >> 4;
+  const sampleRateIndex = (buf[i + 2] >> 2) & 3;
+  if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) return null;
+
+  const version = versionBits === 3 ? 1 : versionBits === 2 ? 2 : 2.5;
+  const layer = 4 - layerBits;
+  const bitrate = MPEG_BITRATES[`${version === 1 ? 1 : 2}-${layer}`][bitrateIndex] * 1000;
+  const sampleRate = MPEG_SAMPLE_RATES[version][sampleRateIndex];
+  const padding = (buf[i + 2] >> 1) & 1;
+  const samples = layer === 1 ? 384 : layer === 2 || version === 1 ? 1152 : 576;
+  const size = layer === 1
+    ? (Math.floor(12 * bitrate / sampleRate) + padding) * 4
+    : Math.floor(samples / 8 * bitrate / sampleRate) + padding;
+
+  return { size, bitrate, duration: samples / sampleRate };
+}
+
+/**
+ * Walk every MPEG audio frame. Returns parallel arrays to stay light on memory
+ * for multi-hour episodes (~140k frames per hour).
+ */
+export function scanMp3Frames(filepath) {
+  const fd = fs.openSync(filepath, 'r');
+  const fileSize = fs.fstatSync(fd).size;
+  const BLOCK = 1024 * 1024;
+  const block = Buffer.alloc(BLOCK + 4);
+  let blockStart = -1;
+  let blockLength = 0;
+
+  const load = (pos) => {
+    if (pos >= blockStart && pos + 4 <= blockStart + blockLength) return pos - blockStart;
+    blockStart = pos;
+    blockLength = fs.readSync(fd, block, 0, BLOCK + 4, pos);
+    return 0;
+  };
+
+  const offsets = [];
+  const sizes = [];
+  const durations = [];
+  const bitrates = [];
+
+  try {
+    let pos = 0;
+    const i0 = load(0);
+    if (block.toString('ascii', i0, i0 + 3) === 'ID3') {
+      const tagSize = ((block[i0 + 6] & 0x7f) << 21) | ((block[i0 + 7] & 0x7f) << 14) | ((block[i0 + 8] & 0x7f) << 7) | (block[i0 + 9] & 0x7f);
+      pos = 10 + tagSize + ((block[i0 + 5] & 0x10) ? 10 : 0);
+    }
+
+    while (pos + 4 <= fileSize) {
+      const i = load(pos);
+      const frame = parseMp3Header(block, i);
+      if (!frame || pos + frame.size > fileSize) { pos++; continue; } // Resync byte by byte
+      offsets.push(pos);
+      sizes.push(frame.size);
+      durations.push(frame.duration);
+      bitrates.push(frame.bitrate);
+      pos += frame.size;
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  if (!offsets.length) {
+    throw new AudioProcessingError('No MPEG frames found', 'INVALID_AUDIO', 'Audio file appears to be corrupted.', ['Re-export the episode as MP3']);
+  }
+  return { offsets, sizes, durations, bitrates };
+}
+
+function planMp3Chunks(filepath, options) {
+  const { offsets, sizes, durations, bitrates } = scanMp3Frames(filepath);
+  const times = new Float64Array(offsets.length + 1);
+  for (let i = 0; i < durations.length; i++) times[i + 1] = times[i] + durations[i];
+  const duration = times[offsets.length];
+
+  const totalBytes = offsets[offsets.length - 1] + sizes[sizes.length - 1] - offsets[0];
+  const window = chunkWindowSeconds(totalBytes / duration, options);
+  const frameAt = (t) => lowerBound(times, t);
+
+  // Loudness proxy: average bitrate over SILENCE_WINDOW_SECONDS (quiet VBR frames encode small)
+  const loudnessAt = (frame) => {
+    const end = frameAt(times[frame] + CHUNK_CONFIG.SILENCE_WINDOW_SECONDS);
+    let sum = 0;
+    for (let i = frame; i < end && i < bitrates.length; i++) sum += bitrates[i];
+    return sum / Math.max(1, end - frame);
+  };
+
+  const cuts = planCuts(duration, window, (target) => {
+    const from = frameAt(target - CHUNK_CONFIG.SILENCE_SEARCH_SECONDS);
+    const to = frameAt(target + CHUNK_CONFIG.SILENCE_SEARCH_SECONDS);
+    return times[quietestIndex(from, to, frameAt(target), loudnessAt)];
+  });
+
+  const chunks = cuts.map((cut, index) => {
+    const startFrame = frameAt(Math.max(0, cut.start - cut.overlap));
+    const endFrame = Math.min(offsets.length, frameAt(cut.end));
+    return {
+      index,
+      start: times[startFrame],
+      end: times[endFrame],
+      keepFrom: cut.start,
+      keepUntil: cut.end,
+      byteStart: offsets[startFrame],
+      byteEnd: offsets[endFrame - 1] + sizes[endFrame - 1]
+    };
+  });
+
+  return { format: 'mp3', extension: '.mp3', contentType: 'audio/mpeg', duration, chunks };
+}
+
+/* ---------- WAV ---------- */
+
+function readWavLayout(fd) {
+  const buf = Buffer.alloc(12);
+  let pos = 12;
+  let fmt = null;
+  let data = null;
+  const fileSize = fs.fstatSync(fd).size;
+
+  while (pos + 8 <= fileSize && !(fmt && data)) {
+    fs.readSync(fd, buf, 0, 8, pos);
+    const id = buf.toString('ascii', 0, 4);
+    const size = buf.readUInt32LE(4);
+    if (id === 'fmt ') {
+      const body = Buffer.alloc(16);
+      fs.readSync(fd, body, 0, 16, pos + 8);
+      fmt = {
+        audioFormat: body.readUInt16LE(0),
+        channels: body.readUInt16LE(2),
+        sampleRate: body.readUInt32LE(4),
+        byteRate: body.readUInt32LE(8),
+        blockAlign: body.readUInt16LE(12),
+        bitsPerSample: body.readUInt16LE(14)
+      };
+    } else if (id === 'data') {
+      data = { offset: pos + 8, size: Math.min(size, fileSize - pos - 8) };
+    }
+    pos += 8 + size + (size % 2);
+  }
+
+  if (!fmt || !data) {
+    throw new AudioProcessingError('WAV file missing fmt or data chunk', 'INVALID_AUDIO', 'Audio file appears to be corrupted.', ['Re-export the episode as WAV or MP3']);
+  }
+  return { fmt, data };
+}
+
+function wavHeader(fmt, dataSize) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + dataSize, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(fmt.audioFormat, 20);
+  header.writeUInt16LE(fmt.channels, 22);
+  header.writeUInt32LE(fmt.sampleRate, 24);
+  header.writeUInt32LE(fmt.byteRate, 28);
+  header.writeUInt16LE(fmt.blockAlign, 32);
+  header.writeUInt16LE(fmt.bitsPerSample, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(dataSize, 40);
+  return header;
+}
+
+function planWavChunks(filepath, options) {
+  const fd = fs.openSync(filepath, 'r');
+  try {
+    const { fmt, data } = readWavLayout(fd);
+    const duration = data.size / fmt.byteRate;
+    const window = chunkWindowSeconds(fmt.byteRate, options);
+    const byteAt = (t) => data.offset + Math.min(data.size, Math.floor(t * fmt.sampleRate) * fmt.blockAlign);
+    const pcm16 = fmt.audioFormat === 1 && fmt.bitsPerSample === 16;
+
+    const cuts = planCuts(duration, window, (target) => {
+      if (!pcm16) return target;
+      // Real silence detection: RMS of 16-bit PCM over short windows around the target
+      const step = CHUNK_CONFIG.SILENCE_WINDOW_SECONDS / 5;
+      const from = Math.max(0, target - CHUNK_CONFIG.SILENCE_SEARCH_SECONDS);
+      const count = Math.floor((Math.min(duration, target + CHUNK_CONFIG.SILENCE_SEARCH_SECONDS) - from) / step);
+      const rmsAt = (k) => pcmRms(fd, byteAt(from + k * step), Math.floor(step * fmt.sampleRate) * fmt.blockAlign);
+      return from + quietestIndex(0, count, Math.round((target - from) / step), rmsAt) * step;
+    });
+
+    const chunks = cuts.map((cut, index) => {
+      const byteStart = byteAt(Math.max(0, cut.start - cut.overlap));
+      const byteEnd = byteAt(cut.end);
+      return {
+        index,
+        start: (byteStart - data.offset) / fmt.byteRate,
+        end: (byteEnd - data.offset) / fmt.byteRate,
+        keepFrom: cut.start,
+        keepUntil: cut.end,
+        byteStart,
+        byteEnd,
+        header: wavHeader(fmt, byteEnd - byteStart)
+      };
+    });
+
+    return { format: 'wav', extension: '.wav', contentType: 'audio/wav', duration, chunks };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function pcmRms(fd, offset, length) {
+  const buf = Buffer.alloc(Math.max(2, length - (length % 2)));
+  const read = fs.readSync(fd, buf, 0, buf.length, offset);
+  let sum = 0;
+  const n = Math.floor(read / 2);
+  for (let i = 0; i < n; i++) { const v = buf.readInt16LE(i * 2); sum += v * v; }
+  return n ? Math.sqrt(sum / n) : 0;
+}
+
+/* ---------- Shared planning ---------- */
+
+/**
+ * Window length honouring both the time target and the provider byte limit
+ */
+function chunkWindowSeconds(bytesPerSecond, options) {
+  const chunkSeconds = options.chunkSeconds || CHUNK_CONFIG.CHUNK_SECONDS;
+  if (!options.maxChunkBytes) return chunkSeconds;
+  const overlap = options.overlapSeconds ?? CHUNK_CONFIG.OVERLAP_SECONDS;
+  const byBytes = (options.maxChunkBytes * CHUNK_CONFIG.SIZE_HEADROOM) / bytesPerSecond - overlap - CHUNK_CONFIG.SILENCE_SEARCH_SECONDS;
+  return Math.max(30, Math.min(chunkSeconds, byBytes));
+}
+
+/**
+ * Nominal [start, end) ranges; each interior boundary is moved to the quietest nearby point
+ */
+function planCuts(duration, window, findQuietCut) {
+  const overlap = CHUNK_CONFIG.OVERLAP_SECONDS;
+  const boundaries = [0];
+  while (duration - boundaries[boundaries.length - 1] > window * 1.1) {
+    const target = boundaries[boundaries.length - 1] + window;
+    boundaries.push(Math.min(duration, Math.max(boundaries[boundaries.length - 1] + 1, findQuietCut(target))));
+  }
+  boundaries.push(duration);
+
+  return boundaries.slice(0, -1).map((start, i) => ({
+    start,
+    end: boundaries[i + 1],
+    overlap: i === 0 ? 0 : overlap
+  }));
+}
+
+/**
+ * Index in [from, to) with the lowest loudness; ties go to the one nearest `preferred`
+ */
+function quietestIndex(from, to, preferred, loudnessAt) {
+  let best = preferred;
+  let bestValue = Infinity;
+  for (let i = from; i < to; i++) {
+    const value = loudnessAt(i);
+    if (value < bestValue || (value === bestValue && Math.abs(i - preferred) < Math.abs(best - preferred))) {
+      best = i;
+      bestValue = value;
+    }
+  }
+  return best;
+}
+
+function lowerBound(sorted, value) {
+  let lo = 0;
+  let hi = sorted.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid] < value) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/* ---------- Stitching ---------- */
+
+/**
+ * Merge per-chunk transcripts into one. Segment times are shifted by the chunk start;
+ * the overlap is resolved by keeping each segment only in the chunk that owns its midpoint,
+ * then dropping a boundary segment that repeats its predecessor.
+ * @param {Array<{chunk: object, transcript: string, segments: object[]}>} parts - in chunk order
+ * @returns {{ transcript: string, segments: object[] }}
+ */
+export function stitchChunkTranscripts(parts) {
+  const hasSegments = parts.every(p => p.segments?.length);
+  if (!hasSegments) {
+    return {
+      transcript: parts.reduce((text, p) => mergeTextOverlap(text, p.transcript || ''), '').trim(),
+      segments: []
+    };
+  }
+
+  const segments = [];
+  parts.forEach((part, partIndex) => {
+    const isLast = partIndex === parts.length - 1;
+    for (const s of part.segments) {
+      const start = round(s.start + part.chunk.start);
+      const end = round(s.end + part.chunk.start);
+      const mid = (start + end) / 2;
+      if (partIndex > 0 && mid < part.chunk.keepFrom) continue;
+      if (!isLast && mid >= part.chunk.keepUntil) continue;
+
+      const previous = segments[segments.length - 1];
+      if (previous && start < previous.end && isSameSpeech(previous.text, s.text)) continue;
+      segments.push({ id: segments.length, start, end, text: s.text });
+    }
+  });
+
+  return { transcript: segments.map(s => s.text).join(' '), segments };
+}
+
+function mergeTextOverlap(left, right) {
+  if (!left) return right;
+  const a = left.split(/\s+/);
+  const b = right.split(/\s+/);
+  const norm = (w) => w.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+  for (let n = Math.min(40, a.length, b.length); n >= 3; n--) {
+    const tail = a.slice(-n).map(norm).join(' ');
+    if (tail === b.slice(0, n).map(norm).join(' ')) return `${left} ${b.slice(n).join(' ')}`;
+  }
+  return `${left} ${right}`;
+}
+
+function isSameSpeech(a, b) {
+  const words = (t) => new Set(t.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').split(/\s+/).filter(Boolean));
+  const wa = words(a);
+  const wb = words(b);
+  if (!wa.size || !wb.size) return false;
+  let shared = 0;
+  wb.forEach(w => { if (wa.has(w)) shared++; });
+  return shared / Math.min(wa.size, wb.size) >= 0.8;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,243 @@
+// lib/audiogram.js - Audio clips and audiograms cut from a stored episode's audio
+// A bundled static ffmpeg (@ffmpeg-installer/ffmpeg) seeks straight into the episode's Blob copy, or its
+// original enclosure, over HTTP, so a one-minute clip doesn't download the whole episode. Every render
+// produces an MP3 of the span. The audiogram adds a waveform and the caption on a square or vertical
+// canvas: an MP4 with sound, or a silent looping GIF. Captions are set in DejaVu Sans Bold
+// (dejavu-fonts-ttf), because serverless images ship without system fonts. Outputs go to Vercel Blob.
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { createRequire } from 'module';
+import { put } from '@vercel/blob';
+import ffmpeg from '@ffmpeg-installer/ffmpeg';
+import { PipelineError } from './errors.js';
+import { formatTimestamp } from './segments.js';
+import { safeName } from './download.js';
+
+export const AUDIOGRAM_CONFIG = {
+  CANVASES: {
+    square: { width: 1080, height: 1080 },
+    vertical: { width: 1080, height: 1920 }
+  },
+  OUTPUTS: ['mp4', 'gif'],
+  MIN_SECONDS: 3,
+  MAX_SECONDS: 120,             // recommended clips stop at 90s; hand-picked spans get some slack
+  PAD_SECONDS: 0.3,             // breath either side so the first and last words aren't clipped
+  FPS: 25,
+  GIF: { FPS: 12, WIDTH: 540 },
+  LAYOUT: { CAPTION_Y: 0.3, WAVE_Y: 0.55, WAVE_HEIGHT: 0.2, LABEL_Y: 0.86 }, // fractions of canvas height
+  BACKGROUND: '0x111827',
+  WAVE_COLOR: '0x8B5CF6',
+  CAPTION_MAX_CHARS: 140,
+  CAPTION_LINE_CHARS: 24,
+  CAPTION_FONT_SIZE: 64,
+  LABEL_FONT_SIZE: 34,
+  LABEL_MAX_CHARS: 50,
+  AUDIO_BITRATE: '128k',
+  TIMEOUT_MS: 240_000,
+  TEMP_DIR: os.tmpdir()
+};
+
+const FONT_FILE = createRequire(import.meta.url).resolve('dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf');
+
+/**
+ * Audio the episode was analysed from: the Blob copy when there is one, else the original enclosure
+ */
+export function episodeAudioUrl(episode) {
+  return episode?.metadata?.blobUrl || episode?.metadata?.audioUrl || null;
+}
+
+/**
+ * The span to cut: a recommended clip (1-based rank), a tweetable quote (1-based, via quote_timestamps)
+ * or explicit start/end seconds. Throws PipelineError 400 / 422 when the span can't be used.
+ * @returns {{ start: number, end: number, caption: string, from: 'clip'|'quote'|'range', ref: number|null }}
+ */
+export function resolveSpan(episode, { clip, quote, start, end, caption } = {}) {
+  let span;
+  if (clip != null) {
+    const recommended = episode.clips?.clips?.find(c => c.rank === Number(clip));
+    if (!recommended) throw new PipelineError(`No recommended clip ${clip} for this episode`, 400);
+    span = { start: recommended.start, end: recommended.end, caption: recommended.caption, from: 'clip', ref: recommended.rank };
+  } else if (quote != null) {
+    const index = Number(quote) - 1;
+    const text = episode.analysis?.tweetable_quotes?.[index];
+    if (!text) throw new PipelineError(`No tweetable quote ${quote} for this episode`, 400);
+    const located = episode.analysis.quote_timestamps?.[index];
+    if (!located) {
+      throw new PipelineError(`Quote ${quote} wasn't found in the timestamped transcript; pass start and end instead`, 422);
+    }
+    span = { start: located.start, end: located.end, caption: text.replace(/\s*#\w+/g, '').trim(), from: 'quote', ref: index + 1 };
+  } else {
+    span = { start: Number(start), end: Number(end), caption: '', from: 'range', ref: null };
+  }
+
+  if (!Number.isFinite(span.start) || !Number.isFinite(span.end) || span.start < 0 || span.end <= span.start) {
+    throw new PipelineError('Pass clip, quote, or start and end in seconds with end after start', 400);
+  }
+  span.start = roundSeconds(Math.max(0, span.start - AUDIOGRAM_CONFIG.PAD_SECONDS));
+  span.end = roundSeconds(Math.min(episode.duration_seconds || Infinity, span.end + AUDIOGRAM_CONFIG.PAD_SECONDS));
+  const seconds = span.end - span.start;
+  if (seconds < AUDIOGRAM_CONFIG.MIN_SECONDS || seconds > AUDIOGRAM_CONFIG.MAX_SECONDS) {
+    throw new PipelineError(`Clips must be ${AUDIOGRAM_CONFIG.MIN_SECONDS}–${AUDIOGRAM_CONFIG.MAX_SECONDS} seconds (got ${Math.round(seconds)})`, 400);
+  }
+  if (caption != null) span.caption = String(caption);
+  span.caption = span.caption.replace(/\s+/g, ' ').trim().slice(0, AUDIOGRAM_CONFIG.CAPTION_MAX_CHARS);
+  return span;
+}
+
+/**
+ * Cut the span to MP3 and, unless audiogram is false, render the audiogram; both are uploaded to Blob
+ * @param {object} episode - stored episode
+ * @param {object} span - resolveSpan() result
+ * @param {object} [options] - { canvas: 'vertical'|'square', output: 'mp4'|'gif', audiogram: boolean }
+ * @returns {Promise<object>} asset: { id, from, ref, start, end, duration, timestamp, caption, audio_url, audiogram_url, canvas, output, created_at }
+ */
+export async function renderClip(episode, span, { canvas = 'vertical', output = 'mp4', audiogram = true } = {}) {
+  const size = AUDIOGRAM_CONFIG.CANVASES[canvas];
+  if (!size) throw new PipelineError(`canvas must be one of ${Object.keys(AUDIOGRAM_CONFIG.CANVASES).join(', ')}`, 400);
+  if (!AUDIOGRAM_CONFIG.OUTPUTS.includes(output)) throw new PipelineError(`output must be one of ${AUDIOGRAM_CONFIG.OUTPUTS.join(', ')}`, 400);
+  const source = episodeAudioUrl(episode);
+  if (!source) {
+    throw new PipelineError('No stored audio for this episode (direct MP3 uploads are not kept); analyse it from Blob or a feed to cut clips', 409);
+  }
+
+  const duration = roundSeconds(span.end - span.start);
+  const dir = await fs.promises.mkdtemp(path.join(AUDIOGRAM_CONFIG.TEMP_DIR, 'clip-'));
+  const name = `${safeName(episode.title || 'episode')}-${formatTimestamp(span.start).replace(/:/g, '-')}`;
+  try {
+    console.log(`✂️ Cutting ${formatTimestamp(span.start)}–${formatTimestamp(span.end)} from "${episode.title}"`);
+    const audioPath = path.join(dir, 'clip.mp3');
+    await runFfmpeg([
+      '-ss', String(span.start), '-t', String(duration), '-i', source,
+      '-vn', '-c:a', 'libmp3lame', '-b:a', AUDIOGRAM_CONFIG.AUDIO_BITRATE, audioPath
+    ]);
+    const audio = await upload(`clips/${name}.mp3`, audioPath, 'audio/mpeg');
+
+    let video = null;
+    if (audiogram) {
+      console.log(`🎞️ Rendering ${canvas} ${output.toUpperCase()} audiogram (${Math.round(duration)}s)`);
+      const videoPath = path.join(dir, `audiogram.${output}`);
+      const label = [episode.podcast_title, episode.title].filter(Boolean).join(' · ');
+      await runFfmpeg(await audiogramArgs(audioPath, videoPath, { ...size, duration, caption: span.caption, label, output, dir }));
+      video = await upload(`clips/${name}-${canvas}.${output}`, videoPath, output === 'gif' ? 'image/gif' : 'video/mp4');
+    }
+
+    return {
+      id: crypto.randomUUID(),
+      from: span.from,
+      ref: span.ref,
+      start: span.start,
+      end: span.end,
+      duration,
+      timestamp: formatTimestamp(span.start),
+      caption: span.caption,
+      audio_url: audio.url,
+      audiogram_url: video?.url || null,
+      canvas: video ? canvas : null,
+      output: video ? output : null,
+      created_at: new Date().toISOString()
+    };
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Background, waveform band, one centred drawtext per caption line and a small show / episode label.
+ * Text goes through files so captions never need filtergraph escaping.
+ */
+async function audiogramArgs(input, outPath, { width, height, duration, caption, label, output, dir }) {
+  const { LAYOUT, CAPTION_FONT_SIZE, LABEL_FONT_SIZE, FPS } = AUDIOGRAM_CONFIG;
+  const waveHeight = Math.round(height * LAYOUT.WAVE_HEIGHT);
+  const lines = wrapText(caption, AUDIOGRAM_CONFIG.CAPTION_LINE_CHARS);
+  const lineHeight = Math.round(CAPTION_FONT_SIZE * 1.3);
+  const captionTop = Math.round(height * LAYOUT.CAPTION_Y - (lines.length * lineHeight) / 2);
+
+  const texts = [];
+  for (const [i, line] of lines.entries()) {
+    texts.push({ text: line, size: CAPTION_FONT_SIZE, color: 'white', y: captionTop + i * lineHeight });
+  }
+  if (label) texts.push({ text: shorten(label, AUDIOGRAM_CONFIG.LABEL_MAX_CHARS), size: LABEL_FONT_SIZE, color: 'white@0.7', y: Math.round(height * LAYOUT.LABEL_Y) });
+
+  const draws = [];
+  for (const [i, t] of texts.entries()) {
+    const file = path.join(dir, `text-${i}.txt`);
+    await fs.promises.writeFile(file, t.text);
+    draws.push(`drawtext=fontfile=${filterPath(FONT_FILE)}:textfile=${filterPath(file)}:expansion=none:fontsize=${t.size}:fontcolor=${t.color}:x=(w-text_w)/2:y=${t.y}`);
+  }
+
+  const filters = [
+    `color=c=${AUDIOGRAM_CONFIG.BACKGROUND}:s=${width}x${height}:r=${FPS}:d=${duration}[bg]`,
+    `[0:a]aformat=channel_layouts=mono,showwaves=s=${width}x${waveHeight}:mode=cline:scale=sqrt:colors=${AUDIOGRAM_CONFIG.WAVE_COLOR}:rate=${FPS}[wave]`,
+    `[bg][wave]overlay=0:${Math.round(height * LAYOUT.WAVE_Y)}:shortest=1${draws.length ? ',' + draws.join(',') : ''}[v]`
+  ];
+
+  if (output === 'gif') {
+    const { GIF } = AUDIOGRAM_CONFIG;
+    filters.push(`[v]fps=${GIF.FPS},scale=${GIF.WIDTH}:-1:flags=lanczos,split[g0][g1]`, '[g0]palettegen[p]', '[g1][p]paletteuse[out]');
+    return ['-i', input, '-filter_complex', filters.join(';'), '-map', '[out]', '-loop', '0', outPath];
+  }
+  return [
+    '-i', input, '-filter_complex', filters.join(';'), '-map', '[v]', '-map', '0:a',
+    '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '26', '-pix_fmt', 'yuv420p',
+    '-c:a', 'aac', '-b:a', AUDIOGRAM_CONFIG.AUDIO_BITRATE, '-shortest', '-movflags', '+faststart', outPath
+  ];
+}
+
+function runFfmpeg(args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(ffmpeg.path, ['-hide_banner', '-loglevel', 'error', '-y', ...args]);
+    let stderr = '';
+    child.stderr.on('data', chunk => { stderr = (stderr + chunk).slice(-2000); });
+    const timer = setTimeout(() => child.kill('SIGKILL'), AUDIOGRAM_CONFIG.TIMEOUT_MS);
+    child.on('error', error => {
+      clearTimeout(timer);
+      reject(new PipelineError(`ffmpeg could not start: ${error.message}`, 500));
+    });
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0) return resolve();
+      const reason = signal ? `killed after ${AUDIOGRAM_CONFIG.TIMEOUT_MS / 1000}s` : stderr.trim().split('\n').pop() || `exit ${code}`;
+      reject(new PipelineError(`ffmpeg failed: ${reason}`, 500, { stderr: stderr.trim() }));
+    });
+  });
+}
+
+function upload(pathname, filePath, contentType) {
+  return put(pathname, fs.createReadStream(filePath), { access: 'public', addRandomSuffix: true, contentType });
+}
+
+/**
+ * Greedy word wrap; a single overlong word gets its own line
+ */
+function wrapText(text, maxChars) {
+  const lines = [];
+  let line = '';
+  for (const word of String(text || '').split(/\s+/).filter(Boolean)) {
+    if (line && line.length + word.length + 1 > maxChars) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+function roundSeconds(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function shorten(text, maxChars) {
+  return text.length <= maxChars ? text : `${text.slice(0, maxChars - 1).trimEnd()}…`;
+}
+
+/**
+ * Paths inside a filtergraph option: escape the option separator and quotes
+ */
+function filterPath(file) {
+  return file.replace(/\\/g, '/').replace(/([:'])/g, '\\\\$1');
+}
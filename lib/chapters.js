@@ -0,0 +1,248 @@
+// lib/chapters.js - Topical chapters from timestamped segments
+// Boundaries come from lexical shifts between neighbouring windows of the transcript (TextTiling),
+// with the analysis keyword_plan weighted up so chapters follow the topics TROOP found. Cuts are
+// snapped to a speaker change when one is near. Titles come from one small model call when an
+// OpenAI key is set, otherwise from the plan term or keyword that dominates each chapter.
+// Output: Podcasting 2.0 chapters JSON (https://github.com/Podcastindex-org/podcast-namespace/blob/main/chapters/jsonChapters.md)
+// and a YouTube description timestamp list.
+import { stopwordsFor, extractKeywords, buildCorpus } from './keywords.js';
+import { extractiveDigest } from './condense.js';
+import { chatJson } from './chat.js';
+import { formatTimestamp } from './segments.js';
+
+export const CHAPTER_CONFIG = {
+  MODEL: 'gpt-4o-mini',
+  BLOCK_SECONDS: 30,            // lexical unit compared across a candidate boundary
+  WINDOW_BLOCKS: 4,             // blocks on each side (2 minutes)
+  MIN_CHAPTER_SECONDS: 120,
+  TARGET_CHAPTER_SECONDS: 420,  // chapter count ≈ duration / 7 minutes
+  MAX_CHAPTERS: 15,
+  PLAN_WEIGHT: 2,               // keyword_plan words count double
+  TITLE_MAX_CHARS: 60,
+  EXCERPT_TOKENS: 160,
+  TEMPERATURE: 0.3,
+  TIMEOUT_MS: 45_000
+};
+
+// YouTube only renders chapters with at least 3 timestamps, the first at 0:00, each ≥ 10s
+const YOUTUBE_MIN_CHAPTERS = 3;
+
+/**
+ * @param {object} params
+ * @param {object[]} params.segments - timestamped (optionally diarized) segments
+ * @param {object} [params.analysis] - TROOP analysis; keyword_plan / topics_keywords guide boundaries and titles
+ * @param {string} [params.episodeTitle]
+ * @param {string} [params.language] - transcription language (stopwords)
+ * @param {string} [params.openaiApiKey] - enables model-written titles
+ * @param {object} [params.usage] - token usage accumulator (analysis._usage)
+ * @returns {Promise<{ method: 'model'|'keywords', chapters: Array<{ start, end, title, keywords }>, youtube: string, youtube_ready: boolean } | null>}
+ */
+export async function generateChapters({ segments, analysis = {}, episodeTitle, language, openaiApiKey, usage }) {
+  if (!segments?.length) return null;
+  const plan = planTerms(analysis);
+  const parts = segmentChapters(segments, { plan, language });
+  // Scored against the other chapters, so phrases used all episode long don't name one chapter
+  const corpus = parts.length > 1 ? buildCorpus(parts.map(c => c.text), { language }) : null;
+  const chapters = parts.map(chapter => ({
+    ...chapter,
+    keywords: extractKeywords(chapter.text, { language, corpus, limit: 8 }).filter(k => k.grounded).slice(0, 5).map(k => k.keyword)
+  }));
+
+  let method = 'keywords';
+  let titles = keywordTitles(chapters, plan);
+  if (openaiApiKey) {
+    try {
+      const written = await modelTitles(chapters, { episodeTitle, plan, openaiApiKey, usage });
+      titles = titles.map((title, i) => written[i] || title);
+      method = 'model';
+    } catch (error) {
+      console.warn('⚠️ Chapter titling failed, using keyword titles:', error.message);
+    }
+  }
+
+  const result = chapters.map(({ start, end, keywords }, i) => ({ start, end, title: titles[i], keywords }));
+  console.log(`📑 ${result.length} chapters (${method} titles)`);
+  return { method, chapters: result, youtube: toYoutubeTimestamps(result), youtube_ready: isYoutubeReady(result) };
+}
+
+/**
+ * Split segments into chapters at the strongest lexical shifts: at most one per
+ * TARGET_CHAPTER_SECONDS, and only where the shift stands out (above mean + ½ σ)
+ * @returns {Array<{ start: number, end: number, text: string }>}
+ */
+export function segmentChapters(segments, { plan = [], language } = {}) {
+  const stopwords = stopwordsFor(language);
+  const planWords = new Set(plan.flatMap(p => contentWords(p.terms.join(' '), stopwords)));
+  const end = Math.max(...segments.map(s => s.end));
+  const wanted = Math.min(CHAPTER_CONFIG.MAX_CHAPTERS, Math.max(1, Math.round(end / CHAPTER_CONFIG.TARGET_CHAPTER_SECONDS)));
+
+  const blocks = [];
+  for (const segment of segments) {
+    const index = Math.floor(segment.start / CHAPTER_CONFIG.BLOCK_SECONDS);
+    const block = blocks[index] || (blocks[index] = { segments: [], terms: new Map() });
+    block.segments.push(segment);
+    for (const word of contentWords(segment.text, stopwords)) {
+      block.terms.set(word, (block.terms.get(word) || 0) + (planWords.has(word) ? CHAPTER_CONFIG.PLAN_WEIGHT : 1));
+    }
+  }
+
+  // Lexical distance between the windows either side of each block boundary
+  const candidates = [];
+  for (let i = 1; i < blocks.length; i++) {
+    if (!blocks[i]) continue;
+    const left = mergeTerms(blocks.slice(Math.max(0, i - CHAPTER_CONFIG.WINDOW_BLOCKS), i));
+    const right = mergeTerms(blocks.slice(i, i + CHAPTER_CONFIG.WINDOW_BLOCKS));
+    candidates.push({ time: cutTime(blocks[i].segments, blocks[i - 1]?.segments), score: 1 - cosine(left, right) });
+  }
+
+  const scores = candidates.map(c => c.score);
+  const mean = scores.reduce((sum, s) => sum + s, 0) / (scores.length || 1);
+  const deviation = Math.sqrt(scores.reduce((sum, s) => sum + (s - mean) ** 2, 0) / (scores.length || 1));
+  const cuts = [];
+  for (const candidate of candidates.sort((a, b) => b.score - a.score)) {
+    if (cuts.length >= wanted - 1 || candidate.score <= mean + deviation / 2) break;
+    const clear = [0, end, ...cuts].every(t => Math.abs(candidate.time - t) >= CHAPTER_CONFIG.MIN_CHAPTER_SECONDS);
+    if (clear) cuts.push(candidate.time);
+  }
+
+  const starts = [0, ...cuts.sort((a, b) => a - b)];
+  return starts.map((start, i) => {
+    const stop = starts[i + 1] ?? end;
+    return {
+      start,
+      end: stop,
+      text: segments.filter(s => s.start >= start && s.start < stop).map(s => s.text).join(' ')
+    };
+  });
+}
+
+/**
+ * Podcasting 2.0 JSON chapters (served as application/json+chapters)
+ */
+export function toChaptersJson(chapters, { title, podcastTitle } = {}) {
+  return {
+    version: '1.2.0',
+    ...(title ? { title } : {}),
+    ...(podcastTitle ? { podcastName: podcastTitle } : {}),
+    chapters: (chapters || []).map(c => ({ startTime: c.start, endTime: c.end, title: c.title }))
+  };
+}
+
+/**
+ * "0:00 Title" lines for a YouTube / show-notes description
+ */
+export function toYoutubeTimestamps(chapters) {
+  return (chapters || []).map(c => `${formatTimestamp(c.start)} ${c.title}`).join('\n');
+}
+
+/**
+ * Whether YouTube will turn the list into chapters
+ */
+export function isYoutubeReady(chapters) {
+  return (chapters || []).length >= YOUTUBE_MIN_CHAPTERS
+    && chapters[0].start === 0
+    && chapters.every(c => c.end - c.start >= 10);
+}
+
+/**
+ * keyword_plan entries as term lists; topics_keywords when the plan is missing
+ */
+function planTerms(analysis) {
+  if (Array.isArray(analysis.keyword_plan) && analysis.keyword_plan.length) {
+    return analysis.keyword_plan
+      .filter(p => p?.primary_intent)
+      .map(p => ({ title: p.primary_intent, terms: [p.primary_intent, ...(p.semantic_neighbors || [])] }));
+  }
+  return (analysis.topics_keywords || []).filter(Boolean).map(k => ({ title: k, terms: [k] }));
+}
+
+/**
+ * Per chapter: the plan topic it mentions most, else its top keyword; never the previous chapter's title
+ */
+function keywordTitles(chapters, plan) {
+  const titles = [];
+  chapters.forEach((chapter, i) => {
+    const text = ` ${normalize(chapter.text)} `;
+    const topics = plan
+      .map(p => ({ title: p.title, hits: p.terms.reduce((sum, term, j) => sum + mentions(text, term) * (j === 0 ? 2 : 1), 0) }))
+      .filter(p => p.hits > 0)
+      .sort((a, b) => b.hits - a.hits)
+      .map(p => p.title);
+    const options = [...topics, ...chapter.keywords].map(titleCase);
+    titles.push(options.find(t => t !== titles[i - 1]) || (i === 0 ? 'Introduction' : `Part ${i + 1}`));
+  });
+  return titles;
+}
+
+async function modelTitles(chapters, { episodeTitle, plan, openaiApiKey, usage }) {
+  const prompt = [
+    `Write a chapter title for each of the ${chapters.length} chapters of this podcast episode.`,
+    `Titles: at most ${CHAPTER_CONFIG.TITLE_MAX_CHARS} characters, specific to what is discussed, no numbering, no timestamps.`,
+    'Prefer the episode\'s searchable topics where they fit. Return JSON { "titles": ["", ...] } in chapter order.',
+    '',
+    `Episode: ${episodeTitle || 'Untitled episode'}`,
+    `Topics: ${plan.map(p => p.title).join(', ') || 'n/a'}`,
+    '',
+    ...chapters.map((c, i) => [
+      `[${i + 1}] ${formatTimestamp(c.start)}–${formatTimestamp(c.end)} | keywords: ${c.keywords.join(', ') || 'n/a'}`,
+      extractiveDigest(c.text, { budgetTokens: CHAPTER_CONFIG.EXCERPT_TOKENS }),
+      ''
+    ].join('\n'))
+  ].join('\n');
+
+  const { titles } = await chatJson(prompt, {
+    openaiApiKey,
+    model: CHAPTER_CONFIG.MODEL,
+    maxTokens: 40 * chapters.length + 50,
+    temperature: CHAPTER_CONFIG.TEMPERATURE,
+    timeoutMs: CHAPTER_CONFIG.TIMEOUT_MS,
+    usage
+  });
+  if (!Array.isArray(titles) || titles.length !== chapters.length) throw new Error('Title count does not match chapters');
+  return titles.map(t => String(t || '').trim().slice(0, CHAPTER_CONFIG.TITLE_MAX_CHARS));
+}
+
+/**
+ * First segment of the block, or the first speaker change inside it when diarized
+ */
+function cutTime(blockSegments, previousSegments = []) {
+  let previous = previousSegments[previousSegments.length - 1];
+  for (const segment of blockSegments) {
+    if (previous?.speaker && segment.speaker && segment.speaker !== previous.speaker) return segment.start;
+    previous = segment;
+  }
+  return blockSegments[0].start;
+}
+
+function mergeTerms(blocks) {
+  const merged = new Map();
+  for (const block of blocks) {
+    for (const [term, count] of block?.terms || []) merged.set(term, (merged.get(term) || 0) + count);
+  }
+  return merged;
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  for (const [term, count] of a) dot += count * (b.get(term) || 0);
+  const norm = (m) => Math.sqrt([...m.values()].reduce((sum, c) => sum + c * c, 0));
+  const denominator = norm(a) * norm(b);
+  return denominator ? dot / denominator : 0;
+}
+
+function contentWords(text, stopwords) {
+  return normalize(text).split(' ').filter(w => w.length >= 3 && !stopwords.has(w) && !/^\d+$/.test(w));
+}
+
+function normalize(text) {
+  return String(text || '').toLowerCase().replace(/['’]/g, '').replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+function mentions(paddedText, term) {
+  const phrase = normalize(term);
+  return phrase ? paddedText.split(` ${phrase} `).length - 1 : 0;
+}
+
+function titleCase(value) {
+  return String(value).trim().replace(/(^|\s)(\p{L})/gu, (match, space, letter) => space + letter.toUpperCase());
+}
@@ -0,0 +1,62 @@
+// lib/chat.js - JSON-mode OpenAI chat completions shared by TROOP, condensation, chapters, show notes and clips
+// One request shape, one error shape and one place where token usage is recorded for cost tracking.
+import { recordChatUsage } from './costs.js';
+
+export const CHAT_CONFIG = {
+  CHAT_URL: 'https://api.openai.com/v1/chat/completions'
+};
+
+/**
+ * Single JSON-forced chat completion
+ * @param {string} prompt - user message
+ * @param {object} options
+ * @param {string} options.openaiApiKey
+ * @param {string} options.model
+ * @param {number} options.maxTokens
+ * @param {number} options.temperature
+ * @param {number} options.timeoutMs
+ * @param {string} [options.system] - system message
+ * @param {object} [options.usage] - token usage accumulator (analysis._usage), see recordChatUsage
+ * @returns {Promise<object>} the parsed JSON content
+ * @throws {Error} on network / HTTP / parse failure; HTTP and parse errors carry the response status
+ */
+export async function chatJson(prompt, { openaiApiKey, model, maxTokens, temperature, timeoutMs, system, usage }) {
+  const { default: fetch } = await import('node-fetch');
+  const resp = await fetch(CHAT_CONFIG.CHAT_URL, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${openaiApiKey}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      model,
+      response_format: { type: 'json_object' },
+      temperature,
+      max_tokens: maxTokens,
+      messages: [...(system ? [{ role: 'system', content: system }] : []), { role: 'user', content: prompt }],
+    }),
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+
+  const text = await resp.text();
+  if (!resp.ok) throw chatError(`HTTP ${resp.status} ${text.slice(0, 400)}`, resp.status);
+
+  let data;
+  try { data = JSON.parse(text); } catch (e) {
+    throw chatError(`JSON parse error: ${e.message} | raw=${text.slice(0, 300)}`, resp.status);
+  }
+  recordChatUsage(usage, model, data.usage);
+  const content = data.choices?.[0]?.message?.content;
+  if (!content) throw chatError('No content in response', resp.status);
+
+  try { return JSON.parse(content); }
+  catch {
+    // json_object mode occasionally wraps the object in prose
+    const match = content.match(/\{[\s\S]*\}/);
+    if (match) { try { return JSON.parse(match[0]); } catch {} }
+    throw chatError('Model content not valid JSON', resp.status);
+  }
+}
+
+function chatError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
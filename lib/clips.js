@@ -0,0 +1,248 @@
+// lib/clips.js - Short-form clip recommendations for TikTok, Reels and Shorts
+// Clips are 30–90 second passages grown around the quote candidates TROOP already scored in
+// Section 3.1 (quotes_candidates_debug: insight, emotion, clarity, novelty, virality). Each candidate
+// is located in the timestamped segments and widened to whole segments, opening at the start of a
+// sentence and ending where the thought (or the speaker's turn) ends. Without candidates, as with
+// the fallback analysis, the highest-value transcript sentences seed clips instead.
+// The hook score weighs the candidate's rubric score against how the clip opens. On-screen captions
+// and vertical-video titles come from one small model call when an OpenAI key is set, otherwise
+// from the clip's opening line and its quote.
+import { VALUE_PATTERN_TYPES, splitSentences, valueScore } from './condense.js';
+import { chatJson } from './chat.js';
+import { formatTimestamp, locateQuote, speakerAt, speakerSource } from './segments.js';
+
+export const CLIP_CONFIG = {
+  MODEL: 'gpt-4o-mini',
+  MIN_SECONDS: 30,
+  MAX_SECONDS: 90,
+  TARGET_SECONDS: 45,           // long enough for hook and payoff, short enough to be watched through
+  MAX_CLIPS: 5,
+  MIN_HOOK_SCORE: 35,
+  LEAD_IN_SEGMENTS: 2,          // a setup line or the host's question just before the quote may open the clip
+  QUOTE_WEIGHT: 0.6,            // share of the hook score from the Section 3.1 rubric; the rest is the opening
+  TRANSCRIPT_SEEDS: 8,          // high-value sentences tried alongside the quote candidates
+  UNRATED_CAP: 0.7,             // a sentence the model never rated can't outrank an equal rated quote
+  CAPTION_MAX_CHARS: 80,
+  TITLE_MAX_CHARS: 70,
+  TEMPERATURE: 0.6,
+  TIMEOUT_MS: 45_000
+};
+
+const RUBRIC_MAX = 25;          // five Section 3.1 dimensions, 0–5 each
+const SENTENCE_END = /[.!?]["”')\]]*$/;
+const MID_THOUGHT = /^(?:and|but|so|or|because|which|that|um|uh)\b/i;
+const CURIOSITY = /\b(never|nobody|stop|wrong|myth|truth|actually|the reason|here's (?:why|how|what)|what if)\b/i;
+const DIRECT_ADDRESS = /\byou(?:r|'re|'ll)?\b/i;
+
+// Opening-line signals and their weight in the 0–1 opening score
+const OPENING_SIGNALS = [
+  { name: 'question', weight: 0.25, test: line => line.endsWith('?') },
+  { name: 'curiosity', weight: 0.25, test: line => CURIOSITY.test(line) },
+  { name: 'stat', weight: 0.2, test: line => VALUE_PATTERN_TYPES.stat.test(line) },
+  { name: 'emphasis', weight: 0.15, test: line => VALUE_PATTERN_TYPES.emphasis.test(line) || VALUE_PATTERN_TYPES.actionable.test(line) },
+  { name: 'direct_address', weight: 0.15, test: line => DIRECT_ADDRESS.test(line) },
+  { name: 'punchy', weight: 0.15, test: line => line.split(/\s+/).length <= 15 },
+  { name: 'mid_thought', weight: -0.3, test: line => MID_THOUGHT.test(line) || /^\p{Ll}/u.test(line) }
+];
+
+/**
+ * @param {object} params
+ * @param {object[]} params.segments - timestamped (optionally diarized) segments
+ * @param {object} [params.analysis] - TROOP analysis; quotes_candidates_debug seeds the clips
+ * @param {string} [params.episodeTitle]
+ * @param {string} [params.openaiApiKey] - enables model-written captions and titles
+ * @param {object} [params.usage] - token usage accumulator (analysis._usage)
+ * @returns {Promise<{ method: 'model'|'extractive', clips: Array<{ rank, start, end, duration, timestamp, hook_score,
+ *   scores: { quote, opening }, hook_signals: string[], speaker, speaker_source, quote, text, caption, title, hashtags: string[],
+ *   source: 'quote_candidate'|'transcript' }> } | null>}
+ */
+export async function recommendClips({ segments, analysis = {}, episodeTitle, openaiApiKey, usage }) {
+  if (!segments?.length) return null;
+  const clips = pickClips(clipSeeds(segments, analysis)
+    .map(seed => buildClip(segments, seed))
+    .filter(Boolean));
+
+  let method = 'extractive';
+  if (openaiApiKey && clips.length) {
+    try {
+      const written = await writeWithModel(clips, { episodeTitle, openaiApiKey, usage });
+      clips.forEach((clip, i) => {
+        clip.caption = written[i]?.caption || clip.caption;
+        clip.title = written[i]?.title || clip.title;
+      });
+      method = 'model';
+    } catch (error) {
+      console.warn('⚠️ Clip captions failed, using the opening lines:', error.message);
+    }
+  }
+
+  console.log(`✂️ ${clips.length} clip recommendations (${method} captions)`);
+  return { method, clips };
+}
+
+/**
+ * Located quote candidates (rated 0–1 from their Section 3.1 score) plus high-value transcript sentences
+ */
+function clipSeeds(segments, analysis) {
+  const seeds = [];
+  for (const candidate of Array.isArray(analysis.quotes_candidates_debug) ? analysis.quotes_candidates_debug : []) {
+    const location = typeof candidate?.text === 'string' ? locateQuote(candidate.text, segments) : null;
+    if (!location) continue;
+    seeds.push({
+      ...location,
+      quote: candidate.text.replace(/\s*#\w+/g, '').trim(),
+      hashtags: hashtagsOf(candidate),
+      rating: Math.min(1, rubricScore(candidate) / RUBRIC_MAX),
+      source: 'quote_candidate'
+    });
+  }
+
+  const sentences = segments
+    .flatMap(segment => splitSentences(segment.text).map(sentence => ({ sentence, segment })))
+    .filter(({ sentence }) => sentence.split(/\s+/).length >= 8)
+    .map(s => ({ ...s, score: valueScore(s.sentence) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, CLIP_CONFIG.TRANSCRIPT_SEEDS);
+  for (const { sentence, segment, score } of sentences) {
+    seeds.push({
+      start: segment.start,
+      end: segment.end,
+      quote: sentence,
+      hashtags: [],
+      rating: Math.min(1, score / 4) * CLIP_CONFIG.UNRATED_CAP,
+      source: 'transcript'
+    });
+  }
+  return seeds;
+}
+
+/**
+ * Grow a seed to whole segments: back to the start of its sentence (or to a stronger opening line
+ * up to LEAD_IN_SEGMENTS earlier), forward to TARGET_SECONDS (stopping early at a speaker change once
+ * MIN_SECONDS is reached) and on to the end of the sentence, never past MAX_SECONDS. Near the end
+ * of the episode the clip grows backwards instead.
+ */
+function buildClip(segments, seed) {
+  let i = segments.findIndex(s => s.end > seed.start);
+  let j = segments.findLastIndex(s => s.start < seed.end);
+  if (i < 0 || j < i) return null;
+  const span = () => segments[j].end - segments[i].start;
+  const fits = (from, to) => segments[to].end - segments[from].start <= CLIP_CONFIG.MAX_SECONDS;
+  if (span() > CLIP_CONFIG.MAX_SECONDS) return null;
+
+  while (i > 0 && !SENTENCE_END.test(segments[i - 1].text) && fits(i - 1, j)) i--;
+  let bestOpening = openingOf(segments[i].text).score;
+  for (let k = i - 1; k >= Math.max(0, i - CLIP_CONFIG.LEAD_IN_SEGMENTS) && fits(k, j); k--) {
+    const { score } = openingOf(segments[k].text);
+    if (score > bestOpening) {
+      bestOpening = score;
+      i = k;
+    }
+  }
+  const speaker = speakerAt(segments, seed.start, seed.end);
+  while (j + 1 < segments.length && span() < CLIP_CONFIG.TARGET_SECONDS && fits(i, j + 1)) {
+    const turnEnds = speaker && segments[j + 1].speaker && segments[j + 1].speaker !== speaker;
+    if (turnEnds && span() >= CLIP_CONFIG.MIN_SECONDS) break;
+    j++;
+  }
+  while (j + 1 < segments.length && !SENTENCE_END.test(segments[j].text) && fits(i, j + 1)) j++;
+  while (i > 0 && span() < CLIP_CONFIG.MIN_SECONDS && fits(i - 1, j)) i--;
+  if (span() < CLIP_CONFIG.MIN_SECONDS) return null;
+
+  const text = segments.slice(i, j + 1).map(s => s.text).join(' ').replace(/\s+/g, ' ').trim();
+  const { line: opening, score: openingScore, signals } = openingOf(text);
+  const start = segments[i].start;
+  const end = segments[j].end;
+
+  return {
+    start,
+    end,
+    duration: Math.round((end - start) * 100) / 100,
+    timestamp: formatTimestamp(start),
+    hook_score: Math.round(100 * (CLIP_CONFIG.QUOTE_WEIGHT * seed.rating + (1 - CLIP_CONFIG.QUOTE_WEIGHT) * openingScore)),
+    scores: { quote: Math.round(seed.rating * 100), opening: Math.round(openingScore * 100) },
+    hook_signals: signals,
+    speaker: speakerAt(segments, start, end),
+    speaker_source: speakerSource(segments),
+    quote: seed.quote,
+    text,
+    caption: shorten(opening, CLIP_CONFIG.CAPTION_MAX_CHARS),
+    title: shorten(seed.quote, CLIP_CONFIG.TITLE_MAX_CHARS),
+    hashtags: seed.hashtags,
+    source: seed.source
+  };
+}
+
+/**
+ * First sentence of the text and its 0–1 opening score
+ */
+function openingOf(text) {
+  const line = splitSentences(text)[0] || text;
+  const signals = OPENING_SIGNALS.filter(signal => signal.test(line));
+  const score = Math.max(0, Math.min(1, signals.reduce((sum, signal) => sum + signal.weight, 0)));
+  return { line, score, signals: signals.map(signal => signal.name) };
+}
+
+/**
+ * Strongest hooks first, no two clips overlapping
+ */
+function pickClips(clips) {
+  const picked = [];
+  for (const clip of clips.sort((a, b) => b.hook_score - a.hook_score)) {
+    if (picked.length >= CLIP_CONFIG.MAX_CLIPS || clip.hook_score < CLIP_CONFIG.MIN_HOOK_SCORE) break;
+    if (picked.some(p => clip.start < p.end && p.start < clip.end)) continue;
+    picked.push(clip);
+  }
+  return picked.map((clip, i) => ({ rank: i + 1, ...clip }));
+}
+
+async function writeWithModel(clips, { episodeTitle, openaiApiKey, usage }) {
+  const prompt = [
+    `Write an on-screen caption and a vertical-video title for each of these ${clips.length} podcast clips (TikTok, Reels, Shorts).`,
+    `caption: the hook shown over the first seconds, at most ${CLIP_CONFIG.CAPTION_MAX_CHARS} characters, in the speaker's words where possible.`,
+    `title: at most ${CLIP_CONFIG.TITLE_MAX_CHARS} characters, specific and curiosity-driven, no clickbait the clip doesn't pay off, no hashtags.`,
+    'Return JSON { "clips": [{ "caption": "", "title": "" }, ...] } in clip order.',
+    '',
+    `Episode: ${episodeTitle || 'Untitled episode'}`,
+    '',
+    ...clips.map((clip, i) => [
+      `[${i + 1}] ${clip.timestamp} (${Math.round(clip.duration)}s)${clip.speaker ? ` ${clip.speaker}` : ''}`,
+      clip.text,
+      ''
+    ].join('\n'))
+  ].join('\n');
+
+  const { clips: written } = await chatJson(prompt, {
+    openaiApiKey,
+    model: CLIP_CONFIG.MODEL,
+    maxTokens: 80 * clips.length + 50,
+    temperature: CLIP_CONFIG.TEMPERATURE,
+    timeoutMs: CLIP_CONFIG.TIMEOUT_MS,
+    usage
+  });
+  if (!Array.isArray(written) || written.length !== clips.length) throw new Error('Caption count does not match clips');
+  return written.map(w => ({
+    caption: shorten(String(w?.caption || '').trim(), CLIP_CONFIG.CAPTION_MAX_CHARS),
+    title: shorten(String(w?.title || '').trim(), CLIP_CONFIG.TITLE_MAX_CHARS)
+  }));
+}
+
+/**
+ * Section 3.1 total; summed from the dimension scores when the model left it out
+ */
+function rubricScore(candidate) {
+  const total = Number(candidate.score);
+  if (Number.isFinite(total)) return total;
+  return Object.values(candidate.scores || {}).reduce((sum, value) => sum + (Number(value) || 0), 0);
+}
+
+function hashtagsOf(candidate) {
+  const tags = Array.isArray(candidate.hashtags) ? candidate.hashtags : candidate.text.match(/#\w+/g) || [];
+  return [...new Set(tags.map(t => `#${String(t).replace(/^#/, '')}`))].slice(0, 3);
+}
+
+function shorten(text, maxChars) {
+  if (text.length <= maxChars) return text;
+  const cut = text.slice(0, maxChars - 1);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > maxChars / 2 ? cut.lastIndexOf(' ') : cut.length).replace(/[\s,;:–-]+$/, '')}…`;
+}
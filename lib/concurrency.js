@@ -0,0 +1,28 @@
+// lib/concurrency.js - Bounded-concurrency helpers
+
+/**
+ * Map over items with at most `limit` promises in flight; results keep input order.
+ * After the first failure no further items start, and the returned promise rejects with that
+ * error only once in-flight calls have settled, so callers can clean up shared resources safely.
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failure = null;
+
+  async function worker() {
+    while (!failure && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failure ||= { error };
+      }
+    }
+  }
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  if (failure) throw failure.error;
+  return results;
+}
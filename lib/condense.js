@@ -0,0 +1,252 @@
+// lib/condense.js - Fit a transcript into a token budget without dropping the middle of the episode
+// Short transcripts pass through verbatim. Longer ones are chunked by tokens, each chunk is
+// summarized (map), the summaries are merged until they fit (reduce), and the remaining budget
+// is filled with the highest-value verbatim sentences from across the whole episode.
+// Without an OpenAI key, or when the map step fails, the digest is extractive only.
+import { mapWithConcurrency } from './concurrency.js';
+import { chatJson } from './chat.js';
+
+export const CONDENSE_CONFIG = {
+  MODEL: 'gpt-4o-mini',
+  CHARS_PER_TOKEN: 4,          // English speech averages ~4 chars/token with cl100k / o200k
+  CHUNK_TOKENS: 3000,
+  MAX_CHUNKS: 40,              // ~5 hours of speech; longer transcripts use larger chunks
+  SUMMARY_SHARE: 0.6,          // digest budget spent on summaries; the rest on verbatim passages
+  MIN_CHUNK_SUMMARY_TOKENS: 120,
+  MAX_PASSAGE_TOKENS: 50,      // longer "sentences" (unpunctuated speech) are split before ranking
+  CONCURRENCY: 3,
+  TEMPERATURE: 0.3,
+  TIMEOUT_MS: 45_000
+};
+
+// High-value content patterns, used to pick verbatim passages (and show-note resources / takeaways)
+export const VALUE_PATTERN_TYPES = {
+  proper_noun: /\b[A-Z][a-z]*\s+[A-Z][a-z]*\b/,                    // Brand names, proper nouns
+  stat: /\$\d+|\d+%|\d+\s*(years?|months?|weeks?|days?|hours?|minutes?)/, // Numbers, stats, metrics
+  recommendation: /\b(recommend|suggest|advice|should|try|use)\b/i, // Recommendations
+  social: /\b(website|instagram|facebook|twitter|linkedin|tiktok|youtube)\b/i, // Social platforms
+  community: /\b(community|group|forum|subreddit|discord)\b/i,       // Communities
+  actionable: /\b(secret|tip|hack|strategy|method|technique|framework)\b/i, // Actionable content
+  business: /\b(brand|company|product|service|business)\b/i,        // Business mentions
+  emphasis: /\b(important|key|crucial|biggest|mistake|lesson)\b/i,  // Emphasis
+};
+export const VALUE_PATTERNS = Object.values(VALUE_PATTERN_TYPES);
+
+/**
+ * Rough token count; close enough for budgeting without shipping a tokenizer
+ */
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CONDENSE_CONFIG.CHARS_PER_TOKEN);
+}
+
+/**
+ * @param {string} transcript
+ * @param {object} options
+ * @param {number} options.budgetTokens - tokens the condensed text may use
+ * @param {string} [options.openaiApiKey] - enables the map-reduce summaries
+ * @param {object} [options.usage] - token usage accumulator (see lib/troop.js)
+ * @returns {Promise<{ text: string, mode: 'verbatim'|'digest'|'extractive', source_tokens: number, tokens: number, chunks: number, passages: number }>}
+ */
+export async function condenseTranscript(transcript, { budgetTokens, openaiApiKey, usage } = {}) {
+  const source = String(transcript || '').trim();
+  const sourceTokens = estimateTokens(source);
+  if (sourceTokens <= budgetTokens) {
+    return { text: source, mode: 'verbatim', source_tokens: sourceTokens, tokens: sourceTokens, chunks: 1, passages: 0 };
+  }
+
+  const chunks = chunkByTokens(source, chunkSizeFor(sourceTokens));
+  if (openaiApiKey) {
+    try {
+      const summaryBudget = Math.floor(budgetTokens * CONDENSE_CONFIG.SUMMARY_SHARE);
+      const summaries = await summarizeChunks(chunks, summaryBudget, openaiApiKey, usage);
+      const digest = await reduceSummaries(summaries, summaryBudget, openaiApiKey, usage);
+      const passages = selectPassages(chunks, budgetTokens - estimateTokens(digest));
+      const text = [
+        '=== EPISODE DIGEST (summarized in order) ===',
+        digest,
+        '',
+        '=== VERBATIM PASSAGES ===',
+        passages.join('\n'),
+        '',
+        `[Condensed from ~${sourceTokens} tokens in ${chunks.length} chunks]`
+      ].join('\n');
+      console.log(`🗜️ Condensed transcript ${sourceTokens} → ${estimateTokens(text)} tokens (${chunks.length} chunks)`);
+      return { text, mode: 'digest', source_tokens: sourceTokens, tokens: estimateTokens(text), chunks: chunks.length, passages: passages.length };
+    } catch (error) {
+      console.warn('⚠️ Map-reduce condensation failed, using extractive digest:', error.message);
+    }
+  }
+
+  const passages = selectPassages(chunks, budgetTokens - 20);
+  const text = [...passages, `[Excerpted from ~${sourceTokens} tokens]`].join('\n');
+  return { text, mode: 'extractive', source_tokens: sourceTokens, tokens: estimateTokens(text), chunks: chunks.length, passages: passages.length };
+}
+
+/**
+ * Model-free digest: the best verbatim sentences from every part of the episode, in order
+ * @param {string} transcript
+ * @param {object} options - { budgetTokens }
+ */
+export function extractiveDigest(transcript, { budgetTokens } = {}) {
+  const source = String(transcript || '').trim();
+  if (estimateTokens(source) <= budgetTokens) return source;
+  const chunks = chunkByTokens(source, chunkSizeFor(estimateTokens(source)));
+  return [
+    ...selectPassages(chunks, budgetTokens - 20),
+    `[Excerpted from ~${estimateTokens(source)} tokens]`
+  ].join('\n');
+}
+
+/**
+ * Sentence-aligned chunks of at most maxTokens (a single overlong sentence is split hard)
+ */
+export function chunkByTokens(text, maxTokens) {
+  const maxChars = maxTokens * CONDENSE_CONFIG.CHARS_PER_TOKEN;
+  const chunks = [];
+  let current = '';
+  for (const sentence of splitSentences(text)) {
+    for (let i = 0; i < sentence.length; i += maxChars) {
+      const piece = sentence.slice(i, i + maxChars);
+      if (current && current.length + piece.length + 1 > maxChars) {
+        chunks.push(current);
+        current = '';
+      }
+      current = current ? `${current} ${piece}` : piece;
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+export function splitSentences(text) {
+  return String(text || '').split(/(?<=[.!?])\s+/).map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Pattern hits, with a preference for sentences long enough to stand alone
+ */
+export function valueScore(sentence) {
+  const hits = VALUE_PATTERNS.filter(pattern => pattern.test(sentence)).length;
+  const words = sentence.split(/\s+/).length;
+  return hits + (words >= 8 && words <= 40 ? 0.5 : 0);
+}
+
+function chunkSizeFor(sourceTokens) {
+  return Math.max(CONDENSE_CONFIG.CHUNK_TOKENS, Math.ceil(sourceTokens / CONDENSE_CONFIG.MAX_CHUNKS));
+}
+
+/**
+ * Equal share of the budget per chunk, highest-value sentences first, re-emitted in spoken order.
+ * A chunk where nothing scores (no pattern hits) is sampled evenly instead, so it is never dropped.
+ */
+function selectPassages(chunks, budgetTokens) {
+  if (budgetTokens <= 0 || !chunks.length) return [];
+  const perChunk = Math.floor(budgetTokens / chunks.length);
+  const passages = [];
+
+  for (const chunk of chunks) {
+    const sentences = boundedSentences(chunk, Math.max(1, Math.min(perChunk, CONDENSE_CONFIG.MAX_PASSAGE_TOKENS)))
+      .map((sentence, index) => ({ sentence, index, score: valueScore(sentence) }));
+    let ranked = sentences
+      .filter(s => s.score > 0.5)
+      .sort((a, b) => b.score - a.score || a.index - b.index);
+    if (!ranked.length) ranked = evenlySpaced(sentences, perChunk);
+
+    let used = 0;
+    const picked = [];
+    for (const candidate of ranked) {
+      const cost = estimateTokens(candidate.sentence) + 1;
+      if (used + cost > perChunk) continue;
+      used += cost;
+      picked.push(candidate);
+    }
+    if (picked.length) passages.push(picked.sort((a, b) => a.index - b.index).map(p => p.sentence).join(' … '));
+  }
+  return passages;
+}
+
+/**
+ * Sentences of at most maxTokens; longer ones are split on word boundaries (or hard, for one huge word)
+ */
+function boundedSentences(text, maxTokens) {
+  const maxChars = maxTokens * CONDENSE_CONFIG.CHARS_PER_TOKEN;
+  return splitSentences(text).flatMap((sentence) => {
+    if (sentence.length <= maxChars) return [sentence];
+    const pieces = [];
+    let current = '';
+    for (const word of sentence.split(/\s+/)) {
+      for (let i = 0; i < word.length; i += maxChars) {
+        const part = word.slice(i, i + maxChars);
+        if (current && current.length + part.length + 1 > maxChars) {
+          pieces.push(current);
+          current = '';
+        }
+        current = current ? `${current} ${part}` : part;
+      }
+    }
+    if (current) pieces.push(current);
+    return pieces;
+  });
+}
+
+/**
+ * As many sentences as the budget roughly holds, spread from the first to the last
+ */
+function evenlySpaced(sentences, budgetTokens) {
+  if (!sentences.length) return [];
+  const average = sentences.reduce((sum, s) => sum + estimateTokens(s.sentence) + 1, 0) / sentences.length;
+  const count = Math.max(1, Math.min(sentences.length, Math.floor(budgetTokens / average)));
+  if (count === 1) return [sentences[0]];
+  const step = (sentences.length - 1) / (count - 1);
+  return Array.from({ length: count }, (_, i) => sentences[Math.round(i * step)]);
+}
+
+async function summarizeChunks(chunks, summaryBudget, openaiApiKey, usage) {
+  const perChunk = Math.max(CONDENSE_CONFIG.MIN_CHUNK_SUMMARY_TOKENS, Math.floor(summaryBudget / chunks.length));
+  return mapWithConcurrency(chunks, CONDENSE_CONFIG.CONCURRENCY, (chunk, i) => summarize(
+    [
+      `Part ${i + 1} of ${chunks.length} of a podcast transcript.`,
+      `Summarize it in at most ${Math.round(perChunk * 0.75)} words for a marketing strategist.`,
+      'Keep names, numbers, concrete advice, stories and memorable phrasing; drop small talk and ads.',
+      'Return JSON { "summary": "" }.',
+      '',
+      chunk
+    ].join('\n'),
+    perChunk, openaiApiKey, usage
+  ));
+}
+
+/**
+ * Merge neighbouring summaries until the digest fits the summary budget
+ */
+async function reduceSummaries(summaries, summaryBudget, openaiApiKey, usage) {
+  let parts = summaries.map((summary, i) => `[Part ${i + 1}] ${summary}`);
+  while (estimateTokens(parts.join('\n')) > summaryBudget && parts.length > 1) {
+    const groups = [];
+    for (let i = 0; i < parts.length; i += 2) groups.push(parts.slice(i, i + 2).join('\n'));
+    const perGroup = Math.max(CONDENSE_CONFIG.MIN_CHUNK_SUMMARY_TOKENS, Math.floor(summaryBudget / groups.length));
+    parts = await mapWithConcurrency(groups, CONDENSE_CONFIG.CONCURRENCY, (group) => summarize(
+      [
+        `Merge these consecutive podcast summaries into one of at most ${Math.round(perGroup * 0.75)} words, keeping their order.`,
+        'Keep names, numbers and concrete advice. Return JSON { "summary": "" }.',
+        '',
+        group
+      ].join('\n'),
+      perGroup, openaiApiKey, usage
+    ));
+  }
+  return parts.join('\n');
+}
+
+async function summarize(prompt, maxTokens, openaiApiKey, usage) {
+  const { summary } = await chatJson(prompt, {
+    openaiApiKey,
+    model: CONDENSE_CONFIG.MODEL,
+    maxTokens: Math.ceil(maxTokens * 1.3) + 50,
+    temperature: CONDENSE_CONFIG.TEMPERATURE,
+    timeoutMs: CONDENSE_CONFIG.TIMEOUT_MS,
+    usage
+  });
+  if (!summary) throw new Error('Empty chunk summary');
+  return String(summary).trim();
+}
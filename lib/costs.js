@@ -0,0 +1,72 @@
+// lib/costs.js - Per-episode cost estimates (transcription minutes + GPT tokens)
+// List prices in USD; override a transcription rate with <NAME>_TRANSCRIPTION_USD_PER_HOUR.
+
+const COST_RATES = {
+  TRANSCRIPTION_USD_PER_HOUR: {
+    groq: 0.04,   // whisper-large-v3-turbo
+    openai: 0.36, // whisper-1 ($0.006/min)
+    local: 0
+  },
+  CHAT_USD_PER_MILLION_TOKENS: {
+    'gpt-4o': { prompt: 2.5, completion: 10 },
+    'gpt-4o-mini': { prompt: 0.15, completion: 0.6 }
+  }
+};
+
+/**
+ * @param {object} params
+ * @param {string} [params.provider] - transcription provider name
+ * @param {number} [params.durationSeconds] - transcribed audio length
+ * @param {object} [params.usage] - analysis._usage { model, prompt_tokens, completion_tokens, calls, by_model? }
+ *   by_model holds calls made with other models (e.g. transcript condensation), priced separately
+ * @returns {{ transcription_usd: number, analysis_usd: number, total_usd: number, currency: 'USD' }}
+ */
+export function estimateEpisodeCost({ provider, durationSeconds, usage } = {}) {
+  const transcription = transcriptionRate(provider) * ((durationSeconds || 0) / 3600);
+
+  const analysis = chatCost(usage?.model, usage)
+    + Object.entries(usage?.by_model || {}).reduce((sum, [model, tokens]) => sum + chatCost(model, tokens), 0);
+
+  return {
+    transcription_usd: roundUsd(transcription),
+    analysis_usd: roundUsd(analysis),
+    total_usd: roundUsd(transcription + analysis),
+    currency: 'USD'
+  };
+}
+
+/**
+ * Add one chat completion's reported token usage: to the top-level counters for usage.model
+ * (the TROOP analysis model), otherwise to usage.by_model[model]
+ * @param {object} [usage] - analysis._usage accumulator; nothing is recorded without one
+ */
+export function recordChatUsage(usage, model, reported) {
+  if (!usage || !reported) return;
+  if (usage.model === model) {
+    usage.calls = (usage.calls || 0) + 1;
+    usage.prompt_tokens = (usage.prompt_tokens || 0) + (reported.prompt_tokens || 0);
+    usage.completion_tokens = (usage.completion_tokens || 0) + (reported.completion_tokens || 0);
+    return;
+  }
+  const byModel = usage.by_model || (usage.by_model = {});
+  const entry = byModel[model] || (byModel[model] = { calls: 0, prompt_tokens: 0, completion_tokens: 0 });
+  entry.calls += 1;
+  entry.prompt_tokens += reported.prompt_tokens || 0;
+  entry.completion_tokens += reported.completion_tokens || 0;
+}
+
+function chatCost(model, { prompt_tokens = 0, completion_tokens = 0 } = {}) {
+  const rate = COST_RATES.CHAT_USD_PER_MILLION_TOKENS[model] || { prompt: 0, completion: 0 };
+  return (prompt_tokens * rate.prompt + completion_tokens * rate.completion) / 1_000_000;
+}
+
+function transcriptionRate(provider) {
+  if (!provider) return 0;
+  const override = process.env[`${provider.toUpperCase()}_TRANSCRIPTION_USD_PER_HOUR`];
+  if (override && Number(override) >= 0) return Number(override);
+  return COST_RATES.TRANSCRIPTION_USD_PER_HOUR[provider] ?? 0;
+}
+
+function roundUsd(value) {
+  return Math.round(value * 10000) / 10000;
+}
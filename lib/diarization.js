@@ -0,0 +1,435 @@
+// lib/diarization.js - Speaker turns and host / guest names for transcript segments
+// Turns come from the first working provider in DIARIZATION_PROVIDERS (default "http,heuristic"):
+// an external diarization server (e.g. pyannote behind DIARIZATION_URL) or the local stand-in,
+// which guesses turn changes from question → answer boundaries. The stand-in only runs when the
+// request or feed names at least two people, so solo shows are never split into invented voices,
+// and everything it labels carries speaker_source: 'estimated' (audio providers give 'audio').
+// Speaker ids are then named from the request (host / guests), the feed's podcast:person tags,
+// or what the intro says ("I'm …", "my guest today is …"), in that order of trust.
+import FormData from 'form-data';
+import { createReadStream } from 'fs';
+import { normalizeTitle } from './rss.js';
+import { getCachedDiarization, cacheDiarization } from './transcript-cache.js';
+
+export const DIARIZATION_CONFIG = {
+  DEFAULT_ORDER: ['http', 'heuristic'],
+  INTRO_SECONDS: 240,          // names are only inferred from the opening minutes
+  MIN_TURN_SECONDS: 2,         // heuristic: shortest turn that can end in a question
+  TIMEOUT_MS: 300_000
+};
+
+// Capitalised words after these never name a person ("I'm Excited", "this is The Show")
+const NOT_NAMES = new Set([
+  'a', 'an', 'the', 'my', 'our', 'your', 'episode', 'part', 'today', 'not', 'so', 'just', 'here', 'back',
+  'really', 'going', 'glad', 'happy', 'excited', 'thrilled', 'very', 'super', 'welcome', 'everyone', 'everybody',
+  'i', 'me', 'we', 'us', 'you', 'it', 'he', 'she', 'they', 'him', 'her', 'them', 'this', 'that', 'there', 'what', 'who'
+]);
+// "I'm", "we're", "you've", "they'll", "I'd", "don't": a pronoun or verb, never the start of a name
+const CONTRACTION = /['’](?:m|re|ve|ll|d|t)$/iu;
+
+const NAME = "([\\p{L}'’-]+(?:\\s+[\\p{L}'’-]+)?)";
+const INTRO_PATTERNS = [
+  // The speaker names themselves
+  { via: 'self', pattern: new RegExp(`\\b(?:i'm|i’m|i am|my name is|this is|it's|it’s)\\s+${NAME}`, 'giu') },
+  // The speaker introduces the next voice
+  { via: 'introduced', pattern: new RegExp(`\\b(?:joined by|(?:my|our) guest(?: today)? is|today'?s guest is|(?:please )?welcome(?: back)?(?: to the show)?,?)\\s+${NAME}`, 'giu') },
+  // The speaker addresses the other voice
+  { via: 'addressed', pattern: new RegExp(`\\b(?:thanks|thank you)(?: so much)?(?: for having me)?,?\\s+${NAME}`, 'giu') }
+];
+
+/**
+ * Provider registry. diarize(source, segments, hints) → [{ start, end, speaker }]
+ *  - estimated: turns are inferred from text, not audio
+ *  - isConfigured(): false skips the provider
+ *  - isUsable(hints): optional; false skips the provider for this episode
+ */
+const PROVIDERS = {
+  http: {
+    label: 'Diarization server',
+    estimated: false,
+    isConfigured: () => Boolean(process.env.DIARIZATION_URL),
+    diarize: requestDiarization
+  },
+  heuristic: {
+    label: 'Turn heuristic',
+    estimated: true,
+    isConfigured: () => true,
+    // Question → answer turns only make sense for a known interview; a monologue has one voice
+    isUsable: hints => distinctNames(hints) >= 2,
+    diarize: async (source, segments) => heuristicTurns(segments)
+  }
+};
+
+/**
+ * Register (or replace) a provider, e.g. a hosted diarization API or a test double
+ */
+export function registerDiarizationProvider(name, definition) {
+  PROVIDERS[name] = { estimated: false, isConfigured: () => true, ...definition };
+}
+
+/**
+ * Configured provider order; DIARIZATION_PROVIDERS=none turns diarization off
+ * @param {string[]} [order] - Explicit order; defaults to DIARIZATION_PROVIDERS env
+ */
+export function getDiarizationProviders(order) {
+  const names = order?.length
+    ? order
+    : (process.env.DIARIZATION_PROVIDERS || '').split(',').map(s => s.trim()).filter(Boolean);
+
+  return (names.length ? names : DIARIZATION_CONFIG.DEFAULT_ORDER)
+    .filter(name => PROVIDERS[name]?.isConfigured())
+    .map(name => ({ name, ...PROVIDERS[name] }));
+}
+
+/**
+ * Merge request and feed speaker names into one hint list
+ * @param {object} input
+ * @param {string|string[]} [input.host] - host name(s) from the request
+ * @param {string|string[]} [input.guests] - guest names, array or comma-separated
+ * @param {object[]} [input.persons] - podcast:person entries (lib/rss.js), episode before channel
+ * @param {string} [input.podcastTitle] - never taken for a person's name
+ * @returns {{ names: Array<{ name: string, role: 'host'|'guest', source: 'request'|'feed' }>, podcastTitle?: string }}
+ */
+export function speakerHints({ host, guests, persons = [], podcastTitle } = {}) {
+  const names = [];
+  const add = (name, role, source) => {
+    if (name && !names.some(n => sameName(n.name, name))) names.push({ name, role, source });
+  };
+  nameList(host).forEach(name => add(name, 'host', 'request'));
+  nameList(guests).forEach(name => add(name, 'guest', 'request'));
+  for (const person of persons || []) {
+    const role = String(person.role || '').toLowerCase();
+    if (role === 'host' || role === 'co-host' || role === 'cohost') add(person.name, 'host', 'feed');
+    else if (role === 'guest') add(person.name, 'guest', 'feed');
+  }
+  return { names, podcastTitle };
+}
+
+/**
+ * Diarize, name and label a transcription's segments. Never throws: without usable turns the
+ * segments come back unchanged and `speakers` is empty.
+ * @param {object} transcription - transcribeAudio() result (needs segments)
+ * @param {object} options
+ * @param {object} [options.source] - { url?, filepath?, buffer?, filename?, contentType? } for audio providers
+ * @param {object} [options.hints] - speakerHints() result
+ * @param {string} [options.contentHash] - reuse / store turns in the transcript cache
+ * @param {boolean} [options.force] - ignore cached turns
+ * @param {string[]} [options.debug]
+ * @param {string[]} [options.providers] - explicit provider order
+ * @returns {Promise<{ provider: string|null, estimated: boolean, speakers: object[], segments: object[], turns: object[] }>}
+ */
+export async function diarizeTranscription(transcription, { source = {}, hints = {}, contentHash = null, force = false, debug = [], providers } = {}) {
+  const segments = transcription?.segments || [];
+  const none = { provider: null, estimated: false, speakers: [], segments, turns: [] };
+  if (!segments.length) return none;
+
+  let found = force ? null : await getCachedDiarization(contentHash);
+  if (found) {
+    debug.push(`♻️ Reusing cached speaker turns (${found.provider})`);
+  } else {
+    for (const provider of getDiarizationProviders(providers)) {
+      if (provider.isUsable && !provider.isUsable(hints)) {
+        debug.push(`⏭️ ${provider.label} skipped: needs host and guest names (host / guests or podcast:person)`);
+        continue;
+      }
+      try {
+        const turns = normalizeTurns(await provider.diarize(source, segments, hints));
+        if (!turns.length) throw new Error('no speaker turns returned');
+        found = { provider: provider.name, estimated: provider.estimated, turns };
+        break;
+      } catch (error) {
+        debug.push(`⚠️ Diarization via ${provider.label} failed: ${error.message}`);
+      }
+    }
+    if (!found) return none;
+    // The heuristic is cheap and reruns as providers change; only audio diarization is cached
+    if (!found.estimated) await cacheDiarization(contentHash, found);
+  }
+
+  const assigned = assignSpeakers(segments, found.turns);
+  const speakerSource = found.estimated ? 'estimated' : 'audio';
+  const speakers = nameSpeakers(assigned, hints).map(s => ({ ...s, speaker_source: speakerSource }));
+  const labels = new Map(speakers.map(s => [s.id, s.label]));
+  debug.push(`🗣️ ${speakers.length} speaker(s) via ${found.provider}${found.estimated ? ' (estimated)' : ''}: ${speakers.map(s => `${s.label} (${s.role})`).join(', ')}`);
+
+  return {
+    provider: found.provider,
+    estimated: Boolean(found.estimated),
+    speakers,
+    segments: assigned.map(s => {
+      const speaker = labels.get(s.speaker_id) || null;
+      return { ...s, speaker, ...(speaker ? { speaker_source: speakerSource } : {}) };
+    }),
+    turns: found.turns
+  };
+}
+
+/**
+ * Give each segment the speaker id whose turns overlap it most (nearest turn when none do)
+ */
+export function assignSpeakers(segments, turns) {
+  if (!turns?.length) return segments;
+  return segments.map(segment => {
+    let best = null;
+    let bestOverlap = 0;
+    for (const turn of turns) {
+      const overlap = Math.min(segment.end, turn.end) - Math.max(segment.start, turn.start);
+      if (overlap > bestOverlap) {
+        best = turn;
+        bestOverlap = overlap;
+      }
+    }
+    if (!best) {
+      const middle = (segment.start + segment.end) / 2;
+      best = turns.reduce((a, b) => (distance(b, middle) < distance(a, middle) ? b : a));
+    }
+    return { ...segment, speaker_id: best.speaker };
+  });
+}
+
+/**
+ * "Label: text" paragraphs, one per speaker turn; null unless at least two speakers are labeled
+ */
+export function labeledTranscript(segments) {
+  const labeled = (segments || []).filter(s => s.speaker);
+  if (new Set(labeled.map(s => s.speaker)).size < 2) return null;
+
+  const turns = [];
+  for (const segment of segments) {
+    const last = turns[turns.length - 1];
+    if (last && last.speaker === segment.speaker) last.text += ` ${segment.text}`;
+    else turns.push({ speaker: segment.speaker, text: segment.text });
+  }
+  return turns.map(t => (t.speaker ? `${t.speaker}: ${t.text}` : t.text)).join('\n\n');
+}
+
+/**
+ * Speakers with names, roles and talk time for segments carrying speaker_id
+ * @returns {Array<{ id, name, role, label, talk_seconds, share, name_source }>}
+ */
+export function nameSpeakers(segments, hints = {}) {
+  const stats = new Map();
+  for (const segment of segments) {
+    if (segment.speaker_id == null) continue;
+    const entry = stats.get(segment.speaker_id) || { id: segment.speaker_id, talk_seconds: 0, first_start: segment.start };
+    entry.talk_seconds += Math.max(0, segment.end - segment.start);
+    stats.set(segment.speaker_id, entry);
+  }
+  const order = [...stats.values()].sort((a, b) => a.first_start - b.first_start);
+  if (!order.length) return [];
+
+  const named = new Map(); // id → { name, source, role? }
+  const { claims, introducers } = introEvidence(segments, hints.podcastTitle);
+  for (const claim of claims) {
+    if (named.has(claim.speaker) || [...named.values()].some(n => sameName(n.name, claim.name))) continue;
+    named.set(claim.speaker, { name: claim.name, source: 'intro' });
+  }
+
+  // Supplied names replace the intro's shorter form of the same name ("Sarah" → "Sarah Chen")
+  const supplied = hints.names || [];
+  const unmatched = [];
+  for (const hint of supplied) {
+    const match = [...named.entries()].find(([, n]) => n.source === 'intro' && sameName(n.name, hint.name));
+    if (match) named.set(match[0], { name: hint.name, source: hint.source, role: hint.role });
+    else unmatched.push(hint);
+  }
+
+  const hostId = [...named.entries()].find(([, n]) => n.role === 'host')?.[0]
+    ?? order.find(s => introducers.has(s.id))?.id
+    ?? order[0].id;
+
+  for (const hint of unmatched) {
+    const target = hint.role === 'host'
+      ? (named.get(hostId)?.role ? null : hostId)
+      : guestSlot(order, named, hostId);
+    if (target != null) named.set(target, { name: hint.name, source: hint.source, role: hint.role });
+  }
+
+  const total = order.reduce((sum, s) => sum + s.talk_seconds, 0) || 1;
+  let guests = 0;
+  return order.map(s => {
+    const name = named.get(s.id);
+    const role = s.id === hostId || name?.role === 'host' ? 'host' : 'guest';
+    const fallback = role === 'host' ? 'Host' : (++guests === 1 ? 'Guest' : `Guest ${guests}`);
+    return {
+      id: s.id,
+      name: name?.name || null,
+      role,
+      label: name?.name || fallback,
+      talk_seconds: Math.round(s.talk_seconds),
+      share: Math.round((s.talk_seconds / total) * 100) / 100,
+      name_source: name?.source || null
+    };
+  });
+}
+
+/**
+ * Local stand-in for interviews: a question hands the turn to the other voice, and a question
+ * asked after that reply hands it back. Two voices at most; solo rhetorical questions mislabel.
+ */
+export function heuristicTurns(segments) {
+  const turns = [];
+  let current = null;
+  let voice = 0;
+  let answering = false; // current turn replies to the other voice's question
+  const close = () => {
+    turns.push(current);
+    current = null;
+    voice = 1 - voice;
+  };
+
+  for (const segment of segments) {
+    const asked = /\?["'”)]*$/.test(segment.text.trim());
+    if (current && asked && answering) {
+      close();
+      answering = false;
+    }
+    if (current) current.end = segment.end;
+    else current = { start: segment.start, end: segment.end, speaker: `SPEAKER_${voice}` };
+    if (asked && current.end - current.start >= DIARIZATION_CONFIG.MIN_TURN_SECONDS) {
+      close();
+      answering = true;
+    }
+  }
+  if (current) turns.push(current);
+  return turns;
+}
+
+/**
+ * Names from the opening minutes: who says their own name, who introduces or thanks whom
+ */
+function introEvidence(segments, podcastTitle) {
+  const claims = [];
+  const introducers = new Set();
+  const intro = segments.filter(s => s.start < DIARIZATION_CONFIG.INTRO_SECONDS && s.speaker_id != null);
+  const showWords = new Set(normalizeTitle(podcastTitle).split(' '));
+
+  intro.forEach((segment, index) => {
+    for (const { via, pattern } of INTRO_PATTERNS) {
+      for (const match of segment.text.matchAll(pattern)) {
+        const name = personName(match[1]);
+        if (!name || normalizeTitle(name).split(' ').every(word => showWords.has(word))) continue;
+        const speaker = via === 'self' ? segment.speaker_id : otherSpeaker(intro, index, via === 'introduced');
+        if (speaker == null) continue;
+        if (via === 'introduced') introducers.add(segment.speaker_id);
+        claims.push({ speaker, name, via });
+      }
+    }
+  });
+  // Self-introductions are the strongest evidence
+  return { claims: claims.sort((a, b) => (a.via === 'self' ? 0 : 1) - (b.via === 'self' ? 0 : 1)), introducers };
+}
+
+/**
+ * Nearest different voice: the next one for an introduction, otherwise the previous one first
+ */
+function otherSpeaker(segments, index, forwardOnly) {
+  const self = segments[index].speaker_id;
+  for (let i = index + 1; i < segments.length; i++) {
+    if (segments[i].speaker_id !== self) {
+      if (forwardOnly) return segments[i].speaker_id;
+      break;
+    }
+  }
+  if (forwardOnly) return null;
+  for (let i = index - 1; i >= 0; i--) {
+    if (segments[i].speaker_id !== self) return segments[i].speaker_id;
+  }
+  return segments.slice(index + 1).find(s => s.speaker_id !== self)?.speaker_id ?? null;
+}
+
+/**
+ * Leading capitalised words of a regex capture ("Sarah Chen", not "to the")
+ */
+function personName(capture) {
+  const words = [];
+  for (const word of String(capture || '').split(/\s+/)) {
+    const bare = word.replace(/[^\p{L}'’-]/gu, '');
+    if (CONTRACTION.test(bare)) break;
+    const clean = bare.replace(/[’']s$/, '');
+    if (!/^\p{Lu}/u.test(clean) || NOT_NAMES.has(clean.toLowerCase())) break;
+    words.push(clean);
+  }
+  return words.join(' ') || null;
+}
+
+/**
+ * Unnamed non-host speaker with the most talk time
+ */
+function guestSlot(order, named, hostId) {
+  return order
+    .filter(s => s.id !== hostId && !named.get(s.id)?.role)
+    .sort((a, b) => Number(named.has(a.id)) - Number(named.has(b.id)) || b.talk_seconds - a.talk_seconds)[0]?.id ?? null;
+}
+
+/**
+ * Same person when either name is the other's leading part ("Sarah" / "Sarah Chen")
+ */
+function sameName(a, b) {
+  const x = String(a || '').toLowerCase().trim();
+  const y = String(b || '').toLowerCase().trim();
+  return Boolean(x && y) && (x === y || x.startsWith(`${y} `) || y.startsWith(`${x} `));
+}
+
+function distinctNames(hints) {
+  const names = [];
+  for (const { name } of hints?.names || []) {
+    if (name && !names.some(n => sameName(n, name))) names.push(name);
+  }
+  return names.length;
+}
+
+function nameList(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return list.map(v => String(v || '').trim()).filter(Boolean);
+}
+
+function normalizeTurns(raw) {
+  const list = Array.isArray(raw) ? raw : (raw?.turns || raw?.segments || raw?.diarization || []);
+  return list
+    .map(t => ({ start: Number(t?.start), end: Number(t?.end), speaker: String(t?.speaker ?? t?.label ?? '') }))
+    .filter(t => Number.isFinite(t.start) && Number.isFinite(t.end) && t.end > t.start && t.speaker)
+    .sort((a, b) => a.start - b.start);
+}
+
+function distance(turn, time) {
+  return time < turn.start ? turn.start - time : Math.max(0, time - turn.end);
+}
+
+/**
+ * POST the audio (or its public URL) to DIARIZATION_URL; expects [{ start, end, speaker }]
+ * or { turns | segments: [...] }. The expected speaker count is sent when the names are known.
+ */
+async function requestDiarization(source, segments, hints) {
+  const { default: fetch } = await import('node-fetch');
+  const apiKey = process.env.DIARIZATION_API_KEY;
+  const speakers = hints?.names?.length > 1 ? hints.names.length : undefined;
+  const auth = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+  let request;
+  if (source.url) {
+    request = {
+      headers: { ...auth, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ audio_url: source.url, num_speakers: speakers })
+    };
+  } else if (source.filepath || source.buffer) {
+    const form = new FormData();
+    form.append('file', source.filepath ? createReadStream(source.filepath) : source.buffer, {
+      filename: source.filename || 'episode.mp3',
+      contentType: source.contentType || 'audio/mpeg'
+    });
+    if (speakers) form.append('num_speakers', String(speakers));
+    request = { headers: { ...auth, ...form.getHeaders() }, body: form };
+  } else {
+    throw new Error('no audio source');
+  }
+
+  const response = await fetch(process.env.DIARIZATION_URL, {
+    method: 'POST',
+    ...request,
+    signal: AbortSignal.timeout(DIARIZATION_CONFIG.TIMEOUT_MS)
+  });
+  const text = await response.text();
+  if (!response.ok) throw new Error(`HTTP ${response.status} ${text.slice(0, 200)}`);
+  return JSON.parse(text);
+}
@@ -0,0 +1,91 @@
+// lib/download.js - Remote audio → /tmp with retries, hashing the bytes on the way through
+// Used by every pipeline that starts from a URL (Apple, RSS feed, raw enclosure).
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { createHashingStream } from './transcript-cache.js';
+import { MAX_CHUNKABLE_BYTES } from './transcription.js';
+import { PipelineError } from './errors.js';
+import { limitBytes } from './streams.js';
+
+export const DOWNLOAD_CONFIG = {
+  FETCH_TIMEOUT_MS: 60_000,
+  HEAD_TIMEOUT_MS: 15_000,
+  MAX_RETRIES: 2,
+  // Enforced while streaming: HEAD sizes are often missing or wrong
+  MAX_BYTES: MAX_CHUNKABLE_BYTES,
+  TEMP_DIR: '/tmp'
+};
+
+/**
+ * HEAD the audio URL: size, type and a cache validator. Never throws (many CDNs reject HEAD).
+ * @returns {Promise<{ contentLength: number, contentType: string, validator: string|null }>}
+ */
+export async function headInfo(url) {
+  const { default: fetch } = await import('node-fetch');
+  const empty = { contentLength: 0, contentType: '', validator: null };
+  try {
+    const r = await fetch(url, { method: 'HEAD', redirect: 'follow', signal: AbortSignal.timeout(DOWNLOAD_CONFIG.HEAD_TIMEOUT_MS) });
+    if (!r.ok) return empty;
+    return {
+      contentLength: Number(r.headers.get('content-length') || 0),
+      contentType: r.headers.get('content-type') || '',
+      // Cache validator for URL-keyed dedup (a weak ETag is fine: we only need "unchanged")
+      validator: r.headers.get('etag') || r.headers.get('last-modified') || null,
+    };
+  } catch {
+    return empty;
+  }
+}
+
+/**
+ * @returns {Promise<{ tmpPath: string, sizeBytes: number, contentHash: string }>}
+ */
+export async function downloadToTmpWithRetries(audioUrl, maxRetries = DOWNLOAD_CONFIG.MAX_RETRIES, timeoutMs = DOWNLOAD_CONFIG.FETCH_TIMEOUT_MS) {
+  let lastErr;
+  for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
+    try {
+      return await downloadAudioToTmp(audioUrl, timeoutMs);
+    } catch (e) {
+      lastErr = e;
+      if (e instanceof PipelineError) break; // too large: retrying won't help
+      if (attempt <= maxRetries) await new Promise(r => setTimeout(r, 600 * attempt));
+    }
+  }
+  throw lastErr;
+}
+
+export async function downloadAudioToTmp(audioUrl, timeoutMs = DOWNLOAD_CONFIG.FETCH_TIMEOUT_MS) {
+  const { default: fetch } = await import('node-fetch');
+  const res = await fetch(audioUrl, { redirect: 'follow', signal: AbortSignal.timeout(timeoutMs) });
+  if (!res.ok || !res.body) throw new Error(`Download failed ${res.status} ${res.statusText}`);
+
+  const tmpPath = path.join(DOWNLOAD_CONFIG.TEMP_DIR, `episode-${crypto.randomUUID()}.mp3`);
+  const hashing = createHashingStream();
+  try {
+    await pipeline(res.body, limitBytes(DOWNLOAD_CONFIG.MAX_BYTES, tooLarge), hashing, fs.createWriteStream(tmpPath));
+    const stat = fs.statSync(tmpPath);
+    if (!stat.size || stat.size < 1024) throw new Error('Downloaded audio empty/truncated');
+    return { tmpPath, sizeBytes: stat.size, contentHash: hashing.digest() };
+  } catch (error) {
+    try { fs.unlinkSync(tmpPath); } catch {}
+    throw error;
+  }
+}
+
+function tooLarge(maxBytes) {
+  return new PipelineError(`Audio too large (over ${Math.round(maxBytes / 1024 / 1024)}MB). Use the MP3 upload path.`, 413);
+}
+
+export function guessExtension(contentType) {
+  if (!contentType) return '.mp3';
+  if (contentType.includes('mpeg')) return '.mp3';
+  if (contentType.includes('x-m4a') || contentType.includes('mp4') || contentType.includes('aac')) return '.m4a';
+  if (contentType.includes('wav')) return '.wav';
+  return '.mp3';
+}
+
+export function safeName(s) {
+  return (s || 'episode').replace(/[^a-z0-9\-_]+/gi, '-').slice(0, 80);
+}
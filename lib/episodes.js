@@ -0,0 +1,169 @@
+// lib/episodes.js - Episode library: every analyzed episode with its transcript, analysis and cost
+// Pipelines save here after a successful run; /api/episodes lists and reads them back.
+import crypto from 'crypto';
+import { createStore } from './store.js';
+import { estimateEpisodeCost } from './costs.js';
+import { normalizeTitle } from './rss.js';
+
+const episodes = createStore('episodes');
+
+/**
+ * Persist one analyzed episode
+ * @param {object} params
+ * @param {string} params.source - 'apple' | 'blob' | 'upload'
+ * @param {object} params.metadata - { title, podcastTitle, audioUrl?, blobUrl?, originalUrl?, filename?, description? }
+ * @param {object} params.transcription - transcribeAudio() result
+ * @param {object} params.analysis - analyzeWithTROOP() result
+ * @param {string} [params.contentHash] - sha256 of the audio (see lib/transcript-cache.js)
+ * @param {object} [params.analysisInput] - condenseTranscript() result TROOP was given
+ * @param {object} [params.diarization] - diarizeTranscription() result; its labeled segments are stored
+ * @param {object} [params.chapters] - generateChapters() result
+ * @param {object} [params.showNotes] - buildShowNotes() result
+ * @param {object} [params.clips] - recommendClips() result
+ * @returns {Promise<object>} stored record
+ */
+export async function saveEpisode({
+  source, metadata = {}, transcription, analysis, contentHash = null, analysisInput = null, diarization = null, chapters = null,
+  showNotes = null, clips = null
+}) {
+  const now = new Date().toISOString();
+  const durationSeconds = transcription.duration || transcription.metrics?.durationSeconds || null;
+
+  const record = {
+    id: crypto.randomUUID(),
+    source,
+    title: metadata.title || 'Untitled episode',
+    podcast_title: metadata.podcastTitle || null,
+    metadata,
+    content_hash: contentHash,
+    duration_seconds: durationSeconds,
+    transcript: transcription.transcript,
+    segments: diarization?.segments || transcription.segments || [],
+    speakers: diarization?.speakers || [],
+    analysis_input: analysisInput,
+    analysis,
+    chapters,
+    show_notes: showNotes,
+    clips,
+    transcription: {
+      provider: transcription.provider,
+      model: transcription.model,
+      language: transcription.language || null,
+      chunks: transcription.chunks || 1,
+      attempts: transcription.attempts || [],
+      diarization: diarization?.provider ? { provider: diarization.provider, estimated: diarization.estimated } : null
+    },
+    cost: estimateEpisodeCost({
+      provider: transcription.provider,
+      durationSeconds,
+      usage: analysis?._usage
+    }),
+    created_at: now,
+    updated_at: now
+  };
+
+  await episodes.put(record);
+  console.log(`💾 Episode saved: ${record.id} "${record.title}" (${record.cost.total_usd} USD)`);
+  return record;
+}
+
+export function getEpisode(id) {
+  return episodes.get(id);
+}
+
+/**
+ * Paginated full transcript for a stored episode (see api/episodes/[id]/transcript.js)
+ */
+export function transcriptUrl(episodeId) {
+  return episodeId ? `/api/episodes/${episodeId}/transcript` : null;
+}
+
+/**
+ * Podcasting 2.0 chapters / YouTube timestamps for a stored episode (see api/episodes/[id]/chapters.js)
+ */
+export function chaptersUrl(episodeId) {
+  return episodeId ? `/api/episodes/${episodeId}/chapters` : null;
+}
+
+/**
+ * Show notes as Markdown / HTML for a stored episode (see api/episodes/[id]/show-notes.js)
+ */
+export function showNotesUrl(episodeId) {
+  return episodeId ? `/api/episodes/${episodeId}/show-notes` : null;
+}
+
+/**
+ * Short-form clip recommendations for a stored episode (see api/episodes/[id]/clips.js)
+ */
+export function clipsUrl(episodeId) {
+  return episodeId ? `/api/episodes/${episodeId}/clips` : null;
+}
+
+/**
+ * Remember a rendered clip / audiogram (lib/audiogram.js) on its episode, newest first
+ * @returns {Promise<object|null>} updated episode, or null when it doesn't exist
+ */
+export function addClipAsset(episodeId, asset) {
+  return episodes.update(episodeId, episode => ({
+    clip_assets: [asset, ...(episode.clip_assets || [])],
+    updated_at: new Date().toISOString()
+  }));
+}
+
+/**
+ * Newest first, summaries only (no transcript / analysis bodies)
+ */
+export async function listEpisodes({ limit, offset } = {}) {
+  const records = await episodes.list({ limit, offset });
+  return records.map(episodeSummary);
+}
+
+/**
+ * Full records for one show, matched by feed URL or podcast title. Re-runs of the same audio
+ * (force) leave several records behind; only the newest per content hash / guid is kept.
+ * @param {object} show
+ * @param {string} [show.feedUrl]
+ * @param {string} [show.podcastTitle]
+ * @param {number} [max] - matching records read, newest first
+ */
+export async function listShowEpisodes({ feedUrl, podcastTitle }, max = 1000) {
+  const title = normalizeTitle(podcastTitle);
+  const matches = (record) => (feedUrl && record.metadata?.feedUrl === feedUrl)
+    || (title && normalizeTitle(record.podcast_title) === title);
+
+  const seen = new Set();
+  return (await episodes.list({ limit: max, where: matches })).filter((record) => {
+    const key = record.content_hash || record.metadata?.guid || record.id;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+export function episodeSummary(episode) {
+  return {
+    id: episode.id,
+    source: episode.source,
+    title: episode.title,
+    podcast_title: episode.podcast_title,
+    optimized_title: episode.analysis?.optimized_title || null,
+    duration_seconds: episode.duration_seconds,
+    transcription_provider: episode.transcription?.provider || null,
+    cost: episode.cost,
+    created_at: episode.created_at,
+    updated_at: episode.updated_at
+  };
+}
+
+/**
+ * Save without failing the request: the analysis is still returned if storage is down
+ * @returns {Promise<string|null>} episode id
+ */
+export async function trySaveEpisode(params) {
+  try {
+    return (await saveEpisode(params)).id;
+  } catch (error) {
+    console.warn('⚠️ Episode save failed:', error.message);
+    return null;
+  }
+}
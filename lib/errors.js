@@ -0,0 +1,26 @@
+// lib/errors.js - Shared error types
+
+/**
+ * Enhanced error class for better error handling
+ */
+export class AudioProcessingError extends Error {
+  constructor(message, code, userMessage, suggestions = []) {
+    super(message);
+    this.name = 'AudioProcessingError';
+    this.code = code;
+    this.userMessage = userMessage;
+    this.suggestions = suggestions;
+  }
+}
+
+/**
+ * Pipeline input / precondition failure that maps to an HTTP status (400, 413, 500...)
+ */
+export class PipelineError extends Error {
+  constructor(message, status = 500, details = {}) {
+    super(message);
+    this.name = 'PipelineError';
+    this.status = status;
+    this.details = details;
+  }
+}
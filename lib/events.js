@@ -0,0 +1,92 @@
+// lib/events.js - Typed progress events over Server-Sent Events
+// Every pipeline emits the same five event types. Clients that send `Accept: text/event-stream`
+// get SSE with ids (resumable via Last-Event-ID on job streams); everyone else gets the legacy
+// newline-delimited JSON lines, so existing integrations keep parsing.
+
+export const EVENT_TYPES = {
+  STAGE: 'stage',       // { stage, progress, message, ...extra } - entering a pipeline stage
+  PROGRESS: 'progress', // { stage, progress, message, ...extra } - movement within a stage
+  PARTIAL: 'partial',   // { field, ...data } - an intermediate result (e.g. the transcript)
+  RESULT: 'result',     // final response body
+  ERROR: 'error'        // { status: 'error', error, ... }
+};
+
+const SSE_CONFIG = {
+  RETRY_MS: 3000,
+  HEARTBEAT_MS: 15_000
+};
+
+export function wantsEventStream(req) {
+  return String(req.headers.accept || '').includes('text/event-stream');
+}
+
+/**
+ * Serialize one event in SSE wire format
+ */
+export function formatSseEvent({ id, type, data }) {
+  return `${id !== undefined ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Legacy NDJSON shape for an event (what upload-mp3 / transcribe.js used to write)
+ */
+function legacyLine(type, data) {
+  if (type === EVENT_TYPES.RESULT || type === EVENT_TYPES.ERROR) return data;
+  if (type === EVENT_TYPES.PARTIAL) return { status: 'partial', ...data };
+  return { status: 'processing', ...data };
+}
+
+/**
+ * Start a streamed response and return a typed emitter
+ * @param {object} req
+ * @param {object} res
+ * @param {object} [options] - { sse?: boolean } force a format instead of negotiating on Accept
+ * @returns {{ sse: boolean, send: (type: string, data: object, id?: number) => void, comment: (text: string) => void, close: () => void }}
+ */
+export function openEventStream(req, res, options = {}) {
+  const sse = options.sse ?? wantsEventStream(req);
+  let nextId = 1;
+  let closed = false;
+  let heartbeat = null;
+
+  if (sse) {
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.write(`retry: ${SSE_CONFIG.RETRY_MS}\n\n`);
+    // Keep proxies from closing the connection during long transcriptions
+    heartbeat = setInterval(() => !closed && res.write(': ping\n\n'), SSE_CONFIG.HEARTBEAT_MS);
+    heartbeat.unref?.();
+  } else {
+    res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+  }
+
+  const stop = () => {
+    closed = true;
+    if (heartbeat) clearInterval(heartbeat);
+  };
+  res.on?.('close', stop); // req 'close' fires once the body is read, not on disconnect
+
+  return {
+    sse,
+    send(type, data, id) {
+      if (closed) return;
+      if (sse) {
+        const eventId = id ?? nextId;
+        nextId = eventId + 1;
+        res.write(formatSseEvent({ id: eventId, type, data }));
+      } else {
+        res.write(JSON.stringify(legacyLine(type, data)) + '\n');
+      }
+    },
+    comment(text) {
+      if (!closed && sse) res.write(`: ${text}\n\n`);
+    },
+    close() {
+      if (closed) return;
+      stop();
+      res.end();
+    }
+  };
+}
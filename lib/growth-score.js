@@ -0,0 +1,151 @@
+// lib/growth-score.js - Rubric-based growth_score: model judgment blended with transcript signals
+// The model rates each rubric dimension 0–100; deterministic signals (episode length, quotable
+// sentence density, keyword grounding, quote grounding) pull each dimension toward what the
+// transcript actually supports, so totals are comparable across episodes and re-runs.
+import { normalizeTitle } from './rss.js';
+
+export const GROWTH_RUBRIC_VERSION = '1';
+
+/**
+ * Dimension weights (sum 100) and how much of each dimension comes from transcript signals
+ */
+export const GROWTH_RUBRIC = {
+  content_quality: { weight: 30, signal: 'length', signal_share: 0.3 },
+  engagement: { weight: 25, signal: 'quote_density', signal_share: 0.3 },
+  seo: { weight: 20, signal: 'keyword_coverage', signal_share: 0.4 },
+  shareability: { weight: 15, signal: 'quote_grounding', signal_share: 0.4 },
+  actionability: { weight: 10, signal: null, signal_share: 0 }
+};
+
+const SIGNAL_CONFIG = {
+  IDEAL_MIN_WORDS: 1500,   // ~10 minutes of speech
+  IDEAL_MAX_WORDS: 15000,  // ~100 minutes; longer episodes lose completion rate
+  QUOTABLE_MIN_WORDS: 8,
+  QUOTABLE_MAX_WORDS: 30,
+  QUOTABLE_PER_1K_TARGET: 8,
+  NEUTRAL: 50              // dimension score when neither model nor signal has an opinion
+};
+
+/**
+ * @param {object|string|number|null} judgment - model output: { dimensions, rationale }, a legacy
+ *   "75/100 – …" string / number, or a previously scored growth_score object
+ * @param {object} analysis - tweetable_quotes / topics_keywords are read for the signals
+ * @param {string} transcript
+ * @returns {{ total: number, dimensions: object, rationale: string, model: object|null, signals: object, rubric_version: string }}
+ */
+export function scoreGrowth(judgment, analysis = {}, transcript = '') {
+  const model = modelDimensions(judgment);
+  const signals = transcriptSignals(transcript, analysis);
+
+  const dimensions = {};
+  for (const [name, rubric] of Object.entries(GROWTH_RUBRIC)) {
+    const fromModel = model?.[name] ?? null;
+    const fromSignal = rubric.signal ? signals[rubric.signal].score : null;
+    if (fromModel === null && fromSignal === null) dimensions[name] = SIGNAL_CONFIG.NEUTRAL;
+    else if (fromModel === null) dimensions[name] = fromSignal;
+    else if (fromSignal === null) dimensions[name] = fromModel;
+    else dimensions[name] = Math.round(fromModel * (1 - rubric.signal_share) + fromSignal * rubric.signal_share);
+  }
+
+  const total = Math.round(Object.entries(GROWTH_RUBRIC)
+    .reduce((sum, [name, rubric]) => sum + dimensions[name] * rubric.weight / 100, 0));
+
+  return {
+    total,
+    dimensions,
+    rationale: rationaleText(judgment) || defaultRationale(dimensions, signals, Boolean(model)),
+    model,
+    signals,
+    rubric_version: GROWTH_RUBRIC_VERSION
+  };
+}
+
+/**
+ * Deterministic, transcript-only inputs to the score; each carries the raw value and a 0–100 score
+ */
+export function transcriptSignals(transcript, analysis = {}) {
+  const text = String(transcript || '');
+  const words = text.split(/\s+/).filter(Boolean).length;
+  const normalized = ` ${normalizeTitle(text)} `;
+
+  const sentences = text.split(/(?<=[.!?])\s+/);
+  const quotable = sentences.filter(s => {
+    const n = s.split(/\s+/).filter(Boolean).length;
+    return n >= SIGNAL_CONFIG.QUOTABLE_MIN_WORDS && n <= SIGNAL_CONFIG.QUOTABLE_MAX_WORDS;
+  }).length;
+  const perThousand = words ? (quotable / words) * 1000 : 0;
+
+  const keywords = [...new Set((analysis.topics_keywords || []).map(normalizeTitle).filter(Boolean))];
+  const groundedKeywords = keywords.filter(k => normalized.includes(` ${k} `)).length;
+
+  const quotes = (analysis.tweetable_quotes || []).map(q => normalizeTitle(String(q).replace(/#\w+/g, ''))).filter(Boolean);
+  const groundedQuotes = quotes.filter(q => normalized.includes(` ${q} `) || mostlyPresent(q, normalized)).length;
+
+  return {
+    length: { words, score: words ? lengthScore(words) : null },
+    quote_density: { per_1k_words: round(perThousand), score: words ? clamp(Math.round((perThousand / SIGNAL_CONFIG.QUOTABLE_PER_1K_TARGET) * 100)) : null },
+    keyword_coverage: { grounded: groundedKeywords, total: keywords.length, score: words && keywords.length ? Math.round((groundedKeywords / keywords.length) * 100) : null },
+    quote_grounding: { grounded: groundedQuotes, total: quotes.length, score: words && quotes.length ? Math.round((groundedQuotes / quotes.length) * 100) : null }
+  };
+}
+
+/**
+ * Per-dimension 0–100 model scores, or null when the model gave none
+ */
+function modelDimensions(judgment) {
+  if (judgment && typeof judgment === 'object') {
+    // Already scored: re-blend from the original model judgment, not the blended dimensions
+    const source = 'model' in judgment ? judgment.model : judgment.dimensions;
+    if (!source || typeof source !== 'object') return null;
+    const dims = {};
+    for (const name of Object.keys(GROWTH_RUBRIC)) {
+      const value = source[name] == null ? NaN : Number(source[name]); // null is "no opinion", not 0
+      dims[name] = Number.isFinite(value) ? clamp(Math.round(value)) : null;
+    }
+    return Object.values(dims).some(v => v !== null) ? dims : null;
+  }
+
+  // Legacy free-text score: one overall judgment applied to every dimension
+  const match = String(judgment ?? '').match(/(\d+(?:\.\d+)?)\s*(?:\/\s*(\d+))?/);
+  if (!match) return null;
+  const overall = clamp(Math.round((Number(match[1]) / (Number(match[2]) || 100)) * 100));
+  return Object.fromEntries(Object.keys(GROWTH_RUBRIC).map(name => [name, overall]));
+}
+
+function rationaleText(judgment) {
+  if (judgment && typeof judgment === 'object') return typeof judgment.rationale === 'string' ? judgment.rationale.trim() : '';
+  return String(judgment ?? '').replace(/^\s*\d+(?:\.\d+)?\s*(?:\/\s*\d+)?\s*[-–—:]?\s*/, '').trim();
+}
+
+function defaultRationale(dimensions, signals, hasModel) {
+  const [best] = Object.entries(dimensions).sort((a, b) => b[1] - a[1]);
+  const [worst] = Object.entries(dimensions).sort((a, b) => a[1] - b[1]);
+  return [
+    hasModel ? 'Model rubric blended with transcript signals.' : 'Scored from transcript signals only.',
+    `Strongest: ${best[0].replace('_', ' ')} (${best[1]}); weakest: ${worst[0].replace('_', ' ')} (${worst[1]}).`,
+    `${signals.length.words} words, ${signals.quote_density.per_1k_words} quotable sentences per 1k words.`
+  ].join(' ');
+}
+
+function lengthScore(words) {
+  if (words < SIGNAL_CONFIG.IDEAL_MIN_WORDS) return Math.round((words / SIGNAL_CONFIG.IDEAL_MIN_WORDS) * 100);
+  if (words <= SIGNAL_CONFIG.IDEAL_MAX_WORDS) return 100;
+  return clamp(Math.round(100 - ((words - SIGNAL_CONFIG.IDEAL_MAX_WORDS) / SIGNAL_CONFIG.IDEAL_MAX_WORDS) * 50), 50);
+}
+
+/**
+ * Lightly edited quotes: at least 70% of the quote's words appear in the transcript
+ */
+function mostlyPresent(quote, normalizedTranscript) {
+  const words = quote.split(' ').filter(w => w.length > 2);
+  if (!words.length) return false;
+  return words.filter(w => normalizedTranscript.includes(` ${w} `)).length / words.length >= 0.7;
+}
+
+function clamp(value, min = 0) {
+  return Math.max(min, Math.min(100, value));
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
@@ -0,0 +1,386 @@
+// lib/jobs.js - Background analysis jobs
+// POST /api/jobs creates a job and returns its id immediately; the pipeline keeps running after
+// the response via waitUntil, writing stage/progress/result to the job store for polling.
+// Every typed event is also appended to the job's event log so SSE clients can resume. The log
+// is re-read on every SSE poll, so it stays small: the result event points at job.result, long
+// partial fields (the transcript) are kept as their length, and only the latest events are kept.
+//
+// Batch pipelines (e.g. 'show') fan out into one child job per item instead of doing the work
+// themselves. Each child is dispatched to /api/jobs/<id>/run so it gets its own function time
+// limit, and every finished child advances the parent, which completes once all children have.
+//
+// A function killed at its time limit can't record its own failure, so running jobs write a
+// heartbeat and reads mark a job failed once it has gone quiet for STALE_MS. Jobs live in the
+// record store: unless it is shared between instances (lib/store.js storeInfo), a job is only
+// visible on the instance that created it and children run in that instance's invocation.
+import crypto from 'crypto';
+import { waitUntil } from '@vercel/functions';
+import { createStore, storeInfo } from './store.js';
+import { EVENT_TYPES } from './events.js';
+import { PIPELINES, INTERNAL_PIPELINES, BATCH_STEPS, createReporter, isFanOut } from './pipelines/index.js';
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+const JOB_CONFIG = {
+  // Where child jobs are dispatched; without a URL and secret they run in the current invocation
+  WORKER_URL: process.env.JOB_WORKER_URL || (process.env.VERCEL_URL ? `https://${process.env.VERCEL_URL}` : null),
+  WORKER_SECRET: process.env.JOB_WORKER_SECRET || null,
+  DISPATCH_TIMEOUT_MS: 10_000,
+  HEARTBEAT_MS: 30_000,
+  MAX_EVENTS: 200,              // older events are dropped; clients that far behind poll the job instead
+  MAX_INLINE_EVENT_CHARS: 2000, // longer partial-event strings are stored as <field>_chars
+  STALE_MS: Number(process.env.JOB_STALE_MS) || 120_000 // no heartbeat (or dispatched but not started) this long = dead
+};
+
+const STORE_NOTE = 'Jobs are kept in this server instance\'s temporary storage, so another instance may answer 404 for this job. ' +
+  'Set DATA_DIR to a shared volume or STORE_BACKEND to a shared backend to make jobs visible everywhere.';
+
+const jobs = createStore('jobs');
+
+if (process.env.VERCEL && !storeInfo().shared) {
+  console.warn(`⚠️ Job store (${storeInfo().backend}) is local to this instance; jobs can 404 when polled from another one`);
+}
+
+/**
+ * Whether callers may start this job type; batch-only child types need { internal: true }
+ */
+export function isJobType(type, { internal = false } = {}) {
+  return Object.prototype.hasOwnProperty.call(PIPELINES, type) && (internal || !INTERNAL_PIPELINES.has(type));
+}
+
+/**
+ * @param {string} type - key of PIPELINES
+ * @param {object} input - pipeline input
+ * @param {object} [options] - { id?: string, parentId?: string } caller-chosen id for idempotent enqueueing,
+ *   and the batch job this one belongs to
+ */
+export async function createJob(type, input, options = {}) {
+  const now = new Date().toISOString();
+  return jobs.put({
+    id: options.id || crypto.randomUUID(),
+    type,
+    parent_id: options.parentId || null,
+    status: JOB_STATUS.QUEUED,
+    stage: 'queued',
+    progress: 0,
+    message: null,
+    input,
+    result: null,
+    error: null,
+    events: [],
+    created_at: now,
+    updated_at: now,
+    started_at: null,
+    finished_at: null
+  });
+}
+
+/**
+ * Read a job, failing it first if its invocation has died (see isJobStale)
+ */
+export async function getJob(id) {
+  return expireIfStale(await jobs.get(id));
+}
+
+export async function listJobs(options) {
+  return Promise.all((await jobs.list(options)).map(expireIfStale));
+}
+
+/**
+ * @param {string} id
+ * @param {object|((job: object) => object)} patch
+ */
+export function updateJob(id, patch) {
+  const stamp = (changes) => ({ updated_at: new Date().toISOString(), ...changes });
+  return jobs.update(id, typeof patch === 'function' ? (job) => stamp(patch(job)) : stamp(patch));
+}
+
+export function isJobFinished(job) {
+  return job.status === JOB_STATUS.COMPLETED || job.status === JOB_STATUS.FAILED;
+}
+
+/**
+ * A running job whose heartbeat stopped, or a dispatched job that never started. Batch parents
+ * don't beat while they wait; their children are checked instead (see expireIfStale).
+ */
+export function isJobStale(job, now = Date.now()) {
+  const quietFor = (at) => now - (Date.parse(at) || now);
+  if (job.status === JOB_STATUS.RUNNING && !job.batch) {
+    return quietFor(job.heartbeat_at || job.started_at || job.updated_at) > JOB_CONFIG.STALE_MS;
+  }
+  return job.status === JOB_STATUS.QUEUED && Boolean(job.dispatched_at) && quietFor(job.dispatched_at) > JOB_CONFIG.STALE_MS;
+}
+
+function expireJob(job) {
+  console.warn(`⏱️ Job ${job.id} stopped responding; marking it failed`);
+  return failJob(job.id, {
+    message: `Job stopped responding during "${job.stage}" (no heartbeat for ${Math.round(JOB_CONFIG.STALE_MS / 1000)}s)`,
+    code: 'JOB_TIMEOUT',
+    status: 504,
+    userMessage: 'Processing stopped before it finished, most likely at the server time limit.',
+    suggestions: ['Try again; cached transcripts make a second run faster', 'Split very long audio into shorter episodes']
+  }, job.debug);
+}
+
+async function expireIfStale(job) {
+  if (!job || isJobFinished(job)) return job;
+
+  if (job.batch) {
+    // Nothing has advanced the batch for a while: a child may have died before advancing it
+    if (Date.now() - Date.parse(job.updated_at) <= JOB_CONFIG.STALE_MS) return job;
+    const advanced = await advanceJob(job.id);
+    return isJobFinished(advanced) ? advanced : updateJob(job.id, {});
+  }
+
+  if (!isJobStale(job)) return job;
+  const expired = await expireJob(job);
+  if (job.parent_id) await advanceJob(job.parent_id).catch(error => console.error(`❌ Batch job ${job.parent_id} not advanced:`, error.message));
+  return expired;
+}
+
+/**
+ * Events with id > afterId, oldest first
+ */
+export async function getJobEvents(id, afterId = 0) {
+  const job = await getJob(id);
+  if (!job) return null;
+  const events = (job.events || [])
+    .filter(e => e.id > afterId)
+    .map(e => (e.ref === 'result' ? { id: e.id, type: e.type, data: job.result, at: e.at } : e));
+  return { job, events };
+}
+
+/**
+ * Append a typed event; stage/progress events also move the job's stage and progress
+ */
+function appendJobEvent(id, type, data, patch = {}) {
+  return updateJob(id, (job) => {
+    const events = job.events || [];
+    const event = { id: (events[events.length - 1]?.id || 0) + 1, type, ...storedEventData(type, data), at: new Date().toISOString() };
+    const moves = type === EVENT_TYPES.STAGE || type === EVENT_TYPES.PROGRESS
+      ? { stage: data.stage, progress: data.progress, message: data.message }
+      : {};
+    return { ...moves, ...patch, events: [...events, event].slice(-JOB_CONFIG.MAX_EVENTS) };
+  });
+}
+
+/**
+ * What the event log keeps: the result by reference (getJobEvents fills it from job.result),
+ * long partial strings as their length (the full transcript arrives with the result)
+ */
+function storedEventData(type, data) {
+  if (type === EVENT_TYPES.RESULT) return { ref: 'result' };
+  if (type !== EVENT_TYPES.PARTIAL || !data) return { data };
+  const compact = {};
+  for (const [key, value] of Object.entries(data)) {
+    if (typeof value === 'string' && value.length > JOB_CONFIG.MAX_INLINE_EVENT_CHARS) compact[`${key}_chars`] = value.length;
+    else compact[key] = value;
+  }
+  return { data: compact };
+}
+
+/**
+ * Run a job's pipeline to completion. Never throws: failures are recorded on the job.
+ */
+export async function runJob(id) {
+  const job = await getJob(id);
+  if (!job || job.status !== JOB_STATUS.QUEUED) return job;
+
+  const startedAt = new Date().toISOString();
+  await updateJob(id, { status: JOB_STATUS.RUNNING, started_at: startedAt, heartbeat_at: startedAt });
+  console.log(`🏃 Job ${id} (${job.type}) started`);
+
+  // Serialize store writes so a slow write can't land after a newer one
+  let writes = Promise.resolve();
+  const report = createReporter((type, data) => {
+    writes = writes.then(() => appendJobEvent(id, type, data)).catch(() => {});
+  });
+  const heartbeat = setInterval(() => {
+    writes = writes.then(() => updateJob(id, { heartbeat_at: new Date().toISOString() })).catch(() => {});
+  }, JOB_CONFIG.HEARTBEAT_MS);
+
+  let finished;
+  try {
+    const result = await PIPELINES[job.type](job.input, report);
+    clearInterval(heartbeat);
+    await writes;
+    if (isFanOut(result)) return startBatch(id, result);
+    console.log(`✅ Job ${id} completed`);
+    finished = await completeJob(id, result);
+  } catch (error) {
+    clearInterval(heartbeat);
+    await writes;
+    console.error(`❌ Job ${id} failed:`, error.message);
+    finished = await failJob(id, error, report.debug);
+  }
+
+  if (job.parent_id) {
+    await advanceJob(job.parent_id).catch(error => console.error(`❌ Batch job ${job.parent_id} not advanced:`, error.message));
+  }
+  return finished;
+}
+
+function completeJob(id, result) {
+  return appendJobEvent(id, EVENT_TYPES.RESULT, result, {
+    status: JOB_STATUS.COMPLETED,
+    stage: 'done',
+    progress: 100,
+    message: null,
+    result,
+    finished_at: new Date().toISOString()
+  });
+}
+
+function failJob(id, error, debug) {
+  const jobError = {
+    message: error.message,
+    code: error.code || error.name,
+    status: error.status || 500,
+    userMessage: error.userMessage,
+    suggestions: error.suggestions
+  };
+  return appendJobEvent(id, EVENT_TYPES.ERROR, { status: 'error', error: error.message, ...jobError }, {
+    status: JOB_STATUS.FAILED,
+    error: jobError,
+    debug,
+    finished_at: new Date().toISOString()
+  });
+}
+
+/**
+ * Create the children of a fanned-out pipeline and start the first of them; the parent stays running
+ */
+async function startBatch(id, { children, state }) {
+  const ids = [];
+  for (const [index, child] of children.entries()) {
+    const created = await createJob(child.type, child.input, { id: `${id}-${index + 1}`, parentId: id });
+    ids.push(created.id);
+  }
+  await updateJob(id, { batch: { ...state, children: ids, done: 0 } });
+  console.log(`🧩 Job ${id} fanned out into ${ids.length} child jobs`);
+  return advanceJob(id);
+}
+
+/**
+ * Move a batch job forward from its children's stored state: start or skip waiting children,
+ * report progress and complete the parent once every child has finished. Safe to call repeatedly.
+ * The store has no compare-and-set, so two children finishing together may both dispatch the
+ * same next child; runJob only starts queued jobs, which makes the second dispatch a no-op.
+ */
+export async function advanceJob(id) {
+  const job = await jobs.get(id); // raw: getJob may itself advance a quiet batch
+  if (!job?.batch || isJobFinished(job)) return job;
+
+  // Raw reads: expiring a stale child here must not re-enter advanceJob for this parent
+  const children = await Promise.all(job.batch.children.map(childId => jobs.get(childId).then(child => (
+    child && isJobStale(child) ? expireJob(child) : child
+  ))));
+  const step = BATCH_STEPS[job.type](job.batch, children.map((child, index) => childView(job.batch.children[index], child)));
+
+  for (const skipped of step.skip) await completeJob(skipped.id, skipped.result);
+  for (const childId of step.start) {
+    await updateJob(childId, { dispatched_at: new Date().toISOString() });
+    await dispatchJob(childId);
+  }
+
+  if (step.result) {
+    console.log(`✅ Batch job ${id} completed`);
+    return completeJob(id, step.result);
+  }
+  if (step.done !== job.batch.done) {
+    return appendJobEvent(id, EVENT_TYPES.PROGRESS, step.progress, { batch: { ...job.batch, done: step.done } });
+  }
+  return job;
+}
+
+/**
+ * What a batch step sees of a child; a missing record counts as a failed child
+ */
+function childView(id, child) {
+  if (!child) return { id, input: {}, finished: true, failed: true, in_flight: false, error: 'Child job record is missing' };
+  return {
+    id,
+    input: child.input,
+    result: child.result,
+    error: child.error?.message || null,
+    finished: isJobFinished(child),
+    failed: child.status === JOB_STATUS.FAILED,
+    in_flight: child.status === JOB_STATUS.RUNNING || (child.status === JOB_STATUS.QUEUED && Boolean(child.dispatched_at))
+  };
+}
+
+/**
+ * Start a queued job in a fresh invocation through /api/jobs/<id>/run when a worker URL and
+ * secret are configured and the store is shared, otherwise in the background of the current invocation
+ */
+export async function dispatchJob(id) {
+  // Another instance can only pick the job up from a shared store
+  if (JOB_CONFIG.WORKER_URL && JOB_CONFIG.WORKER_SECRET && storeInfo().shared) {
+    try {
+      const { default: fetch } = await import('node-fetch');
+      const response = await fetch(`${JOB_CONFIG.WORKER_URL}/api/jobs/${encodeURIComponent(id)}/run`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${JOB_CONFIG.WORKER_SECRET}` },
+        signal: AbortSignal.timeout(JOB_CONFIG.DISPATCH_TIMEOUT_MS)
+      });
+      if (response.ok) return;
+      console.warn(`⚠️ Job ${id} dispatch returned ${response.status}; running it in this invocation`);
+    } catch (error) {
+      console.warn(`⚠️ Job ${id} dispatch failed (${error.message}); running it in this invocation`);
+    }
+  }
+  waitUntil(runJob(id));
+}
+
+/**
+ * Authorization header of a /api/jobs/<id>/run request, compared in constant time
+ */
+export function isWorkerAuthorized(authorization, secret = JOB_CONFIG.WORKER_SECRET) {
+  if (!secret || !authorization) return false;
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const received = Buffer.from(String(authorization));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Create a job and start it in the background of the current invocation.
+ * With options.id, an existing job is returned as-is (safe for retried webhooks).
+ */
+export async function enqueueJob(type, input, options = {}) {
+  if (options.id) {
+    const existing = await getJob(options.id);
+    if (existing) return existing;
+  }
+  const job = await createJob(type, input, options);
+  waitUntil(runJob(job.id));
+  return job;
+}
+
+/**
+ * Why a job may be missing on this instance, or null when the store is shared
+ */
+export function jobStorageNote() {
+  return storeInfo().shared ? null : STORE_NOTE;
+}
+
+/**
+ * Client-facing view; input and the event log stay server-side, the debug log is only exposed on failure
+ */
+export function publicJob(job) {
+  const { id, type, status, stage, progress, message, result, error, debug, created_at, updated_at, started_at, finished_at } = job;
+  return {
+    id, type, status, stage, progress, message,
+    ...(job.parent_id ? { parent_id: job.parent_id } : {}),
+    ...(job.batch ? { children: job.batch.children } : {}),
+    ...(result ? { result } : {}),
+    ...(error ? { error, debug } : {}),
+    last_event_id: job.events?.[job.events.length - 1]?.id || 0,
+    ...(jobStorageNote() ? { storage: { shared: false, note: jobStorageNote() } } : {}),
+    created_at, updated_at, started_at, finished_at
+  };
+}
@@ -0,0 +1,267 @@
+// lib/keywords.js - Deterministic keyword extraction: 1–4-word phrases scored with TF-IDF
+// IDF comes from the show's previous transcripts when the library has enough of them, otherwise
+// from a small bundled background corpus of conversational filler. The model's keyword_plan
+// (primary_intent + semantic_neighbors) is merged in, boosted when the transcript backs it up.
+import { listShowEpisodes } from './episodes.js';
+
+export const KEYWORD_CONFIG = {
+  MAX_N: 4,
+  DEFAULT_LIMIT: 15,
+  MIN_WORD_LENGTH: 3,           // unigrams shorter than this are ignored
+  MIN_PHRASE_COUNT: 2,          // multi-word phrases must repeat
+  PHRASE_BONUS: 0.35,           // per extra word: specific phrases beat their single words
+  SUBSUME_RATIO: 0.7,           // drop a phrase when a longer one covers ≥70% of its uses
+  PLAN_BOOST: { primary_intent: 1.5, semantic_neighbor: 1.2 },
+  SHOW_CORPUS_MIN_EPISODES: 3,
+  SHOW_CORPUS_MAX_EPISODES: 30
+};
+
+const STOPWORDS = {
+  en: [
+    'a', 'about', 'after', 'again', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'around', 'as', 'at', 'back', 'be',
+    'because', 'been', 'before', 'being', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'doing', 'don', 'down', 'each',
+    'even', 'every', 'for', 'from', 'get', 'gets', 'getting', 'go', 'goes', 'going', 'gonna', 'got', 'had', 'has', 'have',
+    'having', 'he', 'her', 'here', 'him', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'kind', 'know',
+    'let', 'like', 'll', 'lot', 'me', 'mean', 'might', 'more', 'most', 'much', 'my', 'no', 'not', 'now', 'of', 'off', 'oh',
+    'ok', 'okay', 'on', 'one', 'only', 'or', 'other', 'our', 'out', 'over', 'pretty', 're', 'really', 'right', 's', 'said',
+    'say', 'saying', 'see', 'she', 'should', 'so', 'some', 'something', 'sort', 'still', 'such', 't', 'take', 'than',
+    'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'thing', 'things', 'think', 'this', 'those', 'through',
+    'to', 'too', 'um', 'uh', 'up', 'us', 've', 'very', 'want', 'was', 'way', 'we', 'well', 'were', 'what', 'when', 'where',
+    'which', 'while', 'who', 'why', 'will', 'with', 'would', 'yeah', 'yes', 'you', 'your', 'actually', 'basically',
+    'literally', 'stuff', 'totally', 'podcast', 'episode', 'today', 'talk', 'talking', 'guys', 'come', 'came', 'make'
+  ],
+  es: [
+    'a', 'al', 'algo', 'como', 'con', 'de', 'del', 'el', 'ella', 'ellos', 'en', 'entonces', 'es', 'esa', 'ese', 'eso', 'esta',
+    'este', 'esto', 'está', 'fue', 'ha', 'hay', 'la', 'las', 'le', 'les', 'lo', 'los', 'me', 'mi', 'muy', 'más', 'no', 'nos',
+    'o', 'para', 'pero', 'por', 'porque', 'que', 'qué', 'se', 'ser', 'si', 'sí', 'sin', 'sobre', 'su', 'sus', 'también',
+    'te', 'tiene', 'todo', 'tu', 'un', 'una', 'uno', 'y', 'ya', 'yo', 'bueno', 'pues', 'vale', 'episodio'
+  ],
+  fr: [
+    'a', 'au', 'aussi', 'avec', 'c', 'ce', 'cela', 'ces', 'cest', 'comme', 'dans', 'de', 'des', 'donc', 'du', 'elle', 'en',
+    'est', 'et', 'être', 'fait', 'il', 'ils', 'j', 'je', 'l', 'la', 'le', 'les', 'leur', 'mais', 'me', 'mon', 'ne', 'nous',
+    'on', 'ou', 'où', 'par', 'pas', 'pour', 'qu', 'que', 'qui', 'sa', 'se', 'ses', 'son', 'sur', 'ta', 'te', 'tout', 'très',
+    'tu', 'un', 'une', 'vous', 'y', 'alors', 'bon', 'voilà', 'épisode'
+  ],
+  de: [
+    'aber', 'als', 'also', 'am', 'an', 'auch', 'auf', 'aus', 'bei', 'bin', 'bis', 'da', 'das', 'dass', 'dem', 'den', 'der',
+    'des', 'die', 'dir', 'du', 'ein', 'eine', 'einen', 'er', 'es', 'für', 'hat', 'ich', 'ihr', 'im', 'in', 'ist', 'ja',
+    'mal', 'man', 'mit', 'nicht', 'noch', 'nur', 'oder', 'schon', 'sie', 'sind', 'so', 'und', 'uns', 'von', 'was', 'wie',
+    'wir', 'zu', 'zum', 'zur', 'genau', 'halt', 'eben', 'folge'
+  ],
+  pt: [
+    'a', 'ao', 'as', 'com', 'como', 'da', 'das', 'de', 'do', 'dos', 'e', 'ela', 'ele', 'em', 'então', 'era', 'essa', 'esse',
+    'isso', 'isto', 'já', 'lhe', 'mais', 'mas', 'me', 'muito', 'na', 'não', 'no', 'nos', 'o', 'os', 'ou', 'para', 'pela',
+    'pelo', 'por', 'que', 'se', 'sem', 'seu', 'sua', 'são', 'também', 'tem', 'um', 'uma', 'você', 'é', 'né', 'tipo', 'episódio'
+  ]
+};
+
+const LANGUAGE_ALIASES = {
+  english: 'en', spanish: 'es', español: 'es', french: 'fr', français: 'fr', german: 'de', deutsch: 'de', portuguese: 'pt', português: 'pt'
+};
+
+/**
+ * Bundled background corpus: conversational words that show up in most podcast transcripts
+ * regardless of topic. Anything not listed is treated as rare.
+ */
+const BACKGROUND_CORPUS = {
+  documents: 1000,
+  common_document_frequency: 700,
+  common: [
+    'people', 'time', 'year', 'years', 'day', 'days', 'week', 'good', 'great', 'little', 'big', 'bit', 'life', 'work',
+    'world', 'feel', 'feeling', 'love', 'talked', 'question', 'questions', 'story', 'start', 'started', 'show', 'listen',
+    'listeners', 'guest', 'welcome', 'thanks', 'thank', 'amazing', 'awesome', 'interesting', 'important', 'different',
+    'same', 'first', 'last', 'next', 'new', 'old', 'part', 'point', 'person', 'place', 'number', 'idea', 'ideas', 'today',
+    'happen', 'happened', 'tell', 'told', 'find', 'found', 'give', 'help', 'look', 'looking', 'need', 'put', 'use',
+    'used', 'using', 'try', 'trying',
+    // Filler phrases that survive stopword filtering, so they can actually become candidates
+    'great question', 'good question', 'long time', 'little bit', 'last week', 'next week', 'real quick', 'show notes'
+  ]
+};
+
+/**
+ * @param {string} language - 'en', 'en-US', 'english', …
+ * @returns {Set<string>}
+ */
+export function stopwordsFor(language) {
+  const code = languageCode(language);
+  return new Set(STOPWORDS[code] || STOPWORDS.en);
+}
+
+/**
+ * Document frequencies of every candidate phrase across a set of transcripts
+ * @param {string[]} documents
+ * @param {object} [options] - { language }
+ * @returns {{ documents: number, df: Map<string, number> }}
+ */
+export function buildCorpus(documents, { language } = {}) {
+  const stopwords = stopwordsFor(language);
+  const df = new Map();
+  let count = 0;
+  for (const text of documents) {
+    if (!text) continue;
+    count++;
+    for (const phrase of countPhrases(text, stopwords).keys()) df.set(phrase, (df.get(phrase) || 0) + 1);
+  }
+  return { documents: count, df };
+}
+
+/**
+ * Corpus from the show's earlier transcripts in the episode library, or null when there are too few
+ * @param {{ feedUrl?: string, podcastTitle?: string }} show
+ * @param {object} [options] - { language, excludeHash } excludeHash skips the episode being analyzed
+ */
+export async function loadShowCorpus(show, { language, excludeHash } = {}) {
+  if (!show?.feedUrl && !show?.podcastTitle) return null;
+  try {
+    const episodes = (await listShowEpisodes(show))
+      .filter(e => e.transcript && (!excludeHash || e.content_hash !== excludeHash))
+      .slice(0, KEYWORD_CONFIG.SHOW_CORPUS_MAX_EPISODES);
+    if (episodes.length < KEYWORD_CONFIG.SHOW_CORPUS_MIN_EPISODES) return null;
+    return buildCorpus(episodes.map(e => e.transcript), { language });
+  } catch (error) {
+    console.warn('⚠️ Show corpus unavailable, using background corpus:', error.message);
+    return null;
+  }
+}
+
+/**
+ * @param {string} text - transcript (optionally with title / description appended)
+ * @param {object} [options]
+ * @param {string} [options.language] - transcription language; selects the stopword list
+ * @param {{ documents: number, df: Map<string, number> }} [options.corpus] - buildCorpus() / loadShowCorpus(); background corpus when absent
+ * @param {Array<{ primary_intent: string, semantic_neighbors?: string[] }>} [options.plan] - analysis.keyword_plan
+ * @param {number} [options.limit]
+ * @returns {Array<{ keyword: string, score: number, count: number, words: number, source: 'transcript'|'plan'|'both', grounded: boolean }>}
+ */
+export function extractKeywords(text, { language, corpus, plan = [], limit = KEYWORD_CONFIG.DEFAULT_LIMIT } = {}) {
+  const stopwords = stopwordsFor(language);
+  const counts = countPhrases(text || '', stopwords);
+  const idf = idfFor(corpus);
+
+  const scored = new Map();
+  for (const [phrase, count] of counts) {
+    const words = phrase.split(' ').length;
+    if (words > 1 && count < KEYWORD_CONFIG.MIN_PHRASE_COUNT) continue;
+    scored.set(phrase, { keyword: phrase, count, words, score: tfidf(count, words, idf(phrase)), source: 'transcript', grounded: true });
+  }
+  removeSubsumed(scored);
+
+  for (const entry of plan || []) {
+    mergePlanTerm(scored, entry?.primary_intent, KEYWORD_CONFIG.PLAN_BOOST.primary_intent, counts, idf, stopwords);
+    for (const neighbor of entry?.semantic_neighbors || []) {
+      mergePlanTerm(scored, neighbor, KEYWORD_CONFIG.PLAN_BOOST.semantic_neighbor, counts, idf, stopwords);
+    }
+  }
+
+  return [...scored.values()]
+    .sort((a, b) => b.score - a.score || b.count - a.count)
+    .slice(0, limit)
+    .map(k => ({ ...k, score: Math.round(k.score * 1000) / 1000 }));
+}
+
+/**
+ * extractKeywords() reduced to the phrases, for responses that carry a plain keyword list
+ */
+export function keywordList(text, options) {
+  return extractKeywords(text, options).map(k => k.keyword);
+}
+
+function mergePlanTerm(scored, term, boost, counts, idf, stopwords) {
+  const phrase = tokenize(term || '', stopwords).join(' ');
+  if (!phrase) return;
+  const existing = scored.get(phrase);
+  if (existing) {
+    existing.score *= boost;
+    existing.source = existing.source === 'plan' ? 'plan' : 'both';
+    return;
+  }
+
+  const count = counts.get(phrase) || 0;
+  const words = phrase.split(' ').length;
+  scored.set(phrase, {
+    keyword: String(term).trim(),
+    count,
+    words,
+    // Ungrounded plan terms still rank, just below anything the transcript supports
+    score: count ? tfidf(count, words, idf(phrase)) * boost : 0.01 * boost,
+    source: count ? 'both' : 'plan',
+    grounded: count > 0
+  });
+}
+
+/**
+ * Phrase → occurrences. Phrases never span sentences and never start or end with a stopword.
+ */
+function countPhrases(text, stopwords) {
+  const counts = new Map();
+  for (const sentence of String(text).split(/[.!?;:\n]+/)) {
+    const tokens = tokenize(sentence);
+    for (let i = 0; i < tokens.length; i++) {
+      if (!isContentWord(tokens[i], stopwords)) continue;
+      for (let n = 1; n <= KEYWORD_CONFIG.MAX_N && i + n <= tokens.length; n++) {
+        const last = tokens[i + n - 1];
+        if (!isContentWord(last, stopwords)) continue;
+        const phrase = tokens.slice(i, i + n).join(' ');
+        counts.set(phrase, (counts.get(phrase) || 0) + 1);
+      }
+    }
+  }
+  return counts;
+}
+
+function tokenize(text, stopwords) {
+  const tokens = String(text)
+    .replace(/<[^>]*>/g, ' ')
+    .toLowerCase()
+    .normalize('NFC')
+    .replace(/['’]/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+  if (!stopwords) return tokens;
+  // Plan terms: trim leading / trailing stopwords so "the morning routine" matches "morning routine"
+  let start = 0;
+  let end = tokens.length;
+  while (start < end && stopwords.has(tokens[start])) start++;
+  while (end > start && stopwords.has(tokens[end - 1])) end--;
+  return tokens.slice(start, end);
+}
+
+function isContentWord(token, stopwords) {
+  return token.length >= KEYWORD_CONFIG.MIN_WORD_LENGTH && !stopwords.has(token) && !/^\d+$/.test(token);
+}
+
+function idfFor(corpus) {
+  if (corpus?.documents) {
+    return (phrase) => Math.log((corpus.documents + 1) / ((corpus.df.get(phrase) || 0) + 1)) + 1;
+  }
+  const common = new Set(BACKGROUND_CORPUS.common);
+  const { documents, common_document_frequency: commonDf } = BACKGROUND_CORPUS;
+  return (phrase) => Math.log((documents + 1) / ((common.has(phrase) ? commonDf : 0) + 1)) + 1;
+}
+
+function tfidf(count, words, idf) {
+  return (1 + Math.log(count)) * idf * (1 + KEYWORD_CONFIG.PHRASE_BONUS * (words - 1));
+}
+
+/**
+ * "content marketing" and "content marketing strategy": keep the longer phrase when it accounts
+ * for most uses of the shorter one, and fold the shorter phrase's count into it
+ */
+function removeSubsumed(scored) {
+  const byLength = [...scored.values()].sort((a, b) => b.words - a.words);
+  for (const longer of byLength) {
+    if (longer.words < 2 || !scored.has(longer.keyword)) continue;
+    const parts = longer.keyword.split(' ');
+    for (let n = 1; n < parts.length; n++) {
+      for (let i = 0; i + n <= parts.length; i++) {
+        const shorter = scored.get(parts.slice(i, i + n).join(' '));
+        if (shorter && longer.count >= shorter.count * KEYWORD_CONFIG.SUBSUME_RATIO) scored.delete(shorter.keyword);
+      }
+    }
+  }
+}
+
+function languageCode(language) {
+  const value = String(language || 'en').toLowerCase().trim();
+  return LANGUAGE_ALIASES[value] || value.slice(0, 2);
+}
@@ -0,0 +1,123 @@
+// lib/pipelines/apple.js - Apple URL → show feed metadata → remote audio pipeline (see ./remote-audio.js)
+// Episode metadata comes from iTunes lookup + the RSS feed, falling back to METADATA_URL, then the URL slug
+import { PipelineError } from '../errors.js';
+import { resolveAppleEpisode } from '../apple.js';
+import { isForced } from '../transcript-cache.js';
+import { detectPlatform } from '../resolvers/index.js';
+import { analyzeRemoteAudio, assertRemoteAudioConfigured } from './remote-audio.js';
+import { runFeedPipeline } from './feed.js';
+
+const APP_CONFIG = {
+  METADATA_URL: 'https://podcast-api-amber.vercel.app/api/transcribe',
+  FETCH_TIMEOUT_MS: 60_000,
+};
+
+/**
+ * @param {{appleUrl: string, title?: string, force?: boolean, host?: string, guests?: string[]}} input - force=true bypasses
+ *   the cache; host / guests name the diarized speakers
+ * @param {ReturnType<import('./index.js').createReporter>} report
+ */
+export async function runApplePipeline({ appleUrl, title, force, host, guests }, report) {
+  const startTime = Date.now();
+  const debug = report.debug;
+  force = isForced(force);
+
+  assertRemoteAudioConfigured();
+  if (!appleUrl) throw new PipelineError('Apple Podcast URL is required', 400);
+
+  // Spotify / YouTube / Overcast / … links shared into the Apple form go through the resolvers
+  const platform = detectPlatform(appleUrl);
+  if (platform && platform !== 'apple') return runFeedPipeline({ url: appleUrl, title, force, host, guests }, report);
+
+  report.log(`🚀 Apple analysis start: ${appleUrl}${force ? ' (force, cache bypassed)' : ''}`);
+  report.stage('metadata', 5, '📞 Fetching metadata (fast)…');
+
+  const meta = await getEpisodeMetadata(appleUrl, debug);
+  const episodeTitle = meta.title || title || 'Episode';
+  const podcastTitle = meta.podcast_title || meta.podcastTitle || 'Podcast';
+  const audioUrl = pickAudioUrl(meta);
+  report.log(`🎵 Metadata: "${episodeTitle}" (${podcastTitle}) → ${audioUrl || 'no audio URL'}`);
+  if (!audioUrl) throw new PipelineError('No audio URL found in metadata', 400);
+
+  return analyzeRemoteAudio({
+    audioUrl,
+    meta,
+    episodeTitle,
+    podcastTitle,
+    originalUrl: appleUrl,
+    source: 'apple',
+    sourceLabel: 'Apple URL',
+    apiVersion: '5.6-apple-url-blob-url-method',
+    force,
+    host,
+    guests,
+    startTime
+  }, report);
+}
+
+/* ---------------------------
+ Helpers
+----------------------------*/
+
+async function getEpisodeMetadata(appleUrl, debug) {
+  // iTunes lookup + the show's own feed: real show title, guid and enclosure
+  try {
+    const { show, episode, feed_url, match } = await resolveAppleEpisode(appleUrl);
+    if (episode.audio_url) {
+      debug.push(`📡 Feed metadata (matched by ${match}): ${feed_url || 'iTunes'}`);
+      return {
+        title: episode.title,
+        podcast_title: show.title,
+        audio_url: episode.audio_url,
+        description: episode.description,
+        duration: episode.duration_seconds,
+        keywords: episode.keywords,
+        guid: episode.guid,
+        pub_date: episode.pub_date,
+        episode_number: episode.episode,
+        season_number: episode.season,
+        image: episode.image,
+        feed_url,
+        persons: [...(episode.persons || []), ...(show.persons || [])]
+      };
+    }
+  } catch (e) {
+    debug.push(`⚠️ Feed lookup failed: ${e.message}`);
+  }
+
+  const { default: fetch } = await import('node-fetch');
+  try {
+    const r = await fetch(APP_CONFIG.METADATA_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ url: appleUrl, metadataOnly: true }),
+      signal: AbortSignal.timeout(APP_CONFIG.FETCH_TIMEOUT_MS),
+    });
+    if (!r.ok) throw new Error(`Metadata ${r.status}`);
+    const text = await r.text();
+    const lines = text.trim().split('\n').filter(Boolean);
+    for (const line of lines.reverse()) {
+      try {
+        const parsed = JSON.parse(line);
+        if (parsed.status === 'success' || parsed.title) return parsed;
+      } catch {}
+    }
+    throw new Error('No metadata lines parsed');
+  } catch (e) {
+    debug.push(`⚠️ Metadata fallback: ${e.message}`);
+    return extractBasicMetadataFromUrl(appleUrl);
+  }
+}
+
+function pickAudioUrl(meta) {
+  return meta.audio_url || meta.audioUrl || meta.enclosure_url || meta.mp3_url || null;
+}
+
+function extractBasicMetadataFromUrl(appleUrl) {
+  const parts = appleUrl.split('/');
+  const titlePart = parts.find((p) => p.includes('-') && !p.includes('id'));
+  const title = titlePart
+    ? titlePart.replace(/-/g, ' ').replace(/\b\w/g, (l) => l.toUpperCase())
+    : 'Episode';
+  return { title, podcast_title: 'Podcast', description: 'Episode analysis from Apple Podcast URL', duration: 0 };
+}
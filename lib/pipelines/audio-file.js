@@ -0,0 +1,80 @@
+// lib/pipelines/audio-file.js - Audio we already hold → Whisper (provider failover) → Enhanced TROOP → enrichment
+// Shared by the Blob pipeline and the direct MP3 upload, which differ only in how the bytes arrive
+// and how the response is shaped. Identical audio (sha256) reuses the stored transcript / analysis.
+import { analyzeWithTROOP } from '../troop.js';
+import { transcribeAudio } from '../transcription.js';
+import { getCachedTranscription, cacheTranscription, getCachedEpisode } from '../transcript-cache.js';
+import { diarizeTranscription, speakerHints } from '../diarization.js';
+import { enrichAnalysis } from './enrich.js';
+
+/**
+ * @param {object} params
+ * @param {object} params.audio - transcribeAudio() source: { buffer | filepath, filename, contentType, size }
+ * @param {string} params.contentHash - sha256 of the audio
+ * @param {object} params.diarizationSource - { url | filepath, filename, contentType } for audio-based diarization
+ * @param {string} params.title
+ * @param {string|null} [params.podcastTitle]
+ * @param {string} params.source - episode library source ('blob' | 'upload')
+ * @param {object} params.metadata - stored as episode.metadata
+ * @param {boolean} [params.force] - bypass the transcript / analysis cache
+ * @param {string|string[]} [params.host] - host name(s) for speaker labels
+ * @param {string[]} [params.guests]
+ * @param {ReturnType<import('./index.js').createReporter>} report
+ * @returns {Promise<{ cached: boolean, episode: object, transcription: object|null, diarization: object|null }>}
+ *   episode is the stored record when cached, else enrichAnalysis() output
+ */
+export async function analyzeAudioFile({
+  audio, contentHash, diarizationSource, title, podcastTitle = null, source, metadata, force = false, host, guests
+}, report) {
+  const stored = force ? null : await getCachedEpisode(contentHash);
+  if (stored) {
+    console.log(`♻️ Identical audio already analyzed (episode ${stored.id}); pass force=true to re-run`);
+    return { cached: true, episode: stored, transcription: null, diarization: null };
+  }
+
+  let transcription = force ? null : await getCachedTranscription(contentHash);
+  if (transcription) {
+    report.progress(65, '♻️ Reusing cached transcript...', { file_size: audio.size });
+  } else {
+    report.stage('transcribe', 30, '⚡ Starting transcription...', { file_size: audio.size });
+    transcription = await transcribeAudio(audio, {
+      debug: report.debug,
+      onAttempt: (provider, previousError) => {
+        if (previousError) report.progress(35, `🔄 Using ${provider.label} fallback...`, { fallback_reason: previousError.code });
+      },
+      // Long episodes are split and transcribed in parallel; report per-chunk progress
+      onChunk: (done, total) => report.progress(30 + Math.round((done / total) * 40), `⚡ Transcribed part ${done} of ${total}...`)
+    });
+    await cacheTranscription(contentHash, transcription);
+  }
+
+  report.partial('transcript', {
+    transcript: transcription.transcript,
+    transcription_source: transcription.provider
+  });
+
+  report.stage('diarize', 70, '🗣️ Identifying speakers…', {
+    transcript_length: transcription.transcript.length,
+    transcription_source: transcription.provider
+  });
+  const diarization = await diarizeTranscription(transcription, {
+    source: diarizationSource,
+    hints: speakerHints({ host, guests }),
+    contentHash,
+    force,
+    debug: report.debug
+  });
+
+  report.stage('analyze', 75, '🧠 Running Enhanced TROOP analysis…');
+  let analysisInput = null;
+  const analysis = await analyzeWithTROOP(transcription.transcript, title, podcastTitle || '', {
+    segments: diarization.segments,
+    speakers: diarization.speakers,
+    onInput: (input) => { analysisInput = input; }
+  });
+
+  const episode = await enrichAnalysis(diarization.segments, analysis, {
+    title, podcastTitle, transcription, diarization, source, metadata, contentHash, analysisInput
+  }, report);
+  return { cached: false, episode, transcription, diarization };
+}
@@ -0,0 +1,84 @@
+// lib/pipelines/enrich.js - Everything after TROOP: chapters → show notes → clips → episode library
+// Shared by the Blob, upload and remote-audio pipelines, together with episodeResult(): the
+// library fields every analysis response carries, whether the episode is fresh or cached.
+import { trySaveEpisode, transcriptUrl, chaptersUrl, showNotesUrl, clipsUrl } from '../episodes.js';
+import { linkEpisode } from '../transcript-cache.js';
+import { generateChapters } from '../chapters.js';
+import { buildShowNotes } from '../show-notes.js';
+import { recommendClips } from '../clips.js';
+
+/**
+ * @param {object[]} segments - diarized transcript segments
+ * @param {object} analysis - TROOP output; model calls made here are added to analysis._usage
+ * @param {object} meta
+ * @param {string} meta.title
+ * @param {string|null} [meta.podcastTitle]
+ * @param {object} meta.transcription - transcribeAudio() result
+ * @param {object} meta.diarization - diarizeTranscription() result
+ * @param {string} meta.source - episode library source ('blob' | 'upload' | 'apple' | 'feed')
+ * @param {object} meta.metadata - stored as episode.metadata
+ * @param {string|null} [meta.contentHash]
+ * @param {object|null} [meta.analysisInput]
+ * @param {ReturnType<import('./index.js').createReporter>} [report]
+ * @returns {Promise<object>} episode-record shaped for episodeResult(); id is null when the save failed
+ */
+export async function enrichAnalysis(segments, analysis, meta, report) {
+  const { title, podcastTitle = null, transcription, diarization, source, metadata, contentHash = null, analysisInput = null } = meta;
+  const openaiApiKey = process.env.OPENAI_API_KEY;
+  const usage = analysis._usage;
+
+  report?.stage('chapters', 90, '📑 Generating chapters, show notes and clips…');
+  const chapters = await generateChapters({
+    segments, analysis, episodeTitle: title, language: transcription.language, openaiApiKey, usage
+  });
+  const showNotes = await buildShowNotes({
+    analysis,
+    transcript: transcription.transcript,
+    segments,
+    speakers: diarization.speakers,
+    chapters,
+    metadata: { title, podcastTitle },
+    openaiApiKey,
+    usage
+  });
+  const clips = await recommendClips({ segments, analysis, episodeTitle: title, openaiApiKey, usage });
+
+  report?.stage('save', 95, '💾 Saving to episode library…');
+  const episodeId = await trySaveEpisode({
+    source, metadata, transcription, analysis, contentHash, analysisInput, diarization, chapters, showNotes, clips
+  });
+  await linkEpisode(contentHash, episodeId);
+
+  return {
+    id: episodeId,
+    transcript: transcription.transcript,
+    analysis_input: analysisInput,
+    segments,
+    speakers: diarization.speakers,
+    chapters,
+    show_notes: showNotes,
+    clips,
+    analysis
+  };
+}
+
+/**
+ * Transcript, enrichment, analysis and their library URLs, from a stored episode or enrichAnalysis()
+ */
+export function episodeResult(episode) {
+  return {
+    episode_id: episode.id,
+    transcript: episode.transcript,
+    transcript_url: transcriptUrl(episode.id),
+    analysis_input: episode.analysis_input || null,
+    segments: episode.segments,
+    speakers: episode.speakers || [],
+    chapters: episode.chapters || null,
+    chapters_url: chaptersUrl(episode.id),
+    show_notes: episode.show_notes || null,
+    show_notes_url: showNotesUrl(episode.id),
+    clips: episode.clips || null,
+    clips_url: clipsUrl(episode.id),
+    analysis: episode.analysis
+  };
+}
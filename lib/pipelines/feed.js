@@ -0,0 +1,132 @@
+// lib/pipelines/feed.js - RSS feed URL (+ guid / title), raw enclosure URL or share link → remote audio pipeline
+// For shows outside Apple Podcasts (Buzzsprout, Transistor, Libsyn, self-hosted feeds) and links
+// shared from Spotify, YouTube, Overcast, Pocket Casts or Podcast Index (see lib/resolvers).
+// Without guid / episodeTitle / audioUrl the feed's newest episode is analyzed.
+import { PipelineError } from '../errors.js';
+import { fetchFeed, findEpisode } from '../rss.js';
+import { resolveEpisodeUrl } from '../resolvers/index.js';
+import { isForced } from '../transcript-cache.js';
+import { analyzeRemoteAudio, assertRemoteAudioConfigured } from './remote-audio.js';
+
+const FEED_API_VERSION = '1.0-feed-url';
+
+/**
+ * @param {object} input
+ * @param {string} [input.url] - episode share link (Apple, Spotify, YouTube, Overcast, Pocket Casts, Podcast Index)
+ * @param {string} [input.feedUrl] - RSS feed URL
+ * @param {string} [input.guid] - episode <guid> in the feed
+ * @param {string} [input.episodeTitle] - episode title to match in the feed
+ * @param {string} [input.audioUrl] - enclosure URL; on its own, analyzed without a feed
+ * @param {string} [input.title] - title override for a bare enclosure URL
+ * @param {string} [input.podcastTitle] - show title override for a bare enclosure URL
+ * @param {boolean} [input.force] - bypass the cache
+ * @param {string|string[]} [input.host] - host name(s) for speaker labels
+ * @param {string|string[]} [input.guests] - guest names, array or comma-separated
+ * @param {ReturnType<import('./index.js').createReporter>} report
+ */
+export async function runFeedPipeline({ url, feedUrl, guid, episodeTitle, audioUrl, title, podcastTitle, force, host, guests }, report) {
+  const startTime = Date.now();
+  force = isForced(force);
+
+  assertRemoteAudioConfigured();
+  if (!url && !feedUrl && !audioUrl) throw new PipelineError('url, feedUrl or audioUrl is required', 400);
+  if (!isHttpUrl(url || feedUrl || audioUrl)) throw new PipelineError('url / feedUrl / audioUrl must be an http(s) URL', 400);
+
+  report.log(`🚀 Feed analysis start: ${url || feedUrl || audioUrl}${force ? ' (force, cache bypassed)' : ''}`);
+
+  if (url) {
+    report.stage('metadata', 5, '🔗 Resolving podcast link…');
+    const { platform, show, episode, feed_url, match } = await resolveEpisodeUrl(url);
+    if (!episode?.audio_url) throw new PipelineError(`No audio found for this ${platform} link`, 404, { platform });
+    report.log(`✅ ${platform} link → "${episode.title}" (matched by ${match})`);
+    return analyzeFeedEpisode({ show, episode, feedUrl: feed_url, originalUrl: url, sourceLabel: `${platform} link`, title, podcastTitle, force, host, guests, startTime }, report);
+  }
+
+  if (!feedUrl) {
+    report.stage('metadata', 5, '🎵 Enclosure URL given, skipping feed lookup…');
+    return analyzeRemoteAudio({
+      audioUrl,
+      meta: {},
+      episodeTitle: title || titleFromUrl(audioUrl),
+      podcastTitle: podcastTitle || 'Podcast',
+      originalUrl: audioUrl,
+      source: 'feed',
+      sourceLabel: 'Enclosure URL',
+      apiVersion: FEED_API_VERSION,
+      force,
+      host,
+      guests,
+      startTime
+    }, report);
+  }
+
+  report.stage('metadata', 5, '📡 Fetching RSS feed…');
+  let feed;
+  try {
+    feed = await fetchFeed(feedUrl);
+  } catch (error) {
+    throw new PipelineError(`Could not read feed: ${error.message}`, 400);
+  }
+
+  const wantsSpecific = guid || episodeTitle || audioUrl;
+  const episode = wantsSpecific
+    ? findEpisode(feed, { guid, audioUrl, title: episodeTitle })
+    : feed.episodes.find(e => e.audio_url);
+  if (!episode) {
+    throw new PipelineError(
+      wantsSpecific ? 'Episode not found in feed' : 'Feed has no episodes with audio',
+      404,
+      { feed_title: feed.title, episode_count: feed.episodes.length }
+    );
+  }
+  if (!episode.audio_url) throw new PipelineError(`Episode "${episode.title}" has no audio enclosure`, 400);
+
+  report.log(`✅ Feed "${feed.title}": "${episode.title}" (${episode.guid})`);
+  return analyzeFeedEpisode({ show: feed, episode, feedUrl, originalUrl: feedUrl, sourceLabel: 'RSS feed', title, podcastTitle, force, host, guests, startTime }, report);
+}
+
+/**
+ * One feed episode (lib/rss.js shape) through the remote audio pipeline; also used by the show batch
+ */
+export function analyzeFeedEpisode({
+  show, episode, feedUrl, originalUrl, sourceLabel, title, podcastTitle, force, host, guests, startTime = Date.now()
+}, report) {
+  return analyzeRemoteAudio({
+    audioUrl: episode.audio_url,
+    meta: {
+      description: episode.description,
+      duration: episode.duration_seconds,
+      keywords: episode.keywords,
+      guid: episode.guid,
+      pub_date: episode.pub_date,
+      episode_number: episode.episode,
+      season_number: episode.season,
+      image: episode.image,
+      feed_url: feedUrl,
+      persons: [...(episode.persons || []), ...(show.persons || [])]
+    },
+    episodeTitle: episode.title || title || 'Episode',
+    podcastTitle: show.title || podcastTitle || 'Podcast',
+    originalUrl,
+    source: 'feed',
+    sourceLabel,
+    apiVersion: FEED_API_VERSION,
+    force,
+    host,
+    guests,
+    startTime
+  }, report);
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+function titleFromUrl(url) {
+  const name = decodeURIComponent(new URL(url).pathname.split('/').pop() || '');
+  return name.replace(/\.[a-z0-9]+$/i, '').replace(/[-_]+/g, ' ').trim() || 'Episode';
+}
@@ -0,0 +1,78 @@
+// lib/pipelines/index.js - Analysis pipelines shared by the HTTP handlers and the job runner
+// A pipeline is async (input, reporter) => result. It reports stage/progress through the
+// reporter and throws PipelineError for bad input so callers can map it to an HTTP status.
+// A batch pipeline returns fanOut(children, state) instead of a result; its BATCH_STEPS entry
+// then decides, from the children's stored state, which to start next and when the batch is done.
+import { runApplePipeline } from './apple.js';
+import { runBlobPipeline } from './blob.js';
+import { runFeedPipeline } from './feed.js';
+import { runShowPipeline, runShowEpisodePipeline, advanceShowBatch } from './show.js';
+import { EVENT_TYPES } from '../events.js';
+
+export const PIPELINES = {
+  apple: runApplePipeline,
+  blob: runBlobPipeline,
+  feed: runFeedPipeline,
+  show: runShowPipeline,
+  'show-episode': runShowEpisodePipeline
+};
+
+// Child-only types: started by a batch with input it has already validated, never by API callers
+export const INTERNAL_PIPELINES = new Set(['show-episode']);
+
+/**
+ * (batch, children) => { start: string[], skip: { id, result }[], done: number, progress: object, result?: object }
+ * batch is the parent's fanOut state plus its child ids; children are lib/jobs.js childView()s
+ */
+export const BATCH_STEPS = {
+  show: advanceShowBatch
+};
+
+const FAN_OUT = Symbol('fanOut');
+
+/**
+ * Hand a pipeline's work to child jobs instead of finishing it in this invocation
+ * @param {Array<{ type: string, input: object }>} children - one job each, in order
+ * @param {object} [state] - kept on the parent as job.batch
+ */
+export function fanOut(children, state = {}) {
+  return { [FAN_OUT]: true, children, state };
+}
+
+export function isFanOut(result) {
+  return Boolean(result?.[FAN_OUT]);
+}
+
+/**
+ * Progress reporter handed to pipelines; forwards typed events (see lib/events.js)
+ * @param {(type: string, data: object) => void} [onEvent]
+ * @returns {{ stage, progress, partial, log, debug: string[] }}
+ */
+export function createReporter(onEvent = () => {}) {
+  const debug = [];
+  let current = { stage: 'queued', progress: 0 };
+
+  return {
+    debug,
+    /** Enter a new stage */
+    stage(stage, progress, message, extra = {}) {
+      current = { stage, progress };
+      if (message) debug.push(message);
+      onEvent(EVENT_TYPES.STAGE, { stage, progress, message, ...extra });
+    },
+    /** Progress within the current stage */
+    progress(progress, message, extra = {}) {
+      current = { ...current, progress };
+      if (message) debug.push(message);
+      onEvent(EVENT_TYPES.PROGRESS, { ...current, message, ...extra });
+    },
+    /** Intermediate result available before the pipeline finishes */
+    partial(field, data) {
+      onEvent(EVENT_TYPES.PARTIAL, { field, ...data });
+    },
+    /** Debug line only, no event */
+    log(message) {
+      debug.push(message);
+    }
+  };
+}
@@ -0,0 +1,241 @@
+// lib/pipelines/remote-audio.js - Audio URL → /tmp download → Vercel Blob → Whisper (provider failover) → Enhanced TROOP
+// Shared tail of the Apple and feed pipelines once the enclosure URL and episode metadata are known.
+// Groq fetches the blob URL directly; other providers in TRANSCRIPTION_PROVIDERS get the file.
+// Episodes over every provider limit are transcribed in chunks from the /tmp copy.
+// Repeat URLs (URL + ETag) and identical audio (sha256) reuse the stored transcript / analysis.
+// Speakers are diarized from the blob copy and named from host / guests or the feed's podcast:person tags.
+import { put } from '@vercel/blob';
+import fs from 'fs';
+import { analyzeWithTROOP } from '../troop.js';
+import { transcribeAudio, getTranscriptionProviders, MAX_CHUNKABLE_BYTES } from '../transcription.js';
+import { PipelineError } from '../errors.js';
+import { extractKeywords, loadShowCorpus } from '../keywords.js';
+import { diarizeTranscription, speakerHints } from '../diarization.js';
+import { headInfo, downloadToTmpWithRetries, guessExtension, safeName } from '../download.js';
+import {
+  lookupUrl, rememberUrl, getCachedTranscription, cacheTranscription, getCachedEpisode
+} from '../transcript-cache.js';
+import { enrichAnalysis, episodeResult } from './enrich.js';
+
+const REMOTE_AUDIO_CONFIG = {
+  HARD_SIZE_LIMIT_BYTES: MAX_CHUNKABLE_BYTES, // Longer episodes are chunked; bounded by /tmp
+};
+
+export function assertRemoteAudioConfigured() {
+  if (!process.env.BLOB_READ_WRITE_TOKEN) {
+    throw new PipelineError('Server misconfig: BLOB_READ_WRITE_TOKEN not set', 500);
+  }
+  if (!getTranscriptionProviders().length) {
+    throw new PipelineError('Server misconfig: no transcription provider configured (GROQ_API_KEY, OPENAI_API_KEY or LOCAL_WHISPER_URL)', 500);
+  }
+}
+
+/**
+ * @param {object} params
+ * @param {string} params.audioUrl - enclosure URL
+ * @param {object} params.meta - { description?, duration?, keywords?, guid?, pub_date?, episode_number?, season_number?, image?, feed_url?, persons? }
+ * @param {string} params.episodeTitle
+ * @param {string} params.podcastTitle
+ * @param {string} params.originalUrl - what the caller submitted (Apple URL, feed URL, enclosure URL)
+ * @param {string} params.source - episode library source ('apple' | 'feed')
+ * @param {string} params.sourceLabel - first hop in the response `source` string
+ * @param {string} params.apiVersion
+ * @param {boolean} [params.force] - bypass the transcript / analysis cache
+ * @param {string|string[]} [params.host] - host name(s) for speaker labels
+ * @param {string|string[]} [params.guests] - guest names for speaker labels
+ * @param {number} [params.startTime]
+ * @param {ReturnType<import('./index.js').createReporter>} report
+ */
+export async function analyzeRemoteAudio({
+  audioUrl, meta = {}, episodeTitle, podcastTitle, originalUrl, source, sourceLabel, apiVersion, force = false, host, guests,
+  startTime = Date.now()
+}, report) {
+  const debug = report.debug;
+  const cached = (episode) => cachedResult(episode, { originalUrl, apiVersion, startTime, debug });
+
+  report.log(`🎵 Audio URL: ${String(audioUrl).slice(0, 140)}…`);
+
+  report.log('🧪 HEAD check…');
+  const { contentLength, contentType, validator } = await headInfo(audioUrl);
+  if (contentLength && contentLength > REMOTE_AUDIO_CONFIG.HARD_SIZE_LIMIT_BYTES) {
+    throw new PipelineError(`Audio too large (${Math.round(contentLength / 1024 / 1024)}MB). Use the MP3 upload path.`, 413);
+  }
+
+  // Same enclosure URL + ETag as before: reuse without downloading
+  const alias = force ? null : await lookupUrl(audioUrl, validator);
+  let contentHash = alias?.content_hash || null;
+  let blobUrl = alias?.blob_url || null;
+  let transcription = force ? null : await getCachedTranscription(contentHash);
+
+  const stored = force ? null : await getCachedEpisode(contentHash);
+  if (stored) {
+    report.log(`♻️ Already analyzed (episode ${stored.id}); pass force=true to re-run`);
+    return cached(stored);
+  }
+
+  if (transcription) {
+    report.log(`♻️ Reusing cached transcript (${transcription.transcript.length} chars)`);
+  } else {
+    report.stage('download', 15, '📥 Downloading MP3 → /tmp (stream) with retries…');
+    const tmpInfo = await downloadToTmpWithRetries(audioUrl);
+    contentHash = tmpInfo.contentHash;
+    report.log(`📁 Saved to /tmp (${Math.round(tmpInfo.sizeBytes / 1024 / 1024)}MB, sha256 ${contentHash.slice(0, 12)}…)`);
+
+    try {
+      // Same bytes under a different URL (re-hosted or re-tagged enclosure)
+      const sameAudio = force ? null : await getCachedEpisode(contentHash);
+      if (sameAudio) {
+        report.log(`♻️ Identical audio already analyzed (episode ${sameAudio.id}); pass force=true to re-run`);
+        await rememberUrl(audioUrl, validator, contentHash, { blob_url: sameAudio.metadata?.blobUrl });
+        return cached(sameAudio);
+      }
+      transcription = force ? null : await getCachedTranscription(contentHash);
+
+      const fileExt = guessExtension(contentType) || '.mp3';
+      const blobFilename = safeName(`${episodeTitle}`) + fileExt;
+
+      report.stage('upload', 30, '☁️ Uploading to Vercel Blob…');
+      const blob = await put(blobFilename, fs.createReadStream(tmpInfo.tmpPath), {
+        access: 'public',
+        addRandomSuffix: true,
+        contentType: contentType || 'audio/mpeg',
+      });
+      blobUrl = blob.url;
+      report.log(`✅ Blob uploaded: ${blob.url}`);
+
+      if (transcription) {
+        report.log(`♻️ Reusing cached transcript (${transcription.transcript.length} chars)`);
+      } else {
+        // URL-capable providers (Groq) fetch the blob directly; others upload the /tmp copy,
+        // which is also what gets split when the episode exceeds every provider limit
+        report.stage('transcribe', 40, '⚡ Transcribing (provider failover)...');
+        transcription = await transcribeAudio(
+          { url: blob.url, filepath: tmpInfo.tmpPath, filename: blobFilename, contentType: contentType || 'audio/mpeg', size: tmpInfo.sizeBytes },
+          {
+            debug,
+            onChunk: (done, total) => report.progress(40 + Math.round((done / total) * 30), `⚡ Transcribed part ${done} of ${total}...`)
+          }
+        );
+        await cacheTranscription(contentHash, transcription);
+      }
+    } finally {
+      try {
+        fs.unlinkSync(tmpInfo.tmpPath);
+      } catch (cleanupError) {
+        report.log(`⚠️ Temp file cleanup failed: ${cleanupError.message}`);
+      }
+    }
+    await rememberUrl(audioUrl, validator, contentHash, { blob_url: blobUrl });
+    report.log(`✅ Transcribed (${transcription.transcript.length} chars) via ${transcription.provider}`);
+  }
+  report.partial('transcript', { transcript: transcription.transcript, transcription_source: transcription.provider });
+
+  report.stage('diarize', 72, '🗣️ Identifying speakers…');
+  const diarization = await diarizeTranscription(transcription, {
+    source: { url: blobUrl || audioUrl },
+    hints: speakerHints({ host, guests, persons: meta.persons, podcastTitle }),
+    contentHash,
+    force,
+    debug
+  });
+
+  report.stage('analyze', 75, '🧠 Running Enhanced TROOP analysis…');
+  let analysisInput = null;
+  const analysis = await analyzeWithTROOP(transcription.transcript, episodeTitle, podcastTitle, {
+    segments: diarization.segments,
+    speakers: diarization.speakers,
+    onInput: (input) => { analysisInput = input; },
+  });
+  report.log('✅ TROOP analysis complete');
+
+  // Before saving, so this episode isn't part of its own IDF corpus
+  const corpus = await loadShowCorpus({ feedUrl: meta.feed_url, podcastTitle }, { language: transcription.language, excludeHash: contentHash });
+  const transcriptKeywords = extractKeywords(transcription.transcript, {
+    language: transcription.language, corpus, plan: analysis.keyword_plan
+  });
+
+  const episode = await enrichAnalysis(diarization.segments, analysis, {
+    title: episodeTitle,
+    podcastTitle,
+    transcription,
+    diarization,
+    source,
+    metadata: {
+      title: episodeTitle, podcastTitle, originalUrl, audioUrl, blobUrl, description: meta.description,
+      guid: meta.guid, pubDate: meta.pub_date, episodeNumber: meta.episode_number, seasonNumber: meta.season_number,
+      image: meta.image, feedUrl: meta.feed_url, transcriptKeywords
+    },
+    contentHash,
+    analysisInput
+  }, report);
+
+  const processingTime = Date.now() - startTime;
+  return {
+    success: true,
+    ...episodeResult(episode),
+    cached: false,
+    transcript_cached: Boolean(transcription.cached),
+    source: `${sourceLabel} → /tmp → Blob → ${transcription.provider} → Enhanced TROOP`,
+    metadata: {
+      title: episodeTitle,
+      podcastTitle,
+      originalUrl,
+      audioUrl,
+      description: meta.description,
+      duration: transcription.duration || meta.duration || transcription.metrics.durationSeconds,
+      keywords: meta.keywords || [],
+      transcript_keywords: transcriptKeywords,
+      keyword_corpus: corpus ? `show (${corpus.documents} episodes)` : 'background',
+      guid: meta.guid || null,
+      pubDate: meta.pub_date || null,
+      episodeNumber: meta.episode_number ?? null,
+      seasonNumber: meta.season_number ?? null,
+      image: meta.image || null,
+      feedUrl: meta.feed_url || null,
+      transcriptionSource: transcription.provider,
+      transcriptionAttempts: transcription.attempts,
+      transcriptionChunks: transcription.chunks || 1,
+      diarization: diarization.provider,
+      content_hash: contentHash,
+      processing_time_ms: processingTime,
+      processed_at: new Date().toISOString(),
+      api_version: apiVersion,
+      blob_url: blobUrl,
+    },
+    debug,
+  };
+}
+
+/**
+ * Response for audio that was already analyzed, rebuilt from the episode library
+ */
+function cachedResult(episode, { originalUrl, apiVersion, startTime, debug }) {
+  const meta = episode.metadata || {};
+  return {
+    success: true,
+    ...episodeResult(episode),
+    cached: true,
+    transcript_cached: true,
+    source: `Episode library (${episode.transcription?.provider} → Enhanced TROOP)`,
+    metadata: {
+      title: meta.title,
+      podcastTitle: meta.podcastTitle,
+      originalUrl,
+      audioUrl: meta.audioUrl,
+      description: meta.description,
+      duration: episode.duration_seconds,
+      keywords: [],
+      transcript_keywords: meta.transcriptKeywords || [],
+      transcriptionSource: episode.transcription?.provider,
+      transcriptionAttempts: [],
+      transcriptionChunks: episode.transcription?.chunks || 1,
+      diarization: episode.transcription?.diarization?.provider || null,
+      content_hash: episode.content_hash,
+      processing_time_ms: Date.now() - startTime,
+      processed_at: episode.created_at,
+      api_version: apiVersion,
+      blob_url: meta.blobUrl,
+    },
+    debug,
+  };
+}
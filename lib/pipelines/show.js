@@ -0,0 +1,315 @@
+// lib/pipelines/show.js - Whole-show batch: feed → newest N (or all) episodes → one child job each → rollup
+// The 'show' job only plans the batch; every episode runs as its own 'show-episode' job so a long
+// back catalog isn't bound by one function time limit (see lib/jobs.js). advanceShowBatch starts
+// children within the concurrency and budget caps and builds the rollup once they have all finished.
+// Episodes already in the library come back from the transcript cache at no cost, so a batch that
+// ran out of budget can simply be re-run to pick up where it stopped.
+import { PipelineError } from '../errors.js';
+import { fetchFeed } from '../rss.js';
+import { lookupPodcast, parseAppleUrl, isAppleUrl } from '../apple.js';
+import { getEpisode } from '../episodes.js';
+import { estimateEpisodeCost } from '../costs.js';
+import { getTranscriptionProviders } from '../transcription.js';
+import { isForced } from '../transcript-cache.js';
+import { rollupShow, parseGrowthScore } from '../show-rollup.js';
+import { assertRemoteAudioConfigured } from './remote-audio.js';
+import { analyzeFeedEpisode } from './feed.js';
+import { fanOut } from './index.js';
+
+const SHOW_CONFIG = {
+  DEFAULT_EPISODES: 10,
+  MAX_EPISODES: Number(process.env.SHOW_BATCH_MAX_EPISODES) || 200,
+  DEFAULT_CONCURRENCY: Number(process.env.SHOW_BATCH_CONCURRENCY) || 2,
+  MAX_CONCURRENCY: 5,
+  DEFAULT_BUDGET_USD: Number(process.env.SHOW_BATCH_BUDGET_USD) || null, // null = no cap
+  ASSUMED_DURATION_SECONDS: 3600, // feeds without itunes:duration
+  SPEECH_TOKENS_PER_MINUTE: 200,  // ~150 spoken words
+  CONDENSE_ABOVE_TOKENS: 8000,    // lib/troop.js TRANSCRIPT_TOKEN_BUDGET
+  // Model calls of a fresh analysis, at their prompt / completion caps; priced by lib/costs.js
+  ANALYSIS_CALLS: [
+    { model: 'gpt-4o', prompt_tokens: 11000, completion_tokens: 4000 },     // TROOP: transcript budget + instructions
+    { model: 'gpt-4o', prompt_tokens: 4000, completion_tokens: 1500 },      // TROOP schema repair
+    { model: 'gpt-4o-mini', prompt_tokens: 3000, completion_tokens: 650 },  // chapter titles
+    { model: 'gpt-4o-mini', prompt_tokens: 4000, completion_tokens: 1200 }, // show notes
+    { model: 'gpt-4o-mini', prompt_tokens: 2500, completion_tokens: 450 }   // clip captions and titles
+  ],
+  CONDENSE_MODEL: 'gpt-4o-mini',
+  CONDENSE_COMPLETION_TOKENS: 8000
+};
+
+export const SHOW_EPISODE_STATUS = {
+  ANALYZED: 'analyzed',
+  CACHED: 'cached',
+  FAILED: 'failed',
+  SKIPPED_BUDGET: 'skipped_budget'
+};
+
+/**
+ * @param {object} input
+ * @param {string} [input.feedUrl] - RSS feed URL
+ * @param {string|number} [input.appleId] - Apple Podcasts show id (or an Apple show / episode URL in appleUrl)
+ * @param {string} [input.appleUrl]
+ * @param {number} [input.limit] - newest N episodes (default 10)
+ * @param {boolean} [input.all] - every episode, up to SHOW_BATCH_MAX_EPISODES
+ * @param {number} [input.concurrency] - episodes in flight (1–5)
+ * @param {number} [input.budgetUsd] - stop starting new episodes once estimated spend would exceed this
+ * @param {boolean} [input.force] - re-analyze episodes that are already in the library
+ * @param {string|string[]} [input.host] - host name(s) for speaker labels; guests come from each episode's podcast:person tags
+ * @param {ReturnType<import('./index.js').createReporter>} report
+ */
+export async function runShowPipeline(input, report) {
+  const force = isForced(input.force);
+  assertRemoteAudioConfigured();
+
+  report.stage('metadata', 2, '📡 Fetching show feed…');
+  const feedUrl = await resolveShowFeedUrl(input);
+  let feed;
+  try {
+    feed = await fetchFeed(feedUrl);
+  } catch (error) {
+    throw new PipelineError(`Could not read feed: ${error.message}`, 400, { feed_url: feedUrl });
+  }
+
+  const playable = feed.episodes.filter(e => e.audio_url);
+  const wanted = input.all ? SHOW_CONFIG.MAX_EPISODES : clampInt(input.limit, 1, SHOW_CONFIG.MAX_EPISODES, SHOW_CONFIG.DEFAULT_EPISODES);
+  const selected = newestFirst(playable).slice(0, wanted);
+  if (!selected.length) throw new PipelineError('Feed has no episodes with audio', 404, { feed_url: feedUrl });
+
+  const concurrency = clampInt(input.concurrency, 1, SHOW_CONFIG.MAX_CONCURRENCY, SHOW_CONFIG.DEFAULT_CONCURRENCY);
+  const budgetLimit = Number(input.budgetUsd ?? SHOW_CONFIG.DEFAULT_BUDGET_USD);
+  const budgetUsd = budgetLimit > 0 ? budgetLimit : null;
+  const { episodes, ...show } = feed;
+
+  report.stage('analyze', 5, `🎙️ Analyzing ${selected.length} of ${playable.length} episodes of "${show.title}" (${concurrency} at a time)…`, {
+    episode_total: selected.length,
+    budget_usd: budgetUsd
+  });
+
+  return fanOut(
+    selected.map(episode => ({
+      type: 'show-episode',
+      input: { show, episode, feedUrl, force, host: input.host, estimateUsd: estimateRunCost(episode) }
+    })),
+    {
+      show: {
+        title: show.title,
+        author: show.author,
+        image: show.image,
+        feed_url: feedUrl,
+        categories: show.categories,
+        episode_count: playable.length
+      },
+      requested: { episodes: selected.length, all: Boolean(input.all), concurrency, force },
+      budget_usd: budgetUsd,
+      started_at: new Date().toISOString()
+    }
+  );
+}
+
+/**
+ * One episode of a show batch ('show-episode' job); failures become table rows instead of failing the batch
+ * @param {object} input - { show, episode, feedUrl, force, host, estimateUsd }
+ */
+export async function runShowEpisodePipeline({ show, episode, feedUrl, force, host, estimateUsd }, report) {
+  const row = episodeRow(episode);
+  const estimate = Number(estimateUsd) || estimateRunCost(episode);
+
+  try {
+    const result = await analyzeFeedEpisode({
+      show, episode, feedUrl, originalUrl: feedUrl, sourceLabel: 'RSS feed (show batch)', force: isForced(force), host
+    }, report);
+
+    const spent = result.cached ? 0 : await actualCost(result, estimate);
+    return {
+      ...row,
+      status: result.cached ? SHOW_EPISODE_STATUS.CACHED : SHOW_EPISODE_STATUS.ANALYZED,
+      episode_id: result.episode_id,
+      optimized_title: result.analysis?.optimized_title || null,
+      growth_score: parseGrowthScore(result.analysis?.growth_score),
+      top_keywords: (result.analysis?.topics_keywords || []).slice(0, 5),
+      duration_seconds: result.metadata?.duration || row.duration_seconds,
+      cost_usd: spent,
+      analysis: result.analysis
+    };
+  } catch (error) {
+    // Downloads / transcription may have been paid for before the failure; keep the estimate
+    console.warn(`⚠️ Show batch episode failed "${episode.title}":`, error.message);
+    return { ...row, status: SHOW_EPISODE_STATUS.FAILED, cost_usd: estimate, error: error.message };
+  }
+}
+
+/**
+ * Batch step for 'show' (see BATCH_STEPS): settled children count at their actual cost, children in
+ * flight at their estimate, so concurrent episodes can't jointly overshoot the budget. Waiting
+ * children start in feed order while there is room; one that would exceed the budget is skipped.
+ */
+export function advanceShowBatch(batch, children) {
+  const { concurrency } = batch.requested;
+  const rows = children.map(child => settledRow(child));
+  let spent = rows.reduce((sum, row) => sum + (row?.cost_usd || 0), 0);
+  let reserved = children.reduce((sum, child) => sum + (child.in_flight ? child.input.estimateUsd || 0 : 0), 0);
+  let inFlight = children.filter(child => child.in_flight).length;
+
+  const start = [];
+  const skip = [];
+  children.forEach((child, index) => {
+    if (child.finished || child.in_flight || inFlight >= concurrency) return;
+    const estimate = child.input.estimateUsd || 0;
+    if (batch.budget_usd !== null && spent + reserved + estimate > batch.budget_usd) {
+      rows[index] = { ...episodeRow(child.input.episode), status: SHOW_EPISODE_STATUS.SKIPPED_BUDGET };
+      skip.push({ id: child.id, result: rows[index] });
+      return;
+    }
+    start.push(child.id);
+    reserved += estimate;
+    inFlight++;
+  });
+
+  spent = roundUsd(spent);
+  const done = rows.filter(Boolean).length;
+  const progress = {
+    stage: 'analyze',
+    progress: 5 + Math.round((done / children.length) * 85),
+    message: `📊 ${done}/${children.length} episodes done`,
+    episode_done: done,
+    episode_total: children.length,
+    spent_usd: spent
+  };
+  if (done < children.length) return { start, skip, done, progress };
+
+  return { start, skip, done, progress, result: showResult(batch, rows, spent) };
+}
+
+/**
+ * The child's row once it has finished (a killed or failed job counts as failed at its estimate), else null
+ */
+function settledRow(child) {
+  if (!child.finished) return null;
+  if (!child.failed && child.result) return child.result;
+  return {
+    ...episodeRow(child.input.episode || {}),
+    status: SHOW_EPISODE_STATUS.FAILED,
+    cost_usd: child.input.estimateUsd || 0,
+    error: child.error
+  };
+}
+
+function showResult(batch, rows, spent) {
+  return {
+    status: 'success',
+    show: batch.show,
+    requested: batch.requested,
+    budget: {
+      limit_usd: batch.budget_usd,
+      spent_usd: spent,
+      skipped: rows.filter(r => r.status === SHOW_EPISODE_STATUS.SKIPPED_BUDGET).length
+    },
+    summary: countBy(rows, 'status'),
+    episodes: rows.map(({ analysis, ...row }) => row),
+    rollup: rollupShow(rows.filter(r => r.analysis).map(r => ({
+      episode_id: r.episode_id,
+      title: r.title,
+      pub_date: r.pub_date,
+      analysis: r.analysis
+    }))),
+    processing_time_ms: Date.now() - Date.parse(batch.started_at),
+    processed_at: new Date().toISOString()
+  };
+}
+
+function episodeRow(episode) {
+  return {
+    guid: episode.guid,
+    title: episode.title,
+    pub_date: episode.pub_date,
+    episode_number: episode.episode,
+    season_number: episode.season,
+    duration_seconds: episode.duration_seconds || null,
+    status: null,
+    episode_id: null,
+    optimized_title: null,
+    growth_score: null,
+    top_keywords: [],
+    cost_usd: 0,
+    error: null
+  };
+}
+
+/**
+ * Feed URL from feedUrl, appleId or an Apple show / episode URL
+ */
+async function resolveShowFeedUrl({ feedUrl, appleId, appleUrl }) {
+  if (feedUrl) return feedUrl;
+
+  const podcastId = appleId ? String(appleId).replace(/^id/, '') : (isAppleUrl(appleUrl) ? parseAppleUrl(appleUrl).podcastId : null);
+  if (!podcastId) throw new PipelineError('feedUrl, appleId or an Apple Podcasts appleUrl is required', 400);
+
+  let podcast;
+  try {
+    podcast = await lookupPodcast(podcastId);
+  } catch (error) {
+    throw new PipelineError(error.message, 404, { apple_id: podcastId });
+  }
+  if (!podcast.feedUrl) throw new PipelineError('This show has no public RSS feed', 404, { apple_id: podcastId });
+  return podcast.feedUrl;
+}
+
+function estimateRunCost(episode) {
+  const provider = getTranscriptionProviders()[0]?.name;
+  const durationSeconds = episode.duration_seconds || SHOW_CONFIG.ASSUMED_DURATION_SECONDS;
+  return estimateEpisodeCost({ provider, durationSeconds, usage: analysisUsageEstimate(durationSeconds) }).total_usd;
+}
+
+/**
+ * Token usage of a fresh analysis, shaped like analysis._usage; transcripts over the TROOP budget
+ * are condensed first, which reads the whole transcript
+ */
+function analysisUsageEstimate(durationSeconds) {
+  const transcriptTokens = Math.round((durationSeconds / 60) * SHOW_CONFIG.SPEECH_TOKENS_PER_MINUTE);
+  const calls = transcriptTokens > SHOW_CONFIG.CONDENSE_ABOVE_TOKENS
+    ? [...SHOW_CONFIG.ANALYSIS_CALLS, {
+      model: SHOW_CONFIG.CONDENSE_MODEL,
+      prompt_tokens: transcriptTokens,
+      completion_tokens: SHOW_CONFIG.CONDENSE_COMPLETION_TOKENS
+    }]
+    : SHOW_CONFIG.ANALYSIS_CALLS;
+
+  const by_model = {};
+  for (const { model, prompt_tokens, completion_tokens } of calls) {
+    const entry = by_model[model] || (by_model[model] = { calls: 0, prompt_tokens: 0, completion_tokens: 0 });
+    entry.calls += 1;
+    entry.prompt_tokens += prompt_tokens;
+    entry.completion_tokens += completion_tokens;
+  }
+  return { by_model };
+}
+
+/**
+ * What this run actually paid: the stored cost, minus transcription when the transcript was cached
+ */
+async function actualCost(result, fallback) {
+  const stored = result.episode_id ? await getEpisode(result.episode_id).catch(() => null) : null;
+  if (!stored?.cost) return fallback;
+  return result.transcript_cached ? stored.cost.analysis_usd : stored.cost.total_usd;
+}
+
+function newestFirst(episodes) {
+  // Feeds are usually newest-first already; pubDate wins when present
+  return episodes
+    .map((episode, index) => ({ episode, index }))
+    .sort((a, b) => (Date.parse(b.episode.pub_date) || 0) - (Date.parse(a.episode.pub_date) || 0) || a.index - b.index)
+    .map(({ episode }) => episode);
+}
+
+function clampInt(value, min, max, fallback) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) ? Math.max(min, Math.min(max, n)) : fallback;
+}
+
+function countBy(rows, key) {
+  return rows.reduce((counts, row) => ({ ...counts, [row[key]]: (counts[row[key]] || 0) + 1 }), {});
+}
+
+function roundUsd(value) {
+  return Math.round(value * 10000) / 10000;
+}
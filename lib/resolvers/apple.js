@@ -0,0 +1,11 @@
+// lib/resolvers/apple.js - podcasts.apple.com/…/id<show>?i=<episode>
+import { isAppleUrl, resolveAppleEpisode } from '../apple.js';
+
+export const appleResolver = {
+  name: 'apple',
+  label: 'Apple Podcasts',
+  matches: (url) => isAppleUrl(url.href),
+  async resolve(url) {
+    return resolveAppleEpisode(url.href);
+  }
+};
@@ -0,0 +1,164 @@
+// lib/resolvers/common.js - Shared helpers for share-link resolvers: page fetch, meta / JSON-LD
+// scraping and "find this episode in the show's RSS feed" via iTunes search.
+import { fetchFeed, findEpisode, normalizeTitle } from '../rss.js';
+import { searchPodcasts, lookupPodcast } from '../apple.js';
+import { PipelineError } from '../errors.js';
+
+export const RESOLVER_CONFIG = {
+  FETCH_TIMEOUT_MS: 15_000,
+  MAX_FEED_CANDIDATES: 3,
+  // Share pages serve full metadata to browsers only
+  USER_AGENT: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0 Safari/537.36'
+};
+
+/**
+ * GET a share page as text (follows redirects, e.g. pca.st short links)
+ * @returns {Promise<{ html: string, url: string }>} url is the final URL after redirects
+ */
+export async function fetchPage(url, headers = {}) {
+  const { default: fetch } = await import('node-fetch');
+  const response = await fetch(url, {
+    redirect: 'follow',
+    headers: { 'User-Agent': RESOLVER_CONFIG.USER_AGENT, 'Accept-Language': 'en', ...headers },
+    signal: AbortSignal.timeout(RESOLVER_CONFIG.FETCH_TIMEOUT_MS)
+  });
+  if (!response.ok) throw new PipelineError(`Could not load ${new URL(url).hostname} page (${response.status})`, 502);
+  return { html: await response.text(), url: response.url || url };
+}
+
+export async function fetchJson(url, headers = {}) {
+  const { default: fetch } = await import('node-fetch');
+  const response = await fetch(url, {
+    headers: { 'User-Agent': RESOLVER_CONFIG.USER_AGENT, Accept: 'application/json', ...headers },
+    signal: AbortSignal.timeout(RESOLVER_CONFIG.FETCH_TIMEOUT_MS)
+  });
+  if (!response.ok) throw new PipelineError(`${new URL(url).hostname} returned ${response.status}`, 502);
+  return response.json();
+}
+
+/**
+ * <meta property|name="..." content="..."> tags, attribute order independent
+ * @returns {Record<string, string>} first value per key
+ */
+export function metaTags(html) {
+  const tags = {};
+  for (const [tag] of String(html).matchAll(/<meta\b[^>]*>/gi)) {
+    const key = (attribute(tag, 'property') || attribute(tag, 'name') || attribute(tag, 'itemprop') || '').toLowerCase();
+    const content = attribute(tag, 'content');
+    if (key && content !== null && !(key in tags)) tags[key] = content;
+  }
+  return tags;
+}
+
+/**
+ * Parsed <script type="application/ld+json"> blocks, @graph arrays flattened
+ */
+export function jsonLd(html) {
+  const items = [];
+  for (const [, body] of String(html).matchAll(/<script[^>]+type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi)) {
+    try {
+      const parsed = JSON.parse(body.trim());
+      for (const item of [].concat(parsed)) items.push(...(item?.['@graph'] || [item]));
+    } catch {}
+  }
+  return items;
+}
+
+/**
+ * First <audio src> / <source src> on the page, without media fragments (#t=0)
+ */
+export function audioSource(html) {
+  const tag = String(html).match(/<(?:audio|source)\b[^>]*\bsrc=["'][^"']+["'][^>]*>/i)?.[0];
+  const src = tag ? attribute(tag, 'src') : null;
+  return src ? src.split('#')[0] : null;
+}
+
+export function pageTitle(html) {
+  const title = String(html).match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1];
+  return title ? decodeEntities(title).trim() : null;
+}
+
+export function decodeEntities(value) {
+  return String(value)
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;|&#39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&mdash;/g, '—')
+    .replace(/&ndash;/g, '–')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Locate the episode in the show's public feed, found by iTunes search on the show name
+ * @param {{ showName: string, episodeTitle?: string, audioUrl?: string, itunesId?: string }} query
+ * @returns {Promise<{ show: object, episode: object, feed_url: string, match: string } | null>}
+ */
+export async function findInShowFeed({ showName, episodeTitle, audioUrl, itunesId }) {
+  const candidates = itunesId
+    ? [await lookupPodcast(itunesId).catch(() => null)].filter(Boolean)
+    : rankByName(await searchPodcasts(showName).catch(() => []), showName);
+
+  for (const podcast of candidates.filter(p => p.feedUrl).slice(0, RESOLVER_CONFIG.MAX_FEED_CANDIDATES)) {
+    const feed = await fetchFeed(podcast.feedUrl).catch(() => null);
+    if (!feed) continue;
+    const episode = findEpisode(feed, { audioUrl }) || findEpisode(feed, { title: episodeTitle });
+    if (episode) {
+      const { episodes, ...show } = feed;
+      return { show, episode, feed_url: podcast.feedUrl, match: audioUrl && episode.audio_url ? 'audio' : 'title' };
+    }
+  }
+  return null;
+}
+
+/**
+ * lib/rss.js-shaped episode from what a share page exposes
+ */
+export function episodeStub({ title = null, description = null, audio_url = null, image = null, podcast_title = null, pub_date = null, duration_seconds = 0 }) {
+  return {
+    guid: null,
+    title,
+    description,
+    summary: null,
+    link: null,
+    pub_date,
+    audio_url,
+    enclosure: audio_url ? { url: audio_url, type: null, length: null } : null,
+    duration_seconds,
+    episode: null,
+    season: null,
+    episode_type: 'full',
+    explicit: null,
+    image,
+    keywords: [],
+    chapters: null,
+    transcripts: [],
+    soundbites: [],
+    persons: [],
+    podcast_title
+  };
+}
+
+/**
+ * ISO 8601 duration (PT1H2M3S) → seconds
+ */
+export function isoDurationSeconds(value) {
+  const m = String(value || '').match(/^P(?:(\d+)D)?T?(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?$/);
+  if (!m) return 0;
+  const [, d, h, min, s] = m.map(Number);
+  return Math.round((d || 0) * 86400 + (h || 0) * 3600 + (min || 0) * 60 + (s || 0));
+}
+
+function rankByName(podcasts, showName) {
+  const wanted = normalizeTitle(showName);
+  return [...podcasts].sort((a, b) =>
+    Number(normalizeTitle(b.collectionName) === wanted) - Number(normalizeTitle(a.collectionName) === wanted));
+}
+
+function attribute(tag, name) {
+  const m = tag.match(new RegExp(`\\b${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i'));
+  return m ? decodeEntities(m[2] ?? m[3]) : null;
+}
@@ -0,0 +1,65 @@
+// lib/resolvers/index.js - Share link → show + episode (+ RSS enclosure where one exists)
+// Each resolver is { name, label, matches(url: URL), resolve(url: URL) } and returns the
+// lib/apple.js resolveAppleEpisode() shape: { show, episode, feed_url, match }.
+// Resolvers throw PipelineError (404 no feed / 422 unreadable page / 502 platform down).
+import { PipelineError } from '../errors.js';
+import { appleResolver } from './apple.js';
+import { spotifyResolver } from './spotify.js';
+import { youtubeResolver } from './youtube.js';
+import { overcastResolver } from './overcast.js';
+import { pocketcastsResolver } from './pocketcasts.js';
+import { podcastIndexResolver } from './podcastindex.js';
+
+export const RESOLVERS = [
+  appleResolver,
+  spotifyResolver,
+  youtubeResolver,
+  overcastResolver,
+  pocketcastsResolver,
+  podcastIndexResolver
+];
+
+/**
+ * Resolver that understands this URL, or null
+ */
+export function findResolver(shareUrl) {
+  const url = parseUrl(shareUrl);
+  return url ? RESOLVERS.find(resolver => resolver.matches(url)) || null : null;
+}
+
+export function detectPlatform(shareUrl) {
+  return findResolver(shareUrl)?.name || null;
+}
+
+/**
+ * @param {string} shareUrl - Apple / Spotify / YouTube / Overcast / Pocket Casts / Podcast Index link
+ * @returns {Promise<{ platform: string, show: object, episode: object, feed_url: string|null, match: string }>}
+ */
+export async function resolveEpisodeUrl(shareUrl) {
+  const resolver = findResolver(shareUrl);
+  if (!resolver) {
+    throw new PipelineError('Unsupported podcast link', 400, {
+      supported: RESOLVERS.map(r => r.label)
+    });
+  }
+
+  console.log(`🔗 Resolving ${resolver.label} link: ${shareUrl}`);
+  let resolved;
+  try {
+    resolved = await resolver.resolve(parseUrl(shareUrl));
+  } catch (error) {
+    if (error.name === 'PipelineError') throw error;
+    throw new PipelineError(`${resolver.label}: ${error.message}`, 404, { platform: resolver.name });
+  }
+  console.log(`✅ ${resolver.label} → "${resolved.episode?.title}" (${resolved.match}${resolved.feed_url ? `, ${resolved.feed_url}` : ''})`);
+  return { platform: resolver.name, ...resolved };
+}
+
+function parseUrl(value) {
+  try {
+    const url = new URL(String(value).trim());
+    return ['http:', 'https:'].includes(url.protocol) ? url : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,49 @@
+// lib/resolvers/overcast.js - overcast.fm/+<episode>
+// Episode pages embed the enclosure in <audio><source> and link the show as /itunes<id>/<slug>,
+// so the feed is one iTunes lookup away. Without a feed match the enclosure is used directly.
+import { PipelineError } from '../errors.js';
+import { fetchPage, metaTags, audioSource, pageTitle, findInShowFeed, episodeStub } from './common.js';
+
+export const overcastResolver = {
+  name: 'overcast',
+  label: 'Overcast',
+  matches: (url) => url.hostname.replace(/^www\./, '') === 'overcast.fm' && /^\/\+[A-Za-z0-9_-]+/.test(url.pathname),
+  async resolve(url) {
+    const { html } = await fetchPage(url.href);
+    const page = parseOvercastEpisodePage(html);
+    if (!page.audioUrl) {
+      throw new PipelineError('No audio found on the Overcast episode page', 422, { platform: 'overcast' });
+    }
+
+    const found = await findInShowFeed({
+      showName: page.showName,
+      episodeTitle: page.title,
+      audioUrl: page.audioUrl,
+      itunesId: page.itunesId
+    });
+    if (found) return found;
+
+    return {
+      show: { title: page.showName, image: page.image, feed_url: null },
+      episode: episodeStub({ title: page.title, audio_url: page.audioUrl, image: page.image, podcast_title: page.showName }),
+      feed_url: null,
+      match: 'enclosure'
+    };
+  }
+};
+
+/**
+ * Overcast titles read "<episode> — <show> — Overcast"
+ */
+export function parseOvercastEpisodePage(html) {
+  const meta = metaTags(html);
+  const titleParts = (pageTitle(html) || '').split(/\s+[—–-]\s+/).filter(p => p && p !== 'Overcast');
+
+  return {
+    title: meta['og:title'] || titleParts[0] || null,
+    showName: titleParts.length > 1 ? titleParts[titleParts.length - 1] : null,
+    audioUrl: audioSource(html),
+    itunesId: html.match(/href=["']\/itunes(\d+)/)?.[1] || null,
+    image: meta['og:image'] || null
+  };
+}
@@ -0,0 +1,52 @@
+// lib/resolvers/pocketcasts.js - pca.st share links and pocketcasts.com episode pages
+// Share pages carry og:audio (the enclosure) and the episode / show titles; the feed is found by
+// iTunes search so guid, chapters and numbering come from the publisher's RSS.
+import { PipelineError } from '../errors.js';
+import { fetchPage, metaTags, jsonLd, audioSource, pageTitle, findInShowFeed, episodeStub } from './common.js';
+
+const POCKETCASTS_HOSTS = new Set(['pca.st', 'www.pca.st', 'pocketcasts.com', 'www.pocketcasts.com', 'play.pocketcasts.com']);
+
+export const pocketcastsResolver = {
+  name: 'pocketcasts',
+  label: 'Pocket Casts',
+  matches: (url) => POCKETCASTS_HOSTS.has(url.hostname) && url.pathname.length > 1,
+  async resolve(url) {
+    const { html } = await fetchPage(url.href);
+    const page = parsePocketCastsEpisodePage(html);
+    if (!page.audioUrl && !(page.title && page.showName)) {
+      throw new PipelineError('Could not read episode details from the Pocket Casts page', 422, { platform: 'pocketcasts' });
+    }
+
+    const found = page.showName
+      ? await findInShowFeed({ showName: page.showName, episodeTitle: page.title, audioUrl: page.audioUrl })
+      : null;
+    if (found) return found;
+    if (!page.audioUrl) {
+      throw new PipelineError(`No public feed found for "${page.showName}"`, 404, { platform: 'pocketcasts', title: page.title });
+    }
+
+    return {
+      show: { title: page.showName, image: page.image, feed_url: null },
+      episode: episodeStub({ title: page.title, audio_url: page.audioUrl, image: page.image, podcast_title: page.showName, description: page.description }),
+      feed_url: null,
+      match: 'enclosure'
+    };
+  }
+};
+
+/**
+ * Titles read "<episode> - <show> - Pocket Casts"; JSON-LD wins when the page has it
+ */
+export function parsePocketCastsEpisodePage(html) {
+  const meta = metaTags(html);
+  const ld = jsonLd(html).find(item => item['@type'] === 'PodcastEpisode') || {};
+  const titleParts = (pageTitle(html) || '').split(/\s+[—–-]\s+/).filter(p => p && !/^pocket casts$/i.test(p));
+
+  return {
+    title: ld.name || meta['og:title'] || titleParts[0] || null,
+    showName: ld.partOfSeries?.name || (titleParts.length > 1 ? titleParts[titleParts.length - 1] : null),
+    audioUrl: ld.associatedMedia?.contentUrl || meta['og:audio'] || audioSource(html),
+    description: ld.description || meta['og:description'] || null,
+    image: meta['og:image'] || null
+  };
+}
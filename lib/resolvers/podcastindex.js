@@ -0,0 +1,58 @@
+// lib/resolvers/podcastindex.js - podcastindex.org/podcast/<feedId>[?episode=<episodeId>]
+// The site is a client-side app, so this goes through the Podcast Index API
+// (PODCASTINDEX_API_KEY + PODCASTINDEX_API_SECRET). Without ?episode= the newest episode is used.
+import crypto from 'crypto';
+import { PipelineError } from '../errors.js';
+import { fetchFeed, findEpisode } from '../rss.js';
+import { fetchJson } from './common.js';
+
+const PODCASTINDEX_API = 'https://api.podcastindex.org/api/1.0';
+
+export const podcastIndexResolver = {
+  name: 'podcastindex',
+  label: 'Podcast Index',
+  matches: (url) => url.hostname.replace(/^www\./, '') === 'podcastindex.org' && /^\/podcast\/\d+/.test(url.pathname),
+  async resolve(url) {
+    const feedId = url.pathname.match(/^\/podcast\/(\d+)/)[1];
+    const episodeId = url.searchParams.get('episode');
+
+    const { feed } = await apiGet(`/podcasts/byfeedid?id=${feedId}`);
+    if (!feed?.url) throw new PipelineError(`Podcast Index feed ${feedId} not found`, 404, { platform: 'podcastindex' });
+    const indexed = episodeId ? (await apiGet(`/episodes/byid?id=${episodeId}`)).episode : null;
+    if (episodeId && !indexed) throw new PipelineError(`Podcast Index episode ${episodeId} not found`, 404, { platform: 'podcastindex' });
+
+    const parsed = await fetchFeed(feed.url);
+    const episode = findIndexedEpisode(parsed, indexed);
+    if (!episode) throw new PipelineError('Episode not found in the feed', 404, { platform: 'podcastindex', feed_url: feed.url });
+
+    const { episodes, ...show } = parsed;
+    return { show, episode, feed_url: feed.url, match: indexed ? 'guid' : 'latest' };
+  }
+};
+
+/**
+ * The API's episode record in its parsed feed (guid, enclosure, then title), or the newest
+ * episode with audio when the link names no episode
+ */
+export function findIndexedEpisode(feed, indexed) {
+  return indexed
+    ? findEpisode(feed, { guid: indexed.guid, audioUrl: indexed.enclosureUrl, title: indexed.title })
+    : feed.episodes.find(e => e.audio_url) || null;
+}
+
+/**
+ * Signed API request: Authorization = sha1(key + secret + unix time)
+ */
+async function apiGet(path) {
+  const key = process.env.PODCASTINDEX_API_KEY;
+  const secret = process.env.PODCASTINDEX_API_SECRET;
+  if (!key || !secret) {
+    throw new PipelineError('Server misconfig: PODCASTINDEX_API_KEY / PODCASTINDEX_API_SECRET not set', 500, { platform: 'podcastindex' });
+  }
+  const now = String(Math.floor(Date.now() / 1000));
+  return fetchJson(`${PODCASTINDEX_API}${path}`, {
+    'X-Auth-Key': key,
+    'X-Auth-Date': now,
+    Authorization: crypto.createHash('sha1').update(key + secret + now).digest('hex')
+  });
+}
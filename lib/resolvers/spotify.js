@@ -0,0 +1,50 @@
+// lib/resolvers/spotify.js - open.spotify.com/episode/<id>
+// Spotify serves no audio URL, so the episode page only gives us titles: the show is found by
+// iTunes search and the episode matched by title in its RSS feed. Spotify exclusives have no feed.
+import { PipelineError } from '../errors.js';
+import { fetchPage, metaTags, jsonLd, findInShowFeed, isoDurationSeconds } from './common.js';
+
+const EPISODE_PATH = /^\/(?:intl-[a-z-]+\/)?episode\/([A-Za-z0-9]{22})/;
+
+export const spotifyResolver = {
+  name: 'spotify',
+  label: 'Spotify',
+  matches: (url) => url.hostname === 'open.spotify.com' && EPISODE_PATH.test(url.pathname),
+  async resolve(url) {
+    const episodeId = url.pathname.match(EPISODE_PATH)[1];
+    const { html } = await fetchPage(`https://open.spotify.com/episode/${episodeId}`);
+    const page = parseSpotifyEpisodePage(html);
+    if (!page.title || !page.showName) {
+      throw new PipelineError('Could not read episode details from the Spotify page', 422, { platform: 'spotify' });
+    }
+
+    const found = await findInShowFeed({ showName: page.showName, episodeTitle: page.title });
+    if (!found) {
+      throw new PipelineError(
+        `"${page.showName}" has no public RSS feed with this episode (Spotify exclusive?). Upload the audio instead.`,
+        404,
+        { platform: 'spotify', title: page.title, podcast_title: page.showName }
+      );
+    }
+    return found;
+  }
+};
+
+/**
+ * Episode title + show name from og: tags ("Listen to this episode from <show> on Spotify.")
+ * or the PodcastEpisode JSON-LD block when present
+ */
+export function parseSpotifyEpisodePage(html) {
+  const meta = metaTags(html);
+  const ld = jsonLd(html).find(item => item['@type'] === 'PodcastEpisode') || {};
+  const fromDescription = (meta['og:description'] || '').match(/episode from (.+?) on Spotify/i)?.[1];
+
+  return {
+    title: ld.name || meta['og:title'] || null,
+    showName: ld.partOfSeries?.name || fromDescription || null,
+    description: ld.description || null,
+    image: meta['og:image'] || null,
+    durationSeconds: isoDurationSeconds(ld.duration) || Number(meta['music:duration']) || 0,
+    pubDate: ld.datePublished || meta['music:release_date'] || null
+  };
+}
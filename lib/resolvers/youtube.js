@@ -0,0 +1,59 @@
+// lib/resolvers/youtube.js - youtube.com/watch?v=, youtu.be/, /shorts/, /live/, music.youtube.com
+// oEmbed gives the video title and channel name; most video podcasts also publish an audio feed,
+// found by iTunes search on the channel name and matched by episode title.
+import { PipelineError } from '../errors.js';
+import { fetchJson, findInShowFeed } from './common.js';
+
+const YOUTUBE_HOSTS = new Set(['youtube.com', 'www.youtube.com', 'm.youtube.com', 'music.youtube.com', 'youtu.be']);
+// Channels often append these to the show name
+const CHANNEL_SUFFIX = /\s*(?:-\s*topic|podcast|official|clips|tv)\s*$/i;
+
+export const youtubeResolver = {
+  name: 'youtube',
+  label: 'YouTube',
+  matches: (url) => YOUTUBE_HOSTS.has(url.hostname) && Boolean(youtubeVideoId(url)),
+  async resolve(url) {
+    const videoId = youtubeVideoId(url);
+    const watchUrl = `https://www.youtube.com/watch?v=${videoId}`;
+    const oembed = await fetchJson(`https://www.youtube.com/oembed?format=json&url=${encodeURIComponent(watchUrl)}`);
+    const { title, channel, showNames } = parseYoutubeOembed(oembed);
+    if (!title || !channel) {
+      throw new PipelineError('Could not read video details from YouTube', 422, { platform: 'youtube' });
+    }
+
+    let found = null;
+    for (const showName of showNames) {
+      found = await findInShowFeed({ showName, episodeTitle: title });
+      if (found) break;
+    }
+    if (!found) {
+      throw new PipelineError(
+        `No podcast feed found for YouTube channel "${channel}" with this episode. Upload the audio instead.`,
+        404,
+        { platform: 'youtube', title, podcast_title: channel, video_id: videoId }
+      );
+    }
+    return found;
+  }
+};
+
+/**
+ * Video title and channel from an oEmbed response; showNames are the channel name to search
+ * for, then the same without a suffix like "Podcast" or "- Topic"
+ */
+export function parseYoutubeOembed(oembed) {
+  const title = oembed?.title || null;
+  const channel = oembed?.author_name || null;
+  const showNames = channel && CHANNEL_SUFFIX.test(channel) ? [channel, channel.replace(CHANNEL_SUFFIX, '')] : [channel].filter(Boolean);
+  return { title, channel, showNames };
+}
+
+/**
+ * 11-character video id from any YouTube URL shape, or null
+ */
+export function youtubeVideoId(url) {
+  const id = url.hostname === 'youtu.be'
+    ? url.pathname.slice(1).split('/')[0]
+    : url.searchParams.get('v') || url.pathname.match(/^\/(?:shorts|live|embed)\/([^/?]+)/)?.[1];
+  return /^[A-Za-z0-9_-]{11}$/.test(id || '') ? id : null;
+}
@@ -0,0 +1,270 @@
+// lib/rss.js - Podcast RSS feed parsing (RSS 2.0 + itunes: + podcast: namespaces)
+// Parsed with fast-xml-parser, so attributes on <item>, entities and multi-line CDATA are handled.
+// Feeds are normalised to snake_case show / episode objects the pipelines and endpoints share.
+import { pipeline } from 'stream/promises';
+import { XMLParser } from 'fast-xml-parser';
+import { limitBytes } from './streams.js';
+
+const RSS_CONFIG = {
+  FETCH_TIMEOUT_MS: 20_000,
+  MAX_FEED_BYTES: 50 * 1024 * 1024,
+  USER_AGENT: 'PodcastGrowthAgent/1.0 (+https://podcastgrowthagent.com)'
+};
+
+// Tags that may repeat; always parsed as arrays so single-item feeds look the same
+const ARRAY_TAGS = new Set([
+  'item', 'category', 'itunes:category', 'podcast:person', 'podcast:transcript',
+  'podcast:funding', 'podcast:soundbite', 'podcast:alternateEnclosure', 'enclosure'
+]);
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  parseTagValue: false,      // keep guids / episode numbers as strings until we normalise them
+  parseAttributeValue: false,
+  trimValues: true,
+  processEntities: true,
+  htmlEntities: true,
+  isArray: (name) => ARRAY_TAGS.has(name)
+});
+
+/**
+ * Download and parse a feed
+ * @param {string} feedUrl
+ * @returns {Promise<ReturnType<typeof parseFeed>>}
+ */
+export async function fetchFeed(feedUrl) {
+  const { default: fetch } = await import('node-fetch');
+  const response = await fetch(feedUrl, {
+    redirect: 'follow',
+    headers: { 'User-Agent': RSS_CONFIG.USER_AGENT, Accept: 'application/rss+xml, application/xml;q=0.9, */*;q=0.8' },
+    signal: AbortSignal.timeout(RSS_CONFIG.FETCH_TIMEOUT_MS)
+  });
+  if (!response.ok) throw new Error(`Feed fetch failed: ${response.status} ${response.statusText}`);
+
+  const tooLarge = (maxBytes) => new Error(`Feed too large (over ${Math.round(maxBytes / 1024 / 1024)}MB)`);
+  const declared = Number(response.headers.get('content-length') || 0);
+  if (declared > RSS_CONFIG.MAX_FEED_BYTES) throw tooLarge(RSS_CONFIG.MAX_FEED_BYTES);
+
+  // content-length can be missing or wrong, so the cap is also enforced while reading
+  const chunks = [];
+  await pipeline(response.body, limitBytes(RSS_CONFIG.MAX_FEED_BYTES, tooLarge), async (source) => {
+    for await (const chunk of source) chunks.push(chunk);
+  });
+  const feed = parseFeed(Buffer.concat(chunks).toString('utf8'));
+  feed.feed_url = feedUrl;
+  return feed;
+}
+
+/**
+ * Parse feed XML into { title, author, image, ..., episodes: [...] }
+ * @param {string} xml
+ */
+export function parseFeed(xml) {
+  let doc;
+  try {
+    doc = parser.parse(xml);
+  } catch (error) {
+    throw new Error(`Invalid feed XML: ${error.message}`);
+  }
+
+  const channel = doc?.rss?.channel;
+  if (!channel) throw new Error('Not an RSS feed (no <rss><channel>)');
+
+  const showImage = imageUrl(channel);
+  const show = {
+    title: oneLine(text(channel.title)) || null,
+    author: text(channel['itunes:author']) || text(channel['podcast:author']) || null,
+    description: text(channel.description) || text(channel['itunes:summary']) || null,
+    link: text(channel.link) || null,
+    language: text(channel.language) || null,
+    image: showImage,
+    categories: categories(channel),
+    explicit: flag(channel['itunes:explicit']),
+    type: text(channel['itunes:type']) || null,
+    owner: channel['itunes:owner']
+      ? { name: text(channel['itunes:owner']['itunes:name']) || null, email: text(channel['itunes:owner']['itunes:email']) || null }
+      : null,
+    podcast_guid: text(channel['podcast:guid']) || null,
+    locked: flag(channel['podcast:locked']),
+    funding: (channel['podcast:funding'] || []).map(f => ({ url: attr(f, 'url'), message: text(f) || null })),
+    persons: persons(channel),
+    feed_url: null
+  };
+
+  show.episodes = (channel.item || []).map(item => parseItem(item, show));
+  return show;
+}
+
+function parseItem(item, show) {
+  const enclosure = (item.enclosure || [])[0];
+  const chapters = item['podcast:chapters'];
+  const pubDate = text(item.pubDate);
+  const published = pubDate ? new Date(pubDate) : null;
+
+  return {
+    guid: text(item.guid) || attr(enclosure, 'url') || null,
+    title: oneLine(text(item['itunes:title']) || text(item.title)) || null,
+    description: text(item['content:encoded']) || text(item.description) || text(item['itunes:summary']) || null,
+    summary: text(item['itunes:subtitle']) || null,
+    link: text(item.link) || null,
+    pub_date: published && !isNaN(published) ? published.toISOString() : null,
+    audio_url: attr(enclosure, 'url'),
+    enclosure: enclosure
+      ? { url: attr(enclosure, 'url'), type: attr(enclosure, 'type'), length: toInt(attr(enclosure, 'length')) }
+      : null,
+    duration_seconds: parseDuration(text(item['itunes:duration'])),
+    episode: toInt(text(item['itunes:episode']) || text(item['podcast:episode'])),
+    season: toInt(text(item['itunes:season']) || text(item['podcast:season'])),
+    episode_type: text(item['itunes:episodeType']) || 'full',
+    explicit: item['itunes:explicit'] !== undefined ? flag(item['itunes:explicit']) : show.explicit,
+    image: imageUrl(item) || show.image,
+    keywords: splitList(text(item['itunes:keywords'])),
+    chapters: chapters ? { url: attr(chapters, 'url'), type: attr(chapters, 'type') } : null,
+    transcripts: (item['podcast:transcript'] || []).map(t => ({
+      url: attr(t, 'url'),
+      type: attr(t, 'type'),
+      language: attr(t, 'language'),
+      rel: attr(t, 'rel')
+    })),
+    soundbites: (item['podcast:soundbite'] || []).map(s => ({
+      start: Number(attr(s, 'startTime')) || 0,
+      duration: Number(attr(s, 'duration')) || 0,
+      title: text(s) || null
+    })),
+    persons: persons(item),
+    podcast_title: show.title
+  };
+}
+
+/**
+ * Best matching episode: guid or enclosure URL first, then normalised title
+ * @param {{episodes: object[]}} feed
+ * @param {{guid?: string, audioUrl?: string, title?: string}} query
+ * @returns {object|null}
+ */
+export function findEpisode(feed, { guid, audioUrl, title } = {}) {
+  const episodes = feed?.episodes || [];
+
+  if (guid) {
+    const byGuid = episodes.find(e => e.guid === guid);
+    if (byGuid) return byGuid;
+  }
+  if (audioUrl) {
+    const target = stripQuery(audioUrl);
+    const byAudio = episodes.find(e => e.audio_url && stripQuery(e.audio_url) === target);
+    if (byAudio) return byAudio;
+  }
+  if (!title) return null;
+
+  const wanted = normalizeTitle(title);
+  if (!wanted) return null;
+  const exact = episodes.find(e => normalizeTitle(e.title) === wanted);
+  if (exact) return exact;
+
+  // Apple slugs drop punctuation and truncate long titles: score by shared words
+  const wantedWords = new Set(wanted.split(' '));
+  let best = null;
+  let bestScore = 0;
+  for (const episode of episodes) {
+    const words = normalizeTitle(episode.title).split(' ').filter(Boolean);
+    if (!words.length) continue;
+    const shared = words.filter(w => wantedWords.has(w)).length;
+    const score = shared / Math.max(wantedWords.size, Math.min(words.length, wantedWords.size * 2));
+    if (score > bestScore) {
+      best = episode;
+      bestScore = score;
+    }
+  }
+  return bestScore >= 0.6 ? best : null;
+}
+
+/**
+ * itunes:duration as seconds: "HH:MM:SS", "MM:SS" or plain seconds
+ */
+export function parseDuration(value) {
+  if (!value) return 0;
+  const parts = String(value).trim().split(':').map(p => parseFloat(p) || 0);
+  return Math.round(parts.reduce((total, part) => total * 60 + part, 0));
+}
+
+export function normalizeTitle(title) {
+  return String(title || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/* ---------------------------
+ Helpers
+----------------------------*/
+
+function text(node) {
+  if (node === undefined || node === null) return '';
+  if (Array.isArray(node)) return text(node[0]);
+  if (typeof node === 'object') return text(node['#text']);
+  return String(node).trim();
+}
+
+function oneLine(value) {
+  return value.replace(/\s+/g, ' ').trim();
+}
+
+function attr(node, name) {
+  if (Array.isArray(node)) return attr(node[0], name);
+  const value = node && typeof node === 'object' ? node[`@_${name}`] : undefined;
+  return value !== undefined ? String(value).trim() : null;
+}
+
+function imageUrl(node) {
+  return attr(node['itunes:image'], 'href') || text(node.image?.url) || null;
+}
+
+function categories(channel) {
+  const names = [];
+  const walk = (list) => {
+    for (const category of list || []) {
+      const name = attr(category, 'text');
+      if (name && !names.includes(name)) names.push(name);
+      walk(category['itunes:category']);
+    }
+  };
+  walk(channel['itunes:category']);
+  for (const category of channel.category || []) {
+    const name = text(category);
+    if (name && !names.includes(name)) names.push(name);
+  }
+  return names;
+}
+
+function persons(node) {
+  return (node['podcast:person'] || []).map(p => ({
+    name: text(p),
+    role: attr(p, 'role') || 'host',
+    group: attr(p, 'group') || null,
+    href: attr(p, 'href'),
+    img: attr(p, 'img')
+  }));
+}
+
+function flag(node) {
+  const value = text(node).toLowerCase();
+  if (!value) return null;
+  return ['yes', 'true', 'explicit'].includes(value);
+}
+
+function toInt(value) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) ? n : null;
+}
+
+function splitList(value) {
+  return value ? value.split(',').map(s => s.trim()).filter(Boolean) : [];
+}
+
+function stripQuery(url) {
+  return String(url).split('?')[0];
+}
@@ -0,0 +1,110 @@
+// lib/segments.js - Timestamped transcript segment helpers
+// Segments are { id, start, end, text } with start/end in seconds from episode start;
+// diarized segments also carry speaker (display label), speaker_id and speaker_source
+// ('audio' | 'estimated', see lib/diarization.js).
+
+/**
+ * Normalize provider segments (Whisper verbose_json) into { id, start, end, text }
+ */
+export function normalizeSegments(rawSegments) {
+  if (!Array.isArray(rawSegments)) return [];
+  return rawSegments
+    .map(s => ({
+      start: roundSeconds(Number(s?.start)),
+      end: roundSeconds(Number(s?.end)),
+      text: String(s?.text || '').trim()
+    }))
+    .filter(s => Number.isFinite(s.start) && Number.isFinite(s.end) && s.text)
+    .map((s, id) => ({ id, ...s }));
+}
+
+/**
+ * Real duration in seconds from the last segment end (null when there are no segments)
+ */
+export function durationFromSegments(segments) {
+  if (!segments?.length) return null;
+  return Math.max(...segments.map(s => s.end));
+}
+
+/**
+ * Format seconds as M:SS or H:MM:SS ("listen at 12:34")
+ */
+export function formatTimestamp(seconds) {
+  const total = Math.max(0, Math.floor(Number(seconds) || 0));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+/**
+ * Find where a (lightly edited) quote was spoken. Hashtags and emoji are ignored;
+ * windows of up to MAX_WINDOW consecutive segments are scored by word overlap.
+ * @returns {{start: number, end: number, timestamp: string, confidence: number} | null}
+ */
+export function locateQuote(quote, segments, minOverlap = 0.5) {
+  const MAX_WINDOW = 4;
+  const quoteWords = tokenize(String(quote || '').replace(/#\w+/g, ''));
+  if (!quoteWords.length || !segments?.length) return null;
+
+  const quoteSet = new Set(quoteWords);
+  const segmentWords = segments.map(s => tokenize(s.text));
+  let best = null;
+
+  for (let i = 0; i < segments.length; i++) {
+    const windowWords = new Set();
+    for (let j = i; j < Math.min(segments.length, i + MAX_WINDOW); j++) {
+      segmentWords[j].forEach(w => windowWords.add(w));
+      let hits = 0;
+      quoteSet.forEach(w => { if (windowWords.has(w)) hits++; });
+      const overlap = hits / quoteSet.size;
+      // Prefer higher overlap, then the tighter window
+      if (!best || overlap > best.overlap || (overlap === best.overlap && j - i < best.j - best.i)) {
+        best = { i, j, overlap };
+      }
+    }
+  }
+
+  if (!best || best.overlap < minOverlap) return null;
+  return {
+    start: segments[best.i].start,
+    end: segments[best.j].end,
+    timestamp: formatTimestamp(segments[best.i].start),
+    confidence: Math.round(best.overlap * 100) / 100
+  };
+}
+
+/**
+ * Speaker label with the most speech between start and end (segments carrying `speaker`), or null
+ */
+export function speakerAt(segments, start, end) {
+  const seconds = new Map();
+  for (const s of segments || []) {
+    const overlap = Math.min(s.end, end) - Math.max(s.start, start);
+    if (!s.speaker || overlap <= 0) continue;
+    seconds.set(s.speaker, (seconds.get(s.speaker) || 0) + overlap);
+  }
+  let best = null;
+  for (const [speaker, total] of seconds) {
+    if (!best || total > seconds.get(best)) best = speaker;
+  }
+  return best;
+}
+
+/**
+ * 'audio' or 'estimated' when the segments are diarized, else null
+ */
+export function speakerSource(segments) {
+  return (segments || []).find(s => s.speaker_source)?.speaker_source || null;
+}
+
+function tokenize(text) {
+  return text.toLowerCase()
+    .replace(/[^\p{L}\p{N}\s']/gu, ' ')
+    .split(/\s+/)
+    .filter(w => w.length > 2);
+}
+
+function roundSeconds(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,374 @@
+// lib/show-notes.js - Full show notes: summary, key takeaways, guest bio, resources and chapters
+// Resources come from the transcript itself: spoken or written URLs ("acme dot com"), social handles,
+// things "called" something, and capitalised names that keep coming up in brand / business talk
+// (see VALUE_PATTERN_TYPES in lib/condense.js). With an OpenAI key one small model call writes the
+// summary, takeaways and bios; resources it adds are kept only when the transcript mentions them.
+// Renders to Markdown and to plain HTML that pastes into a host's CMS.
+import { VALUE_PATTERN_TYPES, extractiveDigest, splitSentences, valueScore } from './condense.js';
+import { labeledTranscript } from './diarization.js';
+import { chatJson } from './chat.js';
+import { formatTimestamp } from './segments.js';
+
+export const SHOW_NOTES_CONFIG = {
+  MODEL: 'gpt-4o-mini',
+  INPUT_TOKENS: 3000,           // transcript digest the model writes from
+  MAX_TAKEAWAYS: 5,
+  MAX_RESOURCES: 15,
+  MIN_BRAND_MENTIONS: 2,        // a capitalised name must recur to count as a brand
+  TAKEAWAY_WORDS: { min: 10, max: 45 },
+  INTRO_SECONDS: 300,           // where hosts introduce their guests
+  BIO_MAX_CHARS: 400,
+  TEMPERATURE: 0.4,
+  TIMEOUT_MS: 45_000
+};
+
+const TLDS = 'com|org|net|io|co|fm|ai|app|dev|me|tv|show|ly|us|uk|ca|de';
+const URL_PATTERN = new RegExp(`\\b((?:https?://)?(?:www\\.)?[a-z0-9][a-z0-9-]*(?:\\.[a-z0-9-]+)*\\.(?:${TLDS})(?:/[^\\s,;)"”]*)?)`, 'gi');
+const SPOKEN_URL_PATTERN = new RegExp(`\\b([a-z0-9][a-z0-9-]*)\\s+dot\\s+(${TLDS})\\b(?:\\s+(?:slash|forward slash)\\s+([a-z0-9-]+))?`, 'gi');
+const HANDLE_PATTERN = /(?:^|\s)@([A-Za-z0-9_.]{2,30}[A-Za-z0-9_])/g;
+const CALLED_PATTERN = /\b(book|app|tool|podcast|course|newsletter|platform|company|software|website|community|documentary|film|movie|show)\s+(?:called|named)\s+["“]?([^,.;!?"”]{2,80})/giu;
+
+// Capitalised words that are grammar, not names
+const NOT_NAMES = new Set([
+  'i', "i'm", 'im', "i've", "i'll", "i'd", 'ok', 'okay', 'yeah', 'mr', 'mrs', 'ms', 'dr', 'god', 'tv', 'ai',
+  'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday',
+  'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'
+]);
+const NAME_CONNECTORS = new Set(['of', 'the', 'and', 'for', 'to', 'a', 'in', 'on', '&']);
+
+/**
+ * @param {object} params
+ * @param {object} params.analysis - TROOP analysis (episode_summary seeds the summary)
+ * @param {string} params.transcript
+ * @param {object[]} [params.segments] - timestamped, optionally diarized
+ * @param {object[]} [params.speakers] - diarizeTranscription() speakers
+ * @param {object} [params.chapters] - generateChapters() result
+ * @param {{ title?: string, podcastTitle?: string }} [params.metadata]
+ * @param {string} [params.openaiApiKey] - enables the model-written summary, takeaways and bios
+ * @param {object} [params.usage] - token usage accumulator (analysis._usage)
+ * @returns {Promise<{ method: 'model'|'extractive', title, podcast_title, summary, takeaways: string[],
+ *   guests: Array<{ name, bio }>, resources: Array<{ name, type, url, start, timestamp, mentions, note }>,
+ *   chapters: Array<{ start, timestamp, title }> }>}
+ */
+export async function buildShowNotes({ analysis = {}, transcript, segments = [], speakers = [], chapters, metadata = {}, openaiApiKey, usage }) {
+  const lines = segments.length ? segments : splitSentences(transcript).map(text => ({ text, start: null }));
+  const guestNames = speakers.filter(s => s.role === 'guest' && s.name).map(s => s.name);
+  // Speakers by full and first name, and the show itself, are never "mentions"
+  const exclude = [...speakers.flatMap(s => (s.name ? [s.name, s.name.split(/\s+/)[0]] : [])), metadata.podcastTitle].filter(Boolean);
+
+  const notes = {
+    method: 'extractive',
+    title: metadata.title || null,
+    podcast_title: metadata.podcastTitle || null,
+    summary: analysis.episode_summary || '',
+    takeaways: extractTakeaways(lines, chapters?.chapters),
+    guests: guestNames.map(name => ({ name, bio: introBio(segments, name) })),
+    resources: findResources(lines, { exclude }),
+    chapters: (chapters?.chapters || []).map(c => ({ start: c.start, timestamp: formatTimestamp(c.start), title: c.title }))
+  };
+
+  if (openaiApiKey) {
+    try {
+      const written = await writeWithModel(notes, { transcript, segments, speakers, openaiApiKey, usage });
+      Object.assign(notes, mergeWritten(notes, written, transcript), { method: 'model' });
+    } catch (error) {
+      console.warn('⚠️ Show notes model pass failed, using extractive notes:', error.message);
+    }
+  }
+  console.log(`📝 Show notes: ${notes.takeaways.length} takeaways, ${notes.resources.length} resources (${notes.method})`);
+  return notes;
+}
+
+/**
+ * URLs, social handles, named things ("a book called …") and recurring brand names, first mention first
+ * @param {Array<{ text: string, start: number|null }>} lines - segments or sentences
+ * @param {object} [options] - { exclude: names never listed (speakers, the show) }
+ */
+export function findResources(lines, { exclude = [] } = {}) {
+  const found = new Map();
+  const excluded = new Set(exclude.map(key));
+  const add = (name, type, line, extra = {}) => {
+    const id = key(extra.url || name);
+    if (!id || excluded.has(key(name))) return null;
+    const entry = found.get(id) || { name, type, url: null, start: line.start, timestamp: line.start == null ? null : formatTimestamp(line.start), mentions: 0, note: null, ...extra };
+    entry.mentions++;
+    found.set(id, entry);
+    return entry;
+  };
+
+  const brands = new Map();
+  for (const line of lines) {
+    const text = String(line.text || '');
+    for (const match of text.matchAll(URL_PATTERN)) {
+      const raw = match[1].replace(/[.)]+$/, '');
+      if (!/[a-z]/i.test(raw.split('.')[0]) || /^\d/.test(raw)) continue;
+      add(raw.replace(/^https?:\/\/(www\.)?|^www\./i, ''), 'link', line, { url: /^https?:\/\//i.test(raw) ? raw : `https://${raw}` });
+    }
+    for (const match of text.matchAll(SPOKEN_URL_PATTERN)) {
+      const domain = `${match[1]}.${match[2]}`.toLowerCase() + (match[3] ? `/${match[3].toLowerCase()}` : '');
+      add(domain, 'link', line, { url: `https://${domain}` });
+    }
+    if (VALUE_PATTERN_TYPES.social.test(text)) {
+      const platform = text.match(VALUE_PATTERN_TYPES.social)[1].toLowerCase();
+      for (const match of text.matchAll(HANDLE_PATTERN)) add(`@${match[1]}`, 'social', line, { note: platform });
+    }
+    for (const match of text.matchAll(CALLED_PATTERN)) {
+      const name = leadingName(match[2]);
+      if (name) add(name, match[1].toLowerCase(), line);
+    }
+    // A name qualifies in brand / business talk; once it has, every later mention counts
+    const qualifies = VALUE_PATTERN_TYPES.proper_noun.test(text) || VALUE_PATTERN_TYPES.business.test(text);
+    for (const name of capitalisedNames(text)) {
+      const entry = brands.get(key(name)) || { name, line, count: 0, qualified: false };
+      entry.count++;
+      entry.qualified ||= qualifies;
+      brands.set(key(name), entry);
+    }
+  }
+  for (const { name, line, count, qualified } of brands.values()) {
+    if (!qualified || count < SHOW_NOTES_CONFIG.MIN_BRAND_MENTIONS || found.has(key(name))) continue;
+    const entry = add(name, 'brand', line);
+    if (entry) entry.mentions = count;
+  }
+
+  return [...found.values()]
+    .sort((a, b) => (a.start ?? Infinity) - (b.start ?? Infinity))
+    .slice(0, SHOW_NOTES_CONFIG.MAX_RESOURCES);
+}
+
+export function renderShowNotesMarkdown(notes) {
+  const lines = [];
+  if (notes.title) lines.push(`# ${notes.title}`, '');
+  if (notes.summary) lines.push(notes.summary, '');
+
+  if (notes.takeaways.length) {
+    lines.push('## Key takeaways', '', ...notes.takeaways.map(t => `- ${t}`), '');
+  }
+  const bios = notes.guests.filter(g => g.bio);
+  if (bios.length) {
+    lines.push(bios.length > 1 ? '## Guests' : '## Guest', '');
+    for (const guest of bios) lines.push(`**${guest.name}** — ${guest.bio}`, '');
+  }
+  if (notes.resources.length) {
+    lines.push('## Resources & mentions', '');
+    for (const r of notes.resources) {
+      const name = r.url ? `[${r.name}](${r.url})` : `**${r.name}**`;
+      lines.push(`- ${name}${r.note ? ` — ${r.note}` : ''}${r.timestamp ? ` (${r.timestamp})` : ''}`);
+    }
+    lines.push('');
+  }
+  if (notes.chapters.length) {
+    lines.push('## Chapters', '', ...notes.chapters.map(c => `- ${c.timestamp} ${c.title}`), '');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Plain semantic HTML (h2 / p / ul / a) with no styles or scripts, safe to paste into a CMS
+ */
+export function renderShowNotesHtml(notes) {
+  const parts = [];
+  if (notes.title) parts.push(`<h1>${escapeHtml(notes.title)}</h1>`);
+  if (notes.summary) parts.push(...notes.summary.split(/\n{2,}/).map(p => `<p>${escapeHtml(p)}</p>`));
+
+  if (notes.takeaways.length) {
+    parts.push('<h2>Key takeaways</h2>', list(notes.takeaways.map(escapeHtml)));
+  }
+  const bios = notes.guests.filter(g => g.bio);
+  if (bios.length) {
+    parts.push(`<h2>${bios.length > 1 ? 'Guests' : 'Guest'}</h2>`);
+    for (const guest of bios) parts.push(`<p><strong>${escapeHtml(guest.name)}</strong> — ${escapeHtml(guest.bio)}</p>`);
+  }
+  if (notes.resources.length) {
+    parts.push('<h2>Resources &amp; mentions</h2>', list(notes.resources.map(r => {
+      const name = r.url && /^https?:\/\//i.test(r.url)
+        ? `<a href="${escapeHtml(r.url)}" target="_blank" rel="noopener">${escapeHtml(r.name)}</a>`
+        : `<strong>${escapeHtml(r.name)}</strong>`;
+      return `${name}${r.note ? ` — ${escapeHtml(r.note)}` : ''}${r.timestamp ? ` (${r.timestamp})` : ''}`;
+    })));
+  }
+  if (notes.chapters.length) {
+    parts.push('<h2>Chapters</h2>', list(notes.chapters.map(c => `${c.timestamp} ${escapeHtml(c.title)}`)));
+  }
+  return `${parts.join('\n')}\n`;
+}
+
+/**
+ * The strongest advice / stat / lesson sentence per chapter, topped up from the whole episode
+ */
+function extractTakeaways(lines, chapters = []) {
+  const { min, max } = SHOW_NOTES_CONFIG.TAKEAWAY_WORDS;
+  const candidates = lines
+    .flatMap(line => splitSentences(line.text).map(sentence => ({ sentence: cleanSentence(sentence), start: line.start })))
+    .filter(c => {
+      const words = c.sentence.split(/\s+/).length;
+      return words >= min && words <= max && !c.sentence.endsWith('?')
+        && ['recommendation', 'actionable', 'emphasis', 'stat'].some(type => VALUE_PATTERN_TYPES[type].test(c.sentence));
+    })
+    .map(c => ({ ...c, score: valueScore(c.sentence) }));
+
+  const picked = [];
+  for (const chapter of chapters || []) {
+    const best = candidates
+      .filter(c => c.start != null && c.start >= chapter.start && c.start < chapter.end)
+      .sort((a, b) => b.score - a.score)[0];
+    if (best) picked.push(best);
+  }
+  for (const candidate of [...candidates].sort((a, b) => b.score - a.score)) {
+    if (picked.length >= SHOW_NOTES_CONFIG.MAX_TAKEAWAYS) break;
+    if (!picked.includes(candidate)) picked.push(candidate);
+  }
+  return picked
+    .slice(0, SHOW_NOTES_CONFIG.MAX_TAKEAWAYS)
+    .sort((a, b) => (a.start ?? 0) - (b.start ?? 0))
+    .map(c => c.sentence);
+}
+
+/**
+ * What the intro says about a guest: other speakers' sentences naming them, before the interview starts.
+ * "Today my guest is Mike Lee, founder of …" is trimmed to start at the full name.
+ */
+function introBio(segments, guestName) {
+  const first = guestName.split(/\s+/)[0].toLowerCase();
+  const sentences = segments
+    .filter(s => s.start < SHOW_NOTES_CONFIG.INTRO_SECONDS && s.speaker !== guestName)
+    .flatMap(s => splitSentences(s.text))
+    .filter(sentence => sentence.toLowerCase().includes(first) && !sentence.endsWith('?'))
+    .map(sentence => {
+      const at = sentence.toLowerCase().indexOf(guestName.toLowerCase());
+      return cleanSentence(at > 0 ? sentence.slice(at) : sentence);
+    });
+
+  let bio = '';
+  for (const sentence of sentences) {
+    if (bio && bio.length + sentence.length + 1 > SHOW_NOTES_CONFIG.BIO_MAX_CHARS) break;
+    bio = bio ? `${bio} ${sentence}` : sentence;
+  }
+  return bio.slice(0, SHOW_NOTES_CONFIG.BIO_MAX_CHARS) || null;
+}
+
+async function writeWithModel(notes, { transcript, segments, speakers, openaiApiKey, usage }) {
+  const source = labeledTranscript(segments) || transcript;
+  const prompt = [
+    'Write podcast show notes from this episode. Return JSON:',
+    '{ "summary": "2 short paragraphs, listener-facing", "takeaways": ["≤5 concrete takeaways, one sentence each"],',
+    '  "guests": [{ "name": "", "bio": "1–2 sentences from what the episode says about them" }],',
+    '  "resources": [{ "name": "", "url": "https:// or null", "note": "≤12 words on why it came up" }] }',
+    'Only include resources, brands, books and links that are actually mentioned. Never invent URLs.',
+    '',
+    `Episode: ${notes.title || 'Untitled episode'}${notes.podcast_title ? ` (${notes.podcast_title})` : ''}`,
+    speakers.length ? `Speakers: ${speakers.map(s => `${s.label} (${s.role})`).join(', ')}` : '',
+    notes.summary ? `Current summary: ${notes.summary}` : '',
+    notes.resources.length ? `Mentions found so far: ${notes.resources.map(r => r.name).join(', ')}` : '',
+    '',
+    'TRANSCRIPT:',
+    extractiveDigest(source, { budgetTokens: SHOW_NOTES_CONFIG.INPUT_TOKENS })
+  ].filter((line, i, all) => line || all[i - 1]).join('\n');
+
+  return chatJson(prompt, {
+    openaiApiKey,
+    model: SHOW_NOTES_CONFIG.MODEL,
+    maxTokens: 1200,
+    temperature: SHOW_NOTES_CONFIG.TEMPERATURE,
+    timeoutMs: SHOW_NOTES_CONFIG.TIMEOUT_MS,
+    usage
+  });
+}
+
+/**
+ * Model copy over the extractive notes; model-only resources must be named in the transcript
+ */
+function mergeWritten(notes, written, transcript) {
+  const spoken = String(transcript || '').toLowerCase();
+  const mentioned = (value) => Boolean(value) && spoken.includes(String(value).toLowerCase().replace(/^https?:\/\/(www\.)?/, '').replace(/\/$/, ''));
+
+  const resources = [...notes.resources];
+  for (const r of Array.isArray(written.resources) ? written.resources : []) {
+    if (!r?.name) continue;
+    const existing = resources.find(e => key(e.name) === key(r.name) || (r.url && e.url === r.url));
+    if (existing) {
+      existing.note = existing.note || (r.note ? String(r.note).trim() : null);
+    } else if (mentioned(r.name)) {
+      const url = typeof r.url === 'string' && /^https?:\/\//i.test(r.url) && mentioned(r.url) ? r.url : null;
+      resources.push({ name: String(r.name).trim(), type: 'mention', url, start: null, timestamp: null, mentions: 1, note: r.note ? String(r.note).trim() : null });
+    }
+  }
+
+  const guests = notes.guests.map(guest => {
+    const bio = (written.guests || []).find(g => g?.name && key(g.name).startsWith(key(guest.name.split(/\s+/)[0])))?.bio;
+    return bio ? { ...guest, bio: String(bio).trim().slice(0, SHOW_NOTES_CONFIG.BIO_MAX_CHARS) } : guest;
+  });
+
+  const takeaways = (Array.isArray(written.takeaways) ? written.takeaways : [])
+    .map(t => String(t || '').trim())
+    .filter(Boolean)
+    .slice(0, SHOW_NOTES_CONFIG.MAX_TAKEAWAYS);
+
+  return {
+    summary: typeof written.summary === 'string' && written.summary.trim() ? written.summary.trim() : notes.summary,
+    takeaways: takeaways.length ? takeaways : notes.takeaways,
+    guests,
+    resources: resources.slice(0, SHOW_NOTES_CONFIG.MAX_RESOURCES)
+  };
+}
+
+/**
+ * Runs of capitalised words that don't open a sentence ("we moved to Shopify Plus last year")
+ */
+function capitalisedNames(text) {
+  const names = [];
+  for (const sentence of splitSentences(text)) {
+    const words = sentence.split(/\s+/);
+    let run = [];
+    const flush = () => {
+      while (run.length && NAME_CONNECTORS.has(run[run.length - 1].toLowerCase())) run.pop();
+      if (run.length) names.push(run.join(' '));
+      run = [];
+    };
+    words.forEach((word, i) => {
+      const clean = word.replace(/^["“'(]+|["”'),:;.!?]+$/g, '');
+      const capital = i > 0 && /^\p{Lu}/u.test(clean) && !NOT_NAMES.has(clean.toLowerCase());
+      if (capital) run.push(clean);
+      else if (run.length && NAME_CONNECTORS.has(clean.toLowerCase())) run.push(clean);
+      else flush();
+      if (/[,:;)"”]$/.test(word)) flush();
+    });
+    flush();
+  }
+  return names;
+}
+
+/**
+ * Leading title of a "called …" capture: capitalised words and the small words between them
+ */
+function leadingName(capture) {
+  const words = [];
+  for (const word of String(capture).trim().split(/\s+/)) {
+    if (/^\p{Lu}|^\d/u.test(word)) words.push(word);
+    else if (words.length && NAME_CONNECTORS.has(word.toLowerCase())) words.push(word);
+    else break;
+  }
+  while (words.length && NAME_CONNECTORS.has(words[words.length - 1].toLowerCase())) words.pop();
+  return words.join(' ') || null;
+}
+
+function cleanSentence(sentence) {
+  const trimmed = sentence.trim().replace(/^(?:and|so|but|um|uh|like|yeah|you know),?\s+/i, '');
+  return trimmed.charAt(0).toUpperCase() + trimmed.slice(1);
+}
+
+function key(value) {
+  return String(value || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+function list(items) {
+  return `<ul>\n${items.map(item => `  <li>${item}</li>`).join('\n')}\n</ul>`;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
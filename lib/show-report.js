@@ -0,0 +1,292 @@
+// lib/show-report.js - Show growth report over the stored episode library
+// Topic coverage by month, suggested keywords no published episode targets yet, communities the
+// analyses keep recommending and the growth-score trend. buildShowReport() is pure; the
+// Markdown renderer turns the same object into a shareable document.
+import { normalizeTitle } from './rss.js';
+import { parseGrowthScore } from './show-rollup.js';
+
+export const REPORT_CONFIG = {
+  MAX_TOPICS: 20,
+  MAX_GAPS: 25,
+  MAX_COMMUNITIES: 15,
+  TREND_WINDOW: 3,   // moving-average width, episodes
+  FLAT_SLOPE: 0.5    // growth points per episode below which the trend counts as flat
+};
+
+/**
+ * @param {object} params
+ * @param {{ title?: string, feed_url?: string }} params.show
+ * @param {object[]} params.episodes - stored episode records (lib/episodes.js)
+ * @returns {object} report
+ */
+export function buildShowReport({ show = {}, episodes }) {
+  const items = episodes
+    .filter(record => record?.analysis)
+    .map(toItem)
+    .sort((a, b) => (Date.parse(a.date) || 0) - (Date.parse(b.date) || 0));
+
+  return {
+    show: {
+      title: show.title || items.find(i => i.podcast_title)?.podcast_title || null,
+      feed_url: show.feed_url || null
+    },
+    episode_count: items.length,
+    period: items.length ? { from: items[0].date, to: items[items.length - 1].date } : null,
+    topic_coverage: topicCoverage(items),
+    keyword_gaps: keywordGaps(items),
+    recurring_communities: recurringCommunities(items),
+    growth_trend: growthTrend(items),
+    generated_at: new Date().toISOString()
+  };
+}
+
+/**
+ * @param {ReturnType<typeof buildShowReport>} report
+ * @returns {string}
+ */
+export function renderShowReportMarkdown(report) {
+  const lines = [`# Growth report: ${report.show.title || 'Untitled show'}`, ''];
+  lines.push(`${report.episode_count} analyzed episodes` + (report.period ? `, ${day(report.period.from)} – ${day(report.period.to)}` : '') + '.');
+  if (report.show.feed_url) lines.push('', `Feed: ${report.show.feed_url}`);
+
+  const trend = report.growth_trend;
+  lines.push('', '## Growth score trend', '');
+  if (trend.points.length) {
+    lines.push(`Average **${trend.average ?? '–'}**, ${trend.direction} (${signed(trend.slope_per_episode)} per episode, first ${trend.first ?? '–'} → latest ${trend.latest ?? '–'}).`, '');
+    lines.push('| Date | Episode | Score | Moving avg |', '| --- | --- | ---: | ---: |');
+    for (const point of trend.points) {
+      lines.push(`| ${day(point.date)} | ${cell(point.title)} | ${point.growth_score ?? '–'} | ${point.moving_average ?? '–'} |`);
+    }
+  } else {
+    lines.push('_No scored episodes yet._');
+  }
+
+  lines.push('', '## Topic coverage', '');
+  if (report.topic_coverage.topics.length) {
+    lines.push('| Topic | Episodes | First covered | Last covered |', '| --- | ---: | --- | --- |');
+    for (const topic of report.topic_coverage.topics) {
+      lines.push(`| ${cell(topic.topic)} | ${topic.episode_count} | ${topic.first_covered} | ${topic.last_covered} |`);
+    }
+    lines.push('', '### By month', '');
+    for (const period of report.topic_coverage.periods) {
+      lines.push(`- **${period.period}** (${period.episode_count} ep): ${period.topics.map(t => t.topic).join(', ') || '–'}`);
+    }
+  } else {
+    lines.push('_No topics yet._');
+  }
+
+  lines.push('', '## Keyword gaps', '', 'Suggested by the analyses but not yet in any published title or description.', '');
+  if (report.keyword_gaps.length) {
+    lines.push('| Keyword | Times suggested | As primary intent |', '| --- | ---: | ---: |');
+    for (const gap of report.keyword_gaps) {
+      lines.push(`| ${cell(gap.keyword)} | ${gap.times_suggested} | ${gap.primary_intent_count} |`);
+    }
+  } else {
+    lines.push('_No gaps: every suggested keyword has been used._');
+  }
+
+  lines.push('', '## Recurring communities', '');
+  if (report.recurring_communities.length) {
+    lines.push('| Community | Platform | Times suggested | Why |', '| --- | --- | ---: | --- |');
+    for (const community of report.recurring_communities) {
+      const name = community.url ? `[${cell(community.name)}](${community.url})` : cell(community.name);
+      lines.push(`| ${name} | ${cell(community.platform)} | ${community.times_suggested} | ${cell(community.why)} |`);
+    }
+  } else {
+    lines.push('_No community was suggested more than once._');
+  }
+
+  lines.push('', `_Generated ${report.generated_at}_`, '');
+  return lines.join('\n');
+}
+
+function toItem(record) {
+  return {
+    episode_id: record.id,
+    title: record.title,
+    podcast_title: record.podcast_title,
+    date: record.metadata?.pubDate || record.created_at || null,
+    published_text: normalizeTitle([record.title, record.metadata?.description].filter(Boolean).join(' ')),
+    analysis: record.analysis
+  };
+}
+
+/**
+ * Topics per month, and per topic the months it was covered in
+ */
+function topicCoverage(items) {
+  const periods = new Map();
+  const topics = new Map();
+
+  for (const item of items) {
+    const period = month(item.date);
+    const bucket = periods.get(period) || { period, episode_count: 0, counts: new Map() };
+    bucket.episode_count++;
+    periods.set(period, bucket);
+
+    for (const [key, label] of uniqueKeywords(item.analysis.topics_keywords)) {
+      const counted = bucket.counts.get(key) || { topic: label, count: 0 };
+      counted.count++;
+      bucket.counts.set(key, counted);
+
+      const topic = topics.get(key) || { topic: label, episode_count: 0, periods: new Set(), first_covered: period, last_covered: period };
+      topic.episode_count++;
+      topic.periods.add(period);
+      topic.last_covered = period;
+      topics.set(key, topic);
+    }
+  }
+
+  return {
+    periods: [...periods.values()].map(({ counts, ...bucket }) => ({
+      ...bucket,
+      topics: [...counts.values()].sort((a, b) => b.count - a.count || a.topic.localeCompare(b.topic))
+    })),
+    topics: [...topics.values()]
+      .map(topic => ({ ...topic, periods: [...topic.periods] }))
+      .sort((a, b) => b.episode_count - a.episode_count || b.last_covered.localeCompare(a.last_covered))
+      .slice(0, REPORT_CONFIG.MAX_TOPICS)
+  };
+}
+
+/**
+ * keyword_plan intents / neighbours and topics_keywords that appear in no published title or
+ * description, most often suggested first
+ */
+function keywordGaps(items) {
+  const published = items.map(item => ` ${item.published_text} `);
+  const suggestions = new Map();
+
+  const suggest = (keyword, item, asIntent) => {
+    const key = normalizeTitle(keyword);
+    if (!key) return;
+    const entry = suggestions.get(key) || { keyword, times_suggested: 0, primary_intent_count: 0, episodes: [] };
+    if (!entry.episodes.some(e => e.episode_id === item.episode_id)) {
+      entry.times_suggested++;
+      entry.episodes.push({ episode_id: item.episode_id, title: item.title });
+    }
+    if (asIntent) entry.primary_intent_count++;
+    suggestions.set(key, entry);
+  };
+
+  for (const item of items) {
+    for (const entry of item.analysis.keyword_plan || []) {
+      suggest(entry.primary_intent, item, true);
+      (entry.semantic_neighbors || []).forEach(k => suggest(k, item, false));
+    }
+    (item.analysis.topics_keywords || []).forEach(k => suggest(k, item, false));
+  }
+
+  return [...suggestions.entries()]
+    .filter(([key]) => !published.some(text => text.includes(` ${key} `)))
+    .map(([, entry]) => entry)
+    .sort((a, b) => b.times_suggested - a.times_suggested || b.primary_intent_count - a.primary_intent_count)
+    .slice(0, REPORT_CONFIG.MAX_GAPS);
+}
+
+/**
+ * community_suggestions grouped by name + platform; only those suggested for 2+ episodes
+ */
+function recurringCommunities(items) {
+  const communities = new Map();
+  for (const item of items) {
+    for (const suggestion of item.analysis.community_suggestions || []) {
+      const key = `${normalizeTitle(suggestion?.name)}|${normalizeTitle(suggestion?.platform)}`;
+      if (key === '|') continue;
+      const community = communities.get(key) || {
+        name: suggestion.name,
+        platform: suggestion.platform || null,
+        url: suggestion.url || null,
+        why: suggestion.why || null,
+        times_suggested: 0,
+        episodes: []
+      };
+      if (!community.episodes.some(e => e.episode_id === item.episode_id)) {
+        community.times_suggested++;
+        community.episodes.push({ episode_id: item.episode_id, title: item.title });
+      }
+      communities.set(key, community);
+    }
+  }
+
+  return [...communities.values()]
+    .filter(c => c.times_suggested > 1)
+    .sort((a, b) => b.times_suggested - a.times_suggested || a.name.localeCompare(b.name))
+    .slice(0, REPORT_CONFIG.MAX_COMMUNITIES);
+}
+
+/**
+ * Scores in publish order with a moving average and a least-squares slope per episode
+ */
+function growthTrend(items) {
+  const points = items.map(item => ({
+    episode_id: item.episode_id,
+    title: item.title,
+    date: item.date,
+    growth_score: parseGrowthScore(item.analysis.growth_score)
+  }));
+  const scored = points.filter(p => p.growth_score !== null);
+
+  points.forEach((point, i) => {
+    const window = points.slice(Math.max(0, i - REPORT_CONFIG.TREND_WINDOW + 1), i + 1).filter(p => p.growth_score !== null);
+    point.moving_average = point.growth_score === null || !window.length
+      ? null
+      : round(window.reduce((sum, p) => sum + p.growth_score, 0) / window.length);
+  });
+
+  const slope = slopeOf(scored.map(p => p.growth_score));
+  return {
+    points,
+    average: scored.length ? round(scored.reduce((sum, p) => sum + p.growth_score, 0) / scored.length) : null,
+    first: scored[0]?.growth_score ?? null,
+    latest: scored[scored.length - 1]?.growth_score ?? null,
+    slope_per_episode: slope,
+    direction: scored.length < 2 || Math.abs(slope) < REPORT_CONFIG.FLAT_SLOPE ? 'flat' : (slope > 0 ? 'improving' : 'declining')
+  };
+}
+
+function slopeOf(values) {
+  const n = values.length;
+  if (n < 2) return 0;
+  const meanX = (n - 1) / 2;
+  const meanY = values.reduce((a, b) => a + b, 0) / n;
+  let num = 0;
+  let den = 0;
+  values.forEach((y, x) => {
+    num += (x - meanX) * (y - meanY);
+    den += (x - meanX) ** 2;
+  });
+  return round(num / den, 2);
+}
+
+function uniqueKeywords(keywords) {
+  const unique = new Map();
+  for (const keyword of keywords || []) {
+    const key = normalizeTitle(keyword);
+    if (key && !unique.has(key)) unique.set(key, keyword);
+  }
+  return unique;
+}
+
+function month(date) {
+  const time = Date.parse(date);
+  return Number.isFinite(time) ? new Date(time).toISOString().slice(0, 7) : 'undated';
+}
+
+function day(date) {
+  const time = Date.parse(date);
+  return Number.isFinite(time) ? new Date(time).toISOString().slice(0, 10) : '–';
+}
+
+function signed(value) {
+  return value > 0 ? `+${value}` : String(value);
+}
+
+function cell(value) {
+  return String(value ?? '').replace(/\|/g, '\\|').replace(/\s+/g, ' ').trim();
+}
+
+function round(value, digits = 1) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
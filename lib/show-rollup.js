@@ -0,0 +1,162 @@
+// lib/show-rollup.js - Show-level rollup across analyzed episodes
+// Recurring topics, the strongest tweetable quotes and keyword clusters ranked by how often they
+// recur and how well their episodes scored. Pure functions over stored analyses.
+import { normalizeTitle } from './rss.js';
+
+export const ROLLUP_CONFIG = {
+  MAX_TOPICS: 25,
+  MAX_QUOTES: 10,
+  MAX_CLUSTERS: 12,
+  CLUSTER_OVERLAP: 0.34 // Jaccard overlap for merging keyword clusters across episodes
+};
+
+/**
+ * @param {Array<{ episode_id: string|null, title: string, pub_date?: string, analysis: object }>} items
+ * @returns {{ episode_count: number, average_growth_score: number|null, recurring_topics: object[], strongest_quotes: object[], keyword_clusters: object[] }}
+ */
+export function rollupShow(items) {
+  const analyzed = items.filter(item => item?.analysis);
+  const scores = analyzed.map(item => parseGrowthScore(item.analysis.growth_score)).filter(s => s !== null);
+
+  return {
+    episode_count: analyzed.length,
+    average_growth_score: scores.length ? round(scores.reduce((a, b) => a + b, 0) / scores.length) : null,
+    recurring_topics: recurringTopics(analyzed),
+    strongest_quotes: strongestQuotes(analyzed),
+    keyword_clusters: keywordClusters(analyzed)
+  };
+}
+
+/**
+ * growth_score is a rubric object ({ total, dimensions }, schema 2.x) or, in older stored analyses,
+ * free text ("72", "75/100 – …", "8/10"); returns 0–100 or null
+ */
+export function parseGrowthScore(value) {
+  if (value && typeof value === 'object') return Number.isFinite(Number(value.total)) ? clamp(Number(value.total)) : null;
+  if (typeof value === 'number') return clamp(value);
+  const match = String(value || '').match(/(\d+(?:\.\d+)?)\s*(?:\/\s*(\d+))?/);
+  if (!match) return null;
+  const score = Number(match[1]);
+  const outOf = Number(match[2]) || 100;
+  return clamp(round((score / outOf) * 100));
+}
+
+/**
+ * Topics from topics_keywords, counted once per episode, most widespread first
+ */
+function recurringTopics(items) {
+  const topics = new Map();
+  for (const item of items) {
+    const seen = new Set();
+    for (const keyword of item.analysis.topics_keywords || []) {
+      const key = normalizeTitle(keyword);
+      if (!key || seen.has(key)) continue;
+      seen.add(key);
+      const topic = topics.get(key) || { topic: keyword, episodes: [] };
+      topic.episodes.push(episodeRef(item));
+      topics.set(key, topic);
+    }
+  }
+
+  return [...topics.values()]
+    .map(topic => ({ ...topic, episode_count: topic.episodes.length, share: round(topic.episodes.length / items.length, 2) }))
+    .sort((a, b) => b.episode_count - a.episode_count || a.topic.localeCompare(b.topic))
+    .slice(0, ROLLUP_CONFIG.MAX_TOPICS);
+}
+
+/**
+ * Tweetable quotes ranked by their candidate score (insight + emotion + clarity + novelty + virality)
+ */
+function strongestQuotes(items) {
+  const quotes = [];
+  for (const item of items) {
+    const candidates = item.analysis.quotes_candidates_debug || [];
+    (item.analysis.tweetable_quotes || []).forEach((quote, i) => {
+      const candidate = candidates.find(c => normalizeTitle(c?.text) === normalizeTitle(quote));
+      const timestamp = item.analysis.quote_timestamps?.[i] || null;
+      quotes.push({
+        quote,
+        score: Number(candidate?.score) || null,
+        timestamp: timestamp?.timestamp || null,
+        start: timestamp?.start ?? null,
+        ...episodeRef(item)
+      });
+    });
+  }
+
+  return quotes
+    .sort((a, b) => (b.score || 0) - (a.score || 0))
+    .slice(0, ROLLUP_CONFIG.MAX_QUOTES);
+}
+
+/**
+ * keyword_plan clusters (primary intent + semantic neighbors) merged across episodes when their
+ * keyword sets overlap, ranked by episode count × average growth score of those episodes
+ */
+function keywordClusters(items) {
+  const clusters = [];
+  for (const item of items) {
+    const plan = item.analysis.keyword_plan?.length
+      ? item.analysis.keyword_plan
+      : (item.analysis.topics_keywords || []).map(k => ({ primary_intent: k, semantic_neighbors: [] }));
+
+    for (const entry of plan) {
+      const keywords = new Set([entry.primary_intent, ...(entry.semantic_neighbors || [])].map(normalizeTitle).filter(Boolean));
+      if (!keywords.size) continue;
+
+      const cluster = clusters.find(c => jaccard(c.keywords, keywords) >= ROLLUP_CONFIG.CLUSTER_OVERLAP);
+      if (cluster) {
+        keywords.forEach(k => cluster.keywords.add(k));
+        cluster.intents.set(normalizeTitle(entry.primary_intent), entry.primary_intent);
+        if (!cluster.episodes.some(e => e.episode_id === item.episode_id && e.title === item.title)) cluster.episodes.push(episodeRef(item));
+      } else {
+        clusters.push({
+          keywords,
+          intents: new Map([[normalizeTitle(entry.primary_intent), entry.primary_intent]]),
+          episodes: [episodeRef(item)]
+        });
+      }
+    }
+  }
+
+  return clusters
+    .map(cluster => {
+      const scores = cluster.episodes.map(e => e.growth_score).filter(s => s !== null);
+      const averageScore = scores.length ? scores.reduce((a, b) => a + b, 0) / scores.length : null;
+      return {
+        label: [...cluster.intents.values()][0],
+        primary_intents: [...cluster.intents.values()],
+        keywords: [...cluster.keywords].slice(0, 15),
+        episode_count: cluster.episodes.length,
+        average_growth_score: averageScore === null ? null : round(averageScore),
+        performance: round(cluster.episodes.length * (averageScore ?? 50) / 100, 2),
+        episodes: cluster.episodes
+      };
+    })
+    .sort((a, b) => b.performance - a.performance)
+    .slice(0, ROLLUP_CONFIG.MAX_CLUSTERS);
+}
+
+function episodeRef(item) {
+  return {
+    episode_id: item.episode_id || null,
+    title: item.title,
+    pub_date: item.pub_date || null,
+    growth_score: parseGrowthScore(item.analysis?.growth_score)
+  };
+}
+
+function jaccard(a, b) {
+  let shared = 0;
+  for (const value of b) if (a.has(value)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+function clamp(value) {
+  return Math.max(0, Math.min(100, value));
+}
+
+function round(value, digits = 1) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
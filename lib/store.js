@@ -0,0 +1,170 @@
+// lib/store.js - JSON record store with swappable backends
+// STORE_BACKEND picks the backend ('file' by default, 'memory' for dev); others can be added
+// with registerStoreBackend. Every backend implements get / put / list / remove; update is shared.
+//
+// File backend: one JSON file per record under DATA_DIR/<collection>/. Writes go to a temp file
+// and are renamed into place so readers never see a half-written record, and list() orders by file
+// mtime (the rename, i.e. the last put) so a page only parses the records it returns. DATA_DIR defaults to
+// /tmp, which survives within a warm serverless instance; point it at a shared volume to persist.
+// Only a backend shared by every instance lets a job started on one instance be polled, streamed
+// or continued on another; storeInfo() says whether the configured one is.
+import fs from 'fs';
+import path from 'path';
+
+const STORE_CONFIG = {
+  BACKEND: process.env.STORE_BACKEND || 'file',
+  DATA_DIR: process.env.DATA_DIR || '/tmp/podcast-growth-agent',
+  DEFAULT_LIST_LIMIT: 50
+};
+
+const BACKENDS = {
+  file: createFileBackend,
+  memory: createMemoryBackend
+};
+
+// Backends every serverless instance sees; the file backend only with an explicit DATA_DIR
+const SHARED_BACKENDS = new Set();
+
+/**
+ * Register (or replace) a backend factory: (collection, config) => { get, put, list, remove }
+ * list({ limit, offset, where }) returns newest first; `where` is an optional record predicate
+ * @param {object} [options] - { shared: false } for backends that are local to one instance
+ */
+export function registerStoreBackend(name, factory, { shared = true } = {}) {
+  BACKENDS[name] = factory;
+  if (shared) SHARED_BACKENDS.add(name);
+  else SHARED_BACKENDS.delete(name);
+}
+
+/**
+ * @returns {{ backend: string, shared: boolean }}
+ */
+export function storeInfo() {
+  const backend = STORE_CONFIG.BACKEND;
+  const shared = backend === 'file' ? Boolean(process.env.DATA_DIR) : SHARED_BACKENDS.has(backend);
+  return { backend, shared };
+}
+
+/**
+ * @param {string} collection - e.g. 'jobs', 'episodes'
+ * @returns {{ get, put, update, list, remove }}
+ */
+export function createStore(collection) {
+  const factory = BACKENDS[STORE_CONFIG.BACKEND];
+  if (!factory) throw new Error(`Unknown STORE_BACKEND: ${STORE_CONFIG.BACKEND}`);
+  const backend = factory(collection, STORE_CONFIG);
+
+  /**
+   * Read-modify-write; `patch` is an object or a function of the current record
+   */
+  async function update(id, patch) {
+    const current = await backend.get(id);
+    if (!current) return null;
+    const changes = typeof patch === 'function' ? patch(current) : patch;
+    return backend.put({ ...current, ...changes, id: current.id });
+  }
+
+  return { ...backend, update };
+}
+
+function createFileBackend(collection, config) {
+  const dir = path.join(config.DATA_DIR, collection);
+  const fileFor = (id) => path.join(dir, `${safeId(id)}.json`);
+
+  async function get(id) {
+    if (!isValidId(id)) return null;
+    try {
+      return JSON.parse(await fs.promises.readFile(fileFor(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async function put(record) {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const target = fileFor(record.id);
+    const tmp = `${target}.${process.pid}.${Date.now()}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(record));
+    await fs.promises.rename(tmp, target);
+    return record;
+  }
+
+  /**
+   * Newest first by last write; `where` filters records before offset / limit apply.
+   * Files are read one at a time and only until the page is full.
+   */
+  async function list({ limit = config.DEFAULT_LIST_LIMIT, offset = 0, where } = {}) {
+    let files;
+    try {
+      files = (await fs.promises.readdir(dir)).filter(f => f.endsWith('.json'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const entries = await Promise.all(files.map(async (f) => {
+      const stat = await fs.promises.stat(path.join(dir, f)).catch(() => null);
+      return stat && { id: path.basename(f, '.json'), mtime: stat.mtimeMs };
+    }));
+    entries.sort((a, b) => (b?.mtime ?? 0) - (a?.mtime ?? 0));
+
+    const page = [];
+    let skipped = 0;
+    for (const entry of entries) {
+      if (page.length >= limit) break;
+      const record = entry && await get(entry.id).catch(() => null);
+      if (!record || (where && !where(record))) continue;
+      if (skipped < offset) skipped++;
+      else page.push(record);
+    }
+    return page;
+  }
+
+  async function remove(id) {
+    await fs.promises.rm(fileFor(id), { force: true });
+  }
+
+  return { get, put, list, remove };
+}
+
+/**
+ * Process-local backend; records are cloned so callers can't mutate stored state
+ */
+function createMemoryBackend(collection, config) {
+  const records = new Map();
+  const clone = (value) => (value ? JSON.parse(JSON.stringify(value)) : null);
+
+  return {
+    async get(id) {
+      return clone(records.get(String(id)));
+    },
+    async put(record) {
+      records.set(safeId(record.id), clone(record));
+      return record;
+    },
+    async list({ limit = config.DEFAULT_LIST_LIMIT, offset = 0, where } = {}) {
+      return [...records.values()]
+        .filter(record => !where || where(record))
+        .sort(newestFirst)
+        .slice(offset, offset + limit)
+        .map(clone);
+    },
+    async remove(id) {
+      records.delete(String(id));
+    }
+  };
+}
+
+function newestFirst(a, b) {
+  return String(b.updated_at || '').localeCompare(String(a.updated_at || ''));
+}
+
+function isValidId(id) {
+  return /^[a-zA-Z0-9_-]{1,128}$/.test(String(id || ''));
+}
+
+function safeId(id) {
+  if (!isValidId(id)) throw new Error(`Invalid record id: ${String(id).slice(0, 40)}`);
+  return String(id);
+}
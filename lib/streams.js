@@ -0,0 +1,19 @@
+// lib/streams.js - Stream helpers for remote bodies whose declared size can't be trusted
+// (chunked transfer, missing or wrong content-length): the cap is enforced on the bytes themselves.
+import { Transform } from 'stream';
+
+/**
+ * Pass-through that fails the pipeline once more than maxBytes have gone by
+ * @param {number} maxBytes
+ * @param {(maxBytes: number) => Error} tooLarge - the error the pipeline rejects with
+ */
+export function limitBytes(maxBytes, tooLarge) {
+  let seen = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      seen += chunk.length;
+      if (seen > maxBytes) return callback(tooLarge(maxBytes));
+      callback(null, chunk);
+    }
+  });
+}
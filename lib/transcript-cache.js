@@ -0,0 +1,134 @@
+// lib/transcript-cache.js - Content-hash dedup for audio, transcripts and analyses
+// Audio is identified by the sha256 of its bytes. Remote enclosures also get a URL+ETag alias,
+// so a repeat Apple URL can be recognised from a HEAD request before anything is downloaded.
+// Each hash entry holds the transcription and the latest episode analysed from that audio.
+import crypto from 'crypto';
+import { Transform } from 'stream';
+import { createStore } from './store.js';
+import { getEpisode } from './episodes.js';
+
+const transcripts = createStore('transcripts');
+const urlAliases = createStore('audio-urls');
+
+export function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Pass-through stream that hashes what flows through it; read `.digest()` after it ends
+ */
+export function createHashingStream() {
+  const hash = crypto.createHash('sha256');
+  let digest = null;
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      callback(null, chunk);
+    },
+    flush(callback) {
+      digest = hash.digest('hex');
+      callback();
+    }
+  });
+  stream.digest = () => digest;
+  return stream;
+}
+
+/**
+ * Alias key for a remote file; null without a validator (no ETag / Last-Modified)
+ */
+export function urlCacheKey(url, validator) {
+  return url && validator ? sha256(`${url}\n${validator}`) : null;
+}
+
+/**
+ * Content hash previously seen at url+validator, plus anything stored with the alias
+ * @returns {Promise<{content_hash: string, blob_url?: string} | null>}
+ */
+export async function lookupUrl(url, validator) {
+  const key = urlCacheKey(url, validator);
+  return key ? softly(() => urlAliases.get(key)) : null;
+}
+
+export async function rememberUrl(url, validator, contentHash, extra = {}) {
+  const key = urlCacheKey(url, validator);
+  if (!key || !contentHash) return;
+  const now = new Date().toISOString();
+  await softly(() => urlAliases.put({ id: key, url, validator, content_hash: contentHash, ...extra, updated_at: now }));
+}
+
+/**
+ * Cached transcribeAudio() result for this audio, or null
+ */
+export async function getCachedTranscription(contentHash) {
+  const entry = contentHash ? await softly(() => transcripts.get(contentHash)) : null;
+  return entry?.transcription ? { ...entry.transcription, cached: true } : null;
+}
+
+export async function cacheTranscription(contentHash, transcription) {
+  if (!contentHash) return;
+  const { transcript, segments, duration, language, provider, model, metrics, chunks } = transcription;
+  const now = new Date().toISOString();
+  await softly(async () => {
+    const existing = await transcripts.get(contentHash);
+    await transcripts.put({
+      ...existing,
+      id: contentHash,
+      transcription: { transcript, segments, duration, language, provider, model, metrics, chunks, attempts: [] },
+      created_at: existing?.created_at || now,
+      updated_at: now
+    });
+  });
+}
+
+/**
+ * Speaker turns from an audio diarization provider for this audio, or null
+ * @returns {Promise<{ provider: string, estimated: boolean, turns: object[] } | null>}
+ */
+export async function getCachedDiarization(contentHash) {
+  const entry = contentHash ? await softly(() => transcripts.get(contentHash)) : null;
+  return entry?.diarization?.turns?.length ? entry.diarization : null;
+}
+
+export async function cacheDiarization(contentHash, { provider, estimated = false, turns }) {
+  if (!contentHash || !turns?.length) return;
+  await softly(() => transcripts.update(contentHash, {
+    diarization: { provider, estimated, turns },
+    updated_at: new Date().toISOString()
+  }));
+}
+
+/**
+ * Point the audio at its latest stored analysis
+ */
+export async function linkEpisode(contentHash, episodeId) {
+  if (!contentHash || !episodeId) return;
+  await softly(() => transcripts.update(contentHash, { episode_id: episodeId, updated_at: new Date().toISOString() }));
+}
+
+/**
+ * Latest stored episode analysed from this audio, or null
+ */
+export async function getCachedEpisode(contentHash) {
+  const entry = contentHash ? await softly(() => transcripts.get(contentHash)) : null;
+  return entry?.episode_id ? softly(() => getEpisode(entry.episode_id)) : null;
+}
+
+/**
+ * The cache is an optimisation: storage errors are logged and treated as a miss
+ */
+async function softly(fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    console.warn('⚠️ Transcript cache unavailable:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Accept force=true / "true" / "1" from JSON bodies, form fields and query strings
+ */
+export function isForced(value) {
+  return value === true || value === 'true' || value === '1' || value === 1;
+}
@@ -0,0 +1,230 @@
+// lib/transcript-formats.js - Transcript exports: SRT, WebVTT, Podcasting 2.0 JSON, plain text, DOCX
+// Caption formats split long Whisper segments into readable cues; the JSON form follows the
+// podcast:transcript spec (https://github.com/Podcastindex-org/podcast-namespace/blob/main/transcripts/transcripts.md)
+// so the file can be linked from the feed as-is.
+import { formatTimestamp } from './segments.js';
+import { createZip } from './zip.js';
+
+export const CAPTION_CONFIG = {
+  MAX_CUE_CHARS: 84,     // two lines of 42
+  MAX_LINE_CHARS: 42,
+  MAX_CUE_SECONDS: 7,
+  PARAGRAPH_GAP_SECONDS: 2,
+  PARAGRAPH_MAX_SEGMENTS: 6
+};
+
+/**
+ * format → { mime, extension, timed } where timed formats need segments
+ */
+export const TRANSCRIPT_FORMATS = {
+  srt: { mime: 'application/x-subrip', extension: 'srt', timed: true },
+  vtt: { mime: 'text/vtt; charset=utf-8', extension: 'vtt', timed: true },
+  json: { mime: 'application/json', extension: 'json', timed: true },
+  txt: { mime: 'text/plain; charset=utf-8', extension: 'txt', timed: false },
+  docx: { mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx', timed: false }
+};
+
+/**
+ * @param {string} format - key of TRANSCRIPT_FORMATS
+ * @param {{ title?: string, podcast_title?: string, transcript?: string, segments?: object[] }} episode
+ * @returns {string|Buffer}
+ */
+export function renderTranscript(format, episode) {
+  switch (format) {
+    case 'srt': return toSrt(episode.segments);
+    case 'vtt': return toVtt(episode.segments);
+    case 'json': return JSON.stringify(toPodcastingJson(episode.segments), null, 2);
+    case 'txt': return toPlainText(episode);
+    case 'docx': return toDocx(episode);
+    default: throw new Error(`Unknown transcript format: ${format}`);
+  }
+}
+
+export function toSrt(segments) {
+  return captionCues(segments)
+    .map((cue, i) => `${i + 1}\n${clock(cue.start, ',')} --> ${clock(cue.end, ',')}\n${speakerPrefix(cue)}${cue.lines.join('\n')}\n`)
+    .join('\n');
+}
+
+export function toVtt(segments) {
+  const cues = captionCues(segments).map(cue => {
+    const voice = cue.speaker ? `<v ${escapeVttVoice(cue.speaker)}>` : '';
+    return `${clock(cue.start, '.')} --> ${clock(cue.end, '.')}\n${voice}${cue.lines.map(escapeVtt).join('\n')}\n`;
+  });
+  return ['WEBVTT', '', ...cues].join('\n');
+}
+
+/**
+ * podcast:transcript JSON: { version, segments: [{ speaker?, startTime, endTime, body }] }
+ */
+export function toPodcastingJson(segments) {
+  return {
+    version: '1.0.0',
+    segments: (segments || []).map(s => ({
+      ...(s.speaker ? { speaker: s.speaker } : {}),
+      startTime: s.start,
+      endTime: s.end,
+      body: s.text
+    }))
+  };
+}
+
+/**
+ * Paragraphs (split on pauses) with a [M:SS] marker each; falls back to the raw transcript
+ */
+export function toPlainText(episode) {
+  const header = [episode.title, episode.podcast_title].filter(Boolean).join(' — ');
+  const body = paragraphs(episode.segments)
+    .map(p => `[${formatTimestamp(p.start)}] ${p.speaker ? `${p.speaker}: ` : ''}${p.text}`)
+    .join('\n\n') || String(episode.transcript || '');
+  return header ? `${header}\n\n${body}\n` : `${body}\n`;
+}
+
+export function toDocx(episode) {
+  const title = [episode.title, episode.podcast_title].filter(Boolean).join(' — ') || 'Transcript';
+  const parts = paragraphs(episode.segments);
+  const body = [
+    docxParagraph([{ text: title, bold: true, size: 32 }]),
+    ...(parts.length
+      ? parts.map(p => docxParagraph([
+        { text: `${formatTimestamp(p.start)}  `, bold: true, color: '666666' },
+        ...(p.speaker ? [{ text: `${p.speaker}: `, bold: true }] : []),
+        { text: p.text }
+      ]))
+      : String(episode.transcript || '').split(/\n{2,}/).map(text => docxParagraph([{ text }])))
+  ].join('');
+
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>'
+        + '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>'
+        + '</Relationships>'
+    },
+    {
+      name: 'word/document.xml',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>'
+        + body
+        + '<w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440"/></w:sectPr>'
+        + '</w:body></w:document>'
+    }
+  ]);
+}
+
+/**
+ * Segments re-cut into caption cues of ≤ MAX_CUE_CHARS / MAX_CUE_SECONDS, time split by word share
+ */
+export function captionCues(segments) {
+  const cues = [];
+  for (const segment of segments || []) {
+    const words = segment.text.split(/\s+/).filter(Boolean);
+    const duration = Math.max(0, segment.end - segment.start);
+    const groups = [];
+    let current = [];
+    for (const word of words) {
+      const candidate = [...current, word].join(' ');
+      const seconds = duration * ((current.length + 1) / words.length);
+      if (current.length && (candidate.length > CAPTION_CONFIG.MAX_CUE_CHARS || seconds > CAPTION_CONFIG.MAX_CUE_SECONDS)) {
+        groups.push(current);
+        current = [];
+      }
+      current.push(word);
+    }
+    if (current.length) groups.push(current);
+
+    let spoken = 0;
+    for (const group of groups) {
+      const start = segment.start + duration * (spoken / words.length);
+      spoken += group.length;
+      const end = segment.start + duration * (spoken / words.length);
+      cues.push({ start, end, speaker: segment.speaker || null, lines: wrapLines(group) });
+    }
+  }
+  return cues;
+}
+
+function paragraphs(segments) {
+  const result = [];
+  for (const segment of segments || []) {
+    const last = result[result.length - 1];
+    const continues = last
+      && segment.start - last.end < CAPTION_CONFIG.PARAGRAPH_GAP_SECONDS
+      && last.count < CAPTION_CONFIG.PARAGRAPH_MAX_SEGMENTS
+      && (segment.speaker || null) === last.speaker;
+    if (continues) {
+      last.text += ` ${segment.text}`;
+      last.end = segment.end;
+      last.count++;
+    } else {
+      result.push({ start: segment.start, end: segment.end, text: segment.text, speaker: segment.speaker || null, count: 1 });
+    }
+  }
+  return result;
+}
+
+function wrapLines(words) {
+  const text = words.join(' ');
+  if (text.length <= CAPTION_CONFIG.MAX_LINE_CHARS) return [text];
+  // Break at the space closest to the middle
+  let best = -1;
+  for (let i = text.indexOf(' '); i !== -1; i = text.indexOf(' ', i + 1)) {
+    if (best === -1 || Math.abs(i - text.length / 2) < Math.abs(best - text.length / 2)) best = i;
+  }
+  return best === -1 ? [text] : [text.slice(0, best), text.slice(best + 1)];
+}
+
+function escapeVtt(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/-->/g, '--&gt;');
+}
+
+// A '>' in the voice annotation would end the <v> tag early
+function escapeVttVoice(name) {
+  return String(name).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function speakerPrefix(cue) {
+  return cue.speaker ? `${cue.speaker}: ` : '';
+}
+
+/**
+ * HH:MM:SS,mmm (SRT) or HH:MM:SS.mmm (WebVTT)
+ */
+function clock(seconds, separator) {
+  const ms = Math.max(0, Math.round(seconds * 1000));
+  const h = Math.floor(ms / 3_600_000);
+  const m = Math.floor((ms % 3_600_000) / 60_000);
+  const s = Math.floor((ms % 60_000) / 1000);
+  return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${String(ms % 1000).padStart(3, '0')}`;
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function docxParagraph(runs) {
+  return `<w:p>${runs.map(docxRun).join('')}</w:p>`;
+}
+
+function docxRun({ text, bold, size, color }) {
+  const props = [bold ? '<w:b/>' : '', color ? `<w:color w:val="${color}"/>` : '', size ? `<w:sz w:val="${size}"/>` : ''].join('');
+  return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}<w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>`;
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
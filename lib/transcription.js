@@ -0,0 +1,417 @@
+// lib/transcription.js - Pluggable transcription providers with ordered failover
+// Groq (primary), OpenAI Whisper and a local whisper.cpp / faster-whisper HTTP server
+// share one request path. Order comes from TRANSCRIPTION_PROVIDERS (e.g. "local,groq").
+// Audio larger than every provider limit is split into chunks and stitched back together.
+import crypto from 'crypto';
+import FormData from 'form-data';
+import fs, { createReadStream } from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { AudioProcessingError } from './errors.js';
+import { normalizeSegments, durationFromSegments } from './segments.js';
+import { planChunks, writeChunk, stitchChunkTranscripts, CHUNK_CONFIG } from './audio-chunker.js';
+import { mapWithConcurrency } from './concurrency.js';
+import { limitBytes } from './streams.js';
+
+const MB = 1024 * 1024;
+
+const TRANSCRIPTION_CONFIG = {
+  DEFAULT_ORDER: ['groq', 'openai', 'local'],
+  DOWNLOAD_TIMEOUT_MS: 120_000,
+  CHUNK_CONCURRENCY: Number(process.env.TRANSCRIPTION_CHUNK_CONCURRENCY) || 3
+};
+
+/**
+ * Largest episode we accept for chunked transcription. Chunks are cut from a
+ * local copy, so this is bounded by serverless /tmp space rather than provider limits.
+ */
+export const MAX_CHUNKABLE_BYTES = 300 * MB;
+
+/**
+ * Provider registry. Each entry speaks the OpenAI-compatible
+ * /audio/transcriptions multipart API.
+ *  - apiKeyEnv: env var holding the bearer token (null = no auth)
+ *  - maxFileSize: per-provider upload limit, overridable via <NAME>_TRANSCRIPTION_MAX_MB
+ *  - supportsUrl: provider can fetch the audio itself from a public URL
+ */
+const PROVIDERS = {
+  groq: {
+    label: 'Groq Whisper',
+    apiUrl: 'https://api.groq.com/openai/v1/audio/transcriptions',
+    model: 'whisper-large-v3-turbo',
+    apiKeyEnv: 'GROQ_API_KEY',
+    maxFileSize: 100 * MB, // Developer plan; URL method shares the limit
+    supportsUrl: true,
+    timeoutMs: 180_000
+  },
+  openai: {
+    label: 'OpenAI Whisper',
+    apiUrl: 'https://api.openai.com/v1/audio/transcriptions',
+    model: 'whisper-1',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    maxFileSize: 25 * MB,
+    supportsUrl: false,
+    timeoutMs: 300_000
+  },
+  local: {
+    label: 'Local Whisper',
+    apiUrl: process.env.LOCAL_WHISPER_URL || '',
+    model: process.env.LOCAL_WHISPER_MODEL || 'whisper-1',
+    apiKeyEnv: null,
+    maxFileSize: 500 * MB,
+    supportsUrl: false,
+    timeoutMs: 600_000
+  }
+};
+
+/**
+ * Register (or replace) a provider, e.g. a test double pointing at a mock server
+ */
+export function registerTranscriptionProvider(name, definition) {
+  PROVIDERS[name] = { supportsUrl: false, timeoutMs: 300_000, apiKeyEnv: null, ...definition };
+}
+
+/**
+ * Configured provider order, filtered to those with credentials / an endpoint
+ * @param {string[]} [order] - Explicit order; defaults to TRANSCRIPTION_PROVIDERS env
+ */
+export function getTranscriptionProviders(order) {
+  const names = order?.length
+    ? order
+    : (process.env.TRANSCRIPTION_PROVIDERS || '').split(',').map(s => s.trim()).filter(Boolean);
+
+  return (names.length ? names : TRANSCRIPTION_CONFIG.DEFAULT_ORDER)
+    .filter(name => PROVIDERS[name] && isConfigured(PROVIDERS[name]))
+    .map(name => ({ name, ...PROVIDERS[name], maxFileSize: providerMaxFileSize(name) }));
+}
+
+/**
+ * Largest file one transcription request accepts (the most permissive configured provider);
+ * anything bigger needs chunked transcription
+ */
+export function maxSingleRequestBytes() {
+  const providers = getTranscriptionProviders();
+  return providers.length ? Math.max(...providers.map(p => p.maxFileSize)) : PROVIDERS.openai.maxFileSize;
+}
+
+function isConfigured(provider) {
+  if (!provider.apiUrl) return false;
+  return !provider.apiKeyEnv || Boolean(process.env[provider.apiKeyEnv]);
+}
+
+function providerMaxFileSize(name) {
+  const override = Number(process.env[`${name.toUpperCase()}_TRANSCRIPTION_MAX_MB`]);
+  return override > 0 ? override * MB : PROVIDERS[name].maxFileSize;
+}
+
+/**
+ * Transcribe audio with ordered failover across providers.
+ * Falls back to chunked transcription when the file is larger than every provider accepts.
+ * @param {object} source - { filepath?, buffer?, url?, filename, contentType?, size? }
+ * @param {object} [options] - { providers?: string[], debug?: string[], noChunking?: boolean,
+ *   onAttempt?: (provider, previousError) => void, onChunk?: (done, total) => void }
+ * @returns {Promise<{transcript: string, segments: object[], duration: number|null, language: string|null,
+ *   provider: string, model: string, attempts: object[], metrics: object, chunks?: number, providers?: string[]}>}
+ */
+export async function transcribeAudio(source, options = {}) {
+  const providers = getTranscriptionProviders(options.providers);
+  const debug = options.debug || [];
+  const attempts = [];
+
+  if (!providers.length) {
+    throw new AudioProcessingError(
+      'No transcription provider configured',
+      'TRANSCRIPTION_CONFIG_ERROR',
+      'Transcription service configuration error. Please contact support.',
+      ['Set GROQ_API_KEY, OPENAI_API_KEY or LOCAL_WHISPER_URL']
+    );
+  }
+
+  const knownSize = source.size ?? source.buffer?.length ?? null;
+  const largestLimit = Math.max(...providers.map(p => p.maxFileSize));
+  if (!options.noChunking && knownSize > largestLimit) {
+    debug.push(`✂️ ${Math.round(knownSize / MB)}MB exceeds every provider limit, transcribing in chunks`);
+    return transcribeInChunks(source, providers, options);
+  }
+
+  let previousError = null;
+  for (const provider of providers) {
+    const size = source.size ?? source.buffer?.length ?? null;
+    if (size && size > provider.maxFileSize) {
+      attempts.push({ provider: provider.name, ok: false, skipped: true, error: `File too large (${Math.round(size / MB)}MB > ${Math.round(provider.maxFileSize / MB)}MB)` });
+      debug.push(`⏭️ Skipping ${provider.label}: file exceeds ${Math.round(provider.maxFileSize / MB)}MB`);
+      continue;
+    }
+
+    options.onAttempt?.(provider, previousError);
+    debug.push(`⚡ Transcribing with ${provider.label}...`);
+
+    try {
+      const { transcript, segments, duration, language } = await requestTranscription(provider, source);
+      attempts.push({ provider: provider.name, ok: true });
+      debug.push(`📝 ${provider.label} transcript received, length: ${transcript.length} characters, ${segments.length} segments`);
+      console.log(`✅ Transcribed with ${provider.label} (${transcript.length} chars, ${segments.length} segments)`);
+
+      return {
+        transcript,
+        segments,
+        duration,
+        language,
+        provider: provider.name,
+        model: provider.model,
+        attempts,
+        metrics: buildMetrics(transcript, duration, provider.name)
+      };
+    } catch (error) {
+      previousError = error;
+      attempts.push({ provider: provider.name, ok: false, code: error.code, error: error.message });
+      debug.push(`❌ ${provider.label} failed: ${error.message}`);
+      console.warn(`⚠️ ${provider.label} transcription failed: ${error.code || 'UNKNOWN'} - ${error.message}`);
+    }
+  }
+
+  // Every provider refused on size (e.g. the URL method hit a 413): retry in chunks
+  const tooLarge = attempts.every(a => a.skipped || /FILE_TOO_LARGE$/.test(a.code || ''));
+  if (!options.noChunking && tooLarge) {
+    debug.push('✂️ File too large for every provider, transcribing in chunks');
+    return transcribeInChunks(source, providers, options, attempts);
+  }
+
+  const primary = attempts.find(a => !a.skipped);
+  const failure = new AudioProcessingError(
+    `All transcription providers failed: ${attempts.map(a => `${a.provider}: ${a.error}`).join('; ')}`,
+    primary ? 'TRANSCRIPTION_FAILED' : 'FILE_TOO_LARGE',
+    previousError?.userMessage || (primary
+      ? 'Transcription failed. Please try again or use a different audio file.'
+      : 'File too large for every configured transcription service.'),
+    previousError?.suggestions || ['Compress audio to 96-128kbps MP3', 'Split long episodes into parts']
+  );
+  failure.attempts = attempts;
+  throw failure;
+}
+
+/**
+ * One provider call. Uses the URL method when supported, otherwise uploads the file,
+ * downloading it once (and caching on the source) if only a URL was given.
+ */
+async function requestTranscription(provider, source) {
+  const { default: fetch } = await import('node-fetch');
+  const apiKey = provider.apiKeyEnv ? process.env[provider.apiKeyEnv] : null;
+
+  const formData = new FormData();
+  if (source.url && provider.supportsUrl) {
+    formData.append('url', source.url);
+  } else {
+    const body = source.filepath ? createReadStream(source.filepath) : await loadBuffer(source, provider);
+    formData.append('file', body, {
+      filename: source.filename || 'episode.mp3',
+      contentType: source.contentType || 'audio/mpeg'
+    });
+  }
+  formData.append('model', provider.model);
+  formData.append('response_format', 'verbose_json');
+
+  const response = await fetch(provider.apiUrl, {
+    method: 'POST',
+    headers: {
+      ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+      ...formData.getHeaders()
+    },
+    body: formData,
+    signal: AbortSignal.timeout(provider.timeoutMs)
+  });
+
+  if (!response.ok) {
+    throw providerHttpError(provider, response.status, await response.text());
+  }
+
+  return parseTranscriptionResponse(await response.text());
+}
+
+/**
+ * verbose_json → { transcript, segments, duration, language }.
+ * Servers that ignore response_format and answer with plain text still work, without segments.
+ */
+function parseTranscriptionResponse(body) {
+  let data;
+  try { data = JSON.parse(body); } catch {
+    return { transcript: body.trim(), segments: [], duration: null, language: null };
+  }
+
+  const segments = normalizeSegments(data.segments);
+  const duration = durationFromSegments(segments) ?? (Number(data.duration) || null);
+  const transcript = String(data.text ?? segments.map(s => s.text).join(' ')).trim();
+  return { transcript, segments, duration, language: data.language || null };
+}
+
+/**
+ * Split into provider-sized chunks, transcribe with bounded concurrency (each chunk gets
+ * the normal failover), then stitch with offset-corrected timestamps.
+ */
+async function transcribeInChunks(source, providers, options, priorAttempts = []) {
+  const debug = options.debug || [];
+  const local = await materializeSource(source);
+
+  try {
+    const plan = planChunks(local.filepath, {
+      maxChunkBytes: Math.min(...providers.map(p => p.maxFileSize))
+    });
+    debug.push(`✂️ Split ${Math.round(plan.duration / 60)} min of audio into ${plan.chunks.length} chunks`);
+    console.log(`✂️ Chunked transcription: ${plan.chunks.length} chunks, concurrency ${TRANSCRIPTION_CONFIG.CHUNK_CONCURRENCY}`);
+
+    let done = 0;
+    const parts = await mapWithConcurrency(plan.chunks, TRANSCRIPTION_CONFIG.CHUNK_CONCURRENCY, async (chunk) => {
+      const chunkPath = await writeChunk(local.filepath, plan, chunk);
+      try {
+        const result = await transcribeAudio({
+          filepath: chunkPath,
+          filename: `${path.parse(source.filename || 'episode').name}-part${chunk.index + 1}${plan.extension}`,
+          contentType: plan.contentType,
+          size: fs.statSync(chunkPath).size
+        }, { providers: options.providers, noChunking: true });
+
+        options.onChunk?.(++done, plan.chunks.length);
+        debug.push(`📝 Chunk ${chunk.index + 1}/${plan.chunks.length} transcribed with ${result.provider}`);
+        return { chunk, ...result };
+      } catch (error) {
+        error.message = `Chunk ${chunk.index + 1}/${plan.chunks.length}: ${error.message}`;
+        throw error;
+      } finally {
+        fs.promises.unlink(chunkPath).catch(() => {});
+      }
+    });
+
+    const { transcript, segments } = stitchChunkTranscripts(parts);
+    const duration = durationFromSegments(segments) ?? plan.duration;
+    const provider = mostCommon(parts.map(p => p.provider));
+
+    return {
+      transcript,
+      segments,
+      duration,
+      language: mostCommon(parts.map(p => p.language).filter(Boolean)) || null,
+      provider,
+      providers: Array.from(new Set(parts.map(p => p.provider))),
+      model: parts.find(p => p.provider === provider).model,
+      chunks: parts.length,
+      attempts: [
+        ...priorAttempts,
+        ...parts.flatMap(p => p.attempts.map(a => ({ ...a, chunk: p.chunk.index })))
+      ],
+      metrics: buildMetrics(transcript, duration, provider)
+    };
+  } finally {
+    local.cleanup();
+  }
+}
+
+/**
+ * Chunking needs random access to a local file: spill buffers and download URLs to /tmp
+ */
+async function materializeSource(source) {
+  if (source.filepath) return { filepath: source.filepath, cleanup: () => {} };
+
+  const ext = path.extname(source.filename || '') || '.mp3';
+  const filepath = path.join(CHUNK_CONFIG.TEMP_DIR, `transcribe-${crypto.randomUUID()}${ext}`);
+  const cleanup = () => fs.promises.unlink(filepath).catch(() => {});
+
+  if (source.buffer) {
+    await fs.promises.writeFile(filepath, source.buffer);
+    return { filepath, cleanup };
+  }
+
+  const { default: fetch } = await import('node-fetch');
+  const response = await fetch(source.url, { redirect: 'follow', signal: AbortSignal.timeout(TRANSCRIPTION_CONFIG.DOWNLOAD_TIMEOUT_MS * 3) });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch audio: ${response.status} ${response.statusText}`);
+  }
+  const tooLarge = (size) => new AudioProcessingError(
+    `Audio file too large for chunked transcription (${size ? `${Math.round(size / MB)}MB` : `over ${Math.round(MAX_CHUNKABLE_BYTES / MB)}MB`})`,
+    'FILE_TOO_LARGE',
+    `Episodes up to ${Math.round(MAX_CHUNKABLE_BYTES / MB)}MB are supported.`,
+    ['Compress audio to 96-128kbps MP3']
+  );
+  const contentLength = Number(response.headers.get('content-length') || 0);
+  if (contentLength > MAX_CHUNKABLE_BYTES) throw tooLarge(contentLength);
+
+  try {
+    // content-length can be missing or wrong: count the bytes as they arrive too
+    await pipeline(response.body, limitBytes(MAX_CHUNKABLE_BYTES, () => tooLarge()), fs.createWriteStream(filepath));
+  } catch (error) {
+    cleanup();
+    throw error;
+  }
+  return { filepath, cleanup };
+}
+
+function mostCommon(values) {
+  const counts = new Map();
+  values.forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
+}
+
+async function loadBuffer(source, provider) {
+  if (source.buffer) return source.buffer;
+
+  const { default: fetch } = await import('node-fetch');
+  const audioResponse = await fetch(source.url, {
+    redirect: 'follow',
+    signal: AbortSignal.timeout(TRANSCRIPTION_CONFIG.DOWNLOAD_TIMEOUT_MS)
+  });
+  if (!audioResponse.ok) {
+    throw new Error(`Failed to fetch audio: ${audioResponse.status} ${audioResponse.statusText}`);
+  }
+
+  const contentLength = Number(audioResponse.headers.get('content-length') || 0);
+  if (contentLength > provider.maxFileSize) {
+    source.size = contentLength;
+    throw new AudioProcessingError(
+      `Audio file too large for ${provider.label} (${Math.round(contentLength / MB)}MB)`,
+      `${provider.name.toUpperCase()}_FILE_TOO_LARGE`,
+      `File too large for transcription service (${Math.round(provider.maxFileSize / MB)}MB limit).`,
+      ['Compress audio to lower bitrate']
+    );
+  }
+
+  source.buffer = Buffer.from(await audioResponse.arrayBuffer());
+  source.size = source.buffer.length;
+  return source.buffer;
+}
+
+function providerHttpError(provider, status, errorText) {
+  const code = provider.name.toUpperCase();
+  const detail = `${provider.label} API error: ${status} ${errorText.slice(0, 400)}`;
+
+  if (status === 413) {
+    return new AudioProcessingError(detail, `${code}_FILE_TOO_LARGE`,
+      `File too large for transcription service (${Math.round(provider.maxFileSize / MB)}MB limit).`,
+      ['Compress audio to lower bitrate']);
+  }
+  if (status === 400) {
+    return new AudioProcessingError(detail, `${code}_VALIDATION_ERROR`,
+      'Audio file format not supported by transcription service.',
+      ['Convert to MP3 format', 'Check file is not corrupted']);
+  }
+  if (status === 429) {
+    return new AudioProcessingError(detail, `${code}_RATE_LIMIT`,
+      'Transcription service is currently busy. Please try again in a few minutes.',
+      ['Wait a few minutes and retry', 'Contact support if this persists']);
+  }
+  return new AudioProcessingError(detail, `${code}_API_ERROR`,
+    'Transcription service temporarily unavailable. Please try again.',
+    ['Try again in a few minutes', 'Contact support if this persists']);
+}
+
+/**
+ * Duration metrics: measured from segment timestamps when available,
+ * otherwise a rough estimate from transcript length (~8 chars per spoken second)
+ */
+function buildMetrics(transcript, duration, provider) {
+  const durationSeconds = duration ?? transcript.length / 8;
+  return {
+    durationSeconds: Math.round(durationSeconds),
+    durationMinutes: Math.round(durationSeconds / 60),
+    confidence: duration ? 'measured' : 'estimated',
+    source: provider
+  };
+}
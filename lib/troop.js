@@ -0,0 +1,443 @@
+// lib/troop.js - Shared Enhanced TROOP analysis engine
+// One prompt, one model, one retry/distill strategy and one post-processing pass,
+// so every pipeline (Apple URL, MP3 upload, Blob) returns the same analysis shape.
+import { ANALYSIS_SCHEMA_VERSION, validateAnalysis, fieldSchema } from './analysis-schema.js';
+import { locateQuote, speakerAt, speakerSource } from './segments.js';
+import { scoreGrowth } from './growth-score.js';
+import { condenseTranscript, extractiveDigest } from './condense.js';
+import { labeledTranscript } from './diarization.js';
+import { chatJson } from './chat.js';
+
+const TROOP_CONFIG = {
+  ANALYSIS_MODEL: 'gpt-4o',
+  MAX_ATTEMPTS: 2,              // Full-transcript attempts before distilling
+  TEMPERATURE: 0.75,
+  MAX_TOKENS: 4000,
+  TIMEOUT_MS: 90_000,
+  TRANSCRIPT_TOKEN_BUDGET: 8000, // Longer transcripts are condensed (lib/condense.js)
+  DISTILL_TOKEN_BUDGET: 2500,    // Tighter digest for the last-chance attempt
+  MAX_FLAT_KEYWORDS: 15,
+  REPAIR: {
+    MAX_ATTEMPTS: 2,            // Targeted re-prompts before deterministic repair
+    TRANSCRIPT_TOKEN_BUDGET: 1500
+  }
+};
+
+const BASE_SYSTEM = [
+  'You are Podcast Growth Agent.',
+  'Return valid JSON only. No markdown, no code fences, no commentary.',
+  'Arrays MUST contain exactly 3 items for tweetable_quotes, community_suggestions, cross_promo_matches.',
+  'Each community_suggestions item MUST include first_post (<=220 chars).',
+  'Each cross_promo_matches item MUST include outreach_dm (<=420 chars).',
+  'Maintain the episode\'s tone/voice across title, description, captions, first_post, outreach_dm.'
+].join(' ');
+
+/**
+ * Run the Enhanced TROOP analysis: JSON-forced call with retries,
+ * then a distilled-transcript attempt, then the static fallback.
+ * Every result is validated against ANALYSIS_SCHEMA and repaired before returning.
+ * @param {string} transcript - Transcript text used as analysis input
+ * @param {string} episodeTitle
+ * @param {string} podcastTitle
+ * @param {object} [options] - { segments, speakers, onInput }
+ *   segments: timestamped segments used to locate tweetable quotes; with speaker labels they
+ *     also become a "Name: text" transcript and each quote_timestamps entry gets its speaker
+ *   speakers: diarizeTranscription() speakers, listed in the prompt context
+ *   onInput(condensed): called with the condenseTranscript() result the model actually saw
+ * @returns {Promise<object>} Schema-valid analysis object with schema_version
+ */
+export async function analyzeWithTROOP(transcript, episodeTitle = '', podcastTitle = '', options = {}) {
+  const openaiApiKey = process.env.OPENAI_API_KEY;
+  const usage = { model: TROOP_CONFIG.ANALYSIS_MODEL, calls: 0, prompt_tokens: 0, completion_tokens: 0 };
+  const context = {
+    transcript: transcript || '', episodeTitle, podcastTitle, openaiApiKey, usage,
+    segments: options.segments || [], speakers: options.speakers || []
+  };
+  if (!openaiApiKey) {
+    console.warn('⚠️ OpenAI API key not configured, using fallback analysis');
+    return enforceSchema(postProcessAnalysis(createFallbackAnalysis(transcript, episodeTitle)), context);
+  }
+
+  // Speaker-labeled when diarized, so quotes and cross-promo angles know who said what
+  const input = labeledTranscript(context.segments) || transcript;
+  const condensed = await condenseTranscript(input, { budgetTokens: TROOP_CONFIG.TRANSCRIPT_TOKEN_BUDGET, openaiApiKey, usage });
+  context.condensation = condensationInfo(condensed);
+  options.onInput?.(condensed);
+  const prompt = buildTroopPrompt(condensed.text, episodeTitle, podcastTitle, context.speakers);
+  console.log(`🧠 Enhanced TROOP analysis (${TROOP_CONFIG.ANALYSIS_MODEL}), prompt length: ${prompt.length}, transcript ${condensed.mode}`);
+
+  let attempt;
+  for (let i = 1; i <= TROOP_CONFIG.MAX_ATTEMPTS; i++) {
+    attempt = await callTroopModel(prompt, openaiApiKey, usage);
+    if (attempt.ok) return enforceSchema(postProcessAnalysis(attempt.json), context);
+    console.log(`⚠️ TROOP attempt ${i} failed: ${attempt.errorText}`);
+  }
+
+  // Distill → Analyze
+  console.log('🔄 Distilling transcript for a final TROOP attempt...');
+  const distilled = await condenseTranscript(input, { budgetTokens: TROOP_CONFIG.DISTILL_TOKEN_BUDGET, openaiApiKey, usage });
+  context.condensation = condensationInfo(distilled);
+  options.onInput?.(distilled);
+  const distilledPrompt = buildTroopPrompt(distilled.text, episodeTitle, podcastTitle, context.speakers).replace('TRANSCRIPT:', 'TRANSCRIPT (DISTILLED):');
+  attempt = await callTroopModel(distilledPrompt, openaiApiKey, usage);
+  if (attempt.ok) return enforceSchema(postProcessAnalysis(attempt.json), context);
+
+  console.error('❌ Enhanced TROOP failed, using fallback analysis:', attempt.errorText);
+  return enforceSchema(postProcessAnalysis({
+    ...createFallbackAnalysis(transcript, episodeTitle),
+    _debug_troop_fail: attempt.errorText || 'unknown'
+  }), context);
+}
+
+/**
+ * Validate against the published schema; re-prompt only the failing fields,
+ * then fall back to deterministic repair (truncate, pad from fallback, drop optional)
+ */
+async function enforceSchema(analysis, context) {
+  if (!analysis || typeof analysis !== 'object' || Array.isArray(analysis)) {
+    analysis = { _debug_troop_fail: 'Model returned a non-object analysis' };
+  }
+  analysis.schema_version = ANALYSIS_SCHEMA_VERSION;
+  // The model only rates the rubric; total and dimensions are always computed here
+  const judgment = analysis.growth_score;
+  analysis.growth_score = scoreGrowth(judgment, analysis, context.transcript);
+  const repairs = [];
+  let result = validateAnalysis(analysis);
+
+  for (let i = 1; !result.valid && context.openaiApiKey && i <= TROOP_CONFIG.REPAIR.MAX_ATTEMPTS; i++) {
+    console.log(`🩹 Schema repair ${i}: re-prompting ${result.invalidFields.join(', ')}`);
+    const attempt = await callTroopModel(buildRepairPrompt(analysis, result, context), context.openaiApiKey, context.usage);
+    if (!attempt.ok) continue;
+
+    for (const field of result.invalidFields) {
+      if (attempt.json[field] === undefined) continue;
+      analysis[field] = attempt.json[field];
+      repairs.push(`${field}: re-prompted`);
+    }
+    postProcessAnalysis(analysis);
+    analysis.schema_version = ANALYSIS_SCHEMA_VERSION;
+    result = validateAnalysis(analysis);
+  }
+
+  if (!result.valid) {
+    console.warn('⚠️ Schema still invalid after re-prompts, repairing:', result.errors.map(e => `${e.path} ${e.message}`).join('; '));
+    const fallback = createFallbackAnalysis(context.transcript, context.episodeTitle);
+    for (const field of result.invalidFields) {
+      const repaired = coerceToSchema(analysis[field], fieldSchema(field), fallback[field]);
+      if (repaired === undefined) delete analysis[field];
+      else analysis[field] = repaired;
+      repairs.push(`${field}: ${repaired === undefined ? 'dropped' : 'defaulted'}`);
+    }
+  }
+
+  if (repairs.length) {
+    analysis._schema_repairs = repairs;
+    analysis.growth_score = scoreGrowth(judgment, analysis, context.transcript);
+  }
+  if (context.usage?.calls || context.usage?.by_model) analysis._usage = context.usage;
+  if (context.condensation) analysis._transcript_condensation = context.condensation;
+  attachQuoteTimestamps(analysis, context.segments);
+  return analysis;
+}
+
+/**
+ * Index-aligned quote_timestamps so clients can link "listen at 12:34", with the speaker when diarized
+ */
+function attachQuoteTimestamps(analysis, segments) {
+  if (!segments?.length || !Array.isArray(analysis.tweetable_quotes)) return;
+  analysis.quote_timestamps = analysis.tweetable_quotes.map(quote => {
+    const location = locateQuote(quote, segments);
+    if (!location) return null;
+    const speaker = speakerAt(segments, location.start, location.end);
+    return { quote, ...location, ...(speaker ? { speaker, speaker_source: speakerSource(segments) } : {}) };
+  });
+}
+
+function buildRepairPrompt(analysis, result, context) {
+  const fields = result.invalidFields;
+  const schemas = Object.fromEntries(fields.map(f => [f, fieldSchema(f)]));
+  const current = Object.fromEntries(fields.map(f => [f, analysis[f] ?? null]));
+  const excerpt = extractiveDigest(context.transcript, { budgetTokens: TROOP_CONFIG.REPAIR.TRANSCRIPT_TOKEN_BUDGET });
+
+  return [
+    'Some fields of a podcast growth analysis failed schema validation.',
+    `Return JSON containing ONLY these keys, corrected: ${fields.join(', ')}.`,
+    '',
+    'VALIDATION ERRORS:',
+    ...result.errors.map(e => `- ${e.path}: ${e.message}`),
+    '',
+    'JSON SCHEMA PER FIELD:',
+    JSON.stringify(schemas, null, 2),
+    '',
+    'CURRENT (INVALID) VALUES:',
+    JSON.stringify(current, null, 2),
+    '',
+    `Episode Title: ${context.episodeTitle || 'New Episode'}`,
+    `Podcast: ${context.podcastTitle || 'Podcast Growth Analysis'}`,
+    '',
+    'TRANSCRIPT EXCERPT:',
+    excerpt
+  ].join('\n');
+}
+
+/**
+ * Best-effort coercion of a single field to its sub-schema. Returns undefined to drop optional fields.
+ */
+function coerceToSchema(value, schema, fallbackValue) {
+  if (!schema) return fallbackValue;
+
+  if (schema.type === 'string') {
+    const str = typeof value === 'string' && value.trim() ? value : fallbackValue;
+    if (typeof str !== 'string') return undefined;
+    return schema.maxLength && str.length > schema.maxLength ? str.slice(0, schema.maxLength - 1) + '…' : str;
+  }
+
+  if (schema.type === 'array') {
+    if (!Array.isArray(value)) return fallbackValue;
+    const itemSchema = schema.items || {};
+    const items = value
+      .map(item => coerceItem(item, itemSchema))
+      .filter(item => item !== undefined);
+    for (const extra of Array.isArray(fallbackValue) ? fallbackValue : []) {
+      if (schema.minItems === undefined || items.length >= schema.minItems) break;
+      items.push(extra);
+    }
+    if (schema.minItems !== undefined && items.length < schema.minItems) return fallbackValue;
+    return schema.maxItems !== undefined ? items.slice(0, schema.maxItems) : items;
+  }
+
+  return fallbackValue;
+}
+
+function coerceItem(item, schema) {
+  if (schema.type === 'string') return coerceToSchema(item, schema, undefined);
+  if (schema.type !== 'object' || !item || typeof item !== 'object' || Array.isArray(item)) return undefined;
+
+  const fixed = { ...item };
+  for (const [key, sub] of Object.entries(schema.properties || {})) {
+    if (fixed[key] === undefined || fixed[key] === null) continue;
+    const coerced = coerceToSchema(fixed[key], sub, undefined);
+    if (coerced === undefined) delete fixed[key];
+    else fixed[key] = coerced;
+  }
+  const complete = (schema.required || []).every(key => fixed[key] !== undefined && fixed[key] !== '');
+  return complete ? fixed : undefined;
+}
+
+/**
+ * Single JSON-forced chat completion. Never throws; returns { ok, json } or { ok: false, errorText }.
+ * Token usage is added to the optional `usage` accumulator for cost tracking.
+ */
+async function callTroopModel(prompt, openaiApiKey, usage) {
+  try {
+    const json = await chatJson(prompt, {
+      openaiApiKey,
+      model: TROOP_CONFIG.ANALYSIS_MODEL,
+      maxTokens: TROOP_CONFIG.MAX_TOKENS,
+      temperature: TROOP_CONFIG.TEMPERATURE,
+      timeoutMs: TROOP_CONFIG.TIMEOUT_MS,
+      system: BASE_SYSTEM,
+      usage
+    });
+    return { ok: true, json };
+  } catch (error) {
+    const status = error.status || 0;
+    return { ok: false, status, errorText: status ? error.message : `Request failed: ${error.message}` };
+  }
+}
+
+function condensationInfo({ text, ...info }) {
+  return info;
+}
+
+/**
+ * Speaker lines for the prompt context; empty when the episode was not diarized
+ */
+function speakerContext(speakers) {
+  if (speakers.length < 2) return '';
+  const list = speakers.map(s => `${s.label} (${s.role}${s.name ? '' : ', name unknown'}, ${Math.round(s.share * 100)}% of talk time)`);
+  const lines = [
+    `Speakers: ${list.join('; ')}`,
+    ...(speakers.some(s => s.speaker_source === 'estimated')
+      ? ['Speaker labels are estimated from question / answer turns and may be wrong; don\'t rely on them for attribution.']
+      : []),
+    'Transcript lines are prefixed with the speaker. Keep quotes in the speaker\'s own words, without the prefix.'
+  ];
+  const guest = speakers.find(s => s.role === 'guest' && s.name);
+  if (guest) lines.push(`Cross-promo: pitch shows whose audience would want ${guest.name}, and mention them in outreach_dm.`);
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Build the 10-section Enhanced TROOP prompt around an already budget-fitted transcript
+ */
+function buildTroopPrompt(transcript, episodeTitle, podcastTitle, speakers = []) {
+  return `
+Section 1: Task Definition
+**TASK:**
+Analyze the provided podcast episode transcript and generate a comprehensive 10-section growth strategy to expand audience reach. Use the exact spoken words to extract meaning, then create actionable marketing recommendations that improve findability, discoverability, and reach by:
+(a) Strategically selecting primary intent terms listeners actively search for.
+(b) Expanding into 3–5 semantic neighbors (conceptually related terms) to join ongoing topically relevant conversations.
+(c) Ensuring all recommendations connect to actual transcript content.
+
+Section 2: Role Assignment
+**ROLE:**
+You are Podcast Growth Agent — an expert strategist with 10+ years helping independent podcasters grow. Core specialties:
+1. Deep transcript semantic analysis
+2. Search-intent mapping & expansion
+3. Niche community discovery (1K–100K members)
+4. Platform-native copycraft
+5. Cross-promo matchmaking for complementary audiences
+6. Solo-creator growth prioritization
+
+Section 3: Critical Requirements ⚠️ ENFORCEMENT LAYER
+**CRITICAL REQUIREMENTS (HARD):**
+- EXACTLY 3 tweetable quotes (verbatim or lightly edited for clarity) with 1–2 relevant hashtags
+- EXACTLY 3 community suggestions (niche, 1K–100K; no generic communities)
+- EXACTLY 3 cross-promo matches (complementary shows, similar audience size)
+- All data must be transcript-grounded
+- For each keyword/topic set, include 1 primary intent term + 3–5 semantic neighbors
+- Each community_suggestions item MUST include first_post (≤220 chars, value-first, no link)
+- Each cross_promo_matches item MUST include outreach_dm (≤420 chars, friendly, specific swap ask)
+
+Section 3.1: Quote Extraction & Scoring (INTERNAL)
+Before producing final tweetable_quotes:
+- Extract 8–12 candidate quotes from transcript (<=240 chars each).
+- For each, compute scores: insight(0–5), emotion(0–5), clarity(0–5), novelty(0–5), virality(0–5).
+- Add 1–2 smart hashtags from the keyword plan (primary intent + semantic neighbors).
+- Select top 3 (highest total) respecting 280-char limit. Use those as tweetable_quotes.
+- Keep candidate text verbatim apart from hashtags: candidates are located in the audio and cut as short-form clips.
+- Also include quotes_candidates_debug (array of objects: {text, hashtags, scores:{...}, score}) for QA.
+
+Section 4: JSON Output Format 📋 CORE STRUCTURE
+Return only valid JSON (no prose). Do not include keys not listed below.
+
+{
+"episode_summary": "2–3 sentences in the guest/show's voice describing core promise and listener outcome.",
+"tweetable_quotes": ["Quote 1 with 1–2 hashtags", "Quote 2 with hashtags", "Quote 3 with hashtags"],
+"topics_keywords": [
+  { "primary_intent": "Main searchable term", "semantic_neighbors": ["rel1","rel2","rel3","rel4","rel5"] },
+  { "primary_intent": "...", "semantic_neighbors": ["..."] },
+  { "primary_intent": "...", "semantic_neighbors": ["..."] }
+],
+"optimized_title": "≤70 chars; must contain one primary intent term; keep episode voice.",
+"optimized_description": "150–200 words; weave ≥3 primary intents + 3–5 neighbors; single CTA.",
+"community_suggestions": [
+  {"name":"...","platform":"...","url":"...","member_size":"...","why":"...","post_angle":"...","engagement_strategy":"...","conversion_potential":"...","first_post":"<=220 chars, includes 1 transcript phrase","confidence":"high|medium"},
+  {"name":"...","platform":"...","url":"...","member_size":"...","why":"...","post_angle":"...","engagement_strategy":"...","conversion_potential":"...","first_post":"...","confidence":"..."},
+  {"name":"...","platform":"...","url":"...","member_size":"...","why":"...","post_angle":"...","engagement_strategy":"...","conversion_potential":"...","first_post":"...","confidence":"..."}
+],
+"cross_promo_matches": [
+  {"podcast_name":"...","why_match":"...","audience_overlap":"...","collaboration_value":"...","outreach_timing":"...","outreach_dm":"<=420 chars, includes 1 transcript phrase","confidence":"high|medium"},
+  {"podcast_name":"...","why_match":"...","audience_overlap":"...","collaboration_value":"...","outreach_timing":"...","outreach_dm":"...","confidence":"..."},
+  {"podcast_name":"...","why_match":"...","audience_overlap":"...","collaboration_value":"...","outreach_timing":"...","outreach_dm":"...","confidence":"..."}
+],
+"trend_piggyback": "One durable conversation; specify angle + why it fits.",
+"social_caption": "1–2 platform-native sentences; include 1 primary intent + 1 neighbor.",
+"next_step": "One concrete action a solo creator can do in ≤20 minutes.",
+"growth_score": {"dimensions":{"content_quality":0,"engagement":0,"seo":0,"shareability":0,"actionability":0},"rationale":"1–2 sentences naming the strongest and weakest dimension"},
+"quotes_candidates_debug": [{"text":"...","hashtags":["#x","#y"],"scores":{"insight":5,"emotion":4,"clarity":5,"novelty":4,"virality":5},"score":23}]
+}
+
+Section 4.1: Growth Score Rubric
+Rate each dimension 0–100 from the transcript; the weighted total is computed for you:
+- content_quality (30%): depth, originality, clear takeaways
+- engagement (25%): story, emotion, moments that make listeners react
+- seo (20%): searchable intents actually discussed
+- shareability (15%): standalone quotable moments
+- actionability (10%): listeners can do something after listening
+
+Section 5: Business Objective
+**OBJECTIVE:** Help solo podcasters get more plays per episode with immediately actionable steps.
+
+Section 6: Perspective/Voice
+**PERSPECTIVE:** Supportive, clear, practical; match the episode's tone/voice.
+
+Section 7: Methodology 🧠
+1) Transcript Foundation → 2) Semantic Expansion → 3) Conversation Insertion → 4) Niche Discovery
+→ 5) Copy Calibration → 6) Action Readiness → 7) Effort/Impact Awareness
+
+Section 7.1: Voice Profile (Derive From Transcript)
+Use this voice consistently in title, description, captions, first_post, outreach_dm.
+
+Section 8: Context
+Episode Title: ${episodeTitle || 'New Episode'}
+Podcast: ${podcastTitle || 'Podcast Growth Analysis'}
+${speakerContext(speakers)}
+TRANSCRIPT:
+${transcript}
+
+Section 9: Community Examples
+- Wellness: mindfulness habit groups, sleep optimization circles
+- Business: SaaS founder micro-forums, indie-hacker threads
+- Creative: discipline-specific craft groups
+
+Section 10: Final Enforcement
+- No generic podcast communities
+- Arrays = exactly 3 items
+- Output = exactly the JSON structure above
+`;
+}
+
+/**
+ * Normalize model output into the shared response shape:
+ * - keyword objects are kept as keyword_plan and flattened into topics_keywords
+ * - tweetable_quotes fall back to the top-scored quotes_candidates_debug entries
+ */
+function postProcessAnalysis(analysis) {
+  if (!analysis || typeof analysis !== 'object') return analysis;
+
+  if (Array.isArray(analysis.topics_keywords) && analysis.topics_keywords.some(k => k && typeof k === 'object')) {
+    const plan = analysis.topics_keywords.filter(k => k && typeof k === 'object');
+    analysis.keyword_plan = plan;
+    const flat = [];
+    for (const k of analysis.topics_keywords) {
+      if (typeof k === 'string') { flat.push(k); continue; }
+      if (k?.primary_intent) flat.push(String(k.primary_intent));
+      if (Array.isArray(k?.semantic_neighbors)) for (const n of k.semantic_neighbors) flat.push(String(n));
+    }
+    analysis.topics_keywords = Array.from(new Set(flat)).slice(0, TROOP_CONFIG.MAX_FLAT_KEYWORDS);
+  }
+
+  if ((!Array.isArray(analysis.tweetable_quotes) || analysis.tweetable_quotes.length !== 3) &&
+      Array.isArray(analysis.quotes_candidates_debug)) {
+    const sorted = [...analysis.quotes_candidates_debug]
+      .sort((a, b) => Number(b?.score || 0) - Number(a?.score || 0))
+      .slice(0, 3)
+      .map(q => typeof q?.text === 'string' ? q.text : '');
+    analysis.tweetable_quotes = sorted.filter(Boolean);
+  }
+
+  return analysis;
+}
+
+/**
+ * Static analysis used when OpenAI is unavailable or every attempt failed
+ */
+function createFallbackAnalysis(transcript, episodeTitle) {
+  return {
+    episode_summary: "Episode transcribed. Advanced analysis temporarily unavailable (fallback).",
+    tweetable_quotes: [
+      `🎙️ New episode: "${episodeTitle}" — big insights inside! #podcast`,
+      "📈 Every episode is a chance to earn a new listener. #podcastgrowth",
+      "🚀 Consistency compounds your podcast growth. #creatoreconomy"
+    ],
+    topics_keywords: ["podcast", "growth", "strategy", "audience", "content"],
+    optimized_title: episodeTitle || "Optimize this title for SEO",
+    optimized_description: "Craft a clear value-forward description with primary and related keywords.",
+    community_suggestions: [
+      { name: "Mindfulness", platform: "Reddit", url: "https://reddit.com/r/mindfulness", why: "Active, aligned topics", first_post: "Key insight from today's episode..." },
+      { name: "Self Care Support", platform: "Facebook", url: "https://facebook.com/groups/selfcaresupport", why: "Engaged wellness audience", first_post: "Sharing practical wisdom..." },
+      { name: "Wellness Warriors", platform: "Discord", url: "https://discord.com/invite/wellness", why: "Realtime discussions", first_post: "Great discussion starter..." }
+    ],
+    cross_promo_matches: [
+      { podcast_name: "The Wellness Hour", host_name: "Sarah Johnson", contact_info: "@sarahwellness", collaboration_angle: "Practical overlap", outreach_dm: "Hi Sarah, love your wellness approach..." },
+      { podcast_name: "Mindful Living Daily", host_name: "Mike Chen", contact_info: "mike@mindfulpodcast.com", collaboration_angle: "Mindfulness focus", outreach_dm: "Hey Mike, saw your mindfulness episode..." },
+      { podcast_name: "Health & Home", host_name: "Lisa Rodriguez", contact_info: "@healthandhomepod", collaboration_angle: "Healthy spaces", outreach_dm: "Lisa, our audiences would love..." }
+    ],
+    trend_piggyback: "Tie to current wellness awareness hashtags (#MindfulMonday #SelfCareSunday).",
+    social_caption: `🎙️ New episode: "${episodeTitle}" — listen now. #podcast #growth`,
+    next_step: "Create 3 quote posts with hashtags and share in one niche community today.",
+    growth_score: { rationale: "Transcription OK; advanced analysis fell back, so this is scored from transcript signals only." },
+  };
+}
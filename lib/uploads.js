@@ -0,0 +1,81 @@
+// lib/uploads.js - Client upload tokens and Blob upload-completed webhooks
+// The token payload travels with the client token and comes back in the upload-completed
+// callback, so it carries everything the analysis job needs (filename, title, upload id).
+import crypto from 'crypto';
+import { enqueueJob } from './jobs.js';
+
+const UPLOAD_ID_PATTERN = /^[a-zA-Z0-9_-]{8,64}$/;
+
+/**
+ * Where Vercel Blob should POST upload-completed events. The API host, not the page origin:
+ * the frontend may live on a different domain.
+ */
+export function uploadCallbackUrl(req) {
+  if (process.env.UPLOAD_CALLBACK_URL) return process.env.UPLOAD_CALLBACK_URL;
+  const host = req.headers['x-forwarded-host'] || req.headers.host || 'podcastgrowthagent.com';
+  const proto = req.headers['x-forwarded-proto'] || (host.startsWith('localhost') ? 'http' : 'https');
+  return `${proto}://${host}/api/upload-callback`;
+}
+
+/**
+ * Build the tokenPayload string for onBeforeGenerateToken.
+ * clientPayload may be a JSON string with { title, upload_id } from the browser.
+ */
+export function buildUploadTokenPayload({ filename, clientPayload, ...extra }) {
+  const client = parseJson(clientPayload);
+  const uploadId = UPLOAD_ID_PATTERN.test(client.upload_id || '') ? client.upload_id : crypto.randomUUID();
+
+  return JSON.stringify({
+    upload_id: uploadId,
+    filename,
+    title: typeof client.title === 'string' ? client.title.slice(0, 200) : undefined,
+    uploadedAt: new Date().toISOString(),
+    ...extra
+  });
+}
+
+/**
+ * Job id for an upload: deterministic so the client can poll it and webhook retries don't re-run
+ */
+export function uploadJobId(uploadId) {
+  return `upload-${uploadId}`;
+}
+
+/**
+ * HMAC-SHA256 of the raw callback body keyed by BLOB_READ_WRITE_TOKEN, compared in constant time
+ */
+export function verifyBlobCallbackSignature(rawBody, signature, token = process.env.BLOB_READ_WRITE_TOKEN) {
+  if (!token || !signature) return false;
+  const expected = Buffer.from(crypto.createHmac('sha256', token).update(rawBody).digest('hex'));
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * onUploadCompleted: start transcription + TROOP analysis for the uploaded blob
+ * @returns {Promise<object>} the (possibly pre-existing) job
+ */
+export async function enqueueUploadAnalysis({ blob, tokenPayload }) {
+  const payload = parseJson(tokenPayload);
+  const uploadId = UPLOAD_ID_PATTERN.test(payload.upload_id || '') ? payload.upload_id : crypto.randomUUID();
+  const filename = payload.filename || blob.pathname;
+
+  const job = await enqueueJob('blob', {
+    blobUrl: blob.url,
+    filename,
+    title: payload.title || filename
+  }, { id: uploadJobId(uploadId) });
+
+  console.log(`📥 Upload ${uploadId} completed (${blob.url}), analysis job ${job.id} ${job.status}`);
+  return job;
+}
+
+function parseJson(value) {
+  if (!value) return {};
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value) || {};
+  } catch {
+    return {};
+  }
+}
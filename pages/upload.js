@@ -7,6 +7,7 @@ export default function UploadPage() {
   const [progress, setProgress] = useState(0);
   const [result, setResult] = useState(null);
   const [error, setError] = useState(null);
+  const [statusMessage, setStatusMessage] = useState('');
 
   const handleFileSelect = (e) => {
     const selectedFile = e.target.files[0];
@@ -36,53 +37,34 @@ export default function UploadPage() {
       console.log('✅ File uploaded to Blob:', blob.url);
       setProgress(50);
 
-      console.log('🧠 Starting analysis...');
-      const analysisResponse = await fetch('/api/analyze-from-blob', {
+      console.log('🧠 Starting analysis job...');
+      const jobResponse = await fetch('/api/jobs', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          blobUrl: blob.url,
-          filename: file.name,
-          title: document.getElementById('episodeTitle')?.value || file.name,
+          type: 'blob',
+          input: {
+            blobUrl: blob.url,
+            filename: file.name,
+            title: document.getElementById('episodeTitle')?.value || file.name,
+          },
         }),
       });
 
-      if (!analysisResponse.ok) {
-        throw new Error(`Analysis failed: ${analysisResponse.statusText}`);
+      if (!jobResponse.ok) {
+        throw new Error(`Analysis failed: ${jobResponse.statusText}`);
       }
 
-      setProgress(75);
-
-      const reader = analysisResponse.body.getReader();
-      const decoder = new TextDecoder();
-      let analysisResult = '';
+      const { job_id } = await jobResponse.json();
+      const analysisResult = await followJobEvents(job_id, (update) => {
+        if (typeof update.progress === 'number') setProgress(Math.max(50, update.progress));
+        if (update.message) setStatusMessage(update.message);
+      });
 
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-        
-        const chunk = decoder.decode(value, { stream: true });
-        analysisResult += chunk;
-        
-        const lines = analysisResult.split('\n');
-        for (const line of lines) {
-          if (line.trim()) {
-            try {
-              const parsed = JSON.parse(line);
-              if (parsed.status === 'success') {
-                setResult(parsed);
-                setProgress(100);
-              } else if (parsed.progress) {
-                setProgress(Math.max(75, parsed.progress));
-              }
-            } catch (e) {
-              // Continue if line isn't valid JSON
-            }
-          }
-        }
-      }
+      setResult(analysisResult);
+      setProgress(100);
 
     } catch (err) {
       console.error('Upload/Analysis error:', err);
@@ -150,6 +132,7 @@ export default function UploadPage() {
             />
           </div>
           <p style={{ textAlign: 'center', marginTop: '5px' }}>{progress}% Complete</p>
+          {statusMessage && <p style={{ textAlign: 'center', color: '#666' }}>{statusMessage}</p>}
         </div>
       )}
 
@@ -184,4 +167,29 @@ export default function UploadPage() {
       )}
     </div>
   );
-}
\ No newline at end of file
+}
+
+/**
+ * Follow a job's SSE stream until it resolves. EventSource reconnects on its own
+ * after a dropped connection and resumes from the last event id.
+ */
+function followJobEvents(jobId, onUpdate) {
+  return new Promise((resolve, reject) => {
+    const source = new EventSource(`/api/jobs/${jobId}/events`);
+    const read = (event) => JSON.parse(event.data);
+
+    source.addEventListener('stage', (event) => onUpdate(read(event)));
+    source.addEventListener('progress', (event) => onUpdate(read(event)));
+    source.addEventListener('result', (event) => {
+      source.close();
+      resolve(read(event));
+    });
+    // Server-sent 'error' events carry data; connection errors don't and are retried
+    source.addEventListener('error', (event) => {
+      if (!event.data) return;
+      source.close();
+      const data = read(event);
+      reject(new Error(data.userMessage || data.error || 'Analysis failed'));
+    });
+  });
+}
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { segmentChapters, generateChapters, CHAPTER_CONFIG } from '../lib/chapters.js';
+
+const TOPICS = {
+  bread: ['Sourdough starter needs flour and water daily.', 'Bake the sourdough loaf in a hot oven for crust.', 'Flour hydration changes the sourdough crumb.'],
+  sailing: ['Trim the mainsail when the wind shifts.', 'Sailing upwind means tacking the boat often.', 'The harbour tide decides when the boat leaves.'],
+  taxes: ['Quarterly taxes are due to the revenue office.', 'Deductions lower the taxable income for freelancers.', 'Keep receipts for every deductible expense.']
+};
+
+/** One 10-second segment after another, topic by topic */
+function episode(sections) {
+  const segments = [];
+  let time = 0;
+  for (const [topic, seconds] of sections) {
+    for (let i = 0; i < seconds / 10; i++) {
+      segments.push({ start: time, end: time + 10, text: TOPICS[topic][i % TOPICS[topic].length] });
+      time += 10;
+    }
+  }
+  return segments;
+}
+
+test('cuts three lexically distinct sections at their boundaries', () => {
+  const chapters = segmentChapters(episode([['bread', 600], ['sailing', 600], ['taxes', 600]]));
+  assert.deepEqual(chapters.map(c => [c.start, c.end]), [[0, 600], [600, 1200], [1200, 1800]]);
+  assert.match(chapters[1].text, /mainsail/);
+  assert.doesNotMatch(chapters[1].text, /sourdough|taxes/);
+});
+
+test('never cuts closer than MIN_CHAPTER_SECONDS', () => {
+  const chapters = segmentChapters(episode([['bread', 600], ['sailing', 60], ['taxes', 600]]));
+  assert.ok(chapters.length >= 2);
+  for (const chapter of chapters) {
+    assert.ok(chapter.end - chapter.start >= CHAPTER_CONFIG.MIN_CHAPTER_SECONDS, `${chapter.start}–${chapter.end} too short`);
+  }
+});
+
+test('generateChapters returns titled chapters and a YouTube-ready list without a model', async () => {
+  const result = await generateChapters({ segments: episode([['bread', 600], ['sailing', 600], ['taxes', 600]]) });
+
+  assert.equal(result.method, 'keywords');
+  assert.equal(result.chapters.length, 3);
+  assert.equal(result.youtube_ready, true);
+  assert.equal(result.youtube.split('\n').length, 3);
+  assert.match(result.youtube, /^0:00 \S/);
+  assert.ok(result.chapters.every(c => c.title));
+});
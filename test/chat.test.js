@@ -0,0 +1,50 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { chatJson, CHAT_CONFIG } from '../lib/chat.js';
+
+let server;
+let reply;
+const requests = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push(JSON.parse(body));
+      res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+      res.end(typeof reply.body === 'string' ? reply.body : JSON.stringify(reply.body));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  CHAT_CONFIG.CHAT_URL = `http://127.0.0.1:${server.address().port}/v1/chat/completions`;
+});
+
+after(() => server.close());
+
+const options = { openaiApiKey: 'test', model: 'gpt-4o-mini', maxTokens: 100, temperature: 0.3, timeoutMs: 5000 };
+const completion = (content, usage = { prompt_tokens: 10, completion_tokens: 5 }) => ({ choices: [{ message: { content } }], usage });
+
+test('returns the parsed JSON content and records usage per model', async () => {
+  const usage = { model: 'gpt-4o', calls: 0, prompt_tokens: 0, completion_tokens: 0 };
+
+  reply = { status: 200, body: completion('{"titles":["a"]}') };
+  assert.deepEqual(await chatJson('p', { ...options, usage }), { titles: ['a'] });
+  reply = { status: 200, body: completion('Here you go: {"ok":true}') };
+  assert.deepEqual(await chatJson('p', { ...options, model: 'gpt-4o', system: 'sys', usage }), { ok: true });
+
+  assert.deepEqual(usage.by_model['gpt-4o-mini'], { calls: 1, prompt_tokens: 10, completion_tokens: 5 });
+  assert.equal(usage.calls, 1);
+  assert.equal(usage.prompt_tokens, 10);
+  assert.deepEqual(requests.at(-1).messages.map(m => m.role), ['system', 'user']);
+  assert.deepEqual(requests.at(-1).response_format, { type: 'json_object' });
+});
+
+test('HTTP and content failures throw with the response status', async () => {
+  reply = { status: 429, body: '{"error":"rate limited"}' };
+  await assert.rejects(chatJson('p', options), { status: 429, message: /^HTTP 429/ });
+
+  reply = { status: 200, body: completion('not json') };
+  await assert.rejects(chatJson('p', options), { status: 200, message: 'Model content not valid JSON' });
+});
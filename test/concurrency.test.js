@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mapWithConcurrency } from '../lib/concurrency.js';
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('keeps input order with at most `limit` calls in flight', async () => {
+  let inFlight = 0;
+  let peak = 0;
+  const results = await mapWithConcurrency([30, 10, 20, 5], 2, async (ms, index) => {
+    peak = Math.max(peak, ++inFlight);
+    await delay(ms);
+    inFlight--;
+    return index;
+  });
+  assert.deepEqual(results, [0, 1, 2, 3]);
+  assert.equal(peak, 2);
+});
+
+test('stops starting items after a failure and rejects once in-flight calls have settled', async () => {
+  const started = [];
+  const settled = [];
+  await assert.rejects(mapWithConcurrency([0, 1, 2, 3, 4], 2, async (item) => {
+    started.push(item);
+    if (item === 0) {
+      await delay(5);
+      throw new Error('chunk 0 failed');
+    }
+    await delay(30);
+    settled.push(item);
+  }), /chunk 0 failed/);
+
+  assert.deepEqual(started, [0, 1]);
+  assert.deepEqual(settled, [1]);
+});
+
+test('resolves an empty list without calling fn', async () => {
+  assert.deepEqual(await mapWithConcurrency([], 3, () => assert.fail('called')), []);
+});
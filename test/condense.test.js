@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { condenseTranscript, extractiveDigest, estimateTokens } from '../lib/condense.js';
+
+const words = (count) => Array.from({ length: count }, (_, i) => `word${i % 97}`).join(' ');
+
+test('extractive digest of an unpunctuated transcript still carries passages', async () => {
+  const transcript = words(21_000); // one "sentence" of ~26k tokens
+  const result = await condenseTranscript(transcript, { budgetTokens: 8000 });
+
+  assert.equal(result.mode, 'extractive');
+  assert.ok(result.source_tokens > 25_000);
+  assert.ok(result.passages > 0);
+  assert.ok(result.tokens > 4000, `only ${result.tokens} tokens kept`);
+  assert.ok(result.tokens <= 8000);
+});
+
+test('transcripts with no value-pattern hits are sampled evenly, opening and closing included', () => {
+  const lines = Array.from({ length: 1600 }, (_, i) => `we went to the shop and then came home again number${i}.`);
+  const transcript = lines.join(' '); // ~16k tokens
+  const digest = extractiveDigest(transcript, { budgetTokens: 4000 });
+
+  assert.ok(estimateTokens(digest) > 2000, `only ${digest.length} chars kept`);
+  assert.ok(estimateTokens(digest) <= 4000);
+  assert.ok(digest.includes('number0.'));
+  assert.ok(digest.includes('number1599.'));
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { heuristicTurns, nameSpeakers, speakerHints } from '../lib/diarization.js';
+
+const seg = (start, end, text, speakerId) => ({ start, end, text, ...(speakerId ? { speaker_id: speakerId } : {}) });
+const byId = (speakers) => Object.fromEntries(speakers.map(s => [s.id, s]));
+
+test('heuristicTurns hands the turn over on a question and back on the next one', () => {
+  const turns = heuristicTurns([
+    seg(0, 3, 'Welcome to the show. What got you started?'),
+    seg(3, 10, 'I started in 2010 after college.'),
+    seg(10, 12, 'It was a long road.'),
+    seg(12, 15, 'And what came next?'),
+    seg(15, 20, 'Then I built a company.')
+  ]);
+
+  assert.deepEqual(turns, [
+    { start: 0, end: 3, speaker: 'SPEAKER_0' },
+    { start: 3, end: 12, speaker: 'SPEAKER_1' },
+    { start: 12, end: 15, speaker: 'SPEAKER_0' },
+    { start: 15, end: 20, speaker: 'SPEAKER_1' }
+  ]);
+});
+
+test('heuristicTurns keeps a question shorter than MIN_TURN_SECONDS in the same turn', () => {
+  const turns = heuristicTurns([seg(0, 1, 'Ready?'), seg(1, 5, 'Let me tell you about the week.')]);
+  assert.deepEqual(turns, [{ start: 0, end: 5, speaker: 'SPEAKER_0' }]);
+});
+
+test('names come from "I\'m …" and "my guest today is …" in the intro', () => {
+  const speakers = byId(nameSpeakers([
+    seg(0, 5, "Hi, I'm Sarah Chen and this is Growth Talk. My guest today is Marcus Lee.", 'A'),
+    seg(5, 10, 'Thanks Sarah, great to be here.', 'B'),
+    seg(10, 20, 'So tell me how it started.', 'A')
+  ], speakerHints({ podcastTitle: 'Growth Talk' })));
+
+  assert.equal(speakers.A.name, 'Sarah Chen');
+  assert.equal(speakers.A.role, 'host');
+  assert.equal(speakers.A.name_source, 'intro');
+  assert.equal(speakers.B.name, 'Marcus Lee');
+  assert.equal(speakers.B.role, 'guest');
+});
+
+test('contractions and NOT_NAMES words are never taken for names', () => {
+  const speakers = nameSpeakers([
+    seg(0, 5, "Welcome everyone, it's Episode Twelve. I'm Really happy today.", 'A'),
+    seg(5, 10, "Thanks, I'm glad to be here. Thank you, They'll love this.", 'B')
+  ]);
+
+  assert.deepEqual(speakers.map(s => [s.name, s.label]), [[null, 'Host'], [null, 'Guest']]);
+});
+
+test('request names replace the shorter intro form of the same name', () => {
+  const speakers = byId(nameSpeakers([
+    seg(0, 5, "I'm Sarah, and with me is a founder.", 'A'),
+    seg(5, 10, 'Happy to be here.', 'B')
+  ], speakerHints({ host: 'Sarah Chen', guests: 'Marcus Lee' })));
+
+  assert.deepEqual([speakers.A.name, speakers.A.role, speakers.A.name_source], ['Sarah Chen', 'host', 'request']);
+  assert.deepEqual([speakers.B.name, speakers.B.role, speakers.B.name_source], ['Marcus Lee', 'guest', 'request']);
+});
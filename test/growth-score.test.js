@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreGrowth } from '../lib/growth-score.js';
+
+const transcript = Array.from({ length: 300 }, (_, i) => `This is sentence number ${i} about growing a podcast audience.`).join(' ');
+const analysis = { topics_keywords: ['podcast audience', 'newsletter'], tweetable_quotes: ['growing a podcast audience'] };
+
+test('null model dimensions fall back to the transcript signal', () => {
+  const signalOnly = scoreGrowth(null, analysis, transcript);
+  const withNulls = scoreGrowth({ dimensions: { content_quality: 80, engagement: null, seo: null } }, analysis, transcript);
+
+  assert.equal(withNulls.model.engagement, null);
+  assert.equal(withNulls.dimensions.engagement, signalOnly.dimensions.engagement);
+  assert.equal(withNulls.dimensions.seo, signalOnly.dimensions.seo);
+  assert.notEqual(withNulls.dimensions.engagement, 0);
+});
+
+test('re-scoring a stored growth_score gives the same result', () => {
+  const first = scoreGrowth({ dimensions: { content_quality: 80 } }, analysis, transcript);
+  const again = scoreGrowth(first, analysis, transcript);
+
+  assert.equal(again.total, first.total);
+  assert.deepEqual(again.dimensions, first.dimensions);
+  assert.deepEqual(again.model, first.model);
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractKeywords, keywordList, stopwordsFor } from '../lib/keywords.js';
+
+test('a longer phrase subsumes shorter ones it accounts for, not ones used on their own', () => {
+  const text = [
+    'Our content marketing strategy starts with search.',
+    'A content marketing strategy needs a calendar.',
+    'Every content marketing strategy is measured.',
+    'Marketing budgets shrink. Marketing teams grow. Marketing wins. Marketing matters. Marketing again.'
+  ].join(' ');
+  const keywords = keywordList(text, { limit: 50 });
+
+  assert.ok(keywords.includes('content marketing strategy'));
+  assert.ok(!keywords.includes('content marketing'));
+  assert.ok(!keywords.includes('content'));
+  assert.ok(keywords.includes('marketing'));
+});
+
+test('plan terms are matched with leading and trailing stopwords trimmed', () => {
+  const text = 'A morning routine matters. My morning routine starts at six. Journaling helps.';
+  const keywords = extractKeywords(text, {
+    plan: [{ primary_intent: 'the morning routine', semantic_neighbors: ['a deep work habit'] }],
+    limit: 50
+  });
+
+  const routine = keywords.filter(k => k.keyword.includes('morning routine'));
+  assert.equal(routine.length, 1);
+  assert.deepEqual([routine[0].keyword, routine[0].source, routine[0].grounded], ['morning routine', 'both', true]);
+
+  const habit = keywords.find(k => k.keyword === 'a deep work habit');
+  assert.deepEqual([habit.source, habit.grounded, habit.count], ['plan', false, 0]);
+});
+
+test('stopwords follow the transcript language, including language names', () => {
+  assert.ok(stopwordsFor('es').has('para'));
+  assert.ok(stopwordsFor('español').has('para'));
+  assert.ok(stopwordsFor('de-DE').has('und'));
+  assert.ok(!stopwordsFor('en').has('para'));
+  assert.ok(stopwordsFor('klingon').has('the')); // unknown languages fall back to English
+
+  const text = 'Estrategia para la marca. Estrategia con datos. Estrategia para crecer.';
+  const spanish = keywordList(text, { language: 'es', limit: 50 });
+  assert.ok(spanish.includes('estrategia'));
+  assert.ok(!spanish.some(k => k.split(' ').includes('para') || k.split(' ').includes('con')));
+  assert.ok(keywordList(text, { language: 'en', limit: 50 }).some(k => k.split(' ').includes('para')));
+});
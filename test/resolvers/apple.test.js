@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { appleResolver } from '../../lib/resolvers/apple.js';
+import { parseAppleUrl, matchAppleEpisode } from '../../lib/apple.js';
+import { parseFeed } from '../../lib/rss.js';
+
+const fixture = (name) => fs.readFileSync(new URL(`../fixtures/resolvers/${name}`, import.meta.url), 'utf8');
+const feed = parseFeed(fixture('feed.xml'));
+const lookup = JSON.parse(fixture('apple-lookup-episodes.json')).results;
+const itunesEpisode = (trackId) => lookup.find(r => r.trackId === trackId);
+
+test('matches podcasts.apple.com and itunes.apple.com links', () => {
+  assert.ok(appleResolver.matches(new URL('https://podcasts.apple.com/us/podcast/the-growth-loop/id1500000042?i=1000654321')));
+  assert.ok(appleResolver.matches(new URL('https://itunes.apple.com/us/podcast/id1500000042')));
+  assert.ok(!appleResolver.matches(new URL('https://apple.com/podcasts/')));
+});
+
+test('parseAppleUrl reads the show id, episode id and slug', () => {
+  assert.deepEqual(parseAppleUrl('https://podcasts.apple.com/us/podcast/the-growth-loop/id1500000042?i=1000654321'), {
+    podcastId: '1500000042',
+    episodeId: '1000654321',
+    slug: 'the-growth-loop'
+  });
+  assert.deepEqual(parseAppleUrl('not a url'), { podcastId: null, episodeId: null, slug: null });
+});
+
+test('matches the iTunes episode to the feed by guid first', () => {
+  const found = matchAppleEpisode(feed, { itunesEpisode: itunesEpisode(1000654321) });
+  assert.equal(found.match, 'guid');
+  assert.equal(found.episode.guid, 'gl-ep-041');
+});
+
+test('falls back to the enclosure URL, ignoring query strings, when the guid changed', () => {
+  const found = matchAppleEpisode(feed, { itunesEpisode: itunesEpisode(1000654300) });
+  assert.equal(found.match, 'audio');
+  assert.equal(found.episode.guid, 'gl-ep-040');
+});
+
+test('matches by URL slug when there is no iTunes episode record', () => {
+  const found = matchAppleEpisode(feed, { itunesEpisode: null, slug: 'episode-42-pricing-your-sponsorships-media-kit' });
+  assert.equal(found.match, 'title');
+  assert.equal(found.episode.guid, 'gl-ep-042');
+});
+
+test('returns null when nothing in the feed matches', () => {
+  assert.equal(matchAppleEpisode(feed, { itunesEpisode: null, slug: 'an-unrelated-episode' }), null);
+});
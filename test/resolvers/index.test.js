@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectPlatform, resolveEpisodeUrl } from '../../lib/resolvers/index.js';
+
+test('detects the platform of each supported share link', () => {
+  assert.equal(detectPlatform('https://podcasts.apple.com/us/podcast/x/id1500000042?i=1'), 'apple');
+  assert.equal(detectPlatform('https://open.spotify.com/episode/4rOoJ6Egrf8K2IrywzwOMk'), 'spotify');
+  assert.equal(detectPlatform('https://youtu.be/dQw4w9WgXcQ'), 'youtube');
+  assert.equal(detectPlatform('https://overcast.fm/+BtuxQ8vdM'), 'overcast');
+  assert.equal(detectPlatform('https://pca.st/abc123'), 'pocketcasts');
+  assert.equal(detectPlatform('https://podcastindex.org/podcast/920666'), 'podcastindex');
+  assert.equal(detectPlatform('ftp://open.spotify.com/episode/4rOoJ6Egrf8K2IrywzwOMk'), null);
+  assert.equal(detectPlatform('not a link'), null);
+});
+
+test('rejects unsupported links with a 400 listing the supported platforms', async () => {
+  await assert.rejects(resolveEpisodeUrl('https://example.com/episode/1'), (error) => {
+    assert.equal(error.status, 400);
+    assert.ok(error.details.supported.includes('Spotify'));
+    return true;
+  });
+});
@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { overcastResolver, parseOvercastEpisodePage } from '../../lib/resolvers/overcast.js';
+
+const fixture = (name) => fs.readFileSync(new URL(`../fixtures/resolvers/${name}`, import.meta.url), 'utf8');
+
+test('matches overcast.fm episode links', () => {
+  assert.ok(overcastResolver.matches(new URL('https://overcast.fm/+BtuxQ8vdM')));
+  assert.ok(overcastResolver.matches(new URL('https://www.overcast.fm/+BtuxQ8vdM/12:34')));
+  assert.ok(!overcastResolver.matches(new URL('https://overcast.fm/itunes1500000042/the-growth-loop')));
+});
+
+test('reads title, show, enclosure and iTunes id from the episode page', () => {
+  assert.deepEqual(parseOvercastEpisodePage(fixture('overcast-episode.html')), {
+    title: 'Episode 40: Why Your Show Art Matters',
+    showName: 'The Growth Loop',
+    audioUrl: 'https://media.growthloop.example.com/gl-040.mp3',
+    itunesId: '1500000042',
+    image: 'https://public.overcast-cdn.com/art/1500000042?v12'
+  });
+});
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { pocketcastsResolver, parsePocketCastsEpisodePage } from '../../lib/resolvers/pocketcasts.js';
+
+const fixture = (name) => fs.readFileSync(new URL(`../fixtures/resolvers/${name}`, import.meta.url), 'utf8');
+
+test('matches pca.st short links and pocketcasts.com episode pages', () => {
+  assert.ok(pocketcastsResolver.matches(new URL('https://pca.st/episode/6b3c1d7e-5f0a-4c55-9a0e-0c2d3f2b1a90')));
+  assert.ok(pocketcastsResolver.matches(new URL('https://play.pocketcasts.com/podcasts/abc/episode/def')));
+  assert.ok(!pocketcastsResolver.matches(new URL('https://pca.st/')));
+});
+
+test('prefers JSON-LD (inside @graph) over og: tags', () => {
+  assert.deepEqual(parsePocketCastsEpisodePage(fixture('pocketcasts-episode.html')), {
+    title: 'Episode 42: Pricing Your Sponsorships & Media Kit',
+    showName: 'The Growth Loop',
+    audioUrl: 'https://media.growthloop.example.com/gl-042.mp3',
+    description: 'How to price a sponsorship and what belongs in a media kit.',
+    image: 'https://static.pocketcasts.com/discover/images/280/growthloop.jpg'
+  });
+});
+
+test('falls back to the page title and <audio> source on bare share pages', () => {
+  const page = parsePocketCastsEpisodePage(fixture('pocketcasts-share.html'));
+  assert.equal(page.title, 'Episode 41: Turning Listeners Into a Community');
+  assert.equal(page.showName, 'The Growth Loop');
+  assert.equal(page.audioUrl, 'https://media.growthloop.example.com/gl-041.mp3');
+  assert.equal(page.description, null);
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { podcastIndexResolver, findIndexedEpisode } from '../../lib/resolvers/podcastindex.js';
+import { parseFeed } from '../../lib/rss.js';
+
+const fixture = (name) => fs.readFileSync(new URL(`../fixtures/resolvers/${name}`, import.meta.url), 'utf8');
+const feed = parseFeed(fixture('feed.xml'));
+
+test('matches podcastindex.org podcast links', () => {
+  assert.ok(podcastIndexResolver.matches(new URL('https://podcastindex.org/podcast/920666?episode=16795106')));
+  assert.ok(!podcastIndexResolver.matches(new URL('https://podcastindex.org/search?q=growth')));
+});
+
+test('finds the API episode record in the feed by guid', () => {
+  const { episode } = JSON.parse(fixture('podcastindex-episode.json'));
+  assert.equal(findIndexedEpisode(feed, episode).guid, 'gl-ep-041');
+  assert.equal(findIndexedEpisode(feed, { ...episode, guid: 'unknown' }).guid, 'gl-ep-041');
+});
+
+test('uses the newest episode with audio when the link names no episode', () => {
+  assert.equal(findIndexedEpisode(feed, null).guid, 'gl-ep-042');
+});
+
+test('fails with a server misconfig error before any request when API credentials are missing', async () => {
+  const { PODCASTINDEX_API_KEY, PODCASTINDEX_API_SECRET } = process.env;
+  delete process.env.PODCASTINDEX_API_KEY;
+  delete process.env.PODCASTINDEX_API_SECRET;
+  try {
+    await assert.rejects(podcastIndexResolver.resolve(new URL('https://podcastindex.org/podcast/920666')), {
+      name: 'PipelineError',
+      status: 500
+    });
+  } finally {
+    if (PODCASTINDEX_API_KEY !== undefined) process.env.PODCASTINDEX_API_KEY = PODCASTINDEX_API_KEY;
+    if (PODCASTINDEX_API_SECRET !== undefined) process.env.PODCASTINDEX_API_SECRET = PODCASTINDEX_API_SECRET;
+  }
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { spotifyResolver, parseSpotifyEpisodePage } from '../../lib/resolvers/spotify.js';
+
+const fixture = (name) => fs.readFileSync(new URL(`../fixtures/resolvers/${name}`, import.meta.url), 'utf8');
+
+test('matches episode links, including localized ones', () => {
+  assert.ok(spotifyResolver.matches(new URL('https://open.spotify.com/episode/4rOoJ6Egrf8K2IrywzwOMk?si=abc')));
+  assert.ok(spotifyResolver.matches(new URL('https://open.spotify.com/intl-de/episode/4rOoJ6Egrf8K2IrywzwOMk')));
+  assert.ok(!spotifyResolver.matches(new URL('https://open.spotify.com/show/2MAi0BvDc6GTFvKFPXnkCL')));
+});
+
+test('reads the episode from the PodcastEpisode JSON-LD block', () => {
+  assert.deepEqual(parseSpotifyEpisodePage(fixture('spotify-episode.html')), {
+    title: 'Episode 42: Pricing Your Sponsorships & Media Kit',
+    showName: 'The Growth Loop',
+    description: 'How to price a sponsorship and what belongs in a media kit.',
+    image: 'https://i.scdn.co/image/ab6765630000ba8a0000growthloop',
+    durationSeconds: 3133,
+    pubDate: '2024-06-04'
+  });
+});
+
+test('falls back to og: tags and the "episode from <show> on Spotify" description', () => {
+  const page = parseSpotifyEpisodePage(fixture('spotify-episode-og-only.html'));
+  assert.equal(page.title, 'Episode 41: Turning Listeners Into a Community');
+  assert.equal(page.showName, 'The Growth Loop');
+  assert.equal(page.durationSeconds, 2875);
+  assert.equal(page.pubDate, null);
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { youtubeResolver, youtubeVideoId, parseYoutubeOembed } from '../../lib/resolvers/youtube.js';
+
+const fixture = (name) => fs.readFileSync(new URL(`../fixtures/resolvers/${name}`, import.meta.url), 'utf8');
+
+test('reads the video id from every YouTube URL shape', () => {
+  for (const link of [
+    'https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=42s',
+    'https://youtu.be/dQw4w9WgXcQ?si=xyz',
+    'https://m.youtube.com/shorts/dQw4w9WgXcQ',
+    'https://www.youtube.com/live/dQw4w9WgXcQ',
+    'https://music.youtube.com/watch?v=dQw4w9WgXcQ'
+  ]) {
+    assert.equal(youtubeVideoId(new URL(link)), 'dQw4w9WgXcQ', link);
+  }
+  assert.equal(youtubeVideoId(new URL('https://www.youtube.com/@growthlooppodcast')), null);
+});
+
+test('matches video links only', () => {
+  assert.ok(youtubeResolver.matches(new URL('https://youtu.be/dQw4w9WgXcQ')));
+  assert.ok(!youtubeResolver.matches(new URL('https://www.youtube.com/@growthlooppodcast')));
+  assert.ok(!youtubeResolver.matches(new URL('https://vimeo.com/watch?v=dQw4w9WgXcQ')));
+});
+
+test('reads title and channel from oEmbed and also searches without the "Podcast" suffix', () => {
+  assert.deepEqual(parseYoutubeOembed(JSON.parse(fixture('youtube-oembed.json'))), {
+    title: 'Episode 41: Turning Listeners Into a Community',
+    channel: 'The Growth Loop Podcast',
+    showNames: ['The Growth Loop Podcast', 'The Growth Loop']
+  });
+});
+
+test('a channel without a suffix is searched once, and an empty response yields nothing', () => {
+  assert.deepEqual(parseYoutubeOembed({ title: 'Ep 1', author_name: 'Growth Loop' }).showNames, ['Growth Loop']);
+  assert.deepEqual(parseYoutubeOembed({}), { title: null, channel: null, showNames: [] });
+});
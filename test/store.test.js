@@ -0,0 +1,40 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// STORE_CONFIG is read at import time
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-test-'));
+process.env.STORE_BACKEND = 'file';
+process.env.DATA_DIR = dataDir;
+const { createStore } = await import('../lib/store.js');
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('file backend lists newest write first and pages after filtering', async () => {
+  const store = createStore('things');
+  for (const [n, show] of [[1, 'a'], [2, 'b'], [3, 'a'], [4, 'a']]) {
+    await store.put({ id: `t${n}`, show });
+    await delay(15); // distinct mtimes
+  }
+  await store.update('t1', { touched: true });
+
+  assert.deepEqual((await store.list()).map(r => r.id), ['t1', 't4', 't3', 't2']);
+  assert.deepEqual((await store.list({ limit: 2, offset: 1 })).map(r => r.id), ['t4', 't3']);
+
+  const isA = (record) => record.show === 'a';
+  assert.deepEqual((await store.list({ where: isA })).map(r => r.id), ['t1', 't4', 't3']);
+  assert.deepEqual((await store.list({ where: isA, limit: 1, offset: 1 })).map(r => r.id), ['t4']);
+});
+
+test('file backend list skips unreadable records and missing collections', async () => {
+  const store = createStore('mixed');
+  await store.put({ id: 'good' });
+  fs.writeFileSync(path.join(dataDir, 'mixed', 'broken.json'), '{ not json');
+
+  assert.deepEqual((await store.list()).map(r => r.id), ['good']);
+  assert.deepEqual(await createStore('empty').list(), []);
+});
@@ -0,0 +1,9 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toVtt } from '../lib/transcript-formats.js';
+
+test('escapes markup in VTT speaker names and cue text', () => {
+  const vtt = toVtt([{ start: 0, end: 2, speaker: 'Tom & <Jerry> Show', text: 'a < b --> c' }]);
+  assert.match(vtt, /^WEBVTT\n/);
+  assert.ok(vtt.includes('<v Tom &amp; &lt;Jerry&gt; Show>a &lt; b --&gt; c'), vtt);
+});